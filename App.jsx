@@ -5,6 +5,8 @@ import BetPanel from './components/BetPanel.jsx';
 import CanvasRenderer from './components/CanvasRenderer.jsx';
 import AviatorGameStandalone from './components/AviatorGameStandalone.jsx';
 import HistoryItem from './components/HistoryItem.jsx';
+import LiveBetsPanel from './components/LiveBetsPanel.jsx';
+import RoomPicker from './components/RoomPicker.jsx';
 import BottomNav from './components/BottomNav.jsx';
 import BackendTest from './components/BackendTest.jsx';
 import NotificationSystem from './components/NotificationSystem.jsx';
@@ -13,6 +15,7 @@ import AdminLoginModal from './components/AdminLoginModal.jsx';
 import UserProfile from './components/UserProfile.jsx';
 import RanksPanel from './components/RanksPanel.jsx';
 import FairnessPage from './components/FairnessPage.jsx';
+import RoundReplay from './components/RoundReplay.jsx';
 import WorkPanel from './components/WorkPanel.jsx';
 import FriendsPanel from './components/FriendsPanel.jsx';
 import EarnTab from './components/EarnTab.jsx';
@@ -43,20 +46,33 @@ function App() {
     isConnected,
     gameState,
     multiplier,
+    lastServerTick,
     countdown,
     playersOnline,
     playerBalance,
-    hasActiveBet,
-    activeBetAmount,
-    cashedOut,
-    cashedOutMultiplier,
+    bets,
+    queuedBets,
+    commandErrors,
+    autoBet,
+    maintenance,
+    roundConfig,
+    betFeed,
+    room,
+    rooms,
+    joinRoom,
+    getBetHistory,
     crashHistory,
+    crashHistoryRounds,
     placeBet,
-    cashOut
+    cancelBet,
+    cashOut,
+    startAutoBet,
+    stopAutoBet
   } = useGameBackend();
 
   // Local state for UI
   const [betAmount, setBetAmount] = useState(100);
+  const [secondBetAmount, setSecondBetAmount] = useState(100);
   const [showBackendTest, setShowBackendTest] = useState(false); // Default to main game now
   const [showAuthModal, setShowAuthModal] = useState(false);
   const [showAdminLogin, setShowAdminLogin] = useState(false);
@@ -64,6 +80,7 @@ function App() {
   const [showRanksPanel, setShowRanksPanel] = useState(false);
   const [activeNavTab, setActiveNavTab] = useState('Play');
   const [showFairnessPage, setShowFairnessPage] = useState(false);
+  const [replayRoundId, setReplayRoundId] = useState(null);
   const [showWorkPanel, setShowWorkPanel] = useState(false);
   const [showFriendsPanel, setShowFriendsPanel] = useState(false);
   const [showEarnPanel, setShowEarnPanel] = useState(false);
@@ -117,11 +134,12 @@ function App() {
     };
   }, [setGameHeight]);
 
-  // Recalculate when game state changes (bet panel size might change)
+  // Recalculate when game state changes (bet panel size might change) or the
+  // room picker shows up in the header
   useEffect(() => {
     // Small delay to allow DOM updates to complete
     setTimeout(setGameHeight, 50);
-  }, [gameState, setGameHeight]);
+  }, [gameState, rooms.length, setGameHeight]);
 
   // Initialize sound system on first user interaction
   useEffect(() => {
@@ -318,6 +336,72 @@ function App() {
     };
   }, []);
   
+  // Let the player know their bet survived a reconnect
+  useEffect(() => {
+    const handleResumed = (event) => {
+      const { bets: resumedBets = [] } = event.detail || {};
+
+      for (const bet of resumedBets) {
+        addNotification({
+          type: bet.cashedOut ? 'success' : 'info',
+          title: 'Reconnected',
+          message: bet.cashedOut
+            ? `Your bet was cashed out at ${bet.cashedOutMultiplier.toFixed(2)}x while you were away.`
+            : `Your ${bet.amount} pts bet is still active.`,
+          duration: 4000
+        });
+      }
+    };
+
+    window.addEventListener('game:resumed', handleResumed);
+    return () => window.removeEventListener('game:resumed', handleResumed);
+  }, [addNotification]);
+
+  // Tell the player why server-side auto-play ended
+  useEffect(() => {
+    const messages = {
+      roundsCompleted: 'All auto-play rounds have been played.',
+      profitTarget: 'Your profit target was reached.',
+      lossLimit: 'Your loss limit was reached.',
+      betFailed: 'A bet could not be placed (check your balance and limits).',
+      disconnected: 'Auto play ran out of rounds while you were away; set a round count or loss limit to let it play longer.',
+      shutdown: 'The server is restarting, start auto play again once it is back.'
+    };
+    const handleAutoBetStopped = (event) => {
+      const message = messages[event.detail?.reason];
+      if (!message) return;
+
+      addNotification({
+        type: event.detail.reason === 'profitTarget' ? 'success' : 'info',
+        title: 'Auto Play Stopped',
+        message,
+        duration: 5000
+      });
+    };
+
+    window.addEventListener('game:autoBetStopped', handleAutoBetStopped);
+    return () => window.removeEventListener('game:autoBetStopped', handleAutoBetStopped);
+  }, [addNotification]);
+
+  // Bets of a round voided by a server restart were refunded
+  useEffect(() => {
+    const handleRoundVoided = (event) => {
+      const refunds = event.detail?.refunds || [];
+      if (refunds.length === 0) return;
+
+      const total = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+      addNotification({
+        type: 'info',
+        title: 'Round Voided',
+        message: `The round was cancelled for a server restart. ${total} pts were refunded.`,
+        duration: 6000
+      });
+    };
+
+    window.addEventListener('game:roundVoided', handleRoundVoided);
+    return () => window.removeEventListener('game:roundVoided', handleRoundVoided);
+  }, [addNotification]);
+
   // Load player settings when authenticated
   const loadPlayerSettings = useCallback(async () => {
     if (!authService.isAuthenticated() || settingsLoaded) return;
@@ -366,10 +450,13 @@ function App() {
   console.log('🔐 Auth state:', { isAuthenticated, user: user?.username });
 
   // Handle bet placement using backend with limit checking
-  const handleBet = useCallback(() => {
-    if (gameState === 'betting' && betAmount <= playerBalance && !hasActiveBet) {
-      const result = placeBet(betAmount);
-      if (!result.success) {
+  // Outside the betting phase the server queues the bet for the next round
+  // Server rejections are shown on the bet panel (commandErrors)
+  const handleBet = useCallback(async (slot, amount, autoCashout) => {
+    const slotTaken = gameState === 'betting' ? bets[slot] : queuedBets[slot];
+    if (amount <= playerBalance && !slotTaken) {
+      const result = await placeBet(amount, { slot, autoCashout });
+      if (result.reasons) {
         // Show limit warning notification
         addNotification({
           type: 'warning',
@@ -380,27 +467,27 @@ function App() {
         });
       }
     }
-  }, [gameState, betAmount, playerBalance, hasActiveBet, placeBet, addNotification]);
+  }, [gameState, playerBalance, bets, queuedBets, placeBet, addNotification]);
+
+  // Withdraw a bet before take-off (server refunds it)
+  const handleCancelBet = useCallback((slot) => {
+    if (queuedBets[slot] || (gameState === 'betting' && bets[slot])) {
+      cancelBet(slot);
+    }
+  }, [gameState, bets, queuedBets, cancelBet]);
 
   // Handle cash out using backend
-  const handleCashOut = useCallback(() => {
-    if (gameState === 'running' && hasActiveBet && !cashedOut) {
-      cashOut();
+  const handleCashOut = useCallback((slot, fraction = 1) => {
+    if (gameState === 'running' && bets[slot] && !bets[slot].cashedOut) {
+      cashOut(slot, fraction);
     }
-  }, [gameState, hasActiveBet, cashedOut, cashOut]);
+  }, [gameState, bets, cashOut]);
 
   // Optimized multiplier callback for performance-critical auto-cashout
   const getCurrentMultiplier = useCallback(() => {
     return multiplier;
   }, [multiplier]);
 
-  // Last server tick for optimized animation
-  const lastServerTick = useMemo(() => ({
-    serverTime: Date.now(),
-    multiplier: multiplier,
-    state: gameState
-  }), [multiplier, gameState]);
-
   // Sound effects for game state changes
   useEffect(() => {
     // Countdown sounds
@@ -426,7 +513,7 @@ function App() {
       soundEffects.stopBackgroundMusic();
       
       // Show crash notification if player had an active bet
-      if (hasActiveBet && !cashedOut) {
+      if (bets.some(bet => bet && !bet.cashedOut)) {
         addNotification({
           type: 'error',
           title: 'Plane Crashed!',
@@ -439,7 +526,7 @@ function App() {
     // Update previous states
     setPrevGameState(gameState);
     setPrevCountdown(countdown);
-  }, [gameState, countdown, prevGameState, prevCountdown, hasActiveBet, cashedOut, multiplier, addNotification]);
+  }, [gameState, countdown, prevGameState, prevCountdown, bets, multiplier, addNotification]);
 
   // Show backend test if needed (for debugging)
   if (showBackendTest) {
@@ -462,14 +549,23 @@ function App() {
     );
   }
 
+  // Maintenance/restart notice, with the expected return time when the server announced one
+  const maintenanceNotice = maintenance && (maintenance.expectedReturnAt
+    ? `${maintenance.message} Expected back around ${new Date(maintenance.expectedReturnAt).toLocaleTimeString()}.`
+    : maintenance.message);
+
   // Show connection error if not connected
   if (!isConnected) {
     return (
       <div className="min-h-screen bg-gray-900 text-white flex items-center justify-center">
         <div className="text-center">
-          <div className="text-6xl mb-4">🔌</div>
-          <h1 className="text-2xl font-bold mb-2">Connecting to Game Server...</h1>
-          <p className="text-gray-400 mb-4">Please wait while we establish connection</p>
+          <div className="text-6xl mb-4">{maintenance ? '🛠️' : '🔌'}</div>
+          <h1 className="text-2xl font-bold mb-2">
+            {maintenance ? 'Server Maintenance' : 'Connecting to Game Server...'}
+          </h1>
+          <p className="text-gray-400 mb-4">
+            {maintenanceNotice || 'Please wait while we establish connection'}
+          </p>
           <div className="w-8 h-8 border-4 border-blue-500 border-t-transparent rounded-full animate-spin mx-auto"></div>
         </div>
       </div>
@@ -481,6 +577,11 @@ function App() {
       <TelegramThemeStyles />
       <UpdateChecker />
       <div className="h-dvh flex flex-col bg-gray-900 text-white">
+      {maintenance && (
+        <div className="bg-yellow-600 text-white text-sm text-center px-3 py-2">
+          🛠️ {maintenanceNotice}
+        </div>
+      )}
       {/* Header - Mobile optimized */}
       <header className="app-header bg-gray-800 shadow-lg">
         {/* Main header row */}
@@ -603,6 +704,7 @@ function App() {
             </div>
           </div>
         </div>
+        <RoomPicker rooms={rooms} room={room} onJoin={joinRoom} />
       </header>
 
       {/* Main Game Area - Fixed height with stable layout */}
@@ -614,6 +716,8 @@ function App() {
             <AviatorGameStandalone
               gameState={gameState}
               multiplier={multiplier}
+              lastServerTick={lastServerTick}
+              doublingMs={roundConfig?.doublingMs}
               countdown={countdown}
               crashHistory={crashHistory}
               className="w-full h-[50vh]"
@@ -634,7 +738,11 @@ function App() {
         <div className="flex space-x-2 sm:space-x-3 overflow-x-auto scrollbar-hide pb-1">
           {crashHistory.length > 0 ? (
             crashHistory.map((crashMultiplier, index) => (
-              <HistoryItem key={`${crashMultiplier}-${index}`} multiplier={crashMultiplier} />
+              <HistoryItem
+                key={`${crashMultiplier}-${index}`}
+                multiplier={crashMultiplier}
+                onClick={crashHistoryRounds[index] ? () => setReplayRoundId(crashHistoryRounds[index]) : undefined}
+              />
             ))
           ) : (
             // Show placeholder while loading
@@ -643,23 +751,41 @@ function App() {
         </div>
       </div>
 
-      {/* Bet Panel - Fixed height container with internal state management */}
-      <div className="app-bet-panel p-4 sm:p-4 md:p-6 bg-gray-800 border-t border-gray-700 mobile-spacing">
-        <BetPanel
-          gameState={gameState}
-          betAmount={betAmount}
-          setBetAmount={setBetAmount}
-          onBet={handleBet}
-          onCashOut={handleCashOut}
-          userBalance={playerBalance}
-          getCurrentMultiplier={getCurrentMultiplier}
-          hasBet={hasActiveBet}
-          countdown={countdown}
-          activeBet={activeBetAmount}
-          cashedOutMultiplier={cashedOutMultiplier}
-        />
+      {/* Bet Panels - two independent bets per round */}
+      <div className="app-bet-panel p-4 sm:p-4 md:p-6 bg-gray-800 border-t border-gray-700 mobile-spacing grid grid-cols-1 md:grid-cols-2 gap-4">
+        {[[betAmount, setBetAmount], [secondBetAmount, setSecondBetAmount]].map(([amount, setAmount], slot) => (
+          <BetPanel
+            key={slot}
+            slot={slot}
+            gameState={gameState}
+            betAmount={amount}
+            setBetAmount={setAmount}
+            onBet={(autoCashout) => handleBet(slot, amount, autoCashout)}
+            onCancel={() => handleCancelBet(slot)}
+            onCashOut={(fraction) => handleCashOut(slot, fraction)}
+            userBalance={playerBalance}
+            getCurrentMultiplier={getCurrentMultiplier}
+            hasBet={!!bets[slot]}
+            countdown={countdown}
+            activeBet={bets[slot]?.amount || 0}
+            cashedOutMultiplier={bets[slot]?.cashedOutMultiplier || 0}
+            remainingBet={bets[slot]?.remaining ?? bets[slot]?.amount ?? 0}
+            queuedBet={queuedBets[slot]}
+            error={commandErrors[slot]}
+            autoBet={slot === 0 ? autoBet : null}
+            onStartAutoBet={startAutoBet}
+            onStopAutoBet={stopAutoBet}
+            minBet={roundConfig?.minBetAmount}
+            maxBet={roundConfig?.maxBetAmount}
+            maxWin={roundConfig?.maxWinAmount}
+            maxRoundPayout={roundConfig?.maxRoundPayout}
+          />
+        ))}
       </div>
 
+      {/* Live bets: everyone's bets this round, my bets, top wins of the day */}
+      <LiveBetsPanel feed={betFeed} getBetHistory={getBetHistory} />
+
       {/* Spacer so fixed BottomNav doesn't overlap content */}
       <div className="h-[64px] md:h-[72px]" />
       
@@ -697,6 +823,12 @@ function App() {
         onClose={() => setShowFairnessPage(false)}
       />
 
+      {/* Round replay (history chips) */}
+      <RoundReplay
+        roundId={replayRoundId}
+        onClose={() => setReplayRoundId(null)}
+      />
+
       {/* Work Panel */}
       <WorkPanel
         isOpen={showWorkPanel}
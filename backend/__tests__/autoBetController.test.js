@@ -0,0 +1,218 @@
+const { GameEngine, GameEvent } = require('../services/gameEngine');
+const { AutoBetController, AutoBetEvent, StopReason, validateStrategy, nextBetAmount } = require('../services/autoBetController');
+const { ManualClock } = require('../lib/clock');
+const { elapsedFor } = require('../lib/crashCurve');
+
+// Rounds take off 5s after betting opens and crash at crashPoints[n]
+function createStore({ crashPoints, balance = 1000 }) {
+  const balances = new Map();
+  let roundCount = 0;
+
+  return {
+    balances,
+    createRound: jest.fn(async () => {
+      const crashPoint = crashPoints[Math.min(roundCount, crashPoints.length - 1)];
+      roundCount++;
+      return { id: `round-${roundCount}`, crashPoint };
+    }),
+    startRound: jest.fn(async () => {}),
+    placeBet: jest.fn(async ({ userId, amount }) => {
+      const current = balances.has(userId) ? balances.get(userId) : balance;
+      if (amount > current) throw new Error('Insufficient balance');
+      balances.set(userId, current - amount);
+      return { betId: `bet-${roundCount}`, balance: current - amount };
+    }),
+    cancelBet: jest.fn(),
+    cashoutBet: jest.fn(async ({ userId, winnings }) => {
+      balances.set(userId, balances.get(userId) + winnings);
+      return { balance: balances.get(userId) };
+    }),
+    finishRound: jest.fn(async () => {})
+  };
+}
+
+const strategy = (overrides = {}) => ({
+  baseBet: 100,
+  autoCashout: 2.0,
+  rounds: 0,
+  onWin: 'RESET',
+  onWinFactor: 1,
+  onLoss: 'MULTIPLY',
+  onLossFactor: 2,
+  stopOnProfit: null,
+  stopOnLoss: null,
+  ...overrides
+});
+
+// Length of one round from betting start to the next betting start
+const roundMs = (crashPoint) => 5000 + Math.ceil(elapsedFor(crashPoint)) + 3000;
+
+async function setup(crashPoints, balance, options = {}) {
+  const clock = new ManualClock(0);
+  const store = createStore({ crashPoints, balance });
+  const engine = new GameEngine({ store, clock });
+  engine.on(GameEvent.ERROR, () => {});
+  const controller = new AutoBetController({ engine, ...options });
+  return { clock, store, engine, controller };
+}
+
+describe('AutoBetController', () => {
+  let engine;
+
+  afterEach(() => {
+    if (engine) engine.stop();
+    engine = null;
+  });
+
+  it('should double after a loss and reset after a win', async () => {
+    const crashPoints = [1.5, 1.5, 3.0, 3.0];
+    const ctx = await setup(crashPoints);
+    engine = ctx.engine;
+    const amounts = [];
+    ctx.engine.on(GameEvent.BET_PLACED, ({ bet }) => amounts.push(bet.amount));
+
+    ctx.controller.start('alice', strategy());
+    engine.start();
+    for (const crashPoint of crashPoints) {
+      await ctx.clock.advance(roundMs(crashPoint));
+    }
+
+    // lose 100, lose 200, win 400 @ 2x, back to 100 after each win
+    expect(amounts).toEqual([100, 200, 400, 100, 100]);
+    const session = ctx.controller.getSession('alice');
+    expect(session.roundsPlayed).toBe(4);
+    expect(session.profit).toBe(200);
+  });
+
+  it('should stop after the configured number of rounds', async () => {
+    const ctx = await setup([3.0]);
+    engine = ctx.engine;
+    const stopped = [];
+    ctx.controller.on(AutoBetEvent.STOPPED, (e) => stopped.push(e));
+
+    ctx.controller.start('alice', strategy({ rounds: 2 }));
+    engine.start();
+    await ctx.clock.advance(roundMs(3.0) * 3);
+
+    expect(stopped).toHaveLength(1);
+    expect(stopped[0]).toMatchObject({ userId: 'alice', reason: StopReason.ROUNDS_COMPLETED });
+    expect(ctx.store.placeBet).toHaveBeenCalledTimes(2);
+  });
+
+  it('should stop on the profit target and the loss limit', async () => {
+    const ctx = await setup([3.0]);
+    engine = ctx.engine;
+    const reasons = [];
+    ctx.controller.on(AutoBetEvent.STOPPED, ({ userId, reason }) => reasons.push([userId, reason]));
+
+    ctx.controller.start('alice', strategy({ stopOnProfit: 150 }));
+    engine.start();
+    await ctx.clock.advance(roundMs(3.0) * 2);
+    expect(reasons).toEqual([['alice', StopReason.PROFIT_TARGET]]);
+
+    const losing = await setup([1.2]);
+    engine.stop();
+    engine = losing.engine;
+    losing.controller.on(AutoBetEvent.STOPPED, ({ userId, reason }) => reasons.push([userId, reason]));
+    losing.controller.start('bob', strategy({ onLoss: 'RESET', stopOnLoss: 250 }));
+    engine.start();
+    await losing.clock.advance(roundMs(1.2) * 3);
+    expect(reasons[1]).toEqual(['bob', StopReason.LOSS_LIMIT]);
+    expect(losing.store.placeBet).toHaveBeenCalledTimes(3);
+  });
+
+  it('should stop when a bet cannot be placed', async () => {
+    const ctx = await setup([1.2], 250);
+    engine = ctx.engine;
+    const stopped = [];
+    ctx.controller.on(AutoBetEvent.STOPPED, (e) => stopped.push(e));
+
+    ctx.controller.start('alice', strategy());
+    engine.start();
+    await ctx.clock.advance(roundMs(1.2) * 2 + 100); // 100 lost, 200 rejected
+
+    expect(stopped[0]).toMatchObject({ reason: StopReason.BET_FAILED });
+    expect(ctx.controller.getSession('alice')).toBeNull();
+  });
+
+  it('should hold its slot while it runs', async () => {
+    const ctx = await setup([3.0]);
+
+    // Not started while a bet waits in the slot for the next round
+    ctx.engine.queueBet('alice', 50, { slot: 0 });
+    expect(ctx.controller.start('alice', strategy())).toMatchObject({ success: false, code: 'SLOT_TAKEN' });
+    ctx.engine.unqueueBet('alice', 0);
+
+    expect(ctx.controller.start('alice', strategy()).success).toBe(true);
+    expect(ctx.controller.reservesSlot('alice', 0)).toBe(true);
+    expect(ctx.controller.reservesSlot('alice', 1)).toBe(false);
+    expect(ctx.controller.reservesSlot('bob', 0)).toBe(false);
+
+    ctx.controller.stop('alice', StopReason.USER);
+    expect(ctx.controller.reservesSlot('alice', 0)).toBe(false);
+  });
+
+  it('should keep playing while the player is away, up to maxAwayRounds without limits of its own', async () => {
+    const ctx = await setup([3.0], 1000, { maxAwayRounds: 2 });
+    engine = ctx.engine;
+    const stopped = [];
+    ctx.controller.on(AutoBetEvent.STOPPED, ({ userId, reason }) => stopped.push([userId, reason]));
+
+    ctx.controller.start('alice', strategy());
+    ctx.controller.start('bob', strategy({ rounds: 4 }));
+    ctx.controller.setAway('alice', true);
+    ctx.controller.setAway('bob', true);
+    engine.start();
+    await ctx.clock.advance(roundMs(3.0) * 5);
+
+    // Alice had no limit: bounded by maxAwayRounds. Bob's round count applies.
+    expect(stopped).toEqual([['alice', StopReason.DISCONNECTED], ['bob', StopReason.ROUNDS_COMPLETED]]);
+    expect(ctx.store.placeBet.mock.calls.filter(([bet]) => bet.userId === 'alice')).toHaveLength(2);
+    expect(ctx.store.placeBet.mock.calls.filter(([bet]) => bet.userId === 'bob')).toHaveLength(4);
+  });
+
+  it('should start counting away rounds over when the player comes back', async () => {
+    const ctx = await setup([3.0], 1000, { maxAwayRounds: 2 });
+    engine = ctx.engine;
+    const stopped = [];
+    ctx.controller.on(AutoBetEvent.STOPPED, (e) => stopped.push(e));
+
+    ctx.controller.start('alice', strategy());
+    ctx.controller.setAway('alice', true);
+    engine.start();
+    await ctx.clock.advance(roundMs(3.0));
+    ctx.controller.setAway('alice', false);
+    ctx.controller.setAway('alice', true);
+    await ctx.clock.advance(roundMs(3.0));
+    expect(stopped).toEqual([]);
+    expect(ctx.controller.getSession('alice').awayRounds).toBe(1);
+
+    ctx.controller.setAway('alice', false);
+    await ctx.clock.advance(roundMs(3.0) * 3);
+    expect(stopped).toEqual([]);
+    expect(ctx.controller.getSession('alice').roundsPlayed).toBe(5);
+  });
+
+  it('should stop every session on shutdown', async () => {
+    const ctx = await setup([3.0]);
+    const stopped = [];
+    ctx.controller.on(AutoBetEvent.STOPPED, ({ userId, reason }) => stopped.push([userId, reason]));
+
+    ctx.controller.start('alice', strategy());
+    ctx.controller.start('bob', strategy());
+    ctx.controller.stopAll(StopReason.SHUTDOWN);
+
+    expect(stopped).toEqual([['alice', StopReason.SHUTDOWN], ['bob', StopReason.SHUTDOWN]]);
+    expect(ctx.controller.getSession('alice')).toBeNull();
+  });
+
+  it('should validate strategies and compute the next stake', () => {
+    expect(validateStrategy(strategy()).valid).toBe(true);
+    expect(validateStrategy(strategy({ autoCashout: 1 })).valid).toBe(false);
+    expect(validateStrategy(strategy({ onLoss: 'MARTINGALE' })).valid).toBe(false);
+    expect(validateStrategy(strategy({ rounds: -1 })).valid).toBe(false);
+
+    expect(nextBetAmount(strategy(), 150, true)).toBe(100);
+    expect(nextBetAmount(strategy({ onLossFactor: 1.5 }), 150, false)).toBe(225);
+  });
+});
@@ -0,0 +1,39 @@
+const { BetFeed, maskUsername } = require('../lib/betFeed');
+
+describe('Bet feed', () => {
+  it('should mask usernames', () => {
+    expect(maskUsername('alexander')).toBe('a***r');
+    expect(maskUsername('jo')).toBe('j***');
+    expect(maskUsername('')).toBe('Guest');
+    expect(maskUsername(null)).toBe('Guest');
+  });
+
+  it('should track bets, cashouts and totals for the round', () => {
+    const feed = new BetFeed();
+    feed.reset('round-1');
+
+    const alice = feed.addBet({ userId: 'u1', slot: 0, amount: 100, username: 'alice', avatar: 'a.png' });
+    feed.addBet({ userId: 'u2', slot: 1, amount: 50 });
+    expect(alice).toMatchObject({ id: 1, name: 'a***e', avatar: 'a.png', multiplier: null, cashedOut: false });
+    expect(JSON.stringify(feed.snapshot())).not.toContain('u1');
+
+    feed.cashout('u1', 0, { amount: 50, winnings: 75, multiplier: 1.5, cashedOut: false });
+    const closed = feed.cashout('u1', 0, { amount: 50, winnings: 125, multiplier: 2.5, cashedOut: true });
+    expect(closed).toMatchObject({ multiplier: 2, winnings: 200, settled: 100, cashedOut: true });
+    expect(feed.cashout('u3', 0, { amount: 10, winnings: 20, multiplier: 2, cashedOut: true })).toBeNull();
+
+    expect(feed.snapshot()).toMatchObject({ roundId: 'round-1', totals: { count: 2, amount: 150, winnings: 200 } });
+  });
+
+  it('should drop cancelled bets and start over each round', () => {
+    const feed = new BetFeed();
+    feed.addBet({ userId: 'u1', slot: 0, amount: 100, username: 'alice' });
+    expect(feed.remove('u1', 0)).toMatchObject({ id: 1 });
+    expect(feed.remove('u1', 0)).toBeNull();
+
+    feed.addBet({ userId: 'u1', slot: 0, amount: 100, username: 'alice' });
+    feed.reset('round-2');
+    expect(feed.snapshot()).toEqual({ roundId: 'round-2', bets: [], totals: { count: 0, amount: 0, winnings: 0 } });
+    expect(feed.addBet({ userId: 'u1', slot: 0, amount: 10 }).id).toBe(1);
+  });
+});
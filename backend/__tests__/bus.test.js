@@ -0,0 +1,73 @@
+const { InMemoryBus } = require('../lib/bus');
+const { ManualClock, flush } = require('../lib/clock');
+
+describe('InMemoryBus', () => {
+  it('should deliver messages in publish order across channels', async () => {
+    const bus = new InMemoryBus();
+    const received = [];
+    await bus.subscribe('a', message => received.push(`a:${message.n}`));
+    await bus.subscribe('b', message => {
+      received.push(`b:${message.n}`);
+      // Published while delivering: still after everything published before it
+      if (message.n === 2) bus.publish('a', { n: 4 });
+    });
+
+    bus.publish('a', { n: 1 });
+    bus.publish('b', { n: 2 });
+    bus.publish('a', { n: 3 });
+    expect(received).toEqual([]);
+
+    await flush();
+    expect(received).toEqual(['a:1', 'b:2', 'a:3', 'a:4']);
+  });
+
+  it('should hand every subscriber its own copy and stop after unsubscribe', async () => {
+    const bus = new InMemoryBus();
+    const first = [];
+    const second = [];
+    const unsubscribe = await bus.subscribe('room', message => {
+      first.push(message);
+      message.mutated = true;
+    });
+    await bus.subscribe('room', message => second.push(message));
+    await bus.subscribe('room', () => { throw new Error('broken handler'); });
+
+    const sent = { frame: 'tick' };
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    bus.publish('room', sent);
+    await flush();
+
+    expect(first).toEqual([{ frame: 'tick', mutated: true }]);
+    expect(second).toEqual([{ frame: 'tick' }]);
+    expect(sent).toEqual({ frame: 'tick' });
+
+    await unsubscribe();
+    bus.publish('room', sent);
+    await flush();
+    errorSpy.mockRestore();
+    expect(first).toHaveLength(1);
+    expect(second).toHaveLength(2);
+  });
+
+  it('should let one owner hold a lock until it is released or expires', async () => {
+    const clock = new ManualClock();
+    const bus = new InMemoryBus({ clock });
+
+    expect(await bus.acquireLock('leader', 'a', 1000)).toBe(true);
+    expect(await bus.acquireLock('leader', 'b', 1000)).toBe(false);
+
+    // Renewing pushes the expiry out
+    await clock.advance(800);
+    expect(await bus.acquireLock('leader', 'a', 1000)).toBe(true);
+    await clock.advance(800);
+    expect(await bus.acquireLock('leader', 'b', 1000)).toBe(false);
+
+    await clock.advance(200);
+    expect(await bus.acquireLock('leader', 'b', 1000)).toBe(true);
+
+    await bus.releaseLock('leader', 'a');
+    expect(await bus.acquireLock('leader', 'a', 1000)).toBe(false);
+    await bus.releaseLock('leader', 'b');
+    expect(await bus.acquireLock('leader', 'a', 1000)).toBe(true);
+  });
+});
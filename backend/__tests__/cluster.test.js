@@ -0,0 +1,32 @@
+const { Channel, MessageKind, RemoteSocket, forwardedReceiveTime } = require('../lib/cluster');
+const { InMemoryBus } = require('../lib/bus');
+const { flush } = require('../lib/clock');
+
+describe('cluster', () => {
+  it('should publish a remote socket\'s frames to the instance holding it', async () => {
+    const bus = new InMemoryBus();
+    const received = [];
+    await bus.subscribe(Channel.instance('gateway-1'), message => received.push(message));
+
+    const socket = new RemoteSocket(bus, { instanceId: 'gateway-1', connectionId: 'c1', userId: 'alice', protocolVersion: 2 });
+    socket.joinRoom('turbo');
+    socket.send('{"type":"tick"}', { droppable: true });
+    socket.close(4000, 'Replaced by new connection');
+    socket.send('{"type":"late"}');
+    await flush();
+
+    expect(socket.roomId).toBe('turbo');
+    expect(received).toEqual([
+      { kind: MessageKind.ROOM, room: 'turbo', connectionId: 'c1' },
+      { kind: MessageKind.FRAME, frame: '{"type":"tick"}', droppable: true, connectionId: 'c1' },
+      { kind: MessageKind.CLOSE, code: 4000, reason: 'Replaced by new connection', connectionId: 'c1' }
+    ]);
+  });
+
+  it('should keep forwarded receive times within the allowed lag', () => {
+    expect(forwardedReceiveTime(9950, 10000, 150)).toBe(9950);
+    expect(forwardedReceiveTime(9000, 10000, 150)).toBe(9850);
+    expect(forwardedReceiveTime(10200, 10000, 150)).toBe(10000);
+    expect(forwardedReceiveTime(undefined, 10000, 150)).toBe(10000);
+  });
+});
@@ -0,0 +1,45 @@
+const { CommandLog, CommandError, ErrorCode, errorCodeOf, isValidRequestId } = require('../lib/commands');
+const { ManualClock } = require('../lib/clock');
+
+describe('CommandLog', () => {
+  it('should run a command once and replay its result for retries', async () => {
+    const log = new CommandLog({ clock: new ManualClock() });
+    const execute = jest.fn(async () => ({ success: true, balance: 900 }));
+
+    const first = log.run('alice:req-1', execute);
+    const retry = log.run('alice:req-1', execute); // Arrives while the first is in flight
+    expect(await first).toEqual({ success: true, balance: 900 });
+    expect(await retry).toEqual({ success: true, balance: 900 });
+    expect(await log.run('alice:req-1', execute)).toEqual({ success: true, balance: 900 });
+    expect(execute).toHaveBeenCalledTimes(1);
+
+    await log.run('alice:req-2', execute);
+    await log.run('bob:req-1', execute);
+    expect(execute).toHaveBeenCalledTimes(3);
+  });
+
+  it('should forget results once they expire', async () => {
+    const clock = new ManualClock();
+    const log = new CommandLog({ ttlMs: 1000, clock });
+    const execute = jest.fn(async () => ({ success: true }));
+
+    await log.run('alice:req-1', execute);
+    clock.time = 999;
+    await log.run('alice:req-1', execute);
+    expect(execute).toHaveBeenCalledTimes(1);
+
+    clock.time = 1000;
+    await log.run('alice:req-1', execute);
+    expect(execute).toHaveBeenCalledTimes(2);
+  });
+
+  it('should map failures to error codes and validate request ids', () => {
+    expect(errorCodeOf(new CommandError(ErrorCode.DAILY_LIMIT, 'Daily wager limit exceeded'))).toBe(ErrorCode.DAILY_LIMIT);
+    expect(errorCodeOf(new Error('Connection reset'))).toBe(ErrorCode.SERVER_ERROR);
+
+    expect(isValidRequestId('9b1c-42')).toBe(true);
+    expect(isValidRequestId('')).toBe(false);
+    expect(isValidRequestId(42)).toBe(false);
+    expect(isValidRequestId('x'.repeat(65))).toBe(false);
+  });
+});
@@ -0,0 +1,24 @@
+const { DEFAULT_DOUBLING_MS, multiplierAt, elapsedFor, curvePoints } = require('../lib/crashCurve');
+
+describe('Crash curve', () => {
+  it('should double every doublingMs', () => {
+    expect(multiplierAt(0)).toBe(1);
+    expect(multiplierAt(DEFAULT_DOUBLING_MS)).toBeCloseTo(2, 10);
+    expect(multiplierAt(2 * DEFAULT_DOUBLING_MS)).toBeCloseTo(4, 10);
+    expect(multiplierAt(1000, 1000)).toBeCloseTo(2, 10);
+  });
+
+  it('should invert multiplierAt with elapsedFor', () => {
+    for (const multiplier of [1, 1.01, 1.5, 2, 10, 1000]) {
+      expect(multiplierAt(elapsedFor(multiplier))).toBeCloseTo(multiplier, 8);
+    }
+    expect(elapsedFor(0.5)).toBe(0);
+    expect(elapsedFor(4, 3000)).toBeCloseTo(6000, 8);
+  });
+
+  it('should sample the curve from take-off to a multiplier', () => {
+    const points = curvePoints(8, 1000, 3);
+    expect(points.map(p => p.elapsedMs)).toEqual([0, 1000, 2000, 3000].map(ms => expect.closeTo(ms, 8)));
+    expect(points.map(p => p.multiplier)).toEqual([1, 2, 4, 8].map(m => expect.closeTo(m, 8)));
+  });
+});
@@ -0,0 +1,88 @@
+const provablyFairService = require('../services/provablyFairService');
+const { verifyRounds } = require('../scripts/verify-rounds');
+
+// A finished round taken from a 10-seed chain, with two bettor seeds mixed in
+function chainedRound(chainIndex = 4) {
+  const { seeds, terminatingHash } = provablyFairService.generateHashChain('verify-root', 10);
+  const clientSeeds = [{ clientSeed: 'alice', nonce: 2 }, { clientSeed: 'bob', nonce: 0 }];
+  const clientSeed = provablyFairService.combineClientSeeds('chain-client-seed', clientSeeds);
+  const fairRound = provablyFairService.generateFairRound(clientSeed, chainIndex, seeds[chainIndex]);
+
+  return {
+    roundNumber: 100 + chainIndex,
+    serverSeed: fairRound.serverSeed,
+    serverSeedHash: fairRound.serverSeedHash,
+    clientSeed,
+    nonce: chainIndex,
+    crashPoint: fairRound.crashPoint.toString(),
+    clientSeeds,
+    seedChain: { id: 'chain-1', chainIndex, terminatingHash, clientSeed: 'chain-client-seed' }
+  };
+}
+
+describe('Crash fairness verification', () => {
+  it('should verify every published value of a chained round', () => {
+    const result = provablyFairService.verifyRound(chainedRound());
+    expect(result.valid).toBe(true);
+    expect(result.checks).toEqual({ serverSeedHash: true, seedChain: true, clientSeed: true, crashPoint: true });
+  });
+
+  it('should reject a round whose seed was swapped', () => {
+    const round = chainedRound();
+    const fairRound = provablyFairService.generateFairRound(round.clientSeed, round.nonce);
+    const swapped = { ...round, ...fairRound, crashPoint: fairRound.crashPoint.toString() };
+
+    const result = provablyFairService.verifyRound(swapped);
+    expect(result.valid).toBe(false);
+    expect(result.checks.seedChain).toBe(false);
+  });
+
+  it('should reject a round whose bettor seeds were changed', () => {
+    const round = chainedRound();
+    const result = provablyFairService.verifyRound({ ...round, clientSeeds: round.clientSeeds.slice(1) });
+    expect(result.valid).toBe(false);
+    expect(result.checks.clientSeed).toBe(false);
+  });
+
+  it('should verify a round with the house edge it was played with', () => {
+    const fairRound = provablyFairService.generateFairRound('edge-client-seed', 7, 'edge-server-seed', 0.05);
+    const round = { ...fairRound, roundNumber: 1, crashPoint: fairRound.crashPoint.toString(), houseEdge: '0.05' };
+
+    expect(provablyFairService.verifyRound(round).valid).toBe(true);
+    expect(verifyRounds([round])[0].valid).toBe(true);
+  });
+
+  it('should not verify rounds whose seed is not revealed yet', () => {
+    const result = provablyFairService.verifyRound({ ...chainedRound(), serverSeed: null });
+    expect(result).toMatchObject({ valid: false, message: 'Server seed not yet revealed' });
+  });
+
+  it('should publish the algorithm parameters', () => {
+    expect(provablyFairService.getAlgorithm()).toMatchObject({
+      name: 'HMAC-SHA256',
+      hexChars: 8,
+      maxCrashPoint: 1000,
+      houseEdge: provablyFairService.houseEdge
+    });
+  });
+
+  describe('offline verifier', () => {
+    const exported = [3, 1, 2].map(index => ({ round: chainedRound(index), algorithm: provablyFairService.getAlgorithm() }));
+
+    it('should verify a range of exported rounds in order', () => {
+      const results = verifyRounds(exported, { from: 102 });
+      expect(results).toEqual([
+        expect.objectContaining({ roundNumber: 102, valid: true }),
+        expect.objectContaining({ roundNumber: 103, valid: true })
+      ]);
+    });
+
+    it('should fail rounds from another chain or with a different house edge', () => {
+      expect(verifyRounds(exported, { chain: 'f'.repeat(64) }).every(r => !r.valid)).toBe(true);
+
+      const rounds = exported.map(({ round }) => round);
+      const edged = verifyRounds(rounds, { houseEdge: 0.2 });
+      expect(edged.some(r => !r.valid)).toBe(true);
+    });
+  });
+});
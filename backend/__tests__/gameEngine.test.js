@@ -0,0 +1,647 @@
+const { GameEngine, GamePhase, GameEvent, PayoutCap } = require('../services/gameEngine');
+const { ManualClock } = require('../lib/clock');
+const { elapsedFor } = require('../lib/crashCurve');
+const { ErrorCode, CommandError } = require('../lib/commands');
+
+// Flight time until the curve reaches a multiplier, and the first 50ms tick
+// at or after it (the multiplier manual cashouts are paid at)
+const flightMs = (multiplier) => Math.ceil(elapsedFor(multiplier));
+const tickAt = (multiplier) => Math.ceil(elapsedFor(multiplier) / 50) * 50;
+
+// In-memory round store: balances per user, rounds with a fixed crash point
+function createStore({ crashPoints = [2.0], balance = 1000 } = {}) {
+  const balances = new Map();
+  let roundCount = 0;
+
+  const store = {
+    balances,
+    finished: [],
+    failNextCashout: false,
+    createRound: jest.fn(async () => {
+      const crashPoint = crashPoints[Math.min(roundCount, crashPoints.length - 1)];
+      roundCount++;
+      return { id: `round-${roundCount}`, crashPoint };
+    }),
+    startRound: jest.fn(async () => {}),
+    placeBet: jest.fn(async ({ userId, amount, slot }) => {
+      const current = balances.has(userId) ? balances.get(userId) : balance;
+      if (amount > current) throw new CommandError(ErrorCode.INSUFFICIENT_BALANCE, 'Insufficient balance');
+      balances.set(userId, current - amount);
+      return { betId: `bet-${userId}-${slot}`, balance: current - amount };
+    }),
+    cancelBet: jest.fn(async ({ userId, bet }) => {
+      balances.set(userId, balances.get(userId) + bet.amount);
+      return { balance: balances.get(userId) };
+    }),
+    cashoutBet: jest.fn(async ({ userId, winnings }) => {
+      if (store.failNextCashout) {
+        store.failNextCashout = false;
+        throw new Error('Database unavailable');
+      }
+      balances.set(userId, balances.get(userId) + winnings);
+      return { balance: balances.get(userId) };
+    }),
+    finishRound: jest.fn(async (params) => {
+      store.finished.push(params);
+    }),
+    voidRound: jest.fn(async ({ refunds }) => {
+      for (const { userId, amount } of refunds) {
+        balances.set(userId, balances.get(userId) + amount);
+      }
+    })
+  };
+  return store;
+}
+
+async function createEngine(storeOptions) {
+  const clock = new ManualClock(0);
+  const store = createStore(storeOptions);
+  const engine = new GameEngine({ store, clock });
+  engine.start();
+  await clock.advance(0);
+  return { engine, store, clock };
+}
+
+describe('GameEngine', () => {
+  let engine;
+
+  afterEach(() => {
+    if (engine) engine.stop();
+    engine = null;
+  });
+
+  it('should run a full round BETTING → RUNNING → CRASHED and start the next one', async () => {
+    const setup = await createEngine({ crashPoints: [2.0] });
+    engine = setup.engine;
+    const { clock, store } = setup;
+
+    const events = [];
+    for (const name of [GameEvent.COUNTDOWN, GameEvent.ROUND_STARTED, GameEvent.CRASHED, GameEvent.BETTING_STARTED]) {
+      engine.on(name, () => events.push(name));
+    }
+
+    expect(engine.phase).toBe(GamePhase.BETTING);
+    expect(engine.countdown).toBe(5);
+
+    await clock.advance(5000);
+    expect(engine.phase).toBe(GamePhase.RUNNING);
+    expect(engine.startTime).toBe(5000);
+    expect(store.startRound).toHaveBeenCalledTimes(1);
+
+    await clock.advance(3000);
+    expect(engine.multiplier).toBeCloseTo(Math.SQRT2, 5); // half the doubling time
+
+    await clock.advance(3000);
+    expect(engine.phase).toBe(GamePhase.CRASHED);
+    expect(engine.multiplier).toBe(2.0);
+    expect(engine.crashHistory[0]).toBe(2.0);
+    expect(store.finishRound).toHaveBeenCalledTimes(1);
+    expect(store.finishRound.mock.calls[0][0]).toMatchObject({ crashPoint: 2.0, crashedAt: 11000 });
+
+    await clock.advance(3000);
+    expect(engine.phase).toBe(GamePhase.BETTING);
+    expect(engine.round.id).toBe('round-2');
+
+    expect(events.filter(e => e === GameEvent.COUNTDOWN)).toHaveLength(5);
+    expect(events.slice(5)).toEqual([GameEvent.ROUND_STARTED, GameEvent.CRASHED, GameEvent.BETTING_STARTED]);
+  });
+
+  it('should use the crash point returned when the round takes off', async () => {
+    const setup = await createEngine({ crashPoints: [2.0] });
+    engine = setup.engine;
+    const { clock, store } = setup;
+    store.startRound.mockResolvedValueOnce({ crashPoint: 1.5 });
+
+    await clock.advance(5000 + flightMs(1.5));
+    expect(engine.phase).toBe(GamePhase.CRASHED);
+    expect(engine.crashHistory[0]).toBe(1.5);
+    expect(store.finished[0].crashPoint).toBe(1.5);
+  });
+
+  it('should only accept bets during the betting phase', async () => {
+    const setup = await createEngine();
+    engine = setup.engine;
+
+    const placed = await engine.placeBet('alice', 100);
+    expect(placed.success).toBe(true);
+    expect(placed.balance).toBe(900);
+
+    const duplicate = await engine.placeBet('alice', 100);
+    expect(duplicate.success).toBe(false);
+    expect(duplicate.code).toBe(ErrorCode.SLOT_TAKEN);
+
+    await setup.clock.advance(5000);
+    const late = await engine.placeBet('bob', 100);
+    expect(late.success).toBe(false);
+    expect(late.error).toBe('Betting is closed');
+    expect(late.code).toBe(ErrorCode.PHASE_CLOSED);
+  });
+
+  it('should accept one bet per slot for the same player', async () => {
+    const setup = await createEngine({ crashPoints: [3.0] });
+    engine = setup.engine;
+
+    expect((await engine.placeBet('alice', 100, { slot: 0 })).success).toBe(true);
+    expect((await engine.placeBet('alice', 50, { slot: 1 })).success).toBe(true);
+    expect((await engine.placeBet('alice', 50, { slot: 1 })).success).toBe(false);
+    expect((await engine.placeBet('alice', 50, { slot: 2 })).error).toBe('Invalid bet slot');
+
+    expect(engine.getBets('alice').map(b => [b.slot, b.amount])).toEqual([[0, 100], [1, 50]]);
+    expect(setup.store.balances.get('alice')).toBe(850);
+  });
+
+  it('should settle each slot independently', async () => {
+    const setup = await createEngine({ crashPoints: [2.0] });
+    engine = setup.engine;
+    const { clock, store } = setup;
+
+    await engine.placeBet('alice', 100, { slot: 0 });
+    await engine.placeBet('alice', 100, { slot: 1, autoTarget: 1.5 });
+    await clock.advance(5000 + tickAt(1.5)); // slot 1 auto-cashes at 1.5x
+
+    expect(engine.getBet('alice', 1)).toMatchObject({ cashedOut: true, cashedOutMultiplier: 1.5 });
+    expect(engine.getBet('alice', 0).cashedOut).toBe(false);
+
+    await clock.advance(flightMs(2.0) - tickAt(1.5));
+    expect(store.finished[0].lostBets.map(l => [l.userId, l.bet.slot])).toEqual([['alice', 0]]);
+    expect(store.balances.get('alice')).toBe(950);
+  });
+
+  it('should refund a cancelled bet and free the slot during betting', async () => {
+    const setup = await createEngine();
+    engine = setup.engine;
+    const { store } = setup;
+    const cancelled = [];
+    engine.on(GameEvent.BET_CANCELLED, (e) => cancelled.push(e));
+
+    await engine.placeBet('alice', 100);
+    const result = await engine.cancelBet('alice');
+    expect(result).toMatchObject({ success: true, balance: 1000 });
+    expect(engine.getBet('alice')).toBeNull();
+    expect(cancelled[0]).toMatchObject({ userId: 'alice', balance: 1000 });
+
+    expect((await engine.cancelBet('alice')).success).toBe(false);
+    expect((await engine.placeBet('alice', 200)).success).toBe(true);
+    expect(store.balances.get('alice')).toBe(800);
+  });
+
+  it('should not cancel once the round is running', async () => {
+    const setup = await createEngine({ crashPoints: [3.0] });
+    engine = setup.engine;
+
+    await engine.placeBet('alice', 100);
+    await setup.clock.advance(5000);
+
+    const result = await engine.cancelBet('alice');
+    expect(result.error).toBe('Betting is closed');
+    expect(setup.store.cancelBet).not.toHaveBeenCalled();
+    expect(engine.getBet('alice')).not.toBeNull();
+  });
+
+  it('should keep the bet when the refund fails', async () => {
+    const setup = await createEngine();
+    engine = setup.engine;
+    engine.on(GameEvent.ERROR, () => {});
+    setup.store.cancelBet.mockRejectedValueOnce(new Error('Database unavailable'));
+
+    await engine.placeBet('alice', 100);
+    const result = await engine.cancelBet('alice');
+    expect(result.success).toBe(false);
+    expect(engine.getBet('alice')).toMatchObject({ amount: 100 });
+  });
+
+  it('should place queued bets when the next betting phase opens', async () => {
+    const setup = await createEngine({ crashPoints: [1.5, 3.0] });
+    engine = setup.engine;
+    const { clock } = setup;
+
+    expect(engine.queueBet('alice', 100).error).toBe('Betting is open');
+
+    await clock.advance(5000 + 1000); // in flight
+    expect(engine.queueBet('alice', 100, { slot: 1, autoTarget: 2.0 }).success).toBe(true);
+    expect(engine.queueBet('alice', 100, { slot: 1 }).success).toBe(false);
+    expect(engine.getQueuedBets('alice')).toHaveLength(1);
+
+    await clock.advance(flightMs(1.5) - 1000 + 3000); // crash, then next betting phase
+    expect(engine.phase).toBe(GamePhase.BETTING);
+    expect(engine.getQueuedBets('alice')).toHaveLength(0);
+    expect(engine.getBet('alice', 1)).toMatchObject({ amount: 100, autoTarget: 2.0, pending: false });
+  });
+
+  it('should drop a queued bet when the player cancels it', async () => {
+    const setup = await createEngine({ crashPoints: [1.5] });
+    engine = setup.engine;
+    const { clock, store } = setup;
+
+    await clock.advance(5000 + 1000);
+    engine.queueBet('alice', 100);
+    expect(engine.unqueueBet('alice').success).toBe(true);
+    expect(engine.unqueueBet('alice').success).toBe(false);
+
+    await clock.advance(flightMs(1.5) - 1000 + 3000);
+    expect(engine.getBet('alice')).toBeNull();
+    expect(store.placeBet).not.toHaveBeenCalled();
+  });
+
+  it('should release the bet slot when the store rejects the bet', async () => {
+    const setup = await createEngine({ balance: 50 });
+    engine = setup.engine;
+    const errors = [];
+    engine.on(GameEvent.ERROR, (e) => errors.push(e));
+
+    const result = await engine.placeBet('alice', 100);
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Insufficient balance');
+    expect(result.code).toBe(ErrorCode.INSUFFICIENT_BALANCE);
+    expect(engine.getBet('alice')).toBeNull();
+    expect(errors[0]).toMatchObject({ userId: 'alice', operation: 'placeBet' });
+  });
+
+  it('should pay manual cashouts at the current multiplier', async () => {
+    const setup = await createEngine({ crashPoints: [3.0] });
+    engine = setup.engine;
+    const { clock, store } = setup;
+
+    await engine.placeBet('alice', 100);
+    await clock.advance(5000 + tickAt(1.5)); // just past 1.5x
+
+    const result = await engine.requestCashOut('alice');
+    expect(result.success).toBe(true);
+    expect(result.winnings).toBe(150);
+    expect(store.balances.get('alice')).toBe(1050);
+
+    const again = await engine.requestCashOut('alice');
+    expect(again.success).toBe(false);
+  });
+
+  it('should settle partial cashouts and lose only the stake still riding', async () => {
+    const setup = await createEngine({ crashPoints: [2.5] });
+    engine = setup.engine;
+    const { clock, store } = setup;
+    const cashouts = [];
+    engine.on(GameEvent.CASHED_OUT, (e) => cashouts.push(e));
+
+    await engine.placeBet('alice', 100);
+    await clock.advance(5000 + tickAt(1.5)); // just past 1.5x
+
+    const half = await engine.requestCashOut('alice', 0, 0.5);
+    expect(half).toMatchObject({ success: true, amount: 50, winnings: 75 });
+    expect(engine.getBet('alice')).toMatchObject({ cashedOut: false, remaining: 50, payout: 75 });
+    expect(cashouts[0].bet.cashedOut).toBe(false);
+    expect((await engine.requestCashOut('alice', 0, 1.5)).success).toBe(false);
+
+    await clock.advance(flightMs(2.5) - tickAt(1.5)); // crash at 2.5x
+    expect(store.balances.get('alice')).toBe(975);
+    expect(store.finished[0].lostBets[0].bet.remaining).toBe(50);
+  });
+
+  it('should close the bet when partial cashouts use up the stake', async () => {
+    const setup = await createEngine({ crashPoints: [3.0] });
+    engine = setup.engine;
+    const { clock, store } = setup;
+
+    await engine.placeBet('alice', 100);
+    await clock.advance(5000 + tickAt(1.5));
+    await engine.requestCashOut('alice', 0, 0.6); // 60 × ~1.51
+    await clock.advance(tickAt(2.0) - tickAt(1.5)); // 2.0x
+    const rest = await engine.requestCashOut('alice', 0, 0.6); // only 40 left
+    expect(rest).toMatchObject({ amount: 40, winnings: 80 });
+    expect(engine.getBet('alice')).toMatchObject({ cashedOut: true, remaining: 0, payout: 170 });
+    expect(store.balances.get('alice')).toBe(1070);
+  });
+
+  it('should restore the stake when a partial cashout fails', async () => {
+    const setup = await createEngine({ crashPoints: [3.0] });
+    engine = setup.engine;
+    engine.on(GameEvent.ERROR, () => {});
+
+    await engine.placeBet('alice', 100);
+    await setup.clock.advance(5000 + tickAt(1.5));
+    setup.store.failNextCashout = true;
+    expect(await engine.requestCashOut('alice', 0, 0.5)).toMatchObject({ success: false, code: ErrorCode.SERVER_ERROR });
+    expect(engine.getBet('alice')).toMatchObject({ remaining: 100, payout: 0, settlements: [] });
+  });
+
+  it('should not settle a partial cashout again in the crash grace window', async () => {
+    const setup = await createEngine({ crashPoints: [2.0] });
+    engine = setup.engine;
+    const { clock, store } = setup;
+    const cashouts = [];
+    engine.on(GameEvent.CASHED_OUT, (e) => cashouts.push(e));
+
+    await engine.placeBet('alice', 100);
+    await clock.advance(5000 + flightMs(2.0) - 60); // 60ms before the crash
+    const half = await engine.requestCashOut('alice', 0, 0.5);
+    expect(half.success).toBe(true);
+
+    await clock.advance(60);
+    expect(engine.phase).toBe(GamePhase.CRASHED);
+    expect(cashouts).toHaveLength(1);
+    expect(engine.getBet('alice')).toMatchObject({ cashedOut: false, remaining: 50, payout: half.winnings });
+    expect(store.balances.get('alice')).toBe(900 + half.winnings);
+    expect(store.finished[0].lostBets[0].bet.remaining).toBe(50);
+  });
+
+  it('should auto-cashout on the server when the target is reached', async () => {
+    const setup = await createEngine({ crashPoints: [5.0] });
+    engine = setup.engine;
+    const { clock } = setup;
+
+    const cashouts = [];
+    engine.on(GameEvent.CASHED_OUT, (e) => cashouts.push(e));
+
+    await engine.placeBet('alice', 100, { autoTarget: 2.0 });
+    await clock.advance(5000 + flightMs(2.0));
+
+    expect(cashouts).toHaveLength(1);
+    expect(cashouts[0]).toMatchObject({ userId: 'alice', isAutomatic: true, multiplier: 2.0, winnings: 200 });
+  });
+
+  it('should pay an auto-cashout its target when the curve crosses it between ticks', async () => {
+    const setup = await createEngine({ crashPoints: [1.5] });
+    engine = setup.engine;
+    const { clock } = setup;
+    const ticks = [];
+    engine.on(GameEvent.TICK, ({ multiplier }) => ticks.push(multiplier));
+
+    await engine.placeBet('alice', 100, { autoTarget: 1.37 });
+    await clock.advance(5000 + flightMs(1.5));
+
+    expect(engine.getBet('alice')).toMatchObject({ cashedOut: true, cashedOutMultiplier: 1.37, payout: 137 });
+    expect(ticks).not.toContain(1.37);
+    expect(ticks[ticks.length - 1]).toBe(1.5); // the last tick lands on the crash point
+  });
+
+  it('should hand uncashed bets to the store as lost at crash', async () => {
+    const setup = await createEngine({ crashPoints: [1.5] });
+    engine = setup.engine;
+    const { clock, store } = setup;
+
+    await engine.placeBet('alice', 100);
+    await engine.placeBet('bob', 200, { autoTarget: 1.2 });
+    await clock.advance(5000 + flightMs(1.5));
+
+    expect(engine.phase).toBe(GamePhase.CRASHED);
+    const { lostBets, crashPoint } = store.finished[0];
+    expect(crashPoint).toBe(1.5);
+    expect(lostBets.map(l => l.userId)).toEqual(['alice']);
+  });
+
+  it('should honour a failed manual cashout received within the grace window', async () => {
+    const setup = await createEngine({ crashPoints: [1.5] });
+    engine = setup.engine;
+    const { clock, store } = setup;
+
+    await engine.placeBet('alice', 100);
+    await engine.placeBet('bob', 100);
+
+    // Bob's request arrives 200ms before the crash and fails: outside the window
+    await clock.advance(5000 + flightMs(1.5) - 200);
+    store.failNextCashout = true;
+    expect((await engine.requestCashOut('bob')).success).toBe(false);
+
+    // Alice's request arrives 50ms before the crash and fails: inside the window
+    await clock.advance(150);
+    store.failNextCashout = true;
+    expect((await engine.requestCashOut('alice')).success).toBe(false);
+
+    await clock.advance(50);
+    expect(engine.phase).toBe(GamePhase.CRASHED);
+    expect(engine.getBet('alice')).toMatchObject({ cashedOut: true, cashedOutMultiplier: 1.5 });
+    expect(store.balances.get('alice')).toBe(1050);
+    expect(store.finished[0].lostBets.map(l => l.userId)).toEqual(['bob']);
+  });
+
+  it('should settle cashouts forwarded from before the crash while it waits', async () => {
+    const clock = new ManualClock(0);
+    const store = createStore({ crashPoints: [1.5] });
+    engine = new GameEngine({ store, clock, config: { crashSettleMs: 100 } });
+    engine.start();
+    await clock.advance(0);
+
+    await engine.placeBet('alice', 100);
+    await engine.placeBet('bob', 100);
+    await engine.placeBet('carol', 100);
+    await clock.advance(5000 + flightMs(1.5));
+    // The crash tick has run, the round waits before settling
+    expect(engine.phase).toBe(GamePhase.RUNNING);
+    const { crashAt } = engine;
+    expect(crashAt).not.toBeNull();
+
+    // Another instance received Alice's request 30ms before the crash; it
+    // arrives here during the settle window and pays what she saw
+    const receivedAt = crashAt - 30;
+    await clock.advance(40);
+    const alice = await engine.requestCashOut('alice', 0, 1, receivedAt);
+    expect(alice).toMatchObject({ success: true, multiplier: engine.multiplierAt(receivedAt - engine.startTime) });
+    expect(alice.multiplier).toBeLessThan(1.5);
+
+    // Bob's request was received after the crash
+    const bob = await engine.requestCashOut('bob', 0, 1, crashAt + 10);
+    expect(bob).toMatchObject({ success: false, code: ErrorCode.PHASE_CLOSED });
+
+    await clock.advance(crashAt + 100 - clock.now());
+    expect(engine.phase).toBe(GamePhase.CRASHED);
+    expect(store.finished[0].lostBets.map(l => l.userId)).toEqual(['bob', 'carol']);
+  });
+
+  it('should cash a bet out at the max win and flag it', async () => {
+    const clock = new ManualClock(0);
+    const store = createStore({ crashPoints: [10], balance: 10000 });
+    engine = new GameEngine({ store, clock, config: { maxWinAmount: 500 } });
+    engine.start();
+    await clock.advance(0);
+    const cashouts = [];
+    engine.on(GameEvent.CASHED_OUT, event => cashouts.push(event));
+
+    await engine.placeBet('alice', 100);
+    await engine.placeBet('bob', 40, { slot: 1 });
+
+    await clock.advance(5000 + tickAt(5));
+    expect(engine.getBet('alice')).toMatchObject({ cashedOut: true, cashedOutMultiplier: 5, payout: 500, capped: PayoutCap.MAX_WIN });
+    expect(cashouts).toEqual([expect.objectContaining({ userId: 'alice', multiplier: 5, winnings: 500, isAutomatic: true, capped: PayoutCap.MAX_WIN })]);
+    expect(engine.getBet('bob', 1)).toMatchObject({ cashedOut: false, capped: null });
+  });
+
+  it('should keep bet limits apart from the max win', async () => {
+    const clock = new ManualClock(0);
+    const store = createStore({ balance: 10000 });
+    engine = new GameEngine({ store, clock, config: { maxBetAmount: 1000, maxWinAmount: 500 } });
+    engine.start();
+    await clock.advance(0);
+
+    expect((await engine.placeBet('alice', 600)).success).toBe(true);
+    expect((await engine.placeBet('bob', 1500)).code).toBe(ErrorCode.INVALID_AMOUNT);
+  });
+
+  it('should pay auto-cashouts below a cap at their target when one tick crosses both', async () => {
+    const clock = new ManualClock(0);
+    const store = createStore({ crashPoints: [5] });
+    engine = new GameEngine({ store, clock, config: { maxRoundPayout: 600, tickMs: 8000 } });
+    engine.start();
+    await clock.advance(0);
+
+    await engine.placeBet('alice', 100, { autoTarget: 1.5 });
+    await engine.placeBet('bob', 100, { autoTarget: 4 });
+    await engine.placeBet('carol', 100);
+
+    // The first tick lands past Alice's target and the round cap (2x for 300 riding)
+    await clock.advance(5000 + 8000);
+    expect(engine.multiplier).toBeGreaterThan(2.25);
+    expect(engine.getBet('alice')).toMatchObject({ cashedOut: true, cashedOutMultiplier: 1.5, payout: 150, capped: null });
+    // What's left of the cap after Alice, shared by the 200 still riding
+    const cap = Math.floor(((600 - 150) / 200) * 100) / 100;
+    for (const userId of ['bob', 'carol']) {
+      expect(engine.getBet(userId)).toMatchObject({ cashedOut: true, cashedOutMultiplier: cap, capped: PayoutCap.ROUND_PAYOUT });
+    }
+  });
+
+  it('should cash every riding bet out once the round payout cap is reached', async () => {
+    const clock = new ManualClock(0);
+    const store = createStore({ crashPoints: [5] });
+    engine = new GameEngine({ store, clock, config: { maxRoundPayout: 900 } });
+    engine.start();
+    await clock.advance(0);
+
+    await engine.placeBet('alice', 200);
+    await engine.placeBet('bob', 100);
+    await engine.placeBet('carol', 100);
+    await clock.advance(5000 + tickAt(1.5));
+    const carol = await engine.cashOut('carol');
+    expect(carol.winnings).toBe(Math.floor(100 * carol.multiplier));
+
+    // 900 less Carol's payout, shared by the 300 still riding
+    const cap = Math.floor(((900 - carol.winnings) / 300) * 100) / 100;
+    await clock.advance(tickAt(cap) - (clock.now() - 5000));
+    for (const userId of ['alice', 'bob']) {
+      expect(engine.getBet(userId)).toMatchObject({ cashedOut: true, cashedOutMultiplier: cap, capped: PayoutCap.ROUND_PAYOUT });
+    }
+    expect(engine.getBet('carol').capped).toBeNull();
+    const paid = ['alice', 'bob', 'carol'].reduce((sum, userId) => sum + engine.getBet(userId).payout, 0);
+    expect(paid).toBeLessThanOrEqual(900);
+
+    await clock.advance(flightMs(5));
+    expect(store.finished[0].lostBets).toEqual([]);
+  });
+
+  it('should retry round creation after a store failure', async () => {
+    const clock = new ManualClock(0);
+    const store = createStore();
+    store.createRound.mockRejectedValueOnce(new Error('Database unavailable'));
+    engine = new GameEngine({ store, clock });
+    engine.on(GameEvent.ERROR, () => {});
+
+    engine.start();
+    await clock.advance(0);
+    expect(engine.phase).toBe(GamePhase.CRASHED);
+
+    await clock.advance(3000);
+    expect(engine.phase).toBe(GamePhase.BETTING);
+    expect(store.createRound).toHaveBeenCalledTimes(2);
+  });
+
+  it('should stop scheduling once stopped', async () => {
+    const setup = await createEngine();
+    engine = setup.engine;
+
+    engine.stop();
+    expect(setup.clock.pending).toBe(0);
+  });
+
+  it('should apply a new configuration from the next betting phase', async () => {
+    const setup = await createEngine({ crashPoints: [2.0] });
+    engine = setup.engine;
+    const { clock } = setup;
+    const applied = jest.fn();
+    engine.on(GameEvent.CONFIG_APPLIED, applied);
+
+    engine.configure({ countdownSeconds: 10, minBetAmount: 50 });
+    expect(engine.config.countdownSeconds).toBe(5);
+    expect((await engine.placeBet('alice', 20)).success).toBe(true);
+
+    await clock.advance(5000 + flightMs(2.0) + 3000);
+    expect(engine.phase).toBe(GamePhase.BETTING);
+    expect(engine.countdown).toBe(10);
+    expect(applied).toHaveBeenCalledWith({ config: expect.objectContaining({ countdownSeconds: 10, minBetAmount: 50 }) });
+    expect(await engine.placeBet('alice', 20)).toEqual({ success: false, code: ErrorCode.INVALID_AMOUNT, error: 'Invalid bet amount' });
+  });
+
+  it('should finish the current round and open no betting phase while paused', async () => {
+    const setup = await createEngine({ crashPoints: [2.0] });
+    engine = setup.engine;
+    const { clock, store } = setup;
+
+    engine.pause();
+    await clock.advance(5000 + flightMs(2.0) + 3000 + 10000);
+    expect(engine.phase).toBe(GamePhase.CRASHED);
+    expect(store.finishRound).toHaveBeenCalledTimes(1);
+    expect(store.createRound).toHaveBeenCalledTimes(1);
+
+    engine.resume();
+    await clock.advance(0);
+    expect(engine.phase).toBe(GamePhase.BETTING);
+    expect(store.createRound).toHaveBeenCalledTimes(2);
+  });
+
+  describe('drain', () => {
+    it('should void the betting phase, refund bets and open no new round', async () => {
+      const setup = await createEngine({ crashPoints: [2.0] });
+      engine = setup.engine;
+      const { clock, store } = setup;
+      const voided = jest.fn();
+      engine.on(GameEvent.ROUND_VOIDED, voided);
+
+      await engine.placeBet('alice', 100);
+      engine.queueBet('bob', 50);
+      const result = await engine.drain({ timeoutMs: 10000 });
+
+      expect(result).toEqual({ voided: true });
+      expect(store.balances.get('alice')).toBe(1000);
+      expect(voided).toHaveBeenCalledWith(expect.objectContaining({
+        refunds: [expect.objectContaining({ userId: 'alice', amount: 100 })]
+      }));
+      expect(engine.queueBet('bob', 50).error).toBe('Server is restarting');
+
+      await clock.advance(20000);
+      expect(store.createRound).toHaveBeenCalledTimes(1);
+      expect(store.startRound).not.toHaveBeenCalled();
+    });
+
+    it('should let a flight that lands within the timeout crash normally', async () => {
+      const setup = await createEngine({ crashPoints: [2.0] });
+      engine = setup.engine;
+      const { clock, store } = setup;
+
+      await engine.placeBet('alice', 100);
+      await clock.advance(5000 + 3000);
+      const drained = engine.drain({ timeoutMs: 5000 });
+      await clock.advance(flightMs(2.0) - 3000);
+
+      expect(await drained).toEqual({ voided: false });
+      expect(store.finishRound).toHaveBeenCalledTimes(1);
+      expect(store.voidRound).not.toHaveBeenCalled();
+
+      await clock.advance(10000);
+      expect(store.createRound).toHaveBeenCalledTimes(1);
+    });
+
+    it('should void a long flight and refund only the stake still riding', async () => {
+      const setup = await createEngine({ crashPoints: [50.0] });
+      engine = setup.engine;
+      const { clock, store } = setup;
+
+      await engine.placeBet('alice', 100);
+      await clock.advance(5000 + flightMs(2.0)); // 2.0x
+      await engine.cashOut('alice', 0, false, 0.5);
+      expect(store.balances.get('alice')).toBe(1000); // 900 + 50 * 2
+
+      const result = await engine.drain({ timeoutMs: 5000 });
+      expect(result).toEqual({ voided: true });
+      expect(store.voidRound.mock.calls[0][0].refunds).toEqual([
+        expect.objectContaining({ userId: 'alice', amount: 50 })
+      ]);
+      expect(store.balances.get('alice')).toBe(1050);
+      expect(store.finishRound).not.toHaveBeenCalled();
+    });
+  });
+});
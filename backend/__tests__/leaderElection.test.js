@@ -0,0 +1,117 @@
+const { LeaderElection, LeaderEvent } = require('../services/leaderElection');
+const { InMemoryBus } = require('../lib/bus');
+const { ManualClock } = require('../lib/clock');
+
+describe('LeaderElection', () => {
+  let clock;
+  let bus;
+  let logSpy;
+  let errorSpy;
+
+  const candidate = (instanceId, candidateBus = bus) => {
+    const election = new LeaderElection({ bus: candidateBus, instanceId, clock, ttlMs: 1000, renewMs: 300, handoverMs: 1500 });
+    election.events = [];
+    election.on(LeaderEvent.ELECTED, () => election.events.push('elected'));
+    election.on(LeaderEvent.DEPOSED, () => election.events.push('deposed'));
+    return election;
+  };
+
+  beforeEach(() => {
+    clock = new ManualClock();
+    bus = new InMemoryBus({ clock });
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  it('should elect one leader and hand over when it stops', async () => {
+    const a = candidate('a');
+    const b = candidate('b');
+    await a.start();
+    await b.start();
+    expect(a.isLeader).toBe(true);
+    expect(b.isLeader).toBe(false);
+
+    // Renewals keep the lock long past its TTL
+    await clock.advance(3000);
+    expect(a.isLeader).toBe(true);
+    expect(b.events).toEqual([]);
+
+    await a.stop();
+    await clock.advance(300);
+    expect(b.isLeader).toBe(true);
+    expect(a.events).toEqual(['elected']);
+    expect(b.events).toEqual(['elected']);
+    await b.stop();
+  });
+
+  it('should step down before its lock lapses when the bus is unreachable', async () => {
+    let reachable = true;
+    const flakyBus = {
+      acquireLock: (...args) => reachable ? bus.acquireLock(...args) : Promise.reject(new Error('bus down')),
+      releaseLock: (...args) => bus.releaseLock(...args),
+      publish: (...args) => bus.publish(...args),
+      subscribe: (...args) => bus.subscribe(...args)
+    };
+    const a = candidate('a', flakyBus);
+    const b = candidate('b');
+    await a.start();
+    await b.start();
+    expect(a.isLeader).toBe(true);
+
+    reachable = false;
+    const cutAt = clock.now();
+    await clock.advance(900);
+    expect(a.events).toEqual(['elected', 'deposed']);
+    expect(a.isLeader).toBe(false);
+    expect(b.isLeader).toBe(false);
+
+    // b only takes the lock once a's has expired, and leads once a has
+    // written its settlements and handed over
+    await clock.advance(cutAt + 1200 - clock.now());
+    expect(b.isLeader).toBe(false);
+    expect(await bus.acquireLock('aviator:round-leader', 'c', 1000)).toBe(false);
+    await a.handOver();
+    await clock.advance(0);
+    expect(b.isLeader).toBe(true);
+    expect(b.events).toEqual(['elected']);
+
+    // a keeps campaigning but can't take the lock back
+    reachable = true;
+    await clock.advance(900);
+    expect(a.isLeader).toBe(false);
+    await a.stop();
+    await b.stop();
+  });
+
+  it('should wait for the previous leader to hand over before leading, or for handoverMs', async () => {
+    let reachable = true;
+    const a = candidate('a', {
+      acquireLock: (...args) => reachable ? bus.acquireLock(...args) : Promise.reject(new Error('bus down')),
+      releaseLock: (...args) => bus.releaseLock(...args),
+      publish: (...args) => bus.publish(...args),
+      subscribe: (...args) => bus.subscribe(...args)
+    });
+    const b = candidate('b');
+    await a.start();
+    await b.start();
+
+    // a is cut off and never hands over: b gets the lock once it lapses, then waits
+    reachable = false;
+    await clock.advance(1200);
+    expect(await bus.acquireLock('aviator:round-leader', 'c', 1000)).toBe(false);
+    expect(b.isLeader).toBe(false);
+
+    // Nothing comes: b leads after handoverMs, still holding the lock throughout
+    await clock.advance(1500);
+    expect(b.isLeader).toBe(true);
+    expect(b.events).toEqual(['elected']);
+    expect(a.events).toEqual(['elected', 'deposed']);
+    await a.stop();
+    await b.stop();
+  });
+});
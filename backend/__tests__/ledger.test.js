@@ -0,0 +1,56 @@
+const { LedgerAccount, DiscrepancyKind, ledgerEntry, accountBalances, collectDiscrepancies } = require('../lib/ledger');
+
+describe('Ledger', () => {
+  it('should post each balance change against the house or the bonus pool', () => {
+    expect(ledgerEntry({ userId: 'u1', amount: -100, type: 'BET_PLACED' })).toEqual({
+      userId: 'u1', type: 'BET_PLACED', amount: 100, debit: LedgerAccount.PLAYER, credit: LedgerAccount.HOUSE
+    });
+    expect(ledgerEntry({ userId: 'u1', amount: 250, type: 'BET_WON' })).toMatchObject({
+      amount: 250, debit: LedgerAccount.HOUSE, credit: LedgerAccount.PLAYER
+    });
+    expect(ledgerEntry({ userId: 'u1', amount: 6000, type: 'FARMING_CLAIM' })).toMatchObject({
+      debit: LedgerAccount.BONUS_POOL, credit: LedgerAccount.PLAYER
+    });
+    // Losses move no points: the stake already left with BET_PLACED
+    expect(() => ledgerEntry({ userId: 'u1', amount: 0, type: 'BET_LOST' })).toThrow('No ledger account');
+  });
+
+  it('should net every account to zero across the ledger', () => {
+    const balances = accountBalances([
+      { debit: 'BONUS_POOL', credit: 'PLAYER', amount: 1000 },
+      { debit: 'PLAYER', credit: 'HOUSE', amount: '100.10' },
+      { debit: 'HOUSE', credit: 'PLAYER', amount: 250.2 }
+    ]);
+    expect(balances).toEqual({ PLAYER: 1150.1, HOUSE: -150.1, BONUS_POOL: -1000 });
+    expect(balances.PLAYER + balances.HOUSE + balances.BONUS_POOL).toBeCloseTo(0);
+  });
+
+  it('should report balances, chain links and transactions that disagree', () => {
+    const discrepancies = collectDiscrepancies({
+      balances: [
+        { userId: 'u1', username: 'alice', balance: '900.00', ledgerBalance: '900' },
+        { userId: 'u2', username: 'bob', balance: 1200, ledgerBalance: 1000.5 }
+      ],
+      chain: [
+        { userId: 'u1', transactionId: 't1', type: 'ADJUSTMENT', balanceBefore: 0, balanceAfter: 1000, change: 1000, previousAfter: null },
+        { userId: 'u1', transactionId: 't2', type: 'BET_PLACED', balanceBefore: 1000, balanceAfter: 900, change: -100, previousAfter: 1000 },
+        { userId: 'u2', transactionId: 't3', type: 'BET_WON', balanceBefore: 950, balanceAfter: 1100, change: 100, previousAfter: 1000 }
+      ],
+      chainEnds: [
+        { userId: 'u1', transactionId: 't2', balanceAfter: 900, balance: 900 },
+        { userId: 'u2', transactionId: 't3', balanceAfter: 1100, balance: 1200 }
+      ],
+      unledgered: [
+        { userId: 'u2', transactionId: 't4', type: 'DEPOSIT', balanceBefore: 1100, balanceAfter: 1200 }
+      ]
+    });
+
+    expect(discrepancies).toEqual([
+      { kind: DiscrepancyKind.LEDGER_MISMATCH, userId: 'u2', username: 'bob', expected: 1000.5, actual: 1200, difference: 199.5 },
+      { kind: DiscrepancyKind.CHAIN_BREAK, userId: 'u2', transactionId: 't3', type: 'BET_WON', expected: 1000, actual: 950, difference: -50 },
+      { kind: DiscrepancyKind.AMOUNT_MISMATCH, userId: 'u2', transactionId: 't3', type: 'BET_WON', expected: 100, actual: 150, difference: 50 },
+      { kind: DiscrepancyKind.CHAIN_END, userId: 'u2', transactionId: 't3', expected: 1100, actual: 1200, difference: 100 },
+      { kind: DiscrepancyKind.UNLEDGERED, userId: 'u2', transactionId: 't4', type: 'DEPOSIT', expected: 0, actual: 100, difference: 100 }
+    ]);
+  });
+});
@@ -0,0 +1,140 @@
+const { GameEngine, GameEvent, GamePhase } = require('../services/gameEngine');
+const { AutoBetController, AutoBetEvent, StopReason } = require('../services/autoBetController');
+const { PlayerSessions } = require('../services/playerSessions');
+const { ManualClock } = require('../lib/clock');
+
+const GRACE_MS = 60 * 1000;
+
+// Every round takes off 5s after betting opens and flies to 10000x (about 80s)
+function createStore() {
+  let roundCount = 0;
+  return {
+    createRound: jest.fn(async () => ({ id: `round-${++roundCount}`, crashPoint: 10000 })),
+    startRound: jest.fn(async () => {}),
+    placeBet: jest.fn(async ({ amount }) => ({ betId: `bet-${roundCount}`, balance: 1000 - amount })),
+    cancelBet: jest.fn(),
+    cashoutBet: jest.fn(async () => ({ balance: 1000 })),
+    finishRound: jest.fn(async () => {})
+  };
+}
+
+function setup() {
+  const clock = new ManualClock(0);
+  const engine = new GameEngine({ store: createStore(), clock });
+  engine.on(GameEvent.ERROR, () => {});
+  const room = { id: 'classic', engine, autoBet: new AutoBetController({ engine, slot: 0 }) };
+  const rooms = new Map([[room.id, room]]);
+  const sessions = new PlayerSessions({ rooms, defaultRoomId: 'classic', clock, graceMs: GRACE_MS });
+  return { clock, engine, room, sessions };
+}
+
+const socket = (connectionId) => ({ connectionId, close: jest.fn(), closed: jest.fn() });
+const alice = { id: 'alice', username: 'alice', balance: 1000 };
+
+describe('PlayerSessions', () => {
+  let engine;
+
+  afterEach(() => {
+    if (engine) engine.stop();
+    engine = null;
+  });
+
+  it('should keep a bet riding through a reconnect', async () => {
+    const ctx = setup();
+    engine = ctx.engine;
+    ctx.sessions.open({ ws: socket('c1'), userId: 'alice', user: alice, isGuest: false, roomId: 'classic' });
+    engine.start();
+    await ctx.clock.advance(1000);
+    expect((await engine.placeBet('alice', 100, { slot: 1 })).success).toBe(true);
+
+    ctx.sessions.close({ userId: 'alice', connectionId: 'c1' });
+    expect(ctx.sessions.countOnline()).toBe(0);
+    await ctx.clock.advance(GRACE_MS - 1000); // The round took off meanwhile
+    expect(engine.phase).toBe(GamePhase.RUNNING);
+
+    const { isResume, player } = ctx.sessions.open({ ws: socket('c2'), userId: 'alice', user: alice, isGuest: false, roomId: 'classic' });
+    expect(isResume).toBe(true);
+    expect(player.ws.connectionId).toBe('c2');
+    expect(engine.getBet('alice', 1)).toMatchObject({ amount: 100, cashedOut: false });
+
+    await ctx.clock.advance(GRACE_MS); // The grace timer was cleared
+    expect(ctx.sessions.players.get('alice')).toBe(player);
+  });
+
+  it('should describe the round, bets and live balance in the resume frame', async () => {
+    const ctx = setup();
+    engine = ctx.engine;
+    const first = ctx.sessions.open({ ws: socket('c1'), userId: 'alice', user: alice, isGuest: false, roomId: 'classic' });
+    engine.start();
+    await ctx.clock.advance(1000);
+    await engine.placeBet('alice', 100, { slot: 0, autoTarget: 50 });
+    await ctx.clock.advance(5000);
+    engine.queueBet('alice', 20, { slot: 1 });
+    // Winnings still in the settlement queue: the database lags behind
+    first.player.user.balance = 1250;
+
+    ctx.sessions.close({ userId: 'alice', connectionId: 'c1' });
+    ctx.sessions.open({ ws: socket('c2'), userId: 'alice', user: { ...alice, balance: 900 }, isGuest: false, roomId: 'turbo' });
+
+    const frame = ctx.sessions.resumeFrame('alice');
+    expect(frame).toMatchObject({
+      room: 'classic',
+      roundId: 'round-1',
+      state: GamePhase.RUNNING,
+      balance: 1250,
+      bets: [{ slot: 0, amount: 100, cashedOut: false, autoTarget: 50 }],
+      queued: [{ slot: 1, amount: 20, autoTarget: null }]
+    });
+    expect(frame.multiplier).toBeGreaterThan(1);
+  });
+
+  it('should drop the session and its queued bets once the grace period runs out', async () => {
+    const ctx = setup();
+    engine = ctx.engine;
+    ctx.sessions.open({ ws: socket('c1'), userId: 'alice', user: alice, isGuest: false, roomId: 'classic' });
+    engine.start();
+    await ctx.clock.advance(6000);
+    engine.queueBet('alice', 20, { slot: 1 });
+
+    ctx.sessions.close({ userId: 'alice', connectionId: 'c1' });
+    await ctx.clock.advance(GRACE_MS - 1);
+    expect(ctx.sessions.players.has('alice')).toBe(true);
+    await ctx.clock.advance(1);
+    expect(ctx.sessions.players.has('alice')).toBe(false);
+    expect(engine.getQueuedBets('alice')).toEqual([]);
+
+    const { isResume } = ctx.sessions.open({ ws: socket('c2'), userId: 'alice', user: alice, isGuest: false, roomId: 'classic' });
+    expect(isResume).toBe(false);
+  });
+
+  it('should keep an away player while auto-play runs and let go when it stops', async () => {
+    const ctx = setup();
+    engine = ctx.engine;
+    ctx.sessions.open({ ws: socket('c1'), userId: 'alice', user: alice, isGuest: false, roomId: 'classic' });
+    ctx.room.autoBet.on(AutoBetEvent.STOPPED, ({ userId }) => ctx.sessions.releaseAway(userId));
+    ctx.room.autoBet.start('alice', { baseBet: 10, autoCashout: 2, rounds: 0, onWin: 'RESET', onWinFactor: 1, onLoss: 'RESET', onLossFactor: 1 });
+
+    ctx.sessions.close({ userId: 'alice', connectionId: 'c1' });
+    await ctx.clock.advance(GRACE_MS);
+    expect(ctx.sessions.players.get('alice')).toMatchObject({ ws: null, away: true });
+    expect(ctx.room.autoBet.getSession('alice').awayRounds).toBe(0);
+
+    ctx.room.autoBet.stop('alice', StopReason.USER);
+    expect(ctx.sessions.players.has('alice')).toBe(false);
+  });
+
+  it('should ignore a close from a connection that was already replaced, and drop guests at once', () => {
+    const ctx = setup();
+    const old = socket('c1');
+    ctx.sessions.open({ ws: old, userId: 'alice', user: alice, isGuest: false, roomId: 'classic' });
+    ctx.sessions.open({ ws: socket('c2'), userId: 'alice', user: alice, isGuest: false, roomId: 'classic' });
+    expect(old.close).toHaveBeenCalledWith(4000, 'Superseded by a new connection');
+    expect(ctx.sessions.close({ userId: 'alice', connectionId: 'c1' })).toBeNull();
+    expect(ctx.sessions.countOnline('classic')).toBe(1);
+
+    ctx.sessions.open({ ws: socket('g1'), userId: 'guest-1', user: null, isGuest: true, roomId: 'classic' });
+    ctx.sessions.close({ userId: 'guest-1', connectionId: 'g1' });
+    expect(ctx.sessions.players.has('guest-1')).toBe(false);
+    expect(ctx.clock.pending).toBe(0);
+  });
+});
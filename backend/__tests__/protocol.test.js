@@ -0,0 +1,16 @@
+const { LEGACY_VERSION, PROTOCOL_VERSION, negotiateVersion, sequenceFrame } = require('../lib/protocol');
+
+describe('WebSocket protocol', () => {
+  it('should fall back to the legacy protocol unless a supported version is requested', () => {
+    expect(negotiateVersion(undefined)).toBe(LEGACY_VERSION);
+    expect(negotiateVersion('1')).toBe(LEGACY_VERSION);
+    expect(negotiateVersion('abc')).toBe(LEGACY_VERSION);
+    expect(negotiateVersion('2')).toBe(PROTOCOL_VERSION);
+    expect(negotiateVersion('7')).toBe(PROTOCOL_VERSION);
+  });
+
+  it('should stamp an encoded frame with its sequence number', () => {
+    const frame = JSON.stringify({ type: 'tick', data: { multiplier: 1.5 } });
+    expect(JSON.parse(sequenceFrame(frame, 42))).toEqual({ seq: 42, type: 'tick', data: { multiplier: 1.5 } });
+  });
+});
@@ -94,6 +94,59 @@ describe('Provably Fair Service', () => {
     });
   });
 
+  describe('hash chain', () => {
+    const { seeds, terminatingHash } = provablyFairService.generateHashChain('root-seed', 20);
+
+    it('should generate seeds that each hash to the previous round\'s seed', () => {
+      expect(seeds).toHaveLength(20);
+      expect(seeds[19]).toBe('root-seed');
+      expect(provablyFairService.hashServerSeed(seeds[0])).toBe(terminatingHash);
+      for (let i = 1; i < seeds.length; i++) {
+        expect(provablyFairService.hashServerSeed(seeds[i])).toBe(seeds[i - 1]);
+      }
+    });
+
+    it('should be reproducible from the root seed', () => {
+      expect(provablyFairService.generateHashChain('root-seed', 20)).toEqual({ seeds, terminatingHash });
+    });
+
+    it('should verify chain membership and position', () => {
+      expect(provablyFairService.verifyChainSeed(seeds[0], terminatingHash, 20)).toEqual({ valid: true, index: 0 });
+      expect(provablyFairService.verifyChainSeed(seeds[7], terminatingHash, 20)).toEqual({ valid: true, index: 7 });
+      expect(provablyFairService.verifyChainSeed('other-seed', terminatingHash, 20)).toEqual({ valid: false, index: null });
+    });
+
+    it('should compute rounds from a chained seed', () => {
+      const round = provablyFairService.generateFairRound('client-seed', 3, seeds[3]);
+      expect(round.serverSeed).toBe(seeds[3]);
+      expect(round.serverSeedHash).toBe(seeds[2]);
+    });
+  });
+
+  describe('client seeds', () => {
+    it('should only accept short alphanumeric client seeds', () => {
+      expect(provablyFairService.isValidClientSeed('my-lucky_seed42')).toBe(true);
+      expect(provablyFairService.isValidClientSeed('')).toBe(false);
+      expect(provablyFairService.isValidClientSeed('has space')).toBe(false);
+      expect(provablyFairService.isValidClientSeed('x'.repeat(65))).toBe(false);
+      expect(provablyFairService.isValidClientSeed(42)).toBe(false);
+    });
+
+    it('should keep the base seed when nobody contributed', () => {
+      expect(provablyFairService.combineClientSeeds('base', [])).toBe('base');
+    });
+
+    it('should mix contributions independently of bet order', () => {
+      const alice = { clientSeed: 'alice-seed', nonce: 3 };
+      const bob = { clientSeed: 'bob-seed', nonce: 0 };
+      const combined = provablyFairService.combineClientSeeds('base', [alice, bob]);
+
+      expect(combined).toBe(provablyFairService.combineClientSeeds('base', [bob, alice]));
+      expect(combined).toBe(provablyFairService.hashServerSeed('base|alice-seed:3|bob-seed:0'));
+      expect(combined).not.toBe(provablyFairService.combineClientSeeds('base', [{ ...alice, nonce: 4 }, bob]));
+    });
+  });
+
   describe('generateRealisticCrashPoint', () => {
     it('should return pure provably fair result without manipulation', () => {
       const result = provablyFairService.generateRealisticCrashPoint();
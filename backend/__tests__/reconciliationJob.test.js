@@ -0,0 +1,53 @@
+const { ReconciliationJob, nextRunAt } = require('../services/reconciliationJob');
+const { ManualClock } = require('../lib/clock');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('ReconciliationJob', () => {
+  let errorSpy;
+
+  beforeEach(() => {
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    errorSpy.mockRestore();
+  });
+
+  it('should pick the next occurrence of the hour in UTC', () => {
+    const midnight = Date.UTC(2026, 9, 18);
+    expect(nextRunAt(midnight, 3)).toBe(midnight + 3 * HOUR);
+    expect(nextRunAt(midnight + 3 * HOUR, 3)).toBe(midnight + 27 * HOUR);
+    expect(nextRunAt(midnight + 23 * HOUR, 0)).toBe(midnight + 24 * HOUR);
+  });
+
+  it('should run once a night until stopped, even after a failed run', async () => {
+    const clock = new ManualClock(Date.UTC(2026, 9, 18, 12));
+    const run = jest.fn()
+      .mockRejectedValueOnce(new Error('database unavailable'))
+      .mockResolvedValue({ id: 'report' });
+    const job = new ReconciliationJob({ run, hourUtc: 3, clock });
+
+    job.start();
+    job.start();
+    await clock.advance(14 * HOUR);
+    expect(run).not.toHaveBeenCalled();
+
+    await clock.advance(HOUR);
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(errorSpy).toHaveBeenCalled();
+
+    await clock.advance(24 * HOUR);
+    expect(run).toHaveBeenCalledTimes(2);
+    expect(clock.pending).toBe(1);
+
+    job.stop();
+    expect(clock.pending).toBe(0);
+    await clock.advance(48 * HOUR);
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject an hour outside the day', () => {
+    expect(() => new ReconciliationJob({ run: async () => {}, hourUtc: 24 })).toThrow('Invalid reconciliation hour');
+  });
+});
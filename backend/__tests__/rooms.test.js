@@ -0,0 +1,36 @@
+const { ROOMS, DEFAULT_ROOM_ID, findRoom, resolveRoomId, roomParams } = require('../lib/rooms');
+const { parseRoundParams, validateRoundParams } = require('../lib/roundParams');
+
+const defaults = () => parseRoundParams(() => null);
+
+describe('Game rooms', () => {
+  it('should send unknown rooms to the default room', () => {
+    expect(resolveRoomId('turbo')).toBe('turbo');
+    expect(resolveRoomId('nope')).toBe(DEFAULT_ROOM_ID);
+    expect(resolveRoomId(null)).toBe(DEFAULT_ROOM_ID);
+    expect(resolveRoomId('toString')).toBe(DEFAULT_ROOM_ID);
+  });
+
+  it('should override only the parameters a room sets', () => {
+    const params = { ...defaults(), countdownSeconds: 8, houseEdge: 0.02 };
+
+    expect(roomParams(findRoom('classic'), params)).toEqual(params);
+    expect(roomParams(findRoom('turbo'), params)).toMatchObject({
+      countdownSeconds: 3,
+      doublingMs: 3000,
+      houseEdge: 0.02,
+      minBetAmount: params.minBetAmount
+    });
+    expect(roomParams(findRoom('high-roller'), params)).toMatchObject({ minBetAmount: 100, countdownSeconds: 8 });
+  });
+
+  it('should keep every room playable within the parameter ranges', () => {
+    for (const room of ROOMS) {
+      expect(validateRoundParams(room.params, defaults())).toMatchObject({ valid: true });
+    }
+
+    // A max bet set below the High Roller minimum still leaves one stake
+    const params = roomParams(findRoom('high-roller'), { ...defaults(), maxBetAmount: 50 });
+    expect(params).toMatchObject({ minBetAmount: 100, maxBetAmount: 100 });
+  });
+});
@@ -0,0 +1,43 @@
+const { ROUND_PARAMS, parseRoundParams, validateRoundParams, toConfigValues, engineConfig } = require('../lib/roundParams');
+
+const defaults = () => parseRoundParams(() => null);
+
+describe('Round parameters', () => {
+  it('should fall back to defaults for missing or invalid stored values', () => {
+    const stored = { COUNTDOWN_SECONDS: '8', TICK_MS: 'fast', HOUSE_EDGE: '0.5' };
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const params = parseRoundParams(key => stored[key] ?? null);
+    expect(params.countdownSeconds).toBe(8);
+    expect(params.tickMs).toBe(ROUND_PARAMS.tickMs.default);
+    expect(params.houseEdge).toBe(ROUND_PARAMS.houseEdge.default);
+    expect(params.doublingMs).toBe(6000);
+
+    console.warn.mockRestore();
+  });
+
+  it('should validate updates against ranges and each other', () => {
+    const current = defaults();
+
+    expect(validateRoundParams({ countdownSeconds: 10, houseEdge: 0.02 }, current)).toMatchObject({
+      valid: true,
+      params: { countdownSeconds: 10, houseEdge: 0.02, doublingMs: 6000 }
+    });
+    expect(validateRoundParams({ countdownSeconds: 2.5 }, current).errors).toEqual(['countdownSeconds must be a whole number']);
+    expect(validateRoundParams({ tickMs: 0 }, current).valid).toBe(false);
+    expect(validateRoundParams({ speed: 2 }, current).errors).toEqual(['Unknown parameter speed']);
+    expect(validateRoundParams({ minBetAmount: 500, maxBetAmount: 100 }, current).errors)
+      .toEqual(['minBetAmount must not exceed maxBetAmount']);
+    expect(validateRoundParams({ maxWinAmount: 5000, maxRoundPayout: 1000 }, current).errors)
+      .toEqual(['maxWinAmount must not exceed maxRoundPayout']);
+  });
+
+  it('should map parameters to config values and engine settings', () => {
+    expect(toConfigValues({ countdownSeconds: 7, houseEdge: 0.02 })).toEqual({ COUNTDOWN_SECONDS: '7', HOUSE_EDGE: '0.02' });
+
+    const config = engineConfig(defaults());
+    expect(config).toMatchObject({ countdownSeconds: 5, tickMs: 50, graceMs: 100, maxBetAmount: 100000000, maxWinAmount: 1000000 });
+    expect(config).not.toHaveProperty('houseEdge');
+    expect(config).not.toHaveProperty('broadcastMs');
+  });
+});
@@ -0,0 +1,46 @@
+const { RoundTimeline, TIMELINE_VERSION } = require('../lib/roundTimeline');
+
+describe('Round timeline', () => {
+  it('should record bets and cashouts relative to take-off', () => {
+    const timeline = new RoundTimeline();
+    timeline.reset(1000);
+    timeline.addBet({ userId: 'u1', slot: 0, amount: 100, username: 'alice', at: 1500 });
+    timeline.addBet({ userId: 'u2', slot: 1, amount: 50, at: 2000 });
+    timeline.takeOff(6000, 6000);
+    timeline.cashout({ userId: 'u2', slot: 1, multiplier: 1.5, amount: 25, winnings: 37.5, isAutomatic: false, at: 9500 });
+    timeline.cashout({ userId: 'u2', slot: 1, multiplier: 2, amount: 25, winnings: 50, isAutomatic: true, capped: 'maxWin', at: 12000 });
+
+    const recorded = timeline.finish(2.5, 13900);
+    expect(recorded).toEqual({
+      version: TIMELINE_VERSION,
+      startedAt: 6000,
+      bettingMs: 5000,
+      crashedMs: 7900,
+      crashPoint: 2.5,
+      doublingMs: 6000,
+      bets: [
+        { t: -4500, name: 'a***e', slot: 0, amount: 100 },
+        { t: -4000, name: 'Guest', slot: 1, amount: 50 }
+      ],
+      cashouts: [
+        { t: 3500, bet: 1, multiplier: 1.5, amount: 25, winnings: 37.5, auto: false, capped: null },
+        { t: 6000, bet: 1, multiplier: 2, amount: 25, winnings: 50, auto: true, capped: 'maxWin' }
+      ]
+    });
+    expect(JSON.stringify(recorded)).not.toContain('u1');
+  });
+
+  it('should drop cancelled bets and start over each round', () => {
+    const timeline = new RoundTimeline();
+    expect(timeline.finish(2, 5000)).toBeNull(); // Never took off
+
+    timeline.reset(0);
+    timeline.addBet({ userId: 'u1', slot: 0, amount: 100, username: 'alice', at: 100 });
+    timeline.removeBet('u1', 0);
+    timeline.takeOff(5000, 6000);
+    expect(timeline.finish(1, 5000)).toMatchObject({ crashedMs: 0, bets: [], cashouts: [] });
+
+    timeline.reset(20000);
+    expect(timeline.finish(2, 30000)).toBeNull();
+  });
+});
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { SeedChainService } = require('../services/seedChainService');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Seed chains as databaseService keeps them; createGameRound moves the cursor
+function memoryStore() {
+  const chains = [];
+  return {
+    chains,
+    async getActiveSeedChain(room) {
+      return chains.filter(chain => chain.room === room && !chain.exhaustedAt).pop() || null;
+    },
+    async createSeedChain(data) {
+      const chain = { id: `chain-${chains.length + 1}`, nextIndex: 0, exhaustedAt: null, ...data };
+      chains.push(chain);
+      return { ...chain };
+    },
+    createRound({ seedChainId, chainIndex }) {
+      const chain = chains.find(c => c.id === seedChainId);
+      chain.nextIndex = Math.max(chain.nextIndex, chainIndex + 1);
+      if (chain.nextIndex >= chain.length) chain.exhaustedAt = new Date();
+    }
+  };
+}
+
+describe('SeedChainService', () => {
+  it('should not let a revealed seed expose another room\'s round in flight', async () => {
+    const store = memoryStore();
+    const seedChains = new SeedChainService({ store, chainLength: 20 });
+
+    // Classic is still flying on its seed while Turbo plays two quick rounds
+    const classic = await seedChains.nextFairRound('classic', 0.01);
+    const turbo = [await seedChains.nextFairRound('turbo', 0.01), await seedChains.nextFairRound('turbo', 0.01)];
+    expect(classic.seedChainId).not.toBe(turbo[0].seedChainId);
+    expect(classic.chainIndex).toBe(0);
+    expect(turbo.map(round => round.chainIndex)).toEqual([0, 1]);
+
+    // Turbo's last round crashed and its seed is public: hashing it walks
+    // back through Turbo's already played seeds only
+    let seed = turbo[1].serverSeed;
+    expect(sha256(seed)).toBe(turbo[0].serverSeed);
+    for (let i = 0; i <= 20; i++) {
+      expect(seed).not.toBe(classic.serverSeed);
+      seed = sha256(seed);
+    }
+  });
+
+  it('should resume each room\'s chain and start a new one when it runs out', async () => {
+    const store = memoryStore();
+    let seedChains = new SeedChainService({ store, chainLength: 3 });
+    const first = await seedChains.nextFairRound('classic');
+    store.createRound(first);
+
+    // Restarted process: the cursor comes from the store, the seeds from the root
+    seedChains = new SeedChainService({ store, chainLength: 3 });
+    const rounds = [];
+    for (let i = 0; i < 3; i++) {
+      const round = await seedChains.nextFairRound('classic');
+      store.createRound(round);
+      rounds.push(round);
+    }
+
+    expect(rounds.map(round => [round.seedChainId, round.chainIndex])).toEqual([
+      ['chain-1', 1],
+      ['chain-1', 2],
+      ['chain-2', 0]
+    ]);
+    expect(sha256(rounds[0].serverSeed)).toBe(first.serverSeed);
+    expect(store.chains.map(chain => chain.room)).toEqual(['classic', 'classic']);
+  });
+});
@@ -0,0 +1,104 @@
+const { SettlementQueue } = require('../services/settlementQueue');
+const { ManualClock } = require('../lib/clock');
+
+const cashout = (n) => ({ type: 'cashout', betId: `bet-${n}`, userId: 'alice', amount: 10, multiplier: 2, payout: 20 });
+
+describe('SettlementQueue', () => {
+  let clock;
+  let batches;
+  let writer;
+
+  beforeEach(() => {
+    clock = new ManualClock();
+    batches = [];
+    writer = jest.fn(async (batch) => {
+      batches.push(batch.map(op => op.betId || op.type));
+    });
+  });
+
+  it('should write operations queued close together as one batch', async () => {
+    const queue = new SettlementQueue({ writer, clock, flushMs: 100, batchSize: 3 });
+
+    queue.enqueue(cashout(1));
+    await clock.advance(50);
+    queue.enqueue(cashout(2));
+    expect(writer).not.toHaveBeenCalled();
+
+    await clock.advance(50);
+    expect(batches).toEqual([['bet-1', 'bet-2']]);
+
+    // A full batch doesn't wait for the timer
+    [3, 4, 5].forEach(n => queue.enqueue(cashout(n)));
+    await clock.advance(0);
+    expect(batches[1]).toEqual(['bet-3', 'bet-4', 'bet-5']);
+    expect(queue.size).toBe(0);
+    expect(queue.stats).toMatchObject({ batches: 2, written: 5 });
+  });
+
+  it('should retry a failed batch with backoff and keep the order', async () => {
+    let failures = 2;
+    writer.mockImplementation(async (batch) => {
+      if (failures > 0) {
+        failures--;
+        throw new Error('Database unavailable');
+      }
+      batches.push(batch.map(op => op.betId || op.type));
+    });
+    const queue = new SettlementQueue({ writer, clock, flushMs: 100, retryMs: 500 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    queue.enqueue(cashout(1));
+    await clock.advance(100);       // Fails, retry in 500ms
+    queue.enqueue({ type: 'crash', roundId: 'round-1', crashPoint: 2.5 });
+    await clock.advance(500);       // Fails again, retry in 1000ms
+    expect(writer).toHaveBeenCalledTimes(2);
+    await clock.advance(999);
+    expect(batches).toEqual([]);
+
+    await clock.advance(1);
+    expect(batches).toEqual([['bet-1', 'crash']]);
+    expect(queue.stats).toMatchObject({ batches: 1, written: 2, retries: 2 });
+    console.error.mockRestore();
+  });
+
+  it('should park a batch that keeps failing so later settlements go through', async () => {
+    writer.mockImplementation(async (batch) => {
+      if (batch.some(op => op.betId === 'bet-1')) throw new Error('Bet not found');
+      batches.push(batch.map(op => op.betId));
+    });
+    const queue = new SettlementQueue({ writer, clock, flushMs: 100, batchSize: 1, retryMs: 500, maxAttempts: 3 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    queue.enqueue(cashout(1));
+    queue.enqueue(cashout(2));
+    await clock.advance(100 + 500 + 1000); // Three failures
+    expect(writer).toHaveBeenCalledTimes(4);
+    expect(batches).toEqual([['bet-2']]);
+    expect(queue.size).toBe(0);
+    expect(queue.deadLetters).toEqual([
+      { operations: [cashout(1)], error: 'Bet not found', failedAt: expect.any(Date) }
+    ]);
+    expect(queue.stats).toMatchObject({ written: 1, retries: 2, deadLettered: 1 });
+    console.error.mockRestore();
+  });
+
+  it('should drain everything before shutdown', async () => {
+    const queue = new SettlementQueue({ writer, clock, flushMs: 100, batchSize: 2 });
+    [1, 2, 3].forEach(n => queue.enqueue(cashout(n)));
+
+    expect(await queue.drain()).toBe(true);
+    expect(batches).toEqual([['bet-1', 'bet-2'], ['bet-3']]);
+  });
+
+  it('should write a user\'s pending cashouts on demand, before they bet again', async () => {
+    const queue = new SettlementQueue({ writer, clock, flushMs: 100 });
+    queue.enqueue(cashout(1));
+    queue.enqueue({ ...cashout(2), userId: 'bob' });
+    expect(queue.hasPending('alice')).toBe(true);
+    expect(queue.hasPending('carol')).toBe(false);
+
+    expect(await queue.drain({ userId: 'alice' })).toBe(true);
+    expect(batches).toEqual([['bet-1', 'bet-2']]);
+    expect(queue.hasPending('alice')).toBe(false);
+  });
+});
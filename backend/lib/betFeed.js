@@ -0,0 +1,116 @@
+// Live "All bets" feed: every bet of the current round as other players see it
+// (masked name, avatar, stake, cashouts). The server keeps one feed, resets it
+// when a betting phase opens and broadcasts each change as a small delta.
+
+/**
+ * Hide most of a name: "alexander" → "a***r". Guests and empty names show as "Guest".
+ */
+function maskUsername(name) {
+  const value = String(name || '').trim();
+  if (!value) return 'Guest';
+  if (value.length <= 2) return `${value[0]}***`;
+  return `${value[0]}***${value[value.length - 1]}`;
+}
+
+/**
+ * @typedef {Object} FeedEntry
+ * @property {number} id - Opaque per-round id (never the user id)
+ * @property {string} name - Masked username
+ * @property {string|null} avatar
+ * @property {number} slot
+ * @property {number} amount - Stake
+ * @property {number|null} multiplier - Cashout multiplier (averaged over partial cashouts)
+ * @property {number} settled - Stake cashed out so far
+ * @property {number} winnings - Paid so far
+ * @property {boolean} cashedOut - Whole stake settled
+ */
+
+class BetFeed {
+  constructor() {
+    this.roundId = null;
+    this.entries = new Map(); // `${userId}:${slot}` → FeedEntry
+    this.nextId = 1;
+  }
+
+  reset(roundId = null) {
+    this.roundId = roundId;
+    this.entries.clear();
+    this.nextId = 1;
+  }
+
+  /**
+   * @param {{ userId: string, slot: number, amount: number, username?: string, avatar?: string|null }} bet
+   * @returns {FeedEntry}
+   */
+  addBet({ userId, slot, amount, username, avatar = null }) {
+    const entry = {
+      id: this.nextId++,
+      name: maskUsername(username),
+      avatar: avatar || null,
+      slot,
+      amount,
+      multiplier: null,
+      settled: 0,
+      winnings: 0,
+      cashedOut: false
+    };
+    this.entries.set(`${userId}:${slot}`, entry);
+    return entry;
+  }
+
+  /**
+   * Record a (partial) cashout
+   * @returns {FeedEntry|null}
+   */
+  cashout(userId, slot, { amount, winnings, multiplier, cashedOut }) {
+    const entry = this.entries.get(`${userId}:${slot}`);
+    if (!entry) return null;
+
+    // Average multiplier over the settled stake, like Bet.actualCashout
+    const settled = entry.settled + amount;
+    entry.multiplier = Math.round((((entry.multiplier || 0) * entry.settled + multiplier * amount) / settled) * 100) / 100;
+    entry.settled = settled;
+    entry.winnings += winnings;
+    entry.cashedOut = cashedOut;
+    return entry;
+  }
+
+  /**
+   * Drop a bet that was cancelled or refunded
+   * @returns {FeedEntry|null}
+   */
+  remove(userId, slot) {
+    const key = `${userId}:${slot}`;
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    this.entries.delete(key);
+    return entry;
+  }
+
+  totals() {
+    let amount = 0;
+    let winnings = 0;
+    for (const entry of this.entries.values()) {
+      amount += entry.amount;
+      winnings += entry.winnings;
+    }
+    return {
+      count: this.entries.size,
+      amount: Math.round(amount * 100) / 100,
+      winnings: Math.round(winnings * 100) / 100
+    };
+  }
+
+  snapshot() {
+    return {
+      roundId: this.roundId,
+      bets: [...this.entries.values()],
+      totals: this.totals()
+    };
+  }
+}
+
+module.exports = {
+  BetFeed,
+  maskUsername
+};
@@ -0,0 +1,94 @@
+// Pub/sub bus between backend instances (see lib/cluster.js for what they send).
+// A bus adapter implements:
+//   publish(channel, message)      → Promise<void>, message is plain JSON
+//   subscribe(channel, handler)    → Promise<unsubscribe: () => Promise<void>>
+//   acquireLock(key, owner, ttlMs) → Promise<boolean>, true while `owner` holds
+//                                    the lock (taken, or renewed for another ttlMs)
+//   releaseLock(key, owner)        → Promise<void>
+//   close()                        → Promise<void>
+// Messages from one publisher must reach subscribers in publish order, across
+// channels: a player's snapshot must not overtake the frames sent before it.
+//
+// InMemoryBus connects instances living in one process (a single-instance
+// deploy, tests); lib/redisBus.js connects instances over the network.
+
+const { systemClock } = require('./clock');
+
+class InMemoryBus {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.clock] - Lock expiry time source
+   */
+  constructor({ clock = systemClock } = {}) {
+    this.clock = clock;
+    this.handlers = new Map(); // channel → Set<handler>
+    this.locks = new Map();    // key → { owner, expiresAt }
+    this.queue = [];           // Published, not yet delivered (in order)
+    this.scheduled = false;
+  }
+
+  async publish(channel, message) {
+    // Serialised like a network adapter would, so no instance shares objects with another
+    this.queue.push({ channel, payload: JSON.stringify(message) });
+    if (!this.scheduled) {
+      this.scheduled = true;
+      queueMicrotask(() => this.deliver());
+    }
+  }
+
+  deliver() {
+    this.scheduled = false;
+    const queue = this.queue;
+    this.queue = [];
+
+    for (const { channel, payload } of queue) {
+      for (const handler of [...(this.handlers.get(channel) || [])]) {
+        deliverTo(handler, channel, JSON.parse(payload));
+      }
+    }
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) this.handlers.set(channel, new Set());
+    this.handlers.get(channel).add(handler);
+    return async () => {
+      this.handlers.get(channel)?.delete(handler);
+    };
+  }
+
+  async acquireLock(key, owner, ttlMs) {
+    const lock = this.locks.get(key);
+    if (lock && lock.owner !== owner && lock.expiresAt > this.clock.now()) {
+      return false;
+    }
+    this.locks.set(key, { owner, expiresAt: this.clock.now() + ttlMs });
+    return true;
+  }
+
+  async releaseLock(key, owner) {
+    if (this.locks.get(key)?.owner === owner) {
+      this.locks.delete(key);
+    }
+  }
+
+  async close() {
+    this.handlers.clear();
+  }
+}
+
+// A failing subscriber must not keep the message from the others
+function deliverTo(handler, channel, message) {
+  try {
+    const result = handler(message);
+    if (result && typeof result.catch === 'function') {
+      result.catch(error => console.error(`❌ Bus handler for ${channel} failed:`, error));
+    }
+  } catch (error) {
+    console.error(`❌ Bus handler for ${channel} failed:`, error);
+  }
+}
+
+module.exports = {
+  InMemoryBus,
+  deliverTo
+};
@@ -0,0 +1,75 @@
+// Clock/scheduler abstraction used by the game engine.
+// Production code uses the system clock; tests and simulations use ManualClock
+// so full rounds can be driven deterministically without waiting real seconds.
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle)
+};
+
+// Let pending promise callbacks (and any I/O they queued) run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+class ManualClock {
+  constructor(startTime = 0) {
+    this.time = startTime;
+    this.timers = [];
+    this.nextId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(fn, ms = 0) {
+    const id = this.nextId++;
+    this.timers.push({ id, at: this.time + Math.max(0, ms), fn });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers = this.timers.filter(timer => timer.id !== id);
+  }
+
+  /**
+   * Number of timers still waiting to fire
+   */
+  get pending() {
+    return this.timers.length;
+  }
+
+  /**
+   * Move time forward by `ms`, firing every timer that falls due in order.
+   * Async timer callbacks are awaited so timers they schedule are honoured.
+   */
+  async advance(ms) {
+    const target = this.time + ms;
+
+    for (;;) {
+      await flush();
+
+      let next = null;
+      for (const timer of this.timers) {
+        if (timer.at > target) continue;
+        if (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id)) {
+          next = timer;
+        }
+      }
+      if (!next) break;
+
+      this.timers = this.timers.filter(timer => timer !== next);
+      this.time = next.at;
+      await next.fn();
+    }
+
+    this.time = target;
+    await flush();
+  }
+}
+
+module.exports = {
+  systemClock,
+  ManualClock,
+  flush
+};
@@ -0,0 +1,91 @@
+// Messages between backend instances over the bus (lib/bus.js).
+// Every instance accepts WebSocket connections (the gateway side): it
+// authenticates them, sequences and writes their frames, and forwards what
+// players send to the elected leader. The leader runs the rooms' engines and
+// owns the player sessions.
+//
+//   gateway → leader  (Channel.LEADER)         join, leave, message, balance, settings, config
+//   leader → gateway  (Channel.instance(id))   frame, close, room - for one connection
+//   leader → all      (Channel.BROADCAST)      frame (room broadcast), leader, state
+
+const Channel = Object.freeze({
+  LEADER: 'aviator:leader',
+  BROADCAST: 'aviator:broadcast',
+  instance: (instanceId) => `aviator:instance:${instanceId}`
+});
+
+const MessageKind = Object.freeze({
+  JOIN: 'join',         // A connection opened (or is announced to a new leader)
+  LEAVE: 'leave',       // A connection closed
+  MESSAGE: 'message',   // Something a player sent: command, joinRoom, resync, autoBet
+  BALANCE: 'balance',   // Balance changed outside the game (rewards)
+  SETTINGS: 'settings', // Player settings saved
+  CONFIG: 'config',     // Round parameters or maintenance mode saved
+  FRAME: 'frame',
+  CLOSE: 'close',
+  ROOM: 'room',         // The connection now watches another room
+  LEADER: 'leader',     // A new leader was elected: announce your connections
+  STATE: 'state'        // Game summary for REST endpoints on every instance
+});
+
+// Mirrors the WebSocket readyState the frame helpers check
+const OPEN = 1;
+const CLOSED = 3;
+
+// A connection held by some instance, as the leader sees it: frames are
+// published to that instance, which sequences and writes them
+class RemoteSocket {
+  constructor(bus, { instanceId, connectionId, userId, protocolVersion }) {
+    this.bus = bus;
+    this.instanceId = instanceId;
+    this.connectionId = connectionId;
+    this.userId = userId;
+    this.protocolVersion = protocolVersion;
+    this.readyState = OPEN;
+    this.roomId = null;
+    this.lastBalance = undefined; // Last balance event sent (v2)
+  }
+
+  send(frame, { droppable = false } = {}) {
+    if (this.readyState !== OPEN) return;
+    this.publish({ kind: MessageKind.FRAME, frame, droppable });
+  }
+
+  joinRoom(roomId) {
+    this.roomId = roomId;
+    this.publish({ kind: MessageKind.ROOM, room: roomId });
+  }
+
+  close(code, reason) {
+    if (this.readyState !== OPEN) return;
+    this.publish({ kind: MessageKind.CLOSE, code, reason });
+    this.readyState = CLOSED;
+  }
+
+  // The connection went away on its instance
+  closed() {
+    this.readyState = CLOSED;
+  }
+
+  publish(message) {
+    this.bus.publish(Channel.instance(this.instanceId), { ...message, connectionId: this.connectionId })
+      .catch(error => console.error(`❌ Failed to reach instance ${this.instanceId}:`, error.message || error));
+  }
+}
+
+/**
+ * Receive time of a forwarded command on the leader's clock. Host clocks are
+ * assumed to be NTP-synced; the result is never in the future nor more than
+ * maxLagMs back, so a skewed clock can't move a cashout further than that.
+ */
+function forwardedReceiveTime(receivedAt, now, maxLagMs) {
+  if (!Number.isFinite(receivedAt)) return now;
+  return Math.min(now, Math.max(receivedAt, now - maxLagMs));
+}
+
+module.exports = {
+  Channel,
+  MessageKind,
+  RemoteSocket,
+  forwardedReceiveTime
+};
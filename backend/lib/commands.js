@@ -0,0 +1,92 @@
+// Player commands over the WebSocket (bet, cancelBet, cashOut).
+// A client tags each command with a requestId and gets back either an `ack`
+// or an `error` frame with a machine-readable code and the same requestId.
+// Results are remembered per requestId for a while, so a command the client
+// retries after a flaky connection is answered again instead of run twice.
+
+const { systemClock } = require('./clock');
+
+const ErrorCode = Object.freeze({
+  INVALID_REQUEST: 'INVALID_REQUEST',           // Malformed command
+  INVALID_AMOUNT: 'INVALID_AMOUNT',             // Outside the round's bet limits
+  INVALID_SLOT: 'INVALID_SLOT',
+  PHASE_CLOSED: 'PHASE_CLOSED',                 // Not accepted in the current round phase
+  SLOT_TAKEN: 'SLOT_TAKEN',                     // A bet is already placed/queued in that slot, or auto-bet holds it
+  NO_ACTIVE_BET: 'NO_ACTIVE_BET',
+  BET_PENDING: 'BET_PENDING',                   // The bet is still being placed
+  INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
+  DAILY_LIMIT: 'DAILY_LIMIT',                   // Responsible gaming limit reached
+  RATE_LIMITED: 'RATE_LIMITED',                 // Too many messages; safe to retry shortly
+  MAINTENANCE: 'MAINTENANCE',                   // Betting paused or server restarting
+  NOT_CONNECTED: 'NOT_CONNECTED',
+  INVALID_ROOM: 'INVALID_ROOM',
+  ROOM_BUSY: 'ROOM_BUSY',                       // Bets or auto-play still running in the current room
+  SERVER_ERROR: 'SERVER_ERROR'
+});
+
+// A failure the player can act on; anything else is reported as SERVER_ERROR
+class CommandError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'CommandError';
+    this.code = code;
+  }
+}
+
+function errorCodeOf(error) {
+  return error instanceof CommandError ? error.code : ErrorCode.SERVER_ERROR;
+}
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+const MAX_REQUEST_ID_LENGTH = 64;
+
+function isValidRequestId(requestId) {
+  return typeof requestId === 'string' && requestId.length > 0 && requestId.length <= MAX_REQUEST_ID_LENGTH;
+}
+
+class CommandLog {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] - How long a result is replayed for retries
+   * @param {Object} [options.clock]
+   */
+  constructor({ ttlMs = DEFAULT_TTL_MS, clock = systemClock } = {}) {
+    this.ttlMs = ttlMs;
+    this.clock = clock;
+    this.entries = new Map(); // key → { result: Promise, expiresAt }
+  }
+
+  /**
+   * Run a command once per key. A repeat while the first run is in flight, or
+   * within the TTL after it, resolves to the first run's result.
+   * @param {string} key - e.g. `${userId}:${requestId}`
+   * @param {() => Promise<Object>|Object} execute
+   * @returns {Promise<Object>}
+   */
+  run(key, execute) {
+    this.prune();
+    const existing = this.entries.get(key);
+    if (existing) return existing.result;
+
+    const result = Promise.resolve().then(execute);
+    this.entries.set(key, { result, expiresAt: this.clock.now() + this.ttlMs });
+    return result;
+  }
+
+  prune() {
+    const now = this.clock.now();
+    // Entries are inserted in expiry order
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt > now) break;
+      this.entries.delete(key);
+    }
+  }
+}
+
+module.exports = {
+  ErrorCode,
+  CommandError,
+  CommandLog,
+  errorCodeOf,
+  isValidRequestId
+};
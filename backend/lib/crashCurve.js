@@ -0,0 +1,58 @@
+// Multiplier curve, shared by the game engine, the client's interpolation and
+// the graph renderers so what players see is exactly what settles.
+// The multiplier grows exponentially, m(t) = e^(k·t), configured by the time
+// it takes to double (k = ln 2 / doublingMs).
+// Written as UMD like lib/crashFairness.js: require() in Node, and in the
+// browser it is exposed as globalThis.CrashCurve.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CrashCurve = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const DEFAULT_DOUBLING_MS = 6000; // 2x after 6s, 10x after ~20s, 100x after ~40s
+
+  function growthRate(doublingMs = DEFAULT_DOUBLING_MS) {
+    return Math.LN2 / doublingMs;
+  }
+
+  /**
+   * Multiplier after elapsedMs of flight
+   */
+  function multiplierAt(elapsedMs, doublingMs = DEFAULT_DOUBLING_MS) {
+    if (elapsedMs <= 0) return 1;
+    return Math.exp(growthRate(doublingMs) * elapsedMs);
+  }
+
+  /**
+   * Flight time at which a multiplier (e.g. the crash point) is reached
+   */
+  function elapsedFor(multiplier, doublingMs = DEFAULT_DOUBLING_MS) {
+    if (multiplier <= 1) return 0;
+    return Math.log(multiplier) / growthRate(doublingMs);
+  }
+
+  /**
+   * Evenly spaced points of the curve from take-off up to a multiplier
+   * @returns {Array<{ elapsedMs: number, multiplier: number }>}
+   */
+  function curvePoints(multiplier, doublingMs = DEFAULT_DOUBLING_MS, steps = 60) {
+    const endMs = elapsedFor(multiplier, doublingMs);
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+      const elapsedMs = (endMs * i) / steps;
+      points.push({ elapsedMs, multiplier: multiplierAt(elapsedMs, doublingMs) });
+    }
+    return points;
+  }
+
+  return {
+    DEFAULT_DOUBLING_MS,
+    growthRate,
+    multiplierAt,
+    elapsedFor,
+    curvePoints
+  };
+});
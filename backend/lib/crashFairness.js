@@ -0,0 +1,132 @@
+// Provably fair crash algorithm, shared by the backend, FairnessPage and the
+// offline verifier (scripts/verify-rounds.js).
+// Written as UMD so it loads with require() in Node and as a plain module in
+// the browser (exposed as globalThis.CrashFairness). Hashing is injected:
+// the backend passes Node's crypto, the frontend passes crypto-js.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CrashFairness = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const ALGORITHM = Object.freeze({
+    name: 'HMAC-SHA256',
+    key: 'serverSeed',
+    message: 'clientSeed:nonce',
+    hexChars: 8,          // leading hex chars of the HMAC turned into an integer
+    maxCrashPoint: 1000,
+    seedChain: 'SHA256(seed of round n) = seed of round n-1; SHA256(first seed) = terminating hash',
+    clientSeedMix: 'SHA256(chainClientSeed|seed:nonce|...) over the sorted bettor seeds'
+  });
+
+  const DEFAULT_HOUSE_EDGE = 0.01;
+
+  /**
+   * Convert the integer from the HMAC's leading hex chars to a crash multiplier
+   */
+  function crashPointFromInt(intValue, houseEdge = DEFAULT_HOUSE_EDGE) {
+    // Probability (0 to 1) with the house edge applied
+    const probability = intValue / 0xFFFFFFFF;
+    const adjustedProbability = probability * (1 - houseEdge);
+    if (adjustedProbability === 0) {
+      return 1.00;
+    }
+
+    // Exponential distribution, capped at the maximum and never below 1x
+    return Math.max(1.00, Math.min(1 / adjustedProbability, ALGORITHM.maxCrashPoint));
+  }
+
+  /**
+   * @param {Object} hashing
+   * @param {(message: string) => string} hashing.sha256 - Hex digest
+   * @param {(key: string, message: string) => string} hashing.hmacSha256 - Hex digest
+   */
+  function createFairness({ sha256, hmacSha256 }) {
+    function calculateCrashPoint(serverSeed, clientSeed, nonce = 0, houseEdge = DEFAULT_HOUSE_EDGE) {
+      const hash = hmacSha256(serverSeed, `${clientSeed}:${nonce}`);
+      return crashPointFromInt(parseInt(hash.substring(0, ALGORITHM.hexChars), 16), houseEdge);
+    }
+
+    // Crash points are stored and displayed with two decimals
+    function roundCrashPoint(serverSeed, clientSeed, nonce = 0, houseEdge = DEFAULT_HOUSE_EDGE) {
+      return parseFloat(calculateCrashPoint(serverSeed, clientSeed, nonce, houseEdge).toFixed(2));
+    }
+
+    function combineClientSeeds(baseClientSeed, contributions = []) {
+      if (contributions.length === 0) {
+        return baseClientSeed;
+      }
+      const parts = contributions.map(({ clientSeed, nonce }) => `${clientSeed}:${nonce}`).sort();
+      return sha256([baseClientSeed, ...parts].join('|'));
+    }
+
+    /**
+     * Walk a seed forward to the chain's terminating hash
+     * @returns {{ valid: boolean, index: number|null }} index = position in play order
+     */
+    function verifyChainSeed(serverSeed, terminatingHash, maxLength) {
+      let hash = serverSeed;
+      for (let index = 0; index < maxLength; index++) {
+        hash = sha256(hash);
+        if (hash === terminatingHash) {
+          return { valid: true, index };
+        }
+      }
+      return { valid: false, index: null };
+    }
+
+    /**
+     * Check every published value of a finished round
+     * @param {Object} round - serverSeed, serverSeedHash, clientSeed, nonce, crashPoint and,
+     *   for chained rounds, seedChain { terminatingHash, clientSeed, chainIndex } and clientSeeds
+     * @returns {{ valid: boolean, calculatedCrashPoint: number|null, checks: Object, message: string }}
+     *   checks are true/false, or null when they don't apply to the round
+     */
+    function verifyRound(round, { houseEdge = DEFAULT_HOUSE_EDGE } = {}) {
+      const checks = { serverSeedHash: null, seedChain: null, clientSeed: null, crashPoint: null };
+      if (!round.serverSeed) {
+        return { valid: false, calculatedCrashPoint: null, checks, message: 'Server seed not yet revealed' };
+      }
+
+      checks.serverSeedHash = sha256(round.serverSeed) === round.serverSeedHash;
+
+      const chain = round.seedChain;
+      if (chain) {
+        const { valid, index } = verifyChainSeed(round.serverSeed, chain.terminatingHash, chain.chainIndex + 1);
+        checks.seedChain = valid && index === chain.chainIndex;
+        if (round.clientSeeds) {
+          checks.clientSeed = combineClientSeeds(chain.clientSeed, round.clientSeeds) === round.clientSeed;
+        }
+      }
+
+      const calculatedCrashPoint = roundCrashPoint(round.serverSeed, round.clientSeed || '', round.nonce, houseEdge);
+      checks.crashPoint = Math.abs(calculatedCrashPoint - parseFloat(round.crashPoint)) < 0.01;
+
+      let message = `Verified! Calculated: ${calculatedCrashPoint.toFixed(2)}x`;
+      if (checks.serverSeedHash === false) message = 'Server seed hash mismatch!';
+      else if (checks.seedChain === false) message = 'Server seed is not part of the committed seed chain!';
+      else if (checks.clientSeed === false) message = 'Client seed does not match the players\' seeds!';
+      else if (!checks.crashPoint) message = `Mismatch! Expected: ${parseFloat(round.crashPoint).toFixed(2)}x, Got: ${calculatedCrashPoint.toFixed(2)}x`;
+
+      const valid = Object.values(checks).every(check => check !== false);
+      return { valid, calculatedCrashPoint, checks, message };
+    }
+
+    return {
+      calculateCrashPoint,
+      roundCrashPoint,
+      combineClientSeeds,
+      verifyChainSeed,
+      verifyRound
+    };
+  }
+
+  return {
+    ALGORITHM,
+    DEFAULT_HOUSE_EDGE,
+    crashPointFromInt,
+    createFairness
+  };
+});
@@ -0,0 +1,151 @@
+// Double-entry points ledger. Every change of a user's balance is one
+// LedgerEntry moving `amount` from its debit account to its credit account;
+// one side is always that user's PLAYER account, the other the house or the
+// bonus pool. A player's balance is what was credited to their account minus
+// what was debited from it, and every entry nets to zero across accounts.
+// services/ledgerService.js writes entries; services/reconciliationService.js
+// checks User.balance and the Transaction chain against them.
+
+const LedgerAccount = Object.freeze({
+  PLAYER: 'PLAYER',         // A user's balance
+  HOUSE: 'HOUSE',           // Stakes, payouts, refunds, deposits, admin adjustments and opening balances
+  BONUS_POOL: 'BONUS_POOL'  // New users' starting balance, farming, quests and referral bonuses
+});
+
+// The account on the other side of the player's for each transaction type
+const COUNTER_ACCOUNT = Object.freeze({
+  DEPOSIT: LedgerAccount.HOUSE,
+  WITHDRAWAL: LedgerAccount.HOUSE,
+  BET_PLACED: LedgerAccount.HOUSE,
+  BET_WON: LedgerAccount.HOUSE,
+  BET_REFUND: LedgerAccount.HOUSE,
+  ADJUSTMENT: LedgerAccount.HOUSE,
+  BONUS: LedgerAccount.BONUS_POOL,
+  FARMING_CLAIM: LedgerAccount.BONUS_POOL,
+  QUEST_REWARD: LedgerAccount.BONUS_POOL,
+  REFERRAL_BONUS: LedgerAccount.BONUS_POOL
+});
+
+const DiscrepancyKind = Object.freeze({
+  LEDGER_MISMATCH: 'ledgerMismatch', // User.balance differs from the ledger sum
+  CHAIN_BREAK: 'chainBreak',         // balanceBefore differs from the previous balanceAfter
+  AMOUNT_MISMATCH: 'amountMismatch', // balanceAfter - balanceBefore differs from the entry
+  CHAIN_END: 'chainEnd',             // The last balanceAfter differs from User.balance
+  UNLEDGERED: 'unledgered'           // A transaction moved the balance without a ledger entry
+});
+
+const cents = (value) => Math.round(Number(value) * 100);
+const fromCents = (value) => value / 100;
+
+/**
+ * Ledger entry for a change of a player's balance
+ * @param {{ userId: string, amount: number, type: string }} change - amount > 0 credits the player
+ * @returns {{ userId: string, type: string, amount: number, debit: string, credit: string }}
+ */
+function ledgerEntry({ userId, amount, type }) {
+  const counter = COUNTER_ACCOUNT[type];
+  if (!counter) {
+    throw new Error(`No ledger account for transaction type ${type}`);
+  }
+  return amount >= 0
+    ? { userId, type, amount, debit: counter, credit: LedgerAccount.PLAYER }
+    : { userId, type, amount: -amount, debit: LedgerAccount.PLAYER, credit: counter };
+}
+
+/**
+ * Net balance of each account (credited minus debited)
+ * @param {Array<{ debit: string, credit: string, amount: number }>} totals - Summed amounts per debit/credit pair
+ */
+function accountBalances(totals) {
+  const balances = Object.fromEntries(Object.values(LedgerAccount).map(account => [account, 0]));
+  for (const { debit, credit, amount } of totals) {
+    balances[credit] += cents(amount);
+    balances[debit] -= cents(amount);
+  }
+  return Object.fromEntries(Object.entries(balances).map(([account, value]) => [account, fromCents(value)]));
+}
+
+/**
+ * One discrepancy per finding of the reconciliation queries, amounts as numbers
+ * @param {Object} findings
+ * @param {Array} findings.balances - { userId, username, balance, ledgerBalance }
+ * @param {Array} findings.chain - { userId, transactionId, type, balanceBefore, balanceAfter, change, previousAfter }
+ * @param {Array} findings.chainEnds - { userId, transactionId, balanceAfter, balance }
+ * @param {Array} findings.unledgered - { userId, transactionId, type, balanceBefore, balanceAfter }
+ */
+function collectDiscrepancies({ balances = [], chain = [], chainEnds = [], unledgered = [] }) {
+  const discrepancies = [];
+
+  for (const row of balances) {
+    if (cents(row.balance) === cents(row.ledgerBalance)) continue;
+    discrepancies.push({
+      kind: DiscrepancyKind.LEDGER_MISMATCH,
+      userId: row.userId,
+      username: row.username || null,
+      expected: Number(row.ledgerBalance),
+      actual: Number(row.balance),
+      difference: fromCents(cents(row.balance) - cents(row.ledgerBalance))
+    });
+  }
+
+  for (const row of chain) {
+    if (row.previousAfter !== null && row.previousAfter !== undefined && cents(row.balanceBefore) !== cents(row.previousAfter)) {
+      discrepancies.push({
+        kind: DiscrepancyKind.CHAIN_BREAK,
+        userId: row.userId,
+        transactionId: row.transactionId,
+        type: row.type,
+        expected: Number(row.previousAfter),
+        actual: Number(row.balanceBefore),
+        difference: fromCents(cents(row.balanceBefore) - cents(row.previousAfter))
+      });
+    }
+    const moved = cents(row.balanceAfter) - cents(row.balanceBefore);
+    if (moved !== cents(row.change)) {
+      discrepancies.push({
+        kind: DiscrepancyKind.AMOUNT_MISMATCH,
+        userId: row.userId,
+        transactionId: row.transactionId,
+        type: row.type,
+        expected: Number(row.change),
+        actual: fromCents(moved),
+        difference: fromCents(moved - cents(row.change))
+      });
+    }
+  }
+
+  for (const row of chainEnds) {
+    if (cents(row.balanceAfter) === cents(row.balance)) continue;
+    discrepancies.push({
+      kind: DiscrepancyKind.CHAIN_END,
+      userId: row.userId,
+      transactionId: row.transactionId,
+      expected: Number(row.balanceAfter),
+      actual: Number(row.balance),
+      difference: fromCents(cents(row.balance) - cents(row.balanceAfter))
+    });
+  }
+
+  for (const row of unledgered) {
+    discrepancies.push({
+      kind: DiscrepancyKind.UNLEDGERED,
+      userId: row.userId,
+      transactionId: row.transactionId,
+      type: row.type,
+      expected: 0,
+      actual: fromCents(cents(row.balanceAfter) - cents(row.balanceBefore)),
+      difference: fromCents(cents(row.balanceAfter) - cents(row.balanceBefore))
+    });
+  }
+
+  return discrepancies;
+}
+
+module.exports = {
+  LedgerAccount,
+  COUNTER_ACCOUNT,
+  DiscrepancyKind,
+  ledgerEntry,
+  accountBalances,
+  collectDiscrepancies
+};
@@ -0,0 +1,34 @@
+// WebSocket protocol versions.
+// v1 (legacy): a full gameState frame plus a full playerOverlay for every
+//   player on every broadcast.
+// v2: a snapshot once on connect (and on resync), then small delta events
+//   (phase, countdown, tick, crashed, balance, betPlaced, cashedOut, ...).
+//   Every frame to a v2 connection carries a per-connection sequence number
+//   so the client can spot a gap and ask for a fresh snapshot.
+// Clients ask for a version with the `v` query parameter; anything the server
+// doesn't know falls back to the newest version it supports below the request.
+
+const LEGACY_VERSION = 1;
+const PROTOCOL_VERSION = 2;
+
+function negotiateVersion(requested) {
+  const version = parseInt(requested, 10);
+  if (!Number.isInteger(version) || version < PROTOCOL_VERSION) return LEGACY_VERSION;
+  return PROTOCOL_VERSION;
+}
+
+/**
+ * Stamp an encoded frame with its sequence number without re-serialising it,
+ * so a broadcast is encoded once for every connection
+ * @param {string} frame - JSON object text
+ */
+function sequenceFrame(frame, seq) {
+  return `{"seq":${seq},${frame.slice(1)}`;
+}
+
+module.exports = {
+  LEGACY_VERSION,
+  PROTOCOL_VERSION,
+  negotiateVersion,
+  sequenceFrame
+};
@@ -0,0 +1,100 @@
+// Redis adapter for the instance bus (lib/bus.js), used when REDIS_URL is set.
+// Subscribed connections can't run other commands, so the adapter takes two
+// clients: one to publish and hold locks, one to receive. Both are ioredis
+// clients (or anything with the same publish/subscribe/eval/quit API).
+// Redis delivers a publisher's messages in order, which the bus requires.
+
+const { deliverTo } = require('./bus');
+
+// Take the lock, or extend it when we already hold it
+const ACQUIRE_LOCK = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+if redis.call('set', KEYS[1], ARGV[1], 'NX', 'PX', ARGV[2]) then
+  return 1
+end
+return 0`;
+
+// Only the holder may release the lock
+const RELEASE_LOCK = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+class RedisBus {
+  /**
+   * @param {Object} clients
+   * @param {Object} clients.publisher
+   * @param {Object} clients.subscriber
+   */
+  constructor({ publisher, subscriber }) {
+    this.publisher = publisher;
+    this.subscriber = subscriber;
+    this.handlers = new Map(); // channel → Set<handler>
+
+    subscriber.on('message', (channel, payload) => {
+      const handlers = this.handlers.get(channel);
+      if (!handlers) return;
+
+      let message;
+      try {
+        message = JSON.parse(payload);
+      } catch (error) {
+        console.error(`❌ Dropping malformed bus message on ${channel}`);
+        return;
+      }
+      for (const handler of [...handlers]) {
+        deliverTo(handler, channel, message);
+      }
+    });
+  }
+
+  async publish(channel, message) {
+    await this.publisher.publish(channel, JSON.stringify(message));
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, new Set());
+      await this.subscriber.subscribe(channel);
+    }
+    this.handlers.get(channel).add(handler);
+
+    return async () => {
+      const handlers = this.handlers.get(channel);
+      if (!handlers) return;
+      handlers.delete(handler);
+      if (handlers.size === 0) {
+        this.handlers.delete(channel);
+        await this.subscriber.unsubscribe(channel);
+      }
+    };
+  }
+
+  async acquireLock(key, owner, ttlMs) {
+    return Number(await this.publisher.eval(ACQUIRE_LOCK, 1, key, owner, ttlMs)) === 1;
+  }
+
+  async releaseLock(key, owner) {
+    await this.publisher.eval(RELEASE_LOCK, 1, key, owner);
+  }
+
+  async close() {
+    await Promise.allSettled([this.publisher.quit(), this.subscriber.quit()]);
+  }
+}
+
+function createRedisBus(url) {
+  const Redis = require('ioredis');
+  return new RedisBus({
+    publisher: new Redis(url),
+    subscriber: new Redis(url)
+  });
+}
+
+module.exports = {
+  RedisBus,
+  createRedisBus
+};
@@ -0,0 +1,58 @@
+// Game rooms. Each room runs its own game loop and round series; a
+// connection watches one room at a time (?room=<id> or a joinRoom message).
+// A room's params override the operator's round parameters (SystemConfig)
+// for that room only; anything it leaves out follows the admin settings.
+
+const ROOMS = Object.freeze([
+  Object.freeze({
+    id: 'classic',
+    name: 'Classic',
+    description: 'The standard game',
+    params: Object.freeze({})
+  }),
+  Object.freeze({
+    id: 'turbo',
+    name: 'Turbo',
+    description: 'Faster flights and a shorter countdown',
+    params: Object.freeze({ countdownSeconds: 3, crashPauseMs: 2000, doublingMs: 3000 })
+  }),
+  Object.freeze({
+    id: 'high-roller',
+    name: 'High Roller',
+    description: 'Higher minimum bet',
+    params: Object.freeze({ minBetAmount: 100 })
+  })
+]);
+
+const DEFAULT_ROOM_ID = 'classic';
+
+function findRoom(id) {
+  return ROOMS.find(room => room.id === id) || null;
+}
+
+// Unknown or missing room ids land in the default room
+function resolveRoomId(requested) {
+  return findRoom(requested) ? requested : DEFAULT_ROOM_ID;
+}
+
+/**
+ * Round parameters a room plays with
+ * @param {Object} room - Entry of ROOMS
+ * @param {Object} params - Operator round parameters (lib/roundParams)
+ */
+function roomParams(room, params) {
+  const merged = { ...params, ...room.params };
+  // An admin max bet below the room's minimum would leave no valid stake
+  if (merged.maxBetAmount < merged.minBetAmount) {
+    merged.maxBetAmount = merged.minBetAmount;
+  }
+  return merged;
+}
+
+module.exports = {
+  ROOMS,
+  DEFAULT_ROOM_ID,
+  findRoom,
+  resolveRoomId,
+  roomParams
+};
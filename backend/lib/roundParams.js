@@ -0,0 +1,107 @@
+// Round parameters operators can change at runtime (stored in SystemConfig)
+// Each entry maps a parameter to its SystemConfig key, default and the range
+// an admin may set it to. Defaults are the values the game shipped with.
+
+const { DEFAULT_DOUBLING_MS } = require('./crashCurve');
+
+const ROUND_PARAMS = Object.freeze({
+  countdownSeconds: { key: 'COUNTDOWN_SECONDS', default: 5, min: 1, max: 60, integer: true, label: 'Betting phase (s)' },
+  crashPauseMs: { key: 'CRASH_PAUSE_MS', default: 3000, min: 500, max: 60000, integer: true, label: 'Pause after crash (ms)' },
+  doublingMs: { key: 'DOUBLING_MS', default: DEFAULT_DOUBLING_MS, min: 1000, max: 60000, integer: true, label: 'Time to double (ms)' },
+  tickMs: { key: 'TICK_MS', default: 50, min: 10, max: 500, integer: true, label: 'Tick rate (ms)' },
+  broadcastMs: { key: 'BROADCAST_MS', default: 200, min: 50, max: 2000, integer: true, label: 'Broadcast rate (ms)' },
+  graceMs: { key: 'GRACE_MS', default: 100, min: 0, max: 1000, integer: true, label: 'Cashout grace window (ms)' },
+  minBetAmount: { key: 'MIN_BET', default: 1, min: 1, max: 1000000, integer: false, label: 'Min bet' },
+  maxBetAmount: { key: 'MAX_BET', default: 100000000, min: 1, max: 100000000, integer: false, label: 'Max bet' },
+  // Payout caps (stake × multiplier): bets reaching one are cashed out at the
+  // cap. They don't limit stakes, which only min/max bet do
+  maxWinAmount: { key: 'MAX_WIN', default: 1000000, min: 100, max: 10000000000, integer: false, label: 'Max win per bet' },
+  maxRoundPayout: { key: 'MAX_ROUND_PAYOUT', default: 10000000, min: 100, max: 100000000000, integer: false, label: 'Max payout per round' },
+  houseEdge: { key: 'HOUSE_EDGE', default: parseFloat(process.env.HOUSE_EDGE) || 0.01, min: 0, max: 0.1, integer: false, label: 'House edge' }
+});
+
+// Parameters the game engine applies itself (the rest are used by the server)
+const ENGINE_PARAMS = ['countdownSeconds', 'crashPauseMs', 'doublingMs', 'tickMs', 'graceMs', 'minBetAmount', 'maxBetAmount', 'maxWinAmount', 'maxRoundPayout'];
+
+function checkValue(name, value) {
+  const spec = ROUND_PARAMS[name];
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return `${name} must be a number`;
+  }
+  if (spec.integer && !Number.isInteger(value)) {
+    return `${name} must be a whole number`;
+  }
+  if (value < spec.min || value > spec.max) {
+    return `${name} must be between ${spec.min} and ${spec.max}`;
+  }
+  return null;
+}
+
+/**
+ * Read round parameters from stored config values, falling back to the
+ * default for anything missing or out of range
+ * @param {(key: string) => string|null} getValue - SystemConfig lookup
+ */
+function parseRoundParams(getValue) {
+  const params = {};
+  for (const [name, spec] of Object.entries(ROUND_PARAMS)) {
+    const stored = getValue(spec.key);
+    const value = stored === null || stored === undefined ? spec.default : Number(stored);
+    if (checkValue(name, value)) {
+      console.warn(`⚠️ Ignoring invalid ${spec.key}=${stored}, using ${spec.default}`);
+      params[name] = spec.default;
+    } else {
+      params[name] = value;
+    }
+  }
+  return params;
+}
+
+/**
+ * Validate a partial update against the current parameters
+ * @returns {{ valid: boolean, errors: string[], params: Object }} params = current merged with the update
+ */
+function validateRoundParams(update, current) {
+  const errors = [];
+  if (!update || typeof update !== 'object' || Array.isArray(update)) {
+    return { valid: false, errors: ['Parameters must be an object'], params: current };
+  }
+
+  for (const [name, value] of Object.entries(update)) {
+    if (!ROUND_PARAMS[name]) {
+      errors.push(`Unknown parameter ${name}`);
+      continue;
+    }
+    const error = checkValue(name, value);
+    if (error) errors.push(error);
+  }
+
+  const params = { ...current, ...update };
+  if (errors.length === 0 && params.minBetAmount > params.maxBetAmount) {
+    errors.push('minBetAmount must not exceed maxBetAmount');
+  }
+  if (errors.length === 0 && params.minBetAmount > params.maxWinAmount) {
+    errors.push('minBetAmount must not exceed maxWinAmount');
+  }
+  if (errors.length === 0 && params.maxWinAmount > params.maxRoundPayout) {
+    errors.push('maxWinAmount must not exceed maxRoundPayout');
+  }
+  return { valid: errors.length === 0, errors, params };
+}
+
+// SystemConfig key → value strings for a set of parameters
+function toConfigValues(params) {
+  return Object.fromEntries(Object.entries(params).map(([name, value]) => [ROUND_PARAMS[name].key, String(value)]));
+}
+
+function engineConfig(params) {
+  return Object.fromEntries(ENGINE_PARAMS.map(name => [name, params[name]]));
+}
+
+module.exports = {
+  ROUND_PARAMS,
+  parseRoundParams,
+  validateRoundParams,
+  toConfigValues,
+  engineConfig
+};
@@ -0,0 +1,91 @@
+// Round timeline for replays: what happened in a round, with server times,
+// stored with the round when it crashes. The server keeps one recorder per
+// room, fed from the engine's events, and resets it when a betting phase opens.
+// Players show up masked like in the live bets feed (lib/betFeed.js).
+
+const { maskUsername } = require('./betFeed');
+
+const TIMELINE_VERSION = 1;
+
+/**
+ * @typedef {Object} Timeline
+ * @property {number} version
+ * @property {number} startedAt - Take-off, epoch ms; every `t` below is ms relative to it
+ * @property {number} bettingMs - Length of the betting phase before take-off
+ * @property {number} crashedMs - Flight time until the crash
+ * @property {number} crashPoint
+ * @property {number} doublingMs - Curve the round flew on (lib/crashCurve.js)
+ * @property {Array<{ t: number, name: string, slot: number, amount: number }>} bets - Negative t: placed while betting
+ * @property {Array<{ t: number, bet: number, multiplier: number, amount: number, winnings: number, auto: boolean, capped: string|null }>} cashouts - bet is an index into bets
+ */
+
+class RoundTimeline {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * @param {number|null} bettingAt - Clock time the betting phase opened
+   */
+  reset(bettingAt = null) {
+    this.bettingAt = bettingAt;
+    this.startedAt = null;
+    this.doublingMs = null;
+    this.bets = new Map(); // `${userId}:${slot}` → { at, name, slot, amount }
+    this.cashouts = [];    // { at, key, multiplier, amount, winnings, auto, capped }
+  }
+
+  takeOff(startedAt, doublingMs) {
+    this.startedAt = startedAt;
+    this.doublingMs = doublingMs;
+  }
+
+  addBet({ userId, slot, amount, username, at }) {
+    this.bets.set(`${userId}:${slot}`, { at, name: maskUsername(username), slot, amount });
+  }
+
+  // A cancelled bet was never part of the round
+  removeBet(userId, slot) {
+    this.bets.delete(`${userId}:${slot}`);
+  }
+
+  cashout({ userId, slot, multiplier, amount, winnings, isAutomatic, capped = null, at }) {
+    this.cashouts.push({ at, key: `${userId}:${slot}`, multiplier, amount, winnings, auto: !!isAutomatic, capped });
+  }
+
+  /**
+   * The finished round's timeline, or null if the recorder missed its take-off
+   * @returns {Timeline|null}
+   */
+  finish(crashPoint, crashedAt) {
+    if (this.startedAt === null) return null;
+
+    const keys = [...this.bets.keys()];
+    const startedAt = this.startedAt;
+    return {
+      version: TIMELINE_VERSION,
+      startedAt,
+      bettingMs: this.bettingAt === null ? 0 : Math.max(0, startedAt - this.bettingAt),
+      crashedMs: Math.max(0, crashedAt - startedAt),
+      crashPoint,
+      doublingMs: this.doublingMs,
+      bets: [...this.bets.values()].map(({ at, name, slot, amount }) => ({ t: at - startedAt, name, slot, amount })),
+      cashouts: this.cashouts
+        .filter(cashout => this.bets.has(cashout.key))
+        .map(({ at, key, multiplier, amount, winnings, auto, capped }) => ({
+          t: at - startedAt,
+          bet: keys.indexOf(key),
+          multiplier,
+          amount,
+          winnings,
+          auto,
+          capped
+        }))
+    };
+  }
+}
+
+module.exports = {
+  RoundTimeline,
+  TIMELINE_VERSION
+};
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."bets" ADD COLUMN     "slot" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bets_gameRoundId_userId_slot_key" ON "public"."bets"("gameRoundId", "userId", "slot");
@@ -0,0 +1,9 @@
+-- DropIndex
+DROP INDEX "public"."bets_gameRoundId_userId_slot_key";
+
+-- CreateIndex
+CREATE INDEX "bets_gameRoundId_userId_idx" ON "public"."bets"("gameRoundId", "userId");
+
+-- CreateIndex: one live bet per slot and round; cancelled bets don't count,
+-- so a slot can be bet again after a cancel (partial index, not in schema.prisma)
+CREATE UNIQUE INDEX "bets_gameRoundId_userId_slot_live_key" ON "public"."bets"("gameRoundId", "userId", "slot") WHERE "status" <> 'CANCELLED';
@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "public"."AutoBetAdjustment" AS ENUM ('RESET', 'MULTIPLY');
+
+-- CreateTable
+CREATE TABLE "public"."auto_bet_strategies" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "baseBet" DECIMAL(10,2) NOT NULL DEFAULT 100,
+    "autoCashout" DECIMAL(8,2) NOT NULL DEFAULT 2.0,
+    "rounds" INTEGER NOT NULL DEFAULT 10,
+    "onWin" "public"."AutoBetAdjustment" NOT NULL DEFAULT 'RESET',
+    "onWinFactor" DECIMAL(6,2) NOT NULL DEFAULT 1.0,
+    "onLoss" "public"."AutoBetAdjustment" NOT NULL DEFAULT 'RESET',
+    "onLossFactor" DECIMAL(6,2) NOT NULL DEFAULT 2.0,
+    "stopOnProfit" DECIMAL(10,2),
+    "stopOnLoss" DECIMAL(10,2),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "auto_bet_strategies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "auto_bet_strategies_userId_key" ON "public"."auto_bet_strategies"("userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."auto_bet_strategies" ADD CONSTRAINT "auto_bet_strategies_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "public"."bets" ADD COLUMN     "settledAmount" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "public"."bet_settlements" (
+    "id" TEXT NOT NULL,
+    "betId" TEXT NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "multiplier" DECIMAL(8,2) NOT NULL,
+    "payout" DECIMAL(10,2) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "bet_settlements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "bet_settlements_betId_idx" ON "public"."bet_settlements"("betId");
+
+-- AddForeignKey
+ALTER TABLE "public"."bet_settlements" ADD CONSTRAINT "bet_settlements_betId_fkey" FOREIGN KEY ("betId") REFERENCES "public"."bets"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "public"."game_rounds" ADD COLUMN     "chainIndex" INTEGER,
+ADD COLUMN     "seedChainId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."seed_chains" (
+    "id" TEXT NOT NULL,
+    "rootSeed" TEXT NOT NULL,
+    "terminatingHash" TEXT NOT NULL,
+    "clientSeed" TEXT NOT NULL,
+    "length" INTEGER NOT NULL,
+    "nextIndex" INTEGER NOT NULL DEFAULT 0,
+    "exhaustedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "seed_chains_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "seed_chains_terminatingHash_key" ON "public"."seed_chains"("terminatingHash");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "game_rounds_seedChainId_chainIndex_key" ON "public"."game_rounds"("seedChainId", "chainIndex");
+
+-- AddForeignKey
+ALTER TABLE "public"."game_rounds" ADD CONSTRAINT "game_rounds_seedChainId_fkey" FOREIGN KEY ("seedChainId") REFERENCES "public"."seed_chains"("id") ON DELETE SET NULL ON UPDATE CASCADE;
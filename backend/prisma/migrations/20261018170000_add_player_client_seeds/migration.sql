@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "public"."player_client_seeds" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "seed" TEXT NOT NULL,
+    "nonce" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "player_client_seeds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."round_client_seeds" (
+    "id" TEXT NOT NULL,
+    "gameRoundId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "clientSeed" TEXT NOT NULL,
+    "nonce" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "round_client_seeds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "player_client_seeds_userId_key" ON "public"."player_client_seeds"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "round_client_seeds_gameRoundId_userId_key" ON "public"."round_client_seeds"("gameRoundId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."player_client_seeds" ADD CONSTRAINT "player_client_seeds_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."round_client_seeds" ADD CONSTRAINT "round_client_seeds_gameRoundId_fkey" FOREIGN KEY ("gameRoundId") REFERENCES "public"."game_rounds"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."round_client_seeds" ADD CONSTRAINT "round_client_seeds_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
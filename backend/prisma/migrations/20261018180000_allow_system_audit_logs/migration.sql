@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."admin_audit_logs" ALTER COLUMN "adminUserId" DROP NOT NULL;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."game_rounds" ADD COLUMN     "houseEdge" DECIMAL(5,4);
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."game_rounds" ADD COLUMN     "room" TEXT NOT NULL DEFAULT 'classic';
+
+-- CreateIndex
+CREATE INDEX "game_rounds_room_createdAt_idx" ON "public"."game_rounds"("room", "createdAt");
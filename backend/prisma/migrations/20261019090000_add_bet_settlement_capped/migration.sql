@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."bet_settlements" ADD COLUMN     "capped" TEXT;
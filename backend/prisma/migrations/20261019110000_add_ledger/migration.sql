@@ -0,0 +1,64 @@
+-- CreateEnum
+CREATE TYPE "public"."LedgerAccount" AS ENUM ('PLAYER', 'HOUSE', 'BONUS_POOL');
+
+-- CreateTable
+CREATE TABLE "public"."ledger_entries" (
+    "id" TEXT NOT NULL,
+    "sequence" SERIAL NOT NULL,
+    "userId" TEXT NOT NULL,
+    "debit" "public"."LedgerAccount" NOT NULL,
+    "credit" "public"."LedgerAccount" NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+    "type" "public"."TransactionType" NOT NULL,
+    "transactionId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ledger_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."reconciliation_reports" (
+    "id" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL,
+    "finishedAt" TIMESTAMP(3) NOT NULL,
+    "usersChecked" INTEGER NOT NULL,
+    "entriesChecked" INTEGER NOT NULL,
+    "discrepancyCount" INTEGER NOT NULL,
+    "discrepancies" JSONB NOT NULL,
+    "accounts" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "reconciliation_reports_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ledger_entries_sequence_key" ON "public"."ledger_entries"("sequence");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ledger_entries_transactionId_key" ON "public"."ledger_entries"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "ledger_entries_userId_sequence_idx" ON "public"."ledger_entries"("userId", "sequence");
+
+-- CreateIndex
+CREATE INDEX "reconciliation_reports_createdAt_idx" ON "public"."reconciliation_reports"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."ledger_entries" ADD CONSTRAINT "ledger_entries_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ledger_entries" ADD CONSTRAINT "ledger_entries_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "public"."transactions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Opening balances: the ledger starts from every user's current balance
+INSERT INTO "public"."transactions" ("id", "userId", "type", "amount", "balanceBefore", "balanceAfter", "description", "createdAt")
+SELECT 'opening-' || "id", "id", 'ADJUSTMENT', ABS("balance"), 0, "balance", 'Opening balance (ledger start)', CURRENT_TIMESTAMP
+FROM "public"."users";
+
+INSERT INTO "public"."ledger_entries" ("id", "userId", "debit", "credit", "amount", "type", "transactionId", "createdAt")
+SELECT 'opening-' || "id", "id",
+    CASE WHEN "balance" >= 0 THEN 'HOUSE'::"public"."LedgerAccount" ELSE 'PLAYER'::"public"."LedgerAccount" END,
+    CASE WHEN "balance" >= 0 THEN 'PLAYER'::"public"."LedgerAccount" ELSE 'HOUSE'::"public"."LedgerAccount" END,
+    ABS("balance"), 'ADJUSTMENT', 'opening-' || "id", CURRENT_TIMESTAMP
+FROM "public"."users"
+ORDER BY "createdAt";
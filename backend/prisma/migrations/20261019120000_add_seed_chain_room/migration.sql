@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."seed_chains" ADD COLUMN     "room" TEXT NOT NULL DEFAULT 'classic';
+
+-- CreateIndex
+CREATE INDEX "seed_chains_room_exhaustedAt_idx" ON "public"."seed_chains"("room", "exhaustedAt");
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+
+// Settlement benchmark - plays one round with many bettors against a
+// simulated database and reports how much the tick loop stalls.
+//
+//   node scripts/benchmark-settlement.js [--bettors 1000] [--crash 5]
+//     [--latency 4] [--statement 1] [--pool 10] [--doubling 3000]
+//     [--mode inline|batched|both]
+//
+// inline:  every cashout is its own transaction awaited on the tick path and
+//          the crash writes each lost bet on its own (the old round store)
+// batched: cashouts are settled in memory and written by the SettlementQueue
+//          with a fixed number of bulk statements per batch
+//
+// The simulated database charges `latency` ms per transaction plus
+// `statement` ms per statement (a round trip each inside an interactive
+// transaction), with at most `pool` transactions at a time.
+// No real database is used.
+
+const { GameEngine, GameEvent } = require('../services/gameEngine');
+const { SettlementQueue } = require('../services/settlementQueue');
+const { multiplierAt, elapsedFor } = require('../lib/crashCurve');
+
+function parseArgs(argv) {
+  const options = { bettors: 1000, crash: 5, latency: 4, statement: 1, pool: 10, doubling: 3000, mode: 'both' };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in options)) continue;
+    options[key] = key === 'mode' ? argv[++i] : parseFloat(argv[++i]);
+  }
+  return options;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Connection pool: at most `size` transactions run at once, the rest wait
+function createDatabase({ latency, statement, pool }) {
+  let active = 0;
+  const waiting = [];
+  const stats = { transactions: 0, statements: 0 };
+
+  return {
+    stats,
+    async transaction(statements) {
+      if (active >= pool) await new Promise(resolve => waiting.push(resolve));
+      active++;
+      try {
+        stats.transactions++;
+        stats.statements += statements;
+        await sleep(latency + statements * statement);
+      } finally {
+        active--;
+        waiting.shift()?.();
+      }
+    }
+  };
+}
+
+// Deterministic pseudo-random numbers so both modes play the same round
+function createRandom(seed = 42) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+const percentile = (values, p) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+};
+
+async function runRound(mode, options) {
+  const db = createDatabase(options);
+  const queue = new SettlementQueue({
+    writer: (batch) => db.transaction(6) // findMany, createMany x2, bulk bet/user updates, round
+  });
+
+  const store = {
+    createRound: async () => ({ id: 'bench-round', crashPoint: options.crash }),
+    startRound: async () => {},
+    placeBet: async ({ userId }) => ({ betId: `bet-${userId}`, balance: 1000 }),
+    cancelBet: async () => ({ balance: 1000 }),
+    cashoutBet: async ({ userId, bet, amount, multiplier, winnings }) => {
+      if (mode === 'inline') {
+        await db.transaction(5); // findUnique, settlement, bet, user, transaction
+      } else {
+        queue.enqueue({ type: 'cashout', betId: bet.betId, userId, amount, multiplier, payout: winnings, at: new Date() });
+      }
+      return { balance: 1000 };
+    },
+    finishRound: async ({ crashPoint, lostBets }) => {
+      if (mode === 'inline') {
+        await db.transaction(1 + lostBets.length * 5); // per bet: update, findUnique, user, transaction, daily limit
+      } else {
+        queue.enqueue({ type: 'crash', roundId: 'bench-round', crashPoint, at: new Date() });
+      }
+    },
+    voidRound: async () => {}
+  };
+
+  const engine = new GameEngine({
+    store,
+    config: { countdownSeconds: 1, crashPauseMs: 60000, doublingMs: options.doubling }
+  });
+  const random = createRandom();
+  const tickTimes = [];
+  const skews = [];
+
+  engine.on(GameEvent.BETTING_STARTED, () => {
+    for (let i = 0; i < options.bettors; i++) {
+      const userId = `player-${i}`;
+      // Four in five bettors use an auto-cashout target, the rest cash out by hand
+      const autoTarget = random() < 0.8 ? 1.01 + random() * (options.crash * 1.2 - 1.01) : null;
+      engine.placeBet(userId, 10, { autoTarget });
+    }
+  });
+
+  engine.on(GameEvent.ROUND_STARTED, ({ startTime }) => {
+    const flightMs = elapsedFor(options.crash, options.doubling);
+    for (const bet of engine.activeBets.values()) {
+      if (bet.autoTarget) continue;
+      const at = random() * flightMs;
+      setTimeout(async () => {
+        // What the player saw when they pressed the button vs what was paid
+        const expected = multiplierAt(Date.now() - startTime, options.doubling);
+        const result = await engine.requestCashOut(bet.userId, bet.slot);
+        if (result.success) skews.push(Math.abs(result.multiplier - Math.min(expected, options.crash)));
+      }, at);
+    }
+  });
+
+  engine.on(GameEvent.TICK, ({ now }) => tickTimes.push(now));
+
+  const crashed = new Promise(resolve => engine.once(GameEvent.CRASHED, resolve));
+  engine.start();
+  const { round } = await crashed;
+  const crashedAt = Date.now();
+  // From the tick that hit the crash point to players being told
+  const announcedAfterMs = crashedAt - tickTimes[tickTimes.length - 1];
+  engine.stop();
+  await queue.drain({ timeoutMs: 60000 });
+  const settledAfterMs = Date.now() - crashedAt;
+
+  const intervals = tickTimes.slice(1).map((time, i) => time - tickTimes[i]);
+  return {
+    mode,
+    round: round.id,
+    ticks: tickTimes.length,
+    tickP50: percentile(intervals, 50),
+    tickP99: percentile(intervals, 99),
+    tickMax: Math.max(0, ...intervals),
+    skewP50: percentile(skews, 50),
+    skewMax: Math.max(0, ...skews),
+    transactions: db.stats.transactions,
+    statements: db.stats.statements,
+    announcedAfterMs,
+    settledAfterMs
+  };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const modes = options.mode === 'both' ? ['inline', 'batched'] : [options.mode];
+  console.log(`🏁 ${options.bettors} bettors, crash at ${options.crash}x, ${options.latency}ms/transaction + ${options.statement}ms/statement, pool of ${options.pool}`);
+
+  // Keep the engine's per-round logging out of the results
+  const log = console.log;
+  for (const mode of modes) {
+    console.log = () => {};
+    let result;
+    try {
+      result = await runRound(mode, options);
+    } finally {
+      console.log = log;
+    }
+    console.log(`\n📊 ${mode}`);
+    console.log(`   ticks: ${result.ticks}, interval p50 ${result.tickP50}ms, p99 ${result.tickP99}ms, max ${result.tickMax}ms (target 50ms)`);
+    console.log(`   manual cashout skew: p50 ${result.skewP50.toFixed(3)}x, max ${result.skewMax.toFixed(3)}x`);
+    console.log(`   crash announced ${result.announcedAfterMs}ms after the crash tick`);
+    console.log(`   database: ${result.transactions} transactions, ${result.statements} statements, all written ${result.settledAfterMs}ms after the crash`);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Benchmark failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runRound, createDatabase };
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+// Offline verifier for exported rounds - recomputes everything locally with
+// the shared algorithm (lib/crashFairness.js), nothing is taken from the
+// server's own verification result.
+//
+// Export rounds with the public API, e.g.:
+//   for n in $(seq 100 150); do curl -s $API/fairness/rounds/$n/verify; echo ,; done
+// wrapped in [ ... ] as a JSON array, then:
+//   node scripts/verify-rounds.js rounds.json [--from 100] [--to 150]
+//     [--house-edge 0.01] [--chain <terminating hash you saw published>]
+//
+// Exits with code 1 if any round fails.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { DEFAULT_HOUSE_EDGE, createFairness } = require('../lib/crashFairness');
+
+const fairness = createFairness({
+  sha256: (message) => crypto.createHash('sha256').update(message).digest('hex'),
+  hmacSha256: (key, message) => crypto.createHmac('sha256', key).update(message).digest('hex')
+});
+
+function parseArgs(argv) {
+  const options = { file: null, from: null, to: null, houseEdge: null, chain: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--from') options.from = parseInt(argv[++i]);
+    else if (arg === '--to') options.to = parseInt(argv[++i]);
+    else if (arg === '--house-edge') options.houseEdge = parseFloat(argv[++i]);
+    else if (arg === '--chain') options.chain = argv[++i];
+    else options.file = arg;
+  }
+  return options;
+}
+
+/**
+ * Verify exported rounds
+ * @param {Array} entries - Responses of GET /api/fairness/rounds/:n/verify, or their `round` objects
+ * @param {Object} options - from, to, houseEdge (overrides the rounds' own), chain (pinned terminating hash)
+ * @returns {Array<{ roundNumber: number, valid: boolean, message: string }>}
+ */
+function verifyRounds(entries, { from = null, to = null, houseEdge = null, chain = null } = {}) {
+  return entries
+    .map(entry => (entry.round ? entry : { round: entry }))
+    .filter(({ round }) => (from == null || round.roundNumber >= from) && (to == null || round.roundNumber <= to))
+    .sort((a, b) => a.round.roundNumber - b.round.roundNumber)
+    .map(({ round, algorithm }) => {
+      // Rounds carry the edge they were played with; older exports only have the published one
+      const edge = houseEdge ?? (round.houseEdge != null ? Number(round.houseEdge) : null) ?? algorithm?.houseEdge ?? DEFAULT_HOUSE_EDGE;
+      if (chain && round.seedChain?.terminatingHash !== chain) {
+        return { roundNumber: round.roundNumber, valid: false, message: 'Round is not from the pinned seed chain!' };
+      }
+      const { valid, message } = fairness.verifyRound(round, { houseEdge: edge });
+      return { roundNumber: round.roundNumber, valid, message };
+    });
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.file) {
+    console.error('Usage: node scripts/verify-rounds.js <rounds.json> [--from N] [--to N] [--house-edge 0.01] [--chain <hash>]');
+    process.exit(2);
+  }
+
+  const entries = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+  const results = verifyRounds(Array.isArray(entries) ? entries : [entries], options);
+
+  for (const { roundNumber, valid, message } of results) {
+    console.log(`${valid ? '✅' : '❌'} Round #${roundNumber}: ${message}`);
+  }
+
+  const failed = results.filter(result => !result.valid).length;
+  console.log(`\n${results.length - failed}/${results.length} rounds verified`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { verifyRounds };
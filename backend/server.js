@@ -7,15 +7,35 @@ const WebSocket = require('ws');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
 
 // Import our database services
 const databaseService = require('./services/databaseService');
 const provablyFairService = require('./services/provablyFairService');
+const { SeedChainService } = require('./services/seedChainService');
+const { PlayerSessions, hasOpenPlay, serializeBet, serializeQueuedBet } = require('./services/playerSessions');
+const systemConfigService = require('./services/systemConfigService');
 const QuestService = require('./services/questService');
+const { GameEngine, GamePhase, GameEvent } = require('./services/gameEngine');
+const { SettlementQueue } = require('./services/settlementQueue');
+const { AutoBetController, AutoBetEvent, StopReason, validateStrategy } = require('./services/autoBetController');
+const { ROUND_PARAMS, parseRoundParams, engineConfig } = require('./lib/roundParams');
+const { BetFeed, maskUsername } = require('./lib/betFeed');
+const { RoundTimeline } = require('./lib/roundTimeline');
+const { ROOMS, DEFAULT_ROOM_ID, resolveRoomId, roomParams } = require('./lib/rooms');
+const { LEGACY_VERSION, PROTOCOL_VERSION, negotiateVersion, sequenceFrame } = require('./lib/protocol');
+const { ErrorCode, CommandError, CommandLog, errorCodeOf, isValidRequestId } = require('./lib/commands');
+const { InMemoryBus } = require('./lib/bus');
+const { createRedisBus } = require('./lib/redisBus');
+const { Channel, MessageKind, RemoteSocket, forwardedReceiveTime } = require('./lib/cluster');
+const { LeaderElection, LeaderEvent } = require('./services/leaderElection');
+const { ReconciliationJob } = require('./services/reconciliationJob');
+const reconciliationService = require('./services/reconciliationService');
 const authService = require('./authService');
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const sharedPrisma = require('./lib/prisma'); // Client used by the services
 
 // Import error handling middleware
 const { AppError, asyncHandler, errorHandler, notFound } = require('./middleware/errorHandler');
@@ -223,12 +243,14 @@ app.use('/api/auth/refresh', authLimiter);
 app.use('/api/admin/login', authLimiter);
 app.use('/api/admin/register', authLimiter);
 
-// Exclude health, game-state, player settings, and profile from global rate limiting
+// Exclude health, game-state, player settings/auto-bet, and profile from global rate limiting
 app.use('/api/', (req, res, next) => {
   if (
     req.path === '/health' || 
     req.path === '/game-state' ||
     req.path.startsWith('/player/settings') ||
+    req.path.startsWith('/player/auto-bet') ||
+    req.path.startsWith('/player/client-seed') ||
     req.path === '/auth/profile'
   ) {
     return next();
@@ -238,20 +260,255 @@ app.use('/api/', (req, res, next) => {
 
 app.use(express.json({ limit: '10mb' }));
 
+// =============================================================================
+// CLUSTER
+// =============================================================================
+// Every instance accepts WebSocket connections and forwards what players send
+// to the elected round leader, which runs the rooms and the player sessions
+// (lib/cluster.js). Without REDIS_URL the bus stays in-process and this
+// instance leads on its own.
+const instanceId = process.env.INSTANCE_ID || uuidv4();
+const bus = process.env.REDIS_URL ? createRedisBus(process.env.REDIS_URL) : new InMemoryBus();
+const election = new LeaderElection({ bus, instanceId });
+// Nightly balance check against the ledger, run by the leader only
+const reconciliationJob = new ReconciliationJob({
+  run: () => reconciliationService.run({ trigger: 'scheduled' }),
+  hourUtc: parseInt(process.env.RECONCILE_HOUR_UTC ?? 3)
+});
+
+// How long a crashed round still takes cashouts that another instance
+// received before the crash (they are in flight to the leader)
+const CRASH_SETTLE_MS = Number(process.env.CRASH_SETTLE_MS ?? (process.env.REDIS_URL ? 150 : 0));
+
+function publishToLeader(message) {
+  bus.publish(Channel.LEADER, { ...message, instanceId })
+    .catch(error => console.error('❌ Failed to reach the round leader:', error.message || error));
+}
+
 // =============================================================================
 // GAME STATE
 // =============================================================================
-let gameState = {
-  state: 'betting',     // 'betting' | 'running' | 'crashed'
-  multiplier: 1.00,
-  countdown: 5,
-  crashPoint: 0,
-  startTime: 0,
-  players: new Map(),      // Map<userId, { ws, user, isGuest }>
-  activeBets: new Map(),   // Map<userId, { amount, cashedOut, cashedOutMultiplier }>
-  crashHistory: [2.45, 1.89, 5.67, 1.23, 8.91, 3.45, 2.17, 12.34]  // Array of recent crash multipliers (last 10)
+
+// Fire-and-forget DB writes (quest tracking) so a shutdown can wait for them
+const pendingWrites = new Set();
+function trackWrite(promise) {
+  pendingWrites.add(promise);
+  promise.finally(() => pendingWrites.delete(promise));
+  return promise;
+}
+
+// Cashouts and crashes are written to the database in batches off the tick path
+// Every room draws its server seeds from its own hash chain
+const seedChains = new SeedChainService({ store: databaseService });
+
+const settlementQueue = new SettlementQueue({
+  writer: (batch) => databaseService.settleBatch(batch)
+});
+
+// Persistence adapter for the engines: provably fair rounds tagged with their
+// room, DB bets for registered users and in-memory demo balances for guests
+const roundStore = {
+  async createRound(room) {
+    const fairRound = await seedChains.nextFairRound(room.id, room.params.houseEdge);
+    const gameRound = await databaseService.createGameRound({ ...fairRound, room: room.id });
+    return {
+      ...gameRound,
+      crashPoint: fairRound.crashPoint,
+      serverSeedHash: fairRound.serverSeedHash, // Show hash before round
+      clientSeeds: new Map() // Map<userId, { clientSeed, nonce }> of registered bettors
+    };
+  },
+
+  // Betting is closed: mix the bettors' client seeds into the round's client
+  // seed, which fixes the final crash point
+  async startRound(round) {
+    const contributions = [...round.clientSeeds].map(([userId, seed]) => ({ userId, ...seed }));
+    if (contributions.length === 0) {
+      await databaseService.updateGameRoundStatus(round.id, 'RUNNING');
+      return;
+    }
+
+    const clientSeed = provablyFairService.combineClientSeeds(round.clientSeed, contributions);
+    const { crashPoint } = provablyFairService.generateFairRound(clientSeed, round.nonce, round.serverSeed, provablyFairService.roundHouseEdge(round));
+    await databaseService.startGameRound(round.id, { clientSeed, crashPoint, contributions });
+    return { crashPoint };
+  },
+
+  async placeBet({ round, userId, amount, slot, autoTarget }) {
+    const player = players.get(userId);
+    if (!player) {
+      throw new CommandError(ErrorCode.NOT_CONNECTED, 'Player not connected');
+    }
+
+    const currentBalance = player.isGuest ? player.guestBalance : player.user.balance;
+    if (amount > currentBalance) {
+      throw new CommandError(ErrorCode.INSUFFICIENT_BALANCE, 'Insufficient balance');
+    }
+
+    if (player.isGuest) {
+      player.guestBalance -= amount;
+      return { betId: null, balance: player.guestBalance };
+    }
+
+    // Winnings still queued aren't in the database balance yet: write them
+    // first, or a player who just cashed out couldn't stake them
+    if (settlementQueue.hasPending(userId)) {
+      await settlementQueue.drain({ userId, timeoutMs: 2000 });
+    }
+
+    // placeBet handles balance update and bet recording
+    const bet = await databaseService.placeBet(userId, round.id, amount, autoTarget, slot);
+    // Update cached user balance
+    player.user.balance = parseFloat(player.user.balance) - amount;
+
+    if (!round.clientSeeds.has(userId)) {
+      const clientSeed = await databaseService.getClientSeed(userId);
+      if (clientSeed) {
+        round.clientSeeds.set(userId, { clientSeed: clientSeed.seed, nonce: clientSeed.nonce });
+      }
+    }
+    return { betId: bet.id, balance: player.user.balance };
+  },
+
+  async cancelBet({ round, userId, bet }) {
+    const player = players.get(userId);
+    if (!player) {
+      throw new Error('Player not connected');
+    }
+
+    if (!bet.betId) {
+      player.guestBalance += bet.amount;
+      return { balance: player.guestBalance };
+    }
+
+    // cancelBet refunds the stake and reverses wager/daily limit usage
+    const { balance, remainingBets } = await databaseService.cancelBet(bet.betId);
+    player.user.balance = balance;
+    // Out of the round: their client seed isn't mixed in and their nonce stays put
+    if (remainingBets === 0) {
+      round.clientSeeds.delete(userId);
+    }
+    return { balance };
+  },
+
+  async cashoutBet({ userId, bet, amount, multiplier, winnings }) {
+    const player = players.get(userId);
+
+    if (!bet.betId) {
+      if (!player) {
+        throw new Error('Player not connected');
+      }
+      player.guestBalance += winnings;
+      return { balance: player.guestBalance };
+    }
+
+    // The engine's result stands; the database catches up with the next batch
+    settlementQueue.enqueue({ type: 'cashout', betId: bet.betId, userId, amount, multiplier, payout: winnings, capped: bet.capped, at: new Date() });
+    if (!player) {
+      return { balance: null };
+    }
+    // Update cached user balance
+    player.user.balance = parseFloat(player.user.balance) + winnings;
+    return { balance: player.user.balance };
+  },
+
+  // Uncashed bets are lost and the round is closed (with its replay timeline)
+  // in the next batch, after the round's cashouts
+  async finishRound({ round, crashPoint, timeline = null }) {
+    settlementQueue.enqueue({ type: 'crash', roundId: round.id, crashPoint, timeline, at: new Date() });
+  },
+
+  // Shutdown drain: guests get their demo stakes back here, the database
+  // refunds every ACTIVE bet of the round
+  async voidRound({ round, refunds }) {
+    for (const { userId, bet, amount } of refunds) {
+      const player = players.get(userId);
+      if (player && !bet.betId) {
+        player.guestBalance += amount;
+      }
+    }
+
+    // Cashouts already paid must be on the bets before the refunds, or their
+    // stakes would be refunded as well: while any are still queued the round
+    // is left unfinished, for recoverUnfinishedRounds to void once they're written
+    if (!(await settlementQueue.drain())) {
+      throw new Error(`Round ${round.id} not voided: ${settlementQueue.size} settlement(s) still queued`);
+    }
+
+    const voided = await databaseService.voidGameRound(round, {
+      action: 'ROUND_VOIDED_ON_SHUTDOWN',
+      reason: 'voided for a server restart'
+    });
+    for (const { userId, balance } of voided.refunds) {
+      const player = players.get(userId);
+      if (player && !player.isGuest) {
+        player.user.balance = balance;
+      }
+    }
+  }
 };
 
+// =============================================================================
+// GAME ROOMS
+// =============================================================================
+// Every room (lib/rooms.js) runs its own engine, round series, live bets feed
+// and auto-play. A player watches one room (player.roomId, mirrored on the
+// connection for broadcasts); bets and auto-play stay in the room they were made in.
+function createRoom(preset) {
+  const room = {
+    id: preset.id,
+    preset,
+    params: roomParams(preset, parseRoundParams(() => null)), // Round parameters in effect
+    pendingParams: null,                                      // Applied when the next betting phase opens
+    lastBroadcastAt: 0,
+    betFeed: new BetFeed(),
+    timeline: new RoundTimeline(), // Replay of the round in progress
+    crashHistoryRounds: []         // Round ids of the engine's crashHistory entries, newest first
+  };
+  room.engine = new GameEngine({
+    store: {
+      ...roundStore,
+      createRound: () => roundStore.createRound(room),
+      finishRound: (params) => roundStore.finishRound({ ...params, timeline: room.timeline.finish(params.crashPoint, params.crashedAt) })
+    },
+    config: { ...engineConfig(room.params), crashSettleMs: CRASH_SETTLE_MS },
+    crashHistory: [2.45, 1.89, 5.67, 1.23, 8.91, 3.45, 2.17, 12.34]  // Array of recent crash multipliers (last 10)
+  });
+  // Server-side auto-play (holds the first bet slot while it runs)
+  room.autoBet = new AutoBetController({ engine: room.engine, slot: 0 });
+  return room;
+}
+
+const rooms = new Map(ROOMS.map(preset => [preset.id, createRoom(preset)]));
+
+// How long a disconnected user keeps their seat (and active bet) in memory
+const RECONNECT_GRACE_MS = 60 * 1000;
+
+// Player sessions, kept by the round leader; `ws` is a RemoteSocket for the
+// connection on whichever instance holds it. Round state lives in the game engine.
+const sessions = new PlayerSessions({ rooms, defaultRoomId: DEFAULT_ROOM_ID, graceMs: RECONNECT_GRACE_MS });
+const players = sessions.players;
+
+// Room a player's commands go to
+function roomOf(userId) {
+  return sessions.roomOf(userId);
+}
+
+// What the room picker shows
+function roomSummary(room) {
+  return {
+    id: room.id,
+    name: room.preset.name,
+    description: room.preset.description,
+    minBetAmount: room.params.minBetAmount,
+    maxBetAmount: room.params.maxBetAmount,
+    maxWinAmount: room.params.maxWinAmount,
+    countdownSeconds: room.params.countdownSeconds,
+    doublingMs: room.params.doublingMs,
+    playersOnline: countOnlinePlayers(room.id)
+  };
+}
+
 // =============================================================================
 // AUTHENTICATION ROUTES
 // =============================================================================
@@ -340,9 +597,9 @@ app.post('/api/auth/telegram', [
             
             // 🎮 QUEST TRACKING: Track successful referral for referrer
             if (referralResult.referrerUserId) {
-              QuestService.trackReferral(referralResult.referrerUserId).catch(error => {
+              trackWrite(QuestService.trackReferral(referralResult.referrerUserId).catch(error => {
                 console.error('❌ Quest tracking error (referral):', error);
-              });
+              }));
             }
           }
         } catch (e) {
@@ -590,13 +847,19 @@ app.get('/api/admin/stats', requireAdmin, async (req, res) => {
   try {
     const stats = await databaseService.getAdminStats();
     
-    // Add WebSocket stats
-    const wsStats = {
-      connectedClients: gameState.players.size,
-      activeBets: gameState.activeBets.size,
-      currentState: gameState.state,
-      currentMultiplier: gameState.multiplier,
-      roundId: currentGameRound?.id || null
+    // Add WebSocket stats (current* fields describe the default room)
+    const gameState = currentGameState();
+    const snapshot = gameState?.rooms.find(room => room.id === DEFAULT_ROOM_ID).game;
+    const wsStats = gameState && {
+      connectedClients: gameState.playersOnline,
+      activeBets: gameState.rooms.reduce((sum, room) => sum + room.game.activeBets, 0),
+      currentState: snapshot.state,
+      currentMultiplier: snapshot.multiplier,
+      roundId: snapshot.roundId,
+      leaderId: gameState.leaderId,
+      rooms: gameState.rooms.map(({ id, playersOnline, game: { state, multiplier, roundId, activeBets } }) => ({
+        room: id, state, multiplier, roundId, activeBets, playersOnline
+      }))
     };
     
     res.json({
@@ -715,7 +978,7 @@ app.post('/api/admin/users/:id/adjust-balance', requireAdmin, async (req, res) =
     }
 
     // Immediate change
-    const after = await databaseService.incrementBalance(id, amount);
+    const after = await databaseService.incrementBalance(id, amount, `Admin adjustment: ${reason}`);
     
     await adminAudit.log({
       adminUserId: req.admin.id,
@@ -731,6 +994,9 @@ app.post('/api/admin/users/:id/adjust-balance', requireAdmin, async (req, res) =
 
     res.json({ success: true, user: after });
   } catch (error) {
+    if (error instanceof CommandError && error.code === ErrorCode.INSUFFICIENT_BALANCE) {
+      return res.status(400).json({ error: 'Adjustment would make the balance negative' });
+    }
     console.error('❌ Admin adjust balance error:', error);
     res.status(500).json({ error: 'Failed to adjust balance' });
   }
@@ -995,6 +1261,81 @@ app.put('/api/admin/users/:id/settings', requireAdmin, async (req, res) => {
   }
 });
 
+// =============================================================================
+// ADMIN MAINTENANCE MODE
+// =============================================================================
+
+// Get maintenance mode (admin only)
+app.get('/api/admin/maintenance', requireAdmin, (req, res) => {
+  res.json({ success: true, maintenance: systemConfigService.getMaintenance(), paused: !!currentGameState()?.paused });
+});
+
+// Pause or resume betting without a redeploy (admin only)
+app.put('/api/admin/maintenance', requireAdmin, async (req, res) => {
+  try {
+    const { enabled, message = null, reason = null } = req.body || {};
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+    if (message !== null && (typeof message !== 'string' || message.length > 200)) {
+      return res.status(400).json({ error: 'Message must be at most 200 characters' });
+    }
+
+    const maintenance = await systemConfigService.setMaintenance({ enabled, message: message?.trim() }, {
+      adminUserId: req.admin.id,
+      notes: reason,
+      ip: req.admin.ip,
+      userAgent: req.admin.userAgent
+    });
+    publishConfigChange('maintenance');
+
+    // The leader pauses or resumes the rooms once the change reaches it
+    res.json({ success: true, maintenance, paused: maintenance.enabled });
+  } catch (error) {
+    console.error('❌ Admin update maintenance error:', error);
+    res.status(500).json({ error: 'Failed to update maintenance mode' });
+  }
+});
+
+// =============================================================================
+// ADMIN ROUND PARAMETERS
+// =============================================================================
+
+// Get round parameters with their allowed ranges (admin only)
+app.get('/api/admin/round-params', requireAdmin, (req, res) => {
+  const gameState = currentGameState();
+  res.json({
+    success: true,
+    params: gameState?.roundParams ?? roundParams,
+    pending: gameState ? gameState.pendingRoundParams : pendingRoundParams,
+    limits: ROUND_PARAMS,
+    // Parameters each room sets itself; these don't follow the values above
+    rooms: ROOMS.map(room => ({ id: room.id, name: room.name, overrides: room.params }))
+  });
+});
+
+// Update round parameters, applied from the next round (admin only)
+app.put('/api/admin/round-params', requireAdmin, async (req, res) => {
+  try {
+    const { params: update, reason = null } = req.body || {};
+    const result = await systemConfigService.setRoundParams(update, {
+      adminUserId: req.admin.id,
+      notes: reason,
+      ip: req.admin.ip,
+      userAgent: req.admin.userAgent
+    });
+    if (!result.success) {
+      return res.status(400).json({ error: result.errors.join(', '), errors: result.errors });
+    }
+
+    publishConfigChange('roundParams');
+    res.json({ success: true, params: currentGameState()?.roundParams ?? roundParams, pending: result.params });
+  } catch (error) {
+    console.error('❌ Admin update round params error:', error);
+    res.status(500).json({ error: 'Failed to update round parameters' });
+  }
+});
+
 // =============================================================================
 // ADMIN AUDIT LOG
 // =============================================================================
@@ -1041,6 +1382,47 @@ app.get('/api/admin/audit-logs/:targetType/:targetId', requireAdmin, async (req,
   }
 });
 
+// =============================================================================
+// LEDGER RECONCILIATION
+// =============================================================================
+
+// Reconciliation reports, newest first (admin only)
+app.get('/api/admin/reconciliation', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+    const reports = await reconciliationService.listReports(limit);
+    res.json({ success: true, reports });
+  } catch (error) {
+    console.error('❌ Admin get reconciliation reports error:', error);
+    res.status(500).json({ error: 'Failed to get reconciliation reports' });
+  }
+});
+
+// One report with its discrepancies (admin only)
+app.get('/api/admin/reconciliation/:id', requireAdmin, async (req, res) => {
+  try {
+    const report = await reconciliationService.getReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('❌ Admin get reconciliation report error:', error);
+    res.status(500).json({ error: 'Failed to get reconciliation report' });
+  }
+});
+
+// Reconcile now instead of waiting for the night (admin only)
+app.post('/api/admin/reconciliation/run', requireAdmin, async (req, res) => {
+  try {
+    const report = await reconciliationService.run({ trigger: 'manual', adminUserId: req.admin.id });
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('❌ Admin run reconciliation error:', error);
+    res.status(500).json({ error: 'Failed to run reconciliation' });
+  }
+});
+
 // =============================================================================
 // PUBLIC ROUTES
 // =============================================================================
@@ -1092,7 +1474,8 @@ app.get('/api/fairness/recent-rounds', async (req, res) => {
     
     res.json({
       success: true,
-      rounds
+      rounds,
+      algorithm: provablyFairService.getAlgorithm()
     });
   } catch (error) {
     console.error('❌ Fairness rounds error:', error);
@@ -1100,6 +1483,64 @@ app.get('/api/fairness/recent-rounds', async (req, res) => {
   }
 });
 
+// Verify one finished round: seeds, hashes, algorithm parameters and the
+// recomputed crash point. Save responses to check them offline with
+// scripts/verify-rounds.js.
+app.get('/api/fairness/rounds/:roundNumber/verify', async (req, res) => {
+  try {
+    const roundNumber = parseInt(req.params.roundNumber);
+    if (!Number.isInteger(roundNumber) || roundNumber < 1) {
+      return res.status(400).json({ error: 'Invalid round number' });
+    }
+
+    const round = await databaseService.getRoundForVerification(roundNumber);
+    if (!round) {
+      return res.status(404).json({ error: 'Round not found or not finished yet' });
+    }
+
+    res.json({
+      success: true,
+      round,
+      algorithm: provablyFairService.getAlgorithm(),
+      verification: provablyFairService.verifyRound(round)
+    });
+  } catch (error) {
+    console.error('❌ Fairness verify error:', error);
+    res.status(500).json({ error: 'Failed to verify round' });
+  }
+});
+
+// Replay timeline of a finished round (bets, cashouts and crash with server
+// times) for the replay viewer
+app.get('/api/rounds/:id/replay', async (req, res) => {
+  try {
+    const replay = await databaseService.getRoundReplay(req.params.id);
+    if (!replay) {
+      return res.status(404).json({ error: 'No replay for this round' });
+    }
+
+    res.json({ success: true, replay });
+  } catch (error) {
+    console.error('❌ Round replay error:', error);
+    res.status(500).json({ error: 'Failed to get round replay' });
+  }
+});
+
+// Get the published seed chains (terminating hashes) rounds are verified against
+app.get('/api/fairness/seed-chains', async (req, res) => {
+  try {
+    const chains = await databaseService.getSeedChains();
+    
+    res.json({
+      success: true,
+      chains
+    });
+  } catch (error) {
+    console.error('❌ Seed chains error:', error);
+    res.status(500).json({ error: 'Failed to get seed chains' });
+  }
+});
+
 // Get leaderboard
 app.get('/api/leaderboard', authService.optionalAuth.bind(authService), async (req, res) => {
   try {
@@ -1118,6 +1559,32 @@ app.get('/api/leaderboard', authService.optionalAuth.bind(authService), async (r
   }
 });
 
+// Biggest wins since midnight (UTC), names masked like the live bets feed
+app.get('/api/bets/top-wins', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const since = new Date();
+    since.setUTCHours(0, 0, 0, 0);
+
+    const wins = await databaseService.getTopWins(since, limit);
+    res.json({
+      success: true,
+      since,
+      wins: wins.map(({ username, firstName, avatar, amount, multiplier, payout, placedAt }) => ({
+        name: maskUsername(username || firstName),
+        avatar,
+        amount,
+        multiplier,
+        payout,
+        placedAt
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Top wins error:', error);
+    res.status(500).json({ error: 'Failed to get top wins' });
+  }
+});
+
 // =============================================================================
 // REFERRAL SYSTEM ROUTES
 // =============================================================================
@@ -1201,24 +1668,7 @@ app.post('/api/farming/claim',
       }
 
       // Update cached balance if player is connected
-      const player = gameState.players.get(userId);
-      if (player && player.user) {
-        player.user.balance = result.newBalance;
-        // Force a player overlay update to sync the UI
-        if (player.ws && player.ws.readyState === WebSocket.OPEN) {
-          const personalBet = gameState.activeBets.get(userId);
-          player.ws.send(JSON.stringify({
-            type: 'playerOverlay',
-            data: {
-              hasActiveBet: !!personalBet,
-              activeBetAmount: personalBet?.amount || 0,
-              cashedOut: personalBet?.cashedOut || false,
-              cashedOutMultiplier: personalBet?.cashedOutMultiplier || 0,
-              balance: result.newBalance
-            }
-          }));
-        }
-      }
+      publishToLeader({ kind: MessageKind.BALANCE, userId, balance: result.newBalance });
 
       res.json(result);
     } catch (error) {
@@ -1263,24 +1713,7 @@ app.post('/api/quests/claim',
       const result = await QuestService.claimQuest(req.user.id, questType);
       
       // Update cached balance if player is connected
-      const player = gameState.players.get(req.user.id);
-      if (player && player.user) {
-        player.user.balance = result.newBalance;
-        // Force a player overlay update to sync the UI
-        if (player.ws && player.ws.readyState === WebSocket.OPEN) {
-          const personalBet = gameState.activeBets.get(req.user.id);
-          player.ws.send(JSON.stringify({
-            type: 'playerOverlay',
-            data: {
-              hasActiveBet: !!personalBet,
-              activeBetAmount: personalBet?.amount || 0,
-              cashedOut: personalBet?.cashedOut || false,
-              cashedOutMultiplier: personalBet?.cashedOutMultiplier || 0,
-              balance: result.newBalance
-            }
-          }));
-        }
-      }
+      publishToLeader({ kind: MessageKind.BALANCE, userId: req.user.id, balance: result.newBalance });
 
       res.json(result);
     } catch (error) {
@@ -1353,11 +1786,7 @@ app.put('/api/player/settings',
       console.log('✅ Settings saved to DB:', updated);
       
       // 🚀 FRED'S FIX: Update cached settings for connected player
-      const connectedPlayer = gameState.players.get(req.user.id);
-      if (connectedPlayer) {
-        connectedPlayer.settings = updated || connectedPlayer.settings;
-        console.log('🔄 Updated cached settings for connected player:', req.user.username);
-      }
+      publishToLeader({ kind: MessageKind.SETTINGS, userId: req.user.id, settings: updated });
       
       res.json({ success: true, settings: updated });
     } catch (error) {
@@ -1368,154 +1797,367 @@ app.put('/api/player/settings',
   }
 );
 
-// Crash point generation now uses provably fair system
-let currentGameRound = null;
-let countdownInterval = null; // Track countdown interval to prevent memory leaks
+app.get('/api/player/auto-bet',
+  authService.authenticateToken.bind(authService),
+  settingsReadLimiter,
+  async (req, res) => {
+    try {
+      const strategy = await databaseService.getAutoBetStrategy(req.user.id);
+      res.json({ success: true, strategy });
+    } catch (error) {
+      console.error('❌ Auto-bet strategy get error:', error);
+      res.status(500).json({ error: 'Failed to get auto-bet strategy' });
+    }
+  }
+);
 
-// NEW: Throttle broadcast cadence (5 Hz)
-const BROADCAST_MS = 200;
-let lastBroadcastAt = 0;
+app.put('/api/player/auto-bet',
+  authService.authenticateToken.bind(authService),
+  settingsWriteLimiter,
+  async (req, res) => {
+    try {
+      const body = req.body || {};
+      const optionalNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+      const strategy = {
+        baseBet: Number(body.baseBet),
+        autoCashout: Number(body.autoCashout),
+        rounds: Number(body.rounds),
+        onWin: body.onWin,
+        onWinFactor: Number(body.onWinFactor ?? 1),
+        onLoss: body.onLoss,
+        onLossFactor: Number(body.onLossFactor ?? 1),
+        stopOnProfit: optionalNumber(body.stopOnProfit),
+        stopOnLoss: optionalNumber(body.stopOnLoss)
+      };
+
+      const { valid, error } = validateStrategy(strategy);
+      if (!valid) {
+        return res.status(400).json({ error });
+      }
 
-// =============================================================================
-// GAME LOOP
-// =============================================================================
-function startGameLoop() {
-  console.log('🎮 Game loop started');
-  async function startBetting() {
-    // Clear any existing countdown interval to prevent memory leaks
-    if (countdownInterval) {
-      clearInterval(countdownInterval);
-      countdownInterval = null;
-    }
-    
-    gameState.state = 'betting';
-    gameState.multiplier = 1.0;
-    gameState.countdown = 5;
-    
-    // Generate new game round with provably fair crash point
-    const fairRound = provablyFairService.generateFairRound();
-    currentGameRound = await databaseService.createGameRound(fairRound);
-    gameState.crashPoint = fairRound.crashPoint;
-    gameState.currentRoundHash = fairRound.serverSeedHash; // Show hash before round
-    gameState.currentRoundSeed = fairRound.serverSeed; // Reveal after crash
-    gameState.activeBets.clear();
-    console.log(`💰 Betting phase. Crash at ${gameState.crashPoint.toFixed(2)}x`);
-    broadcastAll();
-    countdownInterval = setInterval(() => {
-      gameState.countdown--;
-      broadcastAll();
-      if (gameState.countdown <= 0) {
-        clearInterval(countdownInterval);
-        countdownInterval = null;
-        startFlying();
+      // A running session keeps its strategy; changes apply on the next start
+      const updated = await databaseService.upsertAutoBetStrategy(req.user.id, strategy);
+      if (!updated) {
+        return res.status(500).json({ error: 'Failed to save auto-bet strategy' });
       }
-    }, 1000);
+      res.json({ success: true, strategy: updated });
+    } catch (error) {
+      console.error('❌ Auto-bet strategy update error:', error);
+      res.status(500).json({ error: 'Failed to save auto-bet strategy' });
+    }
   }
-  async function startFlying() {
-    gameState.state = 'running';
-    gameState.startTime = Date.now();
-    
-    // Update game round status to running
-    if (currentGameRound) {
-      try {
-        await databaseService.updateGameRoundStatus(currentGameRound.id, 'RUNNING');
-      } catch (error) {
-        console.error('❌ Error updating game round to running:', error);
+);
+
+app.get('/api/player/client-seed',
+  authService.authenticateToken.bind(authService),
+  settingsReadLimiter,
+  async (req, res) => {
+    try {
+      const clientSeed = await databaseService.getClientSeed(req.user.id);
+      if (!clientSeed) {
+        return res.status(500).json({ error: 'Failed to get client seed' });
       }
+      res.json({ success: true, clientSeed: clientSeed.seed, nonce: clientSeed.nonce });
+    } catch (error) {
+      console.error('❌ Client seed get error:', error);
+      res.status(500).json({ error: 'Failed to get client seed' });
     }
-    
-    console.log("✈️ Plane taking off");
-    broadcastAll(true); // immediate edge broadcast
-    
-    const TICK_MS = 50; // logic cadence (kept small for crash accuracy)
-    
-    const tick = async () => {
-      const now = Date.now();
-      // Stable formula: no incremental FP drift
-      gameState.multiplier = 1 + (now - gameState.startTime) / 3000;
-      
-      // Throttled broadcast (5 Hz)
-      if (now - lastBroadcastAt >= BROADCAST_MS) {
-        lastBroadcastAt = now;
-        broadcastAll();
-      }
-      
-      // 🚀 FRED'S FIX: Server-side authoritative auto-cashout
-      for (const [uid, bet] of gameState.activeBets.entries()) {
-        if (bet.cashedOut) continue;
-        if (bet.autoTarget && gameState.multiplier >= bet.autoTarget) {
-          console.log(`🤖 Server auto-cashout triggered for ${uid} at ${gameState.multiplier.toFixed(2)}x (target: ${bet.autoTarget}x)`);
-          await handleCashOut(uid, true); // Authoritative server auto-cashout
-        }
-      }
-      
-      if (gameState.multiplier >= gameState.crashPoint) {
-        // Final edge broadcast just before crash
-        broadcastAll(true);
-        return crash();
-      }
-      setTimeout(tick, TICK_MS);
-    };
-    setTimeout(tick, TICK_MS);
   }
-  async function crash() {
-    const crashAt = Date.now();
-    const GRACE_MS = 100; // Fred's fairness window: 80-120ms recommended
-    
-    // 🚀 FRED'S FIX: Accept manual cashouts received just before crash (fairness)
-    console.log('🔍 Checking grace window cashouts...');
-    for (const [uid, bet] of gameState.activeBets.entries()) {
-      if (!bet?.cashedOut && bet?.lastCashoutReqAt && (crashAt - bet.lastCashoutReqAt) <= GRACE_MS) {
-        console.log(`⚡ Grace window cashout for ${uid}: received ${crashAt - bet.lastCashoutReqAt}ms before crash`);
-        await handleCashOut(uid, false); // Manual cashout within grace window
+);
+
+// Rotate to a new client seed (random when none is given). Applies from the
+// player's next first bet in a round.
+app.put('/api/player/client-seed',
+  authService.authenticateToken.bind(authService),
+  settingsWriteLimiter,
+  async (req, res) => {
+    try {
+      const seed = req.body?.clientSeed || provablyFairService.generateClientSeed();
+      if (!provablyFairService.isValidClientSeed(seed)) {
+        return res.status(400).json({ error: 'Client seed must be 1-64 letters, digits, "-" or "_"' });
       }
-    }
-    
-    gameState.state = 'crashed';
-    gameState.multiplier = gameState.crashPoint;
-    
-    // Record crashed bets (bets that didn't cash out)
-    if (currentGameRound) {
-      try {
-        // Handle all uncashed bets as crashed
-        await databaseService.crashBets(currentGameRound.id, gameState.crashPoint);
-        
-        // 🎮 QUEST TRACKING: Track bet losses for lucky streak reset
-        for (const [uid, bet] of gameState.activeBets.entries()) {
-          if (!bet.cashedOut) {
-            const player = gameState.players.get(uid);
-            if (player && !player.isGuest && player.user?.id) {
-              QuestService.trackBetLoss(player.user.id).catch(error => {
-                console.error('❌ Quest tracking error (bet loss):', error);
-              });
-            }
-          }
-        }
-        
-        // Complete the game round in database
-        await databaseService.updateGameRoundStatus(currentGameRound.id, 'CRASHED', new Date());
-      } catch (error) {
-        console.error('❌ Error handling game round completion:', error);
+
+      const clientSeed = await databaseService.rotateClientSeed(req.user.id, seed);
+      if (!clientSeed) {
+        return res.status(500).json({ error: 'Failed to save client seed' });
       }
+      res.json({ success: true, clientSeed: clientSeed.seed, nonce: clientSeed.nonce });
+    } catch (error) {
+      console.error('❌ Client seed update error:', error);
+      res.status(500).json({ error: 'Failed to save client seed' });
     }
-    
-    // Add to crash history (keep last 10)
-    gameState.crashHistory.unshift(gameState.crashPoint);
-    if (gameState.crashHistory.length > 10) {
-      gameState.crashHistory.pop();
-    }
-    
-    console.log(`💥 Crashed at ${gameState.crashPoint.toFixed(2)}x`);
-    broadcastAll();
-    setTimeout(startBetting, 3000);
   }
-  startBetting();
+);
+
+// Operator round parameters (SystemConfig). Rooms play with them plus their
+// own overrides (room.params); changes wait for each room's engine to open its
+// next betting phase, so a round never mixes old and new values.
+let roundParams = parseRoundParams(() => null);
+let pendingRoundParams = null;
+
+function scheduleRoundParams(params) {
+  pendingRoundParams = params;
+  for (const room of rooms.values()) {
+    room.pendingParams = roomParams(room.preset, params);
+    room.engine.configure(engineConfig(room.pendingParams));
+  }
+}
+
+function roundConfigFrame(room) {
+  return JSON.stringify({ type: 'roundConfig', data: room.params });
+}
+
+// Live "All bets" feed of each room: a snapshot on connect and when a round
+// opens, then one small delta per bet, cashout or cancellation
+function betFeedFrame(room, event, data = {}) {
+  return JSON.stringify({ type: 'betFeed', data: { event, ...data, totals: room.betFeed.totals() } });
+}
+
+function broadcastBetFeed(room, event, data) {
+  const frame = betFeedFrame(room, event, data);
+  broadcastFrame(frame, { room });
+}
+
+function broadcastBetFeedSnapshot(room) {
+  broadcastBetFeed(room, 'snapshot', room.betFeed.snapshot());
 }
 
 // =============================================================================
-// WebSocket handling - Railway-compatible with heartbeat
+// GAME LOOP (engine events → WebSocket clients)
 // =============================================================================
-// WebSocket server with proper subprotocol handling
+function sendAutoBetState(room, userId, reason = null) {
+  const player = players.get(userId);
+  if (!player) return;
+
+  const session = room.autoBet.getSession(userId);
+  sendToPlayer(player, {
+    type: 'autoBet',
+    data: session ? {
+      running: true,
+      roundsPlayed: session.roundsPlayed,
+      rounds: session.strategy.rounds,
+      profit: session.profit,
+      nextBet: session.nextBet,
+      slot: room.autoBet.slot
+    } : { running: false, reason }
+  });
+}
+
+// Engine events of one room → the room's connections (and each bettor)
+function attachRoomEvents(room) {
+  const { engine, betFeed, timeline } = room;
+
+  engine.on(GameEvent.BETTING_STARTED, ({ round, countdown }) => {
+    broadcastEvent(room, 'phase', { state: GamePhase.BETTING, roundId: round.id, countdown, playersOnline: countOnlinePlayers(room.id) });
+    betFeed.reset(round.id);
+    timeline.reset(engine.clock.now());
+    broadcastBetFeedSnapshot(room);
+    broadcastAll(room);
+  });
+  engine.on(GameEvent.COUNTDOWN, ({ countdown }) => {
+    broadcastEvent(room, 'countdown', { countdown });
+    sendBalanceUpdates();
+    broadcastAll(room);
+  });
+  engine.on(GameEvent.ROUND_STARTED, ({ round, startTime }) => {
+    timeline.takeOff(startTime, engine.config.doublingMs);
+    broadcastEvent(room, 'phase', { state: GamePhase.RUNNING, roundId: round.id, startTime, serverTime: engine.clock.now() });
+    broadcastAll(room, true); // immediate edge broadcast
+  });
+
+  engine.on(GameEvent.CONFIG_APPLIED, () => {
+    if (!room.pendingParams) return;
+    room.params = room.pendingParams; // before the round (and its house edge) is created
+    room.pendingParams = null;
+
+    console.log(`⚙️ Round parameters applied in ${room.id}:`, room.params);
+    const frame = roundConfigFrame(room);
+    broadcastFrame(frame, { room });
+
+    // Every room has caught up with the operator's change
+    if (pendingRoundParams && [...rooms.values()].every(other => !other.pendingParams)) {
+      roundParams = pendingRoundParams;
+      pendingRoundParams = null;
+      provablyFairService.houseEdge = roundParams.houseEdge;
+    }
+  });
+
+  engine.on(GameEvent.TICK, ({ multiplier, now }) => {
+    // Throttled broadcast (5 Hz by default)
+    if (now - room.lastBroadcastAt >= room.params.broadcastMs) {
+      room.lastBroadcastAt = now;
+      broadcastEvent(room, 'tick', { multiplier, serverTime: now }, { droppable: true });
+      sendBalanceUpdates();
+      broadcastAll(room);
+    }
+  });
+
+  engine.on(GameEvent.BET_PLACED, ({ userId, bet, balance }) => {
+    const player = players.get(userId);
+    const username = player?.user?.username || player?.user?.firstName;
+    const entry = betFeed.addBet({ userId, slot: bet.slot, amount: bet.amount, username, avatar: player?.user?.avatar });
+    timeline.addBet({ userId, slot: bet.slot, amount: bet.amount, username, at: engine.clock.now() });
+    broadcastBetFeed(room, 'bet', { bet: entry });
+    if (!player) return;
+
+    sendToPlayer(player, {
+      type: 'betPlaced',
+      data: { slot: bet.slot, amount: bet.amount, balance, bet: serializeBet(bet) }
+    });
+
+    // 🎮 QUEST TRACKING: Track bet placement for registered users
+    if (!player.isGuest && player.user?.id) {
+      trackWrite(QuestService.trackBetPlaced(player.user.id, bet.amount).catch(error => {
+        console.error('❌ Quest tracking error (bet placed):', error);
+      }));
+    }
+  });
+
+  engine.on(GameEvent.BET_QUEUED, ({ userId, queued }) => {
+    const player = players.get(userId);
+    if (!player) return;
+
+    sendToPlayer(player, {
+      type: 'betQueued',
+      data: serializeQueuedBet(queued)
+    });
+  });
+
+  engine.on(GameEvent.BET_UNQUEUED, ({ userId, queued }) => {
+    const player = players.get(userId);
+    if (!player) return;
+
+    sendToPlayer(player, {
+      type: 'betUnqueued',
+      data: { slot: queued.slot }
+    });
+  });
+
+  engine.on(GameEvent.BET_CANCELLED, ({ userId, bet, balance }) => {
+    const entry = betFeed.remove(userId, bet.slot);
+    if (entry) broadcastBetFeed(room, 'remove', { id: entry.id });
+    timeline.removeBet(userId, bet.slot);
+
+    const player = players.get(userId);
+    if (!player) return;
+
+    sendToPlayer(player, {
+      type: 'betCancelled',
+      data: { slot: bet.slot, amount: bet.amount, balance }
+    });
+  });
+
+  engine.on(GameEvent.CASHED_OUT, ({ userId, bet, amount, winnings, multiplier, balance, isAutomatic, capped }) => {
+    const entry = betFeed.cashout(userId, bet.slot, { amount, winnings, multiplier, cashedOut: bet.cashedOut });
+    if (entry) broadcastBetFeed(room, 'cashout', { bet: entry });
+    timeline.cashout({ userId, slot: bet.slot, multiplier, amount, winnings, isAutomatic, capped, at: engine.clock.now() });
+
+    const player = players.get(userId);
+    if (!player) return;
+
+    sendToPlayer(player, {
+      type: 'cashedOut',
+      data: {
+        slot: bet.slot,
+        amount,                    // Stake settled by this cashout
+        remaining: bet.remaining,  // Stake still riding (> 0 after a partial cashout)
+        partial: !bet.cashedOut,
+        winnings,
+        multiplier,
+        balance,
+        isAutomatic, // Flag for client to distinguish auto vs manual
+        capped,      // Forced at a payout cap ('maxWin' | 'roundPayout'), else null
+        bet: serializeBet(bet)
+      }
+    });
+
+    // 🎮 QUEST TRACKING: Track successful cashout for registered users (once the bet is closed)
+    if (bet.cashedOut && !player.isGuest && player.user?.id) {
+      trackWrite(QuestService.trackCashout(player.user.id, multiplier).catch(error => {
+        console.error('❌ Quest tracking error (cashout):', error);
+      }));
+    }
+  });
+
+  engine.on(GameEvent.CRASHED, ({ round, crashPoint, lostBets }) => {
+    room.crashHistoryRounds = [round?.id || null, ...room.crashHistoryRounds].slice(0, engine.crashHistory.length);
+    broadcastEvent(room, 'crashed', { roundId: round?.id || null, crashPoint, crashHistory: engine.crashHistory, crashHistoryRounds: room.crashHistoryRounds });
+
+    // 🎮 QUEST TRACKING: Track bet losses for lucky streak reset
+    for (const { userId } of lostBets) {
+      const player = players.get(userId);
+      if (player && !player.isGuest && player.user?.id) {
+        trackWrite(QuestService.trackBetLoss(player.user.id).catch(error => {
+          console.error('❌ Quest tracking error (bet loss):', error);
+        }));
+      }
+    }
+
+    broadcastAll(room, true);
+  });
+
+  engine.on(GameEvent.ROUND_VOIDED, ({ round, refunds }) => {
+    broadcastEvent(room, 'phase', { state: engine.phase, roundId: round?.id || null, voided: true });
+    betFeed.reset();
+    timeline.reset();
+    broadcastBetFeedSnapshot(room);
+
+    const refundsByUser = new Map();
+    for (const { userId, bet, amount } of refunds) {
+      if (!refundsByUser.has(userId)) refundsByUser.set(userId, []);
+      refundsByUser.get(userId).push({ slot: bet.slot, amount });
+    }
+
+    for (const [userId, userRefunds] of refundsByUser) {
+      const player = players.get(userId);
+      if (!player) continue;
+
+      sendToPlayer(player, {
+        type: 'roundVoided',
+        data: {
+          refunds: userRefunds,
+          balance: player.isGuest ? player.guestBalance : player.user.balance
+        }
+      });
+    }
+
+    broadcastAll(room, true);
+  });
+
+  engine.on(GameEvent.ERROR, ({ userId, slot, operation, error }) => {
+    const player = userId && players.get(userId);
+    if (!player) return;
+    // A player's own command reports its failure in the command reply
+    if (commandsInFlight.has(`${userId}:${slot}:${operation}`)) return;
+
+    sendToPlayer(player, {
+      type: 'error',
+      data: {
+        slot,
+        code: errorCodeOf(error),
+        message: error.message || ({
+          cashOut: 'Failed to cashout',
+          cancelBet: 'Failed to cancel bet'
+        }[operation] || 'Failed to place bet')
+      }
+    });
+  });
+
+  room.autoBet.on(AutoBetEvent.STARTED, ({ userId }) => sendAutoBetState(room, userId));
+  room.autoBet.on(AutoBetEvent.UPDATED, ({ userId }) => sendAutoBetState(room, userId));
+  room.autoBet.on(AutoBetEvent.STOPPED, ({ userId, reason }) => {
+    sendAutoBetState(room, userId, reason);
+    // A player who left while auto-play ran is let go once it ends
+    sessions.releaseAway(userId);
+  });
+}
+
+rooms.forEach(attachRoomEvents);
+
+// =============================================================================
+// WebSocket handling - Railway-compatible with heartbeat
+// =============================================================================
+// WebSocket server with proper subprotocol handling
 const wss = new WebSocket.Server({ 
   noServer: true,
   handleProtocols: (protocols, request) => {
@@ -1537,53 +2179,202 @@ function heartbeat() {
   this.isAlive = true; 
 }
 
-function broadcastAll(force = false) {
+function countOnlinePlayers(roomId = null) {
+  return sessions.countOnline(roomId);
+}
+
+// Per-player bet fields of the playerOverlay frame. The flat fields describe
+// slot 0 and are kept for older clients; `bets` carries every slot and
+// `queued` the bets waiting for the next round.
+function buildBetOverlay(userId) {
+  const { engine } = roomOf(userId);
+  const bets = engine.getBets(userId);
+  const primary = engine.getBet(userId, 0);
+  return {
+    hasActiveBet: bets.length > 0,
+    activeBetAmount: primary?.amount || 0,
+    cashedOut: primary?.cashedOut || false,
+    cashedOutMultiplier: primary?.cashedOutMultiplier || 0,
+    bets: bets.map(serializeBet),
+    queued: engine.getQueuedBets(userId).map(serializeQueuedBet)
+  };
+}
+
+function sendResumeFrame(userId) {
+  const player = players.get(userId);
+  if (!player) return;
+
+  const data = sessions.resumeFrame(userId);
+  sendToPlayer(player, { type: 'resume', data });
+  console.log(`🔁 Resumed session for ${player.user.username}${data.bets.length ? ` with ${data.bets.length} active bet(s)` : ''}`);
+}
+
+function sendToPlayer(player, message) {
+  sendFrame(player.ws, JSON.stringify(message));
+}
+
+// Send an encoded frame. The leader's sessions hold RemoteSockets: their
+// frames go over the bus to the instance with the connection, which writes
+// them here. Written frames are stamped with the connection's sequence number
+// on v2. Droppable frames (ticks) are skipped for a connection that is
+// falling behind; the skipped number still counts, so a v2 client resyncs
+// once it has caught up.
+function sendFrame(ws, frame, { droppable = false } = {}) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+  if (ws instanceof RemoteSocket) {
+    ws.send(frame, { droppable });
+    return;
+  }
+  const sequenced = ws.protocolVersion >= PROTOCOL_VERSION;
+  const seq = sequenced ? ++ws.seq : null;
+  if (droppable && ws.bufferedAmount > 128 * 1024) return;
+  ws.send(sequenced ? sequenceFrame(frame, seq) : frame);
+}
+
+// Encode once, send to every connection speaking at least minVersion
+// (only those watching `room` when one is given) on every instance
+function broadcastFrame(frame, { room = null, minVersion = LEGACY_VERSION, droppable = false } = {}) {
+  bus.publish(Channel.BROADCAST, { kind: MessageKind.FRAME, frame, room: room?.id ?? null, minVersion, droppable })
+    .catch(error => console.error('❌ Broadcast failed:', error.message || error));
+}
+
+// A broadcast reaching this instance: write it to the connections it holds
+function deliverBroadcastFrame({ frame, room, minVersion, droppable }) {
+  for (const ws of connections.values()) {
+    if (room && ws.roomId !== room) continue;
+    if (ws.protocolVersion >= minVersion) sendFrame(ws, frame, { droppable });
+  }
+}
+
+// v2 delta event for every client watching the room
+function broadcastEvent(room, type, data, { droppable = false } = {}) {
+  broadcastFrame(JSON.stringify({ type, data }), { room, minVersion: PROTOCOL_VERSION, droppable });
+}
+
+// v2 clients get their balance only when it changed (bets, cashouts, admin
+// credits, rewards...) instead of with every broadcast
+function sendBalanceUpdates() {
+  for (const [userId, player] of players.entries()) {
+    if (!player.ws || player.ws.protocolVersion < PROTOCOL_VERSION) continue;
+    const balance = player.isGuest ? player.guestBalance : player.user.balance;
+    if (player.ws.lastBalance !== balance) sendBalanceUpdate(userId);
+  }
+}
+
+// Push a balance change made outside the bet flow (rewards, credits)
+function sendBalanceUpdate(userId) {
+  const player = players.get(userId);
+  if (!player?.ws) return;
+  const balance = player.isGuest ? player.guestBalance : player.user.balance;
+
+  if (player.ws.protocolVersion >= PROTOCOL_VERSION) {
+    player.ws.lastBalance = balance;
+    sendFrame(player.ws, JSON.stringify({ type: 'balance', data: { balance } }));
+  } else {
+    sendFrame(player.ws, JSON.stringify({ type: 'playerOverlay', data: { ...buildBetOverlay(userId), balance } }));
+  }
+}
+
+// Everything a v2 client needs to rebuild its state: sent after connecting
+// and whenever the client detects a gap in the sequence
+function snapshotFrame(userId) {
+  const player = players.get(userId);
+  const { id: room, engine, crashHistoryRounds } = roomOf(userId);
+  const snapshot = engine.getSnapshot();
+  const balance = player ? (player.isGuest ? player.guestBalance : player.user.balance) : 0;
+  if (player?.ws) player.ws.lastBalance = balance;
+
+  return JSON.stringify({
+    type: 'snapshot',
+    data: {
+      version: PROTOCOL_VERSION,
+      room,
+      state: snapshot.state,
+      roundId: snapshot.roundId,
+      multiplier: snapshot.multiplier,
+      countdown: snapshot.countdown,
+      startTime: snapshot.state === GamePhase.BETTING ? null : snapshot.startTime,
+      serverTime: engine.clock.now(),
+      crashHistory: snapshot.crashHistory,
+      crashHistoryRounds,
+      playersOnline: countOnlinePlayers(room),
+      balance,
+      isAuthenticated: !!player && !player.isGuest,
+      user: player?.isGuest ? null : player?.user || null,
+      bets: engine.getBets(userId).map(serializeBet),
+      queued: engine.getQueuedBets(userId).map(serializeQueuedBet)
+    }
+  });
+}
+
+// Everything about the player's room a connection needs after connecting or
+// switching rooms (v1 clients get the game state with the next broadcast)
+function sendRoomFrames(ws, userId) {
+  const room = roomOf(userId);
+  if (ws.protocolVersion >= PROTOCOL_VERSION) {
+    sendFrame(ws, snapshotFrame(userId));
+  }
+  sendFrame(ws, roundConfigFrame(room));
+  sendFrame(ws, betFeedFrame(room, 'snapshot', room.betFeed.snapshot()));
+}
+
+// Legacy (v1) clients: full game state and player overlay on every broadcast
+function broadcastAll(room, force = false) {
+  const snapshot = room.engine.getSnapshot();
   const frame = {
     type: 'gameState',
     data: {
-      state: gameState.state,
-      multiplier: gameState.multiplier,
-      countdown: gameState.countdown,
-      playersOnline: gameState.players.size,
-      crashHistory: gameState.crashHistory,
-      serverTime: Date.now(), // NEW: clients use this to interpolate
+      state: snapshot.state,
+      multiplier: snapshot.multiplier,
+      countdown: snapshot.countdown,
+      playersOnline: countOnlinePlayers(room.id),
+      crashHistory: snapshot.crashHistory,
+      serverTime: room.engine.clock.now(), // NEW: clients use this to interpolate
+      // Take-off time of the flight on screen: clients extrapolate the multiplier from it
+      startTime: snapshot.state === GamePhase.BETTING ? null : snapshot.startTime,
     }
   };
   const commonFrame = JSON.stringify(frame);
 
-  for (const [userId, p] of gameState.players.entries()) {
-    if (p.ws.readyState !== WebSocket.OPEN) continue;
+  for (const [userId, p] of players.entries()) {
+    // v2 clients get delta events instead
+    if (!p.ws || p.ws.readyState !== WebSocket.OPEN || p.ws.protocolVersion >= PROTOCOL_VERSION) continue;
+    if (p.roomId !== room.id) continue;
 
-    // NEW: backpressure protection — skip non-forced frames when buffer is big
-    if (!force && p.ws.bufferedAmount > 128 * 1024) {
-      // Optional: once per window, warn the client they're falling behind
-      continue;
-    }
-
-    const personalBet = gameState.activeBets.get(userId);
     const balance = p.isGuest ? p.guestBalance : p.user.balance;
 
-    p.ws.send(commonFrame);
-    p.ws.send(JSON.stringify({
+    // Backpressure protection: non-forced frames are skipped where they are
+    // written when the connection's buffer is big
+    sendFrame(p.ws, commonFrame, { droppable: !force });
+    sendFrame(p.ws, JSON.stringify({
       type: 'playerOverlay',
       data: {
-        hasActiveBet: !!personalBet,
-        activeBetAmount: personalBet && personalBet.amount || 0,
-        cashedOut: personalBet && personalBet.cashedOut || false,
-        cashedOutMultiplier: personalBet && personalBet.cashedOutMultiplier || 0,
+        ...buildBetOverlay(userId),
         balance,
         isAuthenticated: !p.isGuest,
         user: p.isGuest ? null : p.user
       }
-    }));
+    }), { droppable: !force });
   }
 }
 
+// Connections held by this instance (the gateway side): authenticated here,
+// then announced to the round leader, which opens the player's session
+const connections = new Map(); // Map<connectionId, ws>
+
+// Messages the leader takes from a connection (besides the COMMANDS)
+const FORWARDED_MESSAGES = new Set(['joinRoom', 'resync', 'autoBet']);
+
 wss.on('connection', async (ws, req) => {
   // Enable heartbeat for this connection
   ws.isAlive = true;
   ws.on('pong', heartbeat);
 
+  // Protocol version the client asked for (?v=2); older clients get v1
+  const requestUrl = new URL(req.url, `http://${req.headers.host}`);
+  ws.protocolVersion = negotiateVersion(requestUrl.searchParams.get('v'));
+  ws.seq = 0;
+
   // Per-connection simple rate limit (messages/second)
   ws._msgWindowStart = Date.now();
   ws._msgCount = 0;
@@ -1593,8 +2384,7 @@ wss.on('connection', async (ws, req) => {
   let isGuest = true;
 
   // Fred's Enhanced Authentication & Logging
-  const url = new URL(req.url, `http://${req.headers.host}`);
-  let token = url.searchParams.get('token') || req.headers.authorization?.split(' ')[1];
+  let token = requestUrl.searchParams.get('token') || req.headers.authorization?.split(' ')[1];
   
   // Also accept token via WebSocket subprotocols: ['auth','bearer.<token>']
   if (!token && req.headers['sec-websocket-protocol']) {
@@ -1641,7 +2431,7 @@ wss.on('connection', async (ws, req) => {
         console.log(`🟥 JWT OK but user not found (claimedId: ${claimedId}) - continuing as guest`);
         // Fred's Fix: tell client so it can self-heal
         try {
-          ws.send(JSON.stringify({ type: 'auth_error', data: { reason: 'STALE_TOKEN' } }));
+          sendFrame(ws, JSON.stringify({ type: 'auth_error', data: { reason: 'STALE_TOKEN' } }));
         } catch(_) {}
       } else if (!u.isActive) {
         console.log('🟥 User inactive - continuing as guest');
@@ -1667,38 +2457,25 @@ wss.on('connection', async (ws, req) => {
     }
   }
 
-  // Store player connection with cached settings
-  gameState.players.set(userId, { 
-    ws, 
-    user: user,
-    isGuest: isGuest,
-    guestBalance: isGuest ? 10000 : 0, // Guests get demo balance
-    settings: playerSettings || {} // Cache settings for server-side auto-cashout
-  });
-  
+  ws.connectionId = uuidv4();
   ws.userId = userId;
   ws.isGuest = isGuest;
+  ws.roomId = null; // Set by the leader once the session is open
+  ws.session = {
+    user,
+    isGuest,
+    settings: playerSettings || {}, // Cache settings for server-side auto-cashout
+    room: requestUrl.searchParams.get('room')
+  };
+  connections.set(ws.connectionId, ws);
   
   // 🎮 QUEST TRACKING: Track login for registered users
   if (!isGuest && user?.id) {
-    QuestService.trackLogin(user.id).catch(error => {
+    trackWrite(QuestService.trackLogin(user.id).catch(error => {
       console.error('❌ Quest tracking error (login):', error);
-    });
+    }));
   }
 
-  console.log(`📊 Sending initial crash history:`, gameState.crashHistory);
-  
-  // Send connection confirmation
-  ws.send(JSON.stringify({
-    type: 'connected',
-    data: { 
-      userId: userId,
-      playerId: userId,
-      isGuest: isGuest,
-      user: isGuest ? null : user
-    }
-  }));
-
   ws.on('message', (msg) => {
     try {
       // Rate limiting: allow up to 10 messages per second
@@ -1712,11 +2489,16 @@ wss.on('connection', async (ws, req) => {
         console.warn(`🚧 Rate limit exceeded for user ${ws.userId}`);
         // Send rate limit warning once per window
         if (ws._msgCount === 11) {
-          ws.send(JSON.stringify({
+          sendFrame(ws, JSON.stringify({
             type: 'warning',
             data: { message: 'Rate limit exceeded. Please slow down your requests.' }
           }));
         }
+        // Dropped commands are still answered so the client knows to retry
+        const dropped = JSON.parse(msg);
+        if (dropped && (COMMANDS.has(dropped.type) || dropped.type === 'joinRoom')) {
+          replyToCommand(ws, dropped, { success: false, code: ErrorCode.RATE_LIMITED, error: 'Too many requests, try again in a moment' });
+        }
         return; // Drop excess messages
       }
 
@@ -1729,20 +2511,21 @@ wss.on('connection', async (ws, req) => {
       if (data.type === 'bet') {
         const amount = Number(data.amount);
         if (!Number.isFinite(amount) || amount <= 0 || amount > 100000000) {
-          return; // invalid bet
+          replyToCommand(ws, data, { success: false, code: ErrorCode.INVALID_AMOUNT, error: 'Invalid bet amount' });
+          return;
         }
       }
 
-      const id = ws.userId;
-      if (!id) return;
-      if (data.type === 'bet') handleBet(id, data.amount);
-      if (data.type === 'cashOut') {
-        // 🚀 FRED'S FIX: Record manual cashout request timing for grace window
-        const bet = gameState.activeBets.get(id);
-        if (bet && !bet.cashedOut) {
-          bet.lastCashoutReqAt = Date.now(); // Server receive time
-        }
-        handleCashOut(id);
+      // Clock sync: echo the client's send time with ours
+      if (data.type === 'ping') {
+        sendFrame(ws, JSON.stringify({ type: 'pong', data: { clientTime: data.clientTime, serverTime: now } }));
+        return;
+      }
+
+      // Everything else is game state: the leader handles it. The receive
+      // time lets it settle a cashout the way it arrived here.
+      if (COMMANDS.has(data.type) || FORWARDED_MESSAGES.has(data.type)) {
+        publishToLeader({ kind: MessageKind.MESSAGE, connectionId: ws.connectionId, userId: ws.userId, data, receivedAt: now });
       }
     } catch (err) {
       console.error("Could not parse:", msg);
@@ -1750,16 +2533,170 @@ wss.on('connection', async (ws, req) => {
   });
 
   ws.on('close', () => {
-    gameState.players.delete(userId);
-    gameState.activeBets.delete(userId);
-    if (isGuest) {
-      console.log(`👋 Guest player ${userId} disconnected. Total players: ${gameState.players.size}`);
-    } else {
-      console.log(`👋 User ${user.username} disconnected. Total players: ${gameState.players.size}`);
-    }
+    connections.delete(ws.connectionId);
+    publishToLeader({ kind: MessageKind.LEAVE, connectionId: ws.connectionId, userId: ws.userId });
   });
+
+  announceConnection(ws);
 });
 
+// Ask the leader to open the connection's session. A newly elected leader
+// gets every connection again (refresh): it starts from the database, so
+// registered users are reloaded rather than sent with a stale balance.
+async function announceConnection(ws, { refresh = false } = {}) {
+  if (refresh && !ws.session.isGuest) {
+    try {
+      ws.session.user = await databaseService.findUserById(ws.userId) || ws.session.user;
+    } catch (error) {
+      console.error(`❌ Failed to reload ${ws.userId} for the new leader:`, error.message || error);
+    }
+  }
+  if (!connections.has(ws.connectionId)) return;
+
+  publishToLeader({
+    kind: MessageKind.JOIN,
+    connectionId: ws.connectionId,
+    userId: ws.userId,
+    protocolVersion: ws.protocolVersion,
+    ...ws.session,
+    room: ws.roomId || ws.session.room // A new leader keeps the connection in its room
+  });
+}
+
+// Frames and room changes the leader sends one of this instance's connections
+function deliverToConnection(message) {
+  const ws = connections.get(message.connectionId);
+  if (!ws) return;
+
+  switch (message.kind) {
+    case MessageKind.FRAME:
+      sendFrame(ws, message.frame, { droppable: message.droppable });
+      break;
+    case MessageKind.ROOM:
+      ws.roomId = message.room;
+      break;
+    case MessageKind.CLOSE:
+      try { ws.close(message.code, message.reason); } catch (_) {}
+      break;
+  }
+}
+
+// Open a player session for a connection on any instance (leader only)
+function openSession({ instanceId: gatewayId, connectionId, userId, protocolVersion, user, isGuest, settings, room: requestedRoom }) {
+  const ws = new RemoteSocket(bus, { instanceId: gatewayId, connectionId, userId, protocolVersion });
+
+  // A returning user inside the reconnection grace period keeps their round
+  // state, and their room while bets or auto-play still run there
+  const { player, room, isResume } = sessions.open({ ws, userId, user, isGuest, settings, roomId: resolveRoomId(requestedRoom) });
+  ws.joinRoom(room.id);
+
+  console.log(`📊 Sending initial crash history (${room.id}):`, room.engine.crashHistory);
+  
+  // Send connection confirmation
+  sendFrame(ws, JSON.stringify({
+    type: 'connected',
+    data: { 
+      userId: userId,
+      playerId: userId,
+      isGuest: isGuest,
+      user: isGuest ? null : player.user,
+      protocolVersion,
+      room: room.id,
+      rooms: [...rooms.values()].map(roomSummary)
+    }
+  }));
+  sendRoomFrames(ws, userId);
+  if (shutdownState || systemConfigService.getMaintenance().enabled) {
+    sendFrame(ws, maintenanceFrame());
+  }
+
+  // Tell a reconnecting user where their bet stands
+  if (isResume) {
+    sendResumeFrame(userId);
+    if (room.autoBet.getSession(userId)) {
+      sendAutoBetState(room, userId);
+    }
+  }
+}
+
+// A connection closed on its instance (leader only)
+function closeSession({ connectionId, userId }) {
+  const player = sessions.close({ connectionId, userId });
+  if (!player) return; // Already replaced by a newer connection
+
+  if (player.isGuest) {
+    console.log(`👋 Guest player ${userId} disconnected. Total players: ${countOnlinePlayers()}`);
+  } else {
+    console.log(`👋 User ${player.user.username} disconnected (grace ${RECONNECT_GRACE_MS / 1000}s). Total players: ${countOnlinePlayers()}`);
+  }
+}
+
+// Something a player sent, forwarded by the instance holding the connection (leader only)
+function handlePlayerMessage({ instanceId: gatewayId, connectionId, userId, data, receivedAt }) {
+  const player = players.get(userId);
+  if (!player?.ws || player.ws.connectionId !== connectionId) {
+    // Sent before the session opened, or on a connection that was replaced
+    if (COMMANDS.has(data.type) || data.type === 'joinRoom') {
+      const ws = new RemoteSocket(bus, { instanceId: gatewayId, connectionId, userId });
+      replyToCommand(ws, data, { success: false, code: ErrorCode.NOT_CONNECTED, error: 'Player not connected' });
+    }
+    return;
+  }
+  const { ws } = player;
+  const { engine } = roomOf(userId);
+
+  if (COMMANDS.has(data.type) && !engine.isValidSlot(commandSlot(data))) {
+    replyToCommand(ws, data, { success: false, code: ErrorCode.INVALID_SLOT, error: 'Invalid bet slot' });
+    return;
+  }
+
+  // v2 client missed a frame: start it over from a fresh snapshot
+  if (data.type === 'resync') {
+    sendFrame(ws, snapshotFrame(userId));
+    return;
+  }
+
+  if (data.type === 'joinRoom') {
+    replyToCommand(ws, data, handleJoinRoom(ws, data.room));
+    return;
+  }
+
+  if (COMMANDS.has(data.type)) {
+    runCommand(ws, data, forwardedReceiveTime(receivedAt, engine.clock.now(), CRASH_SETTLE_MS));
+  }
+  if (data.type === 'autoBet') handleAutoBet(userId, data.action);
+}
+
+// Sessions, commands and rewards for the round leader
+function handleLeaderMessage(message) {
+  switch (message.kind) {
+    case MessageKind.JOIN:
+      openSession(message);
+      break;
+    case MessageKind.LEAVE:
+      closeSession(message);
+      break;
+    case MessageKind.MESSAGE:
+      handlePlayerMessage(message);
+      break;
+    case MessageKind.BALANCE: {
+      const player = players.get(message.userId);
+      if (player && player.user) {
+        player.user.balance = message.balance;
+        sendBalanceUpdate(message.userId); // Sync the UI
+      }
+      break;
+    }
+    case MessageKind.SETTINGS: {
+      const player = players.get(message.userId);
+      if (player) {
+        player.settings = message.settings || player.settings;
+      }
+      break;
+    }
+  }
+}
+
 // Heartbeat system - ping clients every 15s to keep connections alive
 const heartbeatInterval = setInterval(() => {
   wss.clients.forEach((ws) => {
@@ -1819,117 +2756,160 @@ server.on('upgrade', (req, socket, head) => {
 // =============================================================================
 // Bet / CashOut logic
 // =============================================================================
-async function handleBet(userId, amount) {
-  const player = gameState.players.get(userId);
-  if (!player || gameState.state !== 'betting') return;
+// Player commands and the engine operation behind each (see GameEvent.ERROR).
+// A command carrying a requestId is answered with an ack or an error frame;
+// retries with the same requestId replay the first answer.
+const COMMANDS = new Map([
+  ['bet', 'placeBet'],
+  ['cancelBet', 'cancelBet'],
+  ['cashOut', 'cashOut']
+]);
+const commandLog = new CommandLog();
+const commandsInFlight = new Set(); // `${userId}:${slot}:${operation}`
+
+// Older clients don't send a slot: treat as the first bet panel
+const commandSlot = (data) => (data.slot === undefined ? 0 : Number(data.slot));
+
+async function runCommand(ws, data, receivedAt) {
+  const userId = ws.userId;
+  const slot = commandSlot(data);
+  const execute = async () => {
+    const key = `${userId}:${slot}:${COMMANDS.get(data.type)}`;
+    commandsInFlight.add(key);
+    try {
+      if (data.type === 'bet') return await handleBet(userId, Number(data.amount), slot, data.autoCashout);
+      if (data.type === 'cancelBet') return await handleCancelBet(userId, slot);
+      return await handleCashOut(userId, slot, data.fraction === undefined ? 1 : Number(data.fraction), receivedAt);
+    } finally {
+      commandsInFlight.delete(key);
+    }
+  };
 
-  // Get current balance
-  const currentBalance = player.isGuest ? player.guestBalance : player.user.balance;
-  
-  if (amount > currentBalance) return;
+  const result = isValidRequestId(data.requestId)
+    ? await commandLog.run(`${userId}:${data.requestId}`, execute)
+    : await execute();
+  // A retry may have arrived on a newer connection than the one that ran it
+  replyToCommand(players.get(userId)?.ws || ws, data, result);
+}
 
-  let betId = null;
-  
-  // Deduct bet amount
-  if (player.isGuest) {
-    player.guestBalance -= amount;
-  } else {
-    // Use placeBet which handles balance update and bet recording
-    if (currentGameRound) {
-      try {
-        const bet = await databaseService.placeBet(userId, currentGameRound.id, amount);
-        betId = bet.id;
-        // Update cached user balance
-        player.user.balance = parseFloat(player.user.balance) - amount;
-      } catch (error) {
-        console.error('❌ Failed to place bet:', error);
-        player.ws.send(JSON.stringify({ 
-          type: 'error', 
-          data: { message: error.message || 'Failed to place bet' } 
-        }));
-        return;
-      }
-    }
+// Acks only go to clients that asked for one (sent a requestId)
+function replyToCommand(ws, data, result) {
+  const requestId = isValidRequestId(data.requestId) ? data.requestId : null;
+  const reply = data.type === 'joinRoom'
+    ? { requestId, command: data.type, room: result.room ?? null }
+    : { requestId, command: data.type, slot: commandSlot(data) };
+  if (result.success) {
+    if (!requestId) return;
+    sendFrame(ws, JSON.stringify({
+      type: 'ack',
+      data: data.type === 'joinRoom' ? reply : { ...reply, queued: !!result.queued, balance: result.balance ?? null }
+    }));
+    return;
   }
+  sendFrame(ws, JSON.stringify({
+    type: 'error',
+    data: { ...reply, code: result.code || ErrorCode.SERVER_ERROR, message: result.error }
+  }));
+}
 
-  // 🚀 FRED'S FIX: Tag bet with auto-cashout target from cached settings
-  const autoTarget = (player?.settings?.autoCashoutEnabled && Number(player?.settings?.autoCashoutMultiplier) > 1)
-    ? Number(player.settings.autoCashoutMultiplier)
-    : null;
+function handleBet(userId, amount, slot = 0, autoCashout) {
+  const player = players.get(userId);
+  if (!player) {
+    return { success: false, code: ErrorCode.NOT_CONNECTED, error: 'Player not connected' };
+  }
 
-  gameState.activeBets.set(userId, {
-    amount,
-    cashedOut: false,
-    cashedOutMultiplier: 0,
-    betId,
-    autoTarget,               // 🎯 Server-side auto-cashout target
-    lastCashoutReqAt: null    // 🕒 Manual cashout timing for grace window
-  });
+  if (systemConfigService.getMaintenance().enabled) {
+    return { success: false, code: ErrorCode.MAINTENANCE, error: 'Betting is paused for maintenance' };
+  }
 
-  const newBalance = player.isGuest ? player.guestBalance : player.user.balance;
-  player.ws.send(JSON.stringify({ 
-    type: 'betPlaced', 
-    data: { amount, balance: newBalance } 
-  }));
-  
-  // 🎮 QUEST TRACKING: Track bet placement for registered users
-  if (!player.isGuest && player.user?.id) {
-    QuestService.trackBetPlaced(player.user.id, amount).catch(error => {
-      console.error('❌ Quest tracking error (bet placed):', error);
-    });
+  // Each bet panel can carry its own auto-cashout target (null = off); without
+  // one, fall back to the cached settings like older clients expect
+  let autoTarget;
+  if (autoCashout !== undefined) {
+    autoTarget = Number(autoCashout) > 1 ? Number(autoCashout) : null;
+  } else {
+    // 🚀 FRED'S FIX: Tag bet with auto-cashout target from cached settings
+    autoTarget = (player?.settings?.autoCashoutEnabled && Number(player?.settings?.autoCashoutMultiplier) > 1)
+      ? Number(player.settings.autoCashoutMultiplier)
+      : null;
   }
+
+  // Bets made while a round is in flight are held for the next betting phase
+  const { engine, autoBet } = roomOf(userId);
+  if (autoBet.reservesSlot(userId, slot)) {
+    return { success: false, code: ErrorCode.SLOT_TAKEN, error: 'Auto-bet is playing this slot' };
+  }
+  if (engine.phase !== GamePhase.BETTING) {
+    return engine.queueBet(userId, amount, { slot, autoTarget });
+  }
+  return engine.placeBet(userId, amount, { slot, autoTarget });
 }
 
-async function handleCashOut(userId, isAutomatic = false) {
-  const player = gameState.players.get(userId);
-  const bet = gameState.activeBets.get(userId);
-  if (!player || !bet || bet.cashedOut || gameState.state !== 'running') return;
-  
-  const winnings = Math.floor(bet.amount * gameState.multiplier);
-  bet.cashedOut = true;
-  bet.cashedOutMultiplier = gameState.multiplier;
-  
-  // Add winnings to balance
+function handleCancelBet(userId, slot = 0) {
+  const { engine, autoBet } = roomOf(userId);
+  if (autoBet.reservesSlot(userId, slot)) {
+    return { success: false, code: ErrorCode.SLOT_TAKEN, error: 'Stop auto-bet to cancel its bet' };
+  }
+  if (engine.getQueuedBet(userId, slot)) {
+    return engine.unqueueBet(userId, slot);
+  }
+  // Only possible while betting is open; the engine refunds through the store
+  return engine.cancelBet(userId, slot);
+}
+
+async function handleAutoBet(userId, action) {
+  const player = players.get(userId);
+  if (!player) return;
+
+  const { autoBet } = roomOf(userId);
+  if (action === 'stop') {
+    return autoBet.stop(userId, StopReason.USER);
+  }
+  if (action !== 'start') return;
+
   if (player.isGuest) {
-    player.guestBalance += winnings;
-  } else {
-    // Use cashoutBet which handles balance update and bet recording
-    if (bet.betId) {
-      try {
-        await databaseService.cashoutBet(bet.betId, gameState.multiplier);
-        // Update cached user balance
-        player.user.balance = parseFloat(player.user.balance) + winnings;
-      } catch (error) {
-        console.error('❌ Failed to cashout bet:', error);
-        // Revert cashout state
-        bet.cashedOut = false;
-        bet.cashedOutMultiplier = 0;
-        player.ws.send(JSON.stringify({ 
-          type: 'error', 
-          data: { message: error.message || 'Failed to cashout' } 
-        }));
-        return;
-      }
-    }
+    sendToPlayer(player, { type: 'error', data: { message: 'Sign in to use auto-bet' } });
+    return;
   }
 
-  const newBalance = player.isGuest ? player.guestBalance : player.user.balance;
-  player.ws.send(JSON.stringify({ 
-    type: 'cashedOut', 
-    data: { 
-      winnings, 
-      multiplier: bet.cashedOutMultiplier, 
-      balance: newBalance,
-      isAutomatic // 🚀 FRED'S FIX: Flag for client to distinguish auto vs manual
-    } 
-  }));
-  
-  // 🎮 QUEST TRACKING: Track successful cashout for registered users
-  if (!player.isGuest && player.user?.id) {
-    QuestService.trackCashout(player.user.id, bet.cashedOutMultiplier).catch(error => {
-      console.error('❌ Quest tracking error (cashout):', error);
-    });
+  // Always start from the saved strategy so what runs is what the player sees
+  const strategy = await databaseService.getAutoBetStrategy(userId);
+  const result = autoBet.start(userId, strategy);
+  if (!result.success) {
+    sendToPlayer(player, { type: 'error', data: { message: result.error } });
   }
+  return result;
+}
+
+function handleCashOut(userId, slot = 0, fraction = 1, receivedAt) {
+  // Manual cashout; the engine settles it as of the time the instance holding
+  // the connection received it (grace window, crash settling)
+  return roomOf(userId).engine.requestCashOut(userId, slot, fraction, receivedAt);
+}
+
+// Move a connection to another room. Bets and auto-play stay in the room they
+// were made in, so a player switches once they have settled.
+function handleJoinRoom(ws, roomId) {
+  const room = typeof roomId === 'string' ? rooms.get(roomId) : null;
+  if (!room) {
+    return { success: false, code: ErrorCode.INVALID_ROOM, error: 'Unknown room' };
+  }
+  const player = players.get(ws.userId);
+  if (!player || player.ws !== ws) {
+    return { success: false, code: ErrorCode.NOT_CONNECTED, error: 'Player not connected' };
+  }
+
+  const current = roomOf(ws.userId);
+  if (current !== room) {
+    if (hasOpenPlay(current, ws.userId)) {
+      return { success: false, code: ErrorCode.ROOM_BUSY, error: 'Finish your bets and stop auto-bet before switching rooms', room: current.id };
+    }
+    player.roomId = room.id;
+    ws.joinRoom(room.id);
+    console.log(`🚪 ${ws.userId} joined room ${room.id}`);
+  }
+  sendRoomFrames(ws, ws.userId);
+  return { success: true, room: room.id };
 }
 
 // =============================================================================
@@ -1938,12 +2918,28 @@ async function handleCashOut(userId, isAutomatic = false) {
 app.get('/api/health', (_, res) => {
   res.json({ 
     status: 'OK', 
-    players: gameState.players.size,
+    players: currentGameState()?.playersOnline ?? 0,
+    instanceId,
+    leader: election.isLeader,
+    settlementBacklog: settlementQueue.size,
+    settlementDeadLetters: settlementQueue.deadLetters.length,
     environment: process.env.NODE_ENV || 'development',
     timestamp: new Date().toISOString()
   });
 });
-app.get('/api/game-state', (_,res)=>res.json({ state:gameState.state, multiplier:gameState.multiplier, countdown:gameState.countdown, players:gameState.players.size }));
+app.get('/api/game-state', (req,res)=>{
+  const gameState = requireGameState(res);
+  if (!gameState) return;
+  const room = gameState.rooms.find(({ id }) => id === resolveRoomId(req.query.room));
+  const { state, multiplier, countdown } = room.game;
+  res.json({ room: room.id, state, multiplier, countdown, players: room.playersOnline });
+});
+// Rooms with their round parameters, for the room picker
+app.get('/api/rooms', (_, res) => {
+  const gameState = requireGameState(res);
+  if (!gameState) return;
+  res.json({ success: true, rooms: gameState.rooms.map(({ game, ...room }) => room) });
+});
 
 // Error handling middleware (must be last)
 app.use(notFound);
@@ -2086,13 +3082,281 @@ app.post('/api/admin/fix-referral-codes', requireAdmin, async (req, res) => {
   }
 });
 
-server.listen(PORT, () => {
+// =============================================================================
+// MAINTENANCE MODE
+// =============================================================================
+// Operators pause betting from the admin dashboard: the round in progress
+// plays out, then the loop holds before the next betting phase.
+
+function maintenanceFrame() {
+  if (shutdownState) {
+    return JSON.stringify({
+      type: 'maintenance',
+      data: {
+        active: true,
+        reason: 'restart',
+        message: 'The server is restarting. Bets will reopen shortly.',
+        expectedReturnAt: shutdownState.expectedReturnAt
+      }
+    });
+  }
+
+  const { enabled, message } = systemConfigService.getMaintenance();
+  return JSON.stringify({
+    type: 'maintenance',
+    data: { active: enabled, reason: 'maintenance', message, expectedReturnAt: null }
+  });
+}
+
+function broadcastMaintenance() {
+  const frame = maintenanceFrame();
+  broadcastFrame(frame);
+}
+
+function allRoomsPaused() {
+  return [...rooms.values()].every(room => room.engine.paused);
+}
+
+// Align every room's game loop and clients with the persisted flag
+function applyMaintenance() {
+  const { enabled } = systemConfigService.getMaintenance();
+  for (const { engine } of rooms.values()) {
+    if (enabled) {
+      engine.pause();
+    } else {
+      engine.resume();
+    }
+  }
+  console.log(`🛠️ Maintenance mode ${enabled ? 'on' : 'off'}`);
+  broadcastMaintenance();
+}
+
+// =============================================================================
+// ROUND LEADER
+// =============================================================================
+// The elected instance runs the rooms and publishes a summary of the game for
+// the REST endpoints of every instance. It steps down on shutdown (handing
+// over right away) or when it can no longer renew its lock.
+const GAME_STATE_INTERVAL_MS = 1000;
+let sharedGameState = null; // Last summary the leader published
+let gameStateTimer = null;
+
+function gameState() {
+  return {
+    leaderId: instanceId,
+    roundParams,
+    pendingRoundParams,
+    paused: allRoomsPaused(),
+    playersOnline: countOnlinePlayers(),
+    rooms: [...rooms.values()].map(room => {
+      const { state, multiplier, countdown, roundId, activeBets } = room.engine.getSnapshot();
+      return { ...roomSummary(room), game: { state, multiplier, countdown, roundId, activeBets } };
+    })
+  };
+}
+
+function currentGameState() {
+  return election.isLeader ? gameState() : sharedGameState;
+}
+
+// REST reads before any leader has published its state
+function requireGameState(res) {
+  const state = currentGameState();
+  if (!state) {
+    res.status(503).json({ error: 'The game is starting, try again in a moment' });
+  }
+  return state;
+}
+
+function publishGameState() {
+  bus.publish(Channel.BROADCAST, { kind: MessageKind.STATE, state: gameState() })
+    .catch(error => console.error('❌ Failed to publish game state:', error.message || error));
+}
+
+// Operator settings are saved by whichever instance took the admin request
+function publishConfigChange(changed) {
+  bus.publish(Channel.BROADCAST, { kind: MessageKind.CONFIG, changed })
+    .catch(error => console.error('❌ Failed to publish config change:', error.message || error));
+}
+
+// Every instance refreshes its cache; the leader applies the change to the rooms
+async function reloadSystemConfig(changed = null) {
+  try {
+    await systemConfigService.load();
+  } catch (error) {
+    console.error('❌ Failed to load system config:', error);
+    return;
+  }
+  if (!election.isLeader) return;
+
+  if (changed === 'roundParams') scheduleRoundParams(systemConfigService.getRoundParams());
+  if (changed === 'maintenance') applyMaintenance();
+  publishGameState();
+}
+
+function handleBroadcast(message) {
+  switch (message.kind) {
+    case MessageKind.FRAME:
+      deliverBroadcastFrame(message);
+      break;
+    case MessageKind.STATE:
+      sharedGameState = message.state;
+      break;
+    case MessageKind.CONFIG:
+      reloadSystemConfig(message.changed);
+      break;
+    case MessageKind.LEADER:
+      console.log(`👑 Round leader is now ${message.leaderId}, announcing ${connections.size} connection(s)`);
+      connections.forEach(ws => announceConnection(ws, { refresh: true }));
+      break;
+  }
+}
+
+election.on(LeaderEvent.ELECTED, async () => {
+  // The election waited for the previous leader to hand over (or give up on)
+  // its settlements; rounds that still look live are checked again later
+  await recoverUnfinishedRounds(new Date());
+  await loadSystemConfig();
+  rooms.forEach(room => room.engine.start());
+  reconciliationJob.start();
+
+  await bus.subscribe(Channel.LEADER, handleLeaderMessage);
+  gameStateTimer = setInterval(publishGameState, GAME_STATE_INTERVAL_MS);
+  publishGameState();
+  // Connections opened before this instance took over get their sessions here
+  bus.publish(Channel.BROADCAST, { kind: MessageKind.LEADER, leaderId: instanceId });
+});
+
+election.on(LeaderEvent.DEPOSED, async () => {
+  // Another instance may run the rounds by now: never run two game loops
+  clearInterval(gameStateTimer);
+  reconciliationJob.stop();
+  rooms.forEach(room => room.engine.stop());
+  // Write what was already paid out before the new leader voids the open rounds
+  if (!(await settlementQueue.drain({ timeoutMs: 2000 }))) {
+    console.error(`❌ ${settlementQueue.size} settlement(s) lost with the leadership`);
+  }
+  // The new leader may recover the open rounds now
+  try {
+    await election.handOver();
+  } catch (error) {
+    console.error('❌ Leadership handover failed:', error.message || error);
+  }
+  process.exit(1);
+});
+
+// =============================================================================
+// GRACEFUL SHUTDOWN
+// =============================================================================
+// On SIGTERM (redeploys) the leader's engines stop opening rounds and wind
+// down the current one, clients are told when to expect the game back,
+// pending writes are flushed and leadership is handed over; only then are the
+// sockets and the HTTP server closed. Other instances just close their sockets.
+const SHUTDOWN_DRAIN_MS = parseInt(process.env.SHUTDOWN_DRAIN_MS) || 20000;       // max flight time left to land normally
+const SHUTDOWN_DOWNTIME_MS = parseInt(process.env.SHUTDOWN_DOWNTIME_MS) || 60000; // expected time until the server is back
+let shutdownState = null; // { expectedReturnAt } once draining
+
+async function gracefulShutdown(signal) {
+  if (shutdownState) return;
+  shutdownState = { expectedReturnAt: Date.now() + SHUTDOWN_DRAIN_MS + SHUTDOWN_DOWNTIME_MS };
+  console.log(`🛑 ${signal} received, draining before shutdown...`);
+
+  // Never hang a redeploy if something below gets stuck
+  setTimeout(() => {
+    console.error('❌ Graceful shutdown timed out, exiting');
+    process.exit(1);
+  }, SHUTDOWN_DRAIN_MS + 15000).unref();
+
+  if (election.isLeader) {
+    broadcastMaintenance();
+
+    const drained = await Promise.all([...rooms.values()].map(async (room) => {
+      room.autoBet.stopAll(StopReason.SHUTDOWN);
+      const { voided } = await room.engine.drain({ timeoutMs: SHUTDOWN_DRAIN_MS });
+      return voided ? room.id : null;
+    }));
+    const voided = drained.filter(Boolean);
+    console.log(`🛬 Game loops drained${voided.length ? ` (current round voided and refunded in ${voided.join(', ')})` : ''}`);
+    clearInterval(gameStateTimer);
+    reconciliationJob.stop();
+  } else {
+    // The game carries on: only this instance's connections go away
+    const frame = maintenanceFrame();
+    connections.forEach(ws => sendFrame(ws, frame));
+  }
+
+  await Promise.allSettled([...pendingWrites]);
+  if (!(await settlementQueue.drain())) {
+    console.error(`❌ ${settlementQueue.size} settlement(s) could not be written before shutdown`);
+  }
+  await election.stop();
+
+  clearInterval(heartbeatInterval);
+  wss.clients.forEach((ws) => ws.close(1012, 'Server restarting'));
+  await new Promise(resolve => wss.close(resolve));
+  await new Promise(resolve => {
+    server.close(resolve);
+    server.closeIdleConnections?.();
+  });
+
+  await Promise.allSettled([bus.close(), prisma.$disconnect(), sharedPrisma.$disconnect()]);
+  console.log('👋 Shutdown complete');
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+// Rounds a crashed/killed process left unfinished are voided and refunded
+// before the game loop starts, so no stake stays deducted. A round with
+// cashouts or updates from the last RECOVERY_QUIET_MS may still be getting
+// its settlements from the previous leader: it is voided once it has gone quiet.
+const RECOVERY_QUIET_MS = 30 * 1000;
+
+async function recoverUnfinishedRounds(electedAt) {
+  try {
+    const { voided, skipped } = await databaseService.voidUnfinishedRounds({ createdBefore: electedAt, quietMs: RECOVERY_QUIET_MS });
+    if (voided.length > 0) {
+      console.log(`♻️ Recovered ${voided.length} unfinished round(s) from a previous run`);
+    }
+    if (skipped > 0) {
+      console.log(`⏳ ${skipped} unfinished round(s) still settling, recovering them in ${RECOVERY_QUIET_MS / 1000}s`);
+      setTimeout(() => {
+        if (election.isLeader) recoverUnfinishedRounds(electedAt);
+      }, RECOVERY_QUIET_MS);
+    }
+  } catch (error) {
+    console.error('❌ Crash recovery failed:', error);
+  }
+}
+
+// Round parameters and maintenance mode survive restarts (and leader
+// changes): apply them before the loop starts
+async function loadSystemConfig() {
+  try {
+    await systemConfigService.load();
+    scheduleRoundParams(systemConfigService.getRoundParams());
+    if (systemConfigService.getMaintenance().enabled) {
+      rooms.forEach(room => room.engine.pause());
+      console.log('🛠️ Starting in maintenance mode');
+    }
+  } catch (error) {
+    console.error('❌ Failed to load system config:', error);
+  }
+}
+
+server.listen(PORT, async () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔐 CORS origins: ${allowedOrigins.join(', ') || 'development mode (all origins)'}`);
   console.log(`🎯 Telegram origins supported: ${TELEGRAM_ORIGINS.join(', ')}`);
+  console.log(`🧭 Instance ${instanceId} (${process.env.REDIS_URL ? 'Redis' : 'in-process'} bus)`);
   console.log('✅ Server started successfully');
-  startGameLoop();
+  await bus.subscribe(Channel.instance(instanceId), deliverToConnection);
+  await bus.subscribe(Channel.BROADCAST, handleBroadcast);
+  await reloadSystemConfig();
+  // The elected instance recovers unfinished rounds and starts the game loops
+  await election.start();
 }).on('error', (err) => {
   console.error('❌ Server failed to start:', err);
   process.exit(1);
@@ -5,7 +5,7 @@ class AdminAuditService {
   /**
    * Log an admin action
    * @param {Object} params
-   * @param {string} params.adminUserId - ID of the admin performing the action
+   * @param {string|null} params.adminUserId - ID of the admin performing the action (null for system actions)
    * @param {string} params.action - Action type (e.g., 'USER_BALANCE_ADJUST')
    * @param {string} params.targetType - Target type ('USER', 'ROUND', 'REFERRAL', 'SYSTEM')
    * @param {string} params.targetId - ID of the target entity
@@ -0,0 +1,218 @@
+// 🤖 Auto-Bet Controller - Server-driven auto-play
+// Places a bet for every active session when betting opens, settles it from
+// the engine's cashout/crash events and adjusts the next stake according to
+// the player's strategy. Runs entirely in the game loop, so it keeps going
+// while the player's tab is in the background or the player is gone: a
+// session without a rounds or loss limit of its own stops after
+// maxAwayRounds rounds played away. Auto-play owns its slot while it runs.
+
+const { EventEmitter } = require('events');
+const { GameEvent } = require('./gameEngine');
+const { ErrorCode } = require('../lib/commands');
+
+const AutoBetAdjustment = Object.freeze({
+  RESET: 'RESET',       // go back to the base bet
+  MULTIPLY: 'MULTIPLY'  // multiply the last bet by the factor
+});
+
+const AutoBetEvent = Object.freeze({
+  STARTED: 'autoBetStarted',
+  UPDATED: 'autoBetUpdated',
+  STOPPED: 'autoBetStopped'
+});
+
+/**
+ * Why a session ended (sent to the client with AutoBetEvent.STOPPED)
+ */
+const StopReason = Object.freeze({
+  USER: 'user',
+  ROUNDS_COMPLETED: 'roundsCompleted',
+  PROFIT_TARGET: 'profitTarget',
+  LOSS_LIMIT: 'lossLimit',
+  BET_FAILED: 'betFailed',
+  DISCONNECTED: 'disconnected', // Played maxAwayRounds while the player was away, with no limit of its own
+  SHUTDOWN: 'shutdown'
+});
+
+const roundPoints = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate a strategy coming from a client or the database
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateStrategy(strategy) {
+  if (!strategy) return { valid: false, error: 'No auto-bet strategy saved' };
+  const { baseBet, autoCashout, rounds, onWin, onWinFactor, onLoss, onLossFactor, stopOnProfit, stopOnLoss } = strategy;
+
+  if (!(baseBet > 0)) return { valid: false, error: 'Base bet must be positive' };
+  if (!(autoCashout > 1)) return { valid: false, error: 'Auto-cashout must be above 1.00x' };
+  if (!Number.isInteger(rounds) || rounds < 0) return { valid: false, error: 'Rounds must be 0 (unlimited) or more' };
+  for (const [adjustment, factor] of [[onWin, onWinFactor], [onLoss, onLossFactor]]) {
+    if (!Object.values(AutoBetAdjustment).includes(adjustment)) return { valid: false, error: 'Unknown bet adjustment' };
+    if (adjustment === AutoBetAdjustment.MULTIPLY && !(factor > 0)) return { valid: false, error: 'Multiply factor must be positive' };
+  }
+  if (stopOnProfit != null && !(stopOnProfit > 0)) return { valid: false, error: 'Stop-on-profit must be positive' };
+  if (stopOnLoss != null && !(stopOnLoss > 0)) return { valid: false, error: 'Stop-on-loss must be positive' };
+  return { valid: true };
+}
+
+/**
+ * Stake for the round after a settled bet
+ */
+function nextBetAmount(strategy, lastAmount, won) {
+  const adjustment = won ? strategy.onWin : strategy.onLoss;
+  const factor = won ? strategy.onWinFactor : strategy.onLossFactor;
+  if (adjustment === AutoBetAdjustment.MULTIPLY) {
+    return roundPoints(lastAmount * factor);
+  }
+  return strategy.baseBet;
+}
+
+class AutoBetController extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {import('./gameEngine').GameEngine} options.engine
+   * @param {number} [options.slot] - Bet slot used for auto-play bets
+   * @param {number} [options.maxAwayRounds] - Rounds an unlimited session plays while its player is away
+   */
+  constructor({ engine, slot = 0, maxAwayRounds = 100 }) {
+    super();
+    this.engine = engine;
+    this.slot = slot;
+    this.maxAwayRounds = maxAwayRounds;
+    this.sessions = new Map(); // Map<userId, session>
+
+    engine.on(GameEvent.BETTING_STARTED, () => this.placeBets());
+    engine.on(GameEvent.CASHED_OUT, ({ userId, bet }) => {
+      if (bet.cashedOut) this.settle(userId, bet); // Partial cashouts settle at the end
+    });
+    engine.on(GameEvent.CRASHED, ({ lostBets }) => {
+      for (const { userId, bet } of lostBets) {
+        this.settle(userId, bet);
+      }
+    });
+  }
+
+  /**
+   * Start auto-play; the first bet goes in when the next betting phase opens
+   */
+  start(userId, strategy) {
+    const { valid, error } = validateStrategy(strategy);
+    if (!valid) {
+      return { success: false, error };
+    }
+    if (this.sessions.has(userId)) {
+      return { success: false, error: 'Auto-bet already running' };
+    }
+    if (this.engine.getQueuedBet(userId, this.slot)) {
+      return { success: false, code: ErrorCode.SLOT_TAKEN, error: 'Cancel the bet queued in the auto-play slot first' };
+    }
+
+    const session = {
+      userId,
+      strategy: { ...strategy },
+      nextBet: strategy.baseBet,
+      roundsPlayed: 0,
+      profit: 0,
+      awayRounds: null, // rounds played since the player went away (null: connected)
+      bet: null // engine bet for the current round
+    };
+    this.sessions.set(userId, session);
+    console.log(`🤖 Auto-bet started for ${userId}: ${strategy.baseBet} pts @ ${strategy.autoCashout}x`);
+    this.emit(AutoBetEvent.STARTED, { userId, session });
+    return { success: true, session };
+  }
+
+  stop(userId, reason = StopReason.USER) {
+    const session = this.sessions.get(userId);
+    if (!session) {
+      return { success: false, error: 'Auto-bet is not running' };
+    }
+
+    this.sessions.delete(userId);
+    console.log(`🤖 Auto-bet stopped for ${userId} (${reason}) after ${session.roundsPlayed} rounds, profit ${session.profit}`);
+    this.emit(AutoBetEvent.STOPPED, { userId, session, reason });
+    return { success: true, session };
+  }
+
+  stopAll(reason) {
+    for (const userId of [...this.sessions.keys()]) {
+      this.stop(userId, reason);
+    }
+  }
+
+  getSession(userId) {
+    return this.sessions.get(userId) || null;
+  }
+
+  /**
+   * Whether auto-play holds the slot: manual and queued bets go elsewhere
+   */
+  reservesSlot(userId, slot) {
+    return slot === this.slot && this.sessions.has(userId);
+  }
+
+  /**
+   * The player left (reconnection grace expired) or came back; the session
+   * keeps playing either way
+   */
+  setAway(userId, away) {
+    const session = this.sessions.get(userId);
+    if (session) {
+      session.awayRounds = away ? (session.awayRounds ?? 0) : null;
+    }
+  }
+
+  async placeBets() {
+    await Promise.all([...this.sessions.values()].map(async (session) => {
+      const { userId, strategy } = session;
+      const result = await this.engine.placeBet(userId, session.nextBet, {
+        slot: this.slot,
+        autoTarget: strategy.autoCashout
+      });
+
+      if (this.sessions.get(userId) !== session) return; // Stopped meanwhile
+      if (!result.success) {
+        this.stop(userId, StopReason.BET_FAILED);
+        return;
+      }
+      session.bet = result.bet;
+    }));
+  }
+
+  settle(userId, bet) {
+    const session = this.sessions.get(userId);
+    if (!session || !bet || session.bet !== bet) return;
+
+    // bet.payout includes any partial cashouts made manually during the round
+    const won = bet.payout > bet.amount;
+    session.bet = null;
+    session.roundsPlayed++;
+    session.profit = roundPoints(session.profit + bet.payout - bet.amount);
+    session.nextBet = nextBetAmount(session.strategy, bet.amount, won);
+    if (session.awayRounds !== null) session.awayRounds++;
+
+    const { rounds, stopOnProfit, stopOnLoss } = session.strategy;
+    const limited = rounds > 0 || !!stopOnLoss;
+    if (rounds > 0 && session.roundsPlayed >= rounds) {
+      this.stop(userId, StopReason.ROUNDS_COMPLETED);
+    } else if (stopOnProfit && session.profit >= stopOnProfit) {
+      this.stop(userId, StopReason.PROFIT_TARGET);
+    } else if (stopOnLoss && -session.profit >= stopOnLoss) {
+      this.stop(userId, StopReason.LOSS_LIMIT);
+    } else if (!limited && session.awayRounds !== null && session.awayRounds >= this.maxAwayRounds) {
+      this.stop(userId, StopReason.DISCONNECTED);
+    } else {
+      this.emit(AutoBetEvent.UPDATED, { userId, session });
+    }
+  }
+}
+
+module.exports = {
+  AutoBetController,
+  AutoBetAdjustment,
+  AutoBetEvent,
+  StopReason,
+  validateStrategy,
+  nextBetAmount
+};
@@ -3,13 +3,42 @@ const prisma = require('../lib/prisma');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const adminAuditService = require('./adminAuditService');
+const ledgerService = require('./ledgerService');
+const { CommandError, ErrorCode } = require('../lib/commands');
+
+// Transaction note for cashouts forced by a payout cap (PayoutCap in services/gameEngine.js)
+const CAP_LABELS = {
+  maxWin: 'max win reached',
+  roundPayout: 'round payout limit reached'
+};
+
+// Split a settlement batch into runs of consecutive cashouts (written
+// together) and single crashes, keeping their order
+function groupRuns(operations) {
+  const runs = [];
+  for (const operation of operations) {
+    const last = runs[runs.length - 1];
+    if (operation.type === 'cashout' && last?.type === 'cashout') {
+      last.operations.push(operation);
+    } else {
+      runs.push({ type: operation.type, operations: [operation] });
+    }
+  }
+  return runs;
+}
 
 class DatabaseService {
   // Helper function to get today's date as DateTime for Prisma
   getTodayDate() {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Set to start of day
-    return today;
+    return this.getDayDate(new Date());
+  }
+
+  // Day a moment falls on, as the DailyLimit row date
+  getDayDate(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0); // Set to start of day
+    return day;
   }
 
   // ==================== USER MANAGEMENT ====================
@@ -35,20 +64,30 @@ class DatabaseService {
         codeExists = !!existing;
       }
 
-      const user = await prisma.user.create({
-        data: {
-          telegramId: telegramId?.toString(),
-          username,
-          email,
-          firstName,
-          lastName,
-          avatar,
-          passwordHash,
-          referralCode,
-          role: role || 'PLAYER', // Default to PLAYER if no role specified
-          balance: process.env.DEFAULT_BALANCE || 1000,
-          isVerified: !!telegramId, // Auto-verify Telegram users
-        },
+      // The starting balance is the user's first ledger entry
+      const user = await prisma.$transaction(async (tx) => {
+        const created = await tx.user.create({
+          data: {
+            telegramId: telegramId?.toString(),
+            username,
+            email,
+            firstName,
+            lastName,
+            avatar,
+            passwordHash,
+            referralCode,
+            role: role || 'PLAYER', // Default to PLAYER if no role specified
+            balance: 0,
+            isVerified: !!telegramId, // Auto-verify Telegram users
+          },
+        });
+        const { balanceAfter } = await ledgerService.post(tx, {
+          userId: created.id,
+          amount: parseFloat(process.env.DEFAULT_BALANCE || 1000),
+          type: 'BONUS',
+          description: 'Starting balance'
+        });
+        return { ...created, balance: balanceAfter };
       });
 
       // Create default player settings (best-effort)
@@ -132,6 +171,94 @@ class DatabaseService {
       return null;
     }
   }
+
+  // ==================== AUTO-BET STRATEGY ====================
+
+  // Convert Decimal fields to numbers for the auto-bet controller and frontend
+  formatAutoBetStrategy(strategy) {
+    return {
+      ...strategy,
+      baseBet: Number(strategy.baseBet),
+      autoCashout: Number(strategy.autoCashout),
+      onWinFactor: Number(strategy.onWinFactor),
+      onLossFactor: Number(strategy.onLossFactor),
+      stopOnProfit: strategy.stopOnProfit === null ? null : Number(strategy.stopOnProfit),
+      stopOnLoss: strategy.stopOnLoss === null ? null : Number(strategy.stopOnLoss)
+    };
+  }
+
+  async getAutoBetStrategy(userId) {
+    try {
+      const strategy = await prisma.autoBetStrategy.findUnique({ where: { userId } });
+      return strategy ? this.formatAutoBetStrategy(strategy) : null;
+    } catch (error) {
+      console.error('❌ Error getting auto-bet strategy:', error);
+      return null;
+    }
+  }
+
+  async upsertAutoBetStrategy(userId, strategy) {
+    try {
+      const data = {
+        baseBet: new Prisma.Decimal(strategy.baseBet),
+        autoCashout: new Prisma.Decimal(strategy.autoCashout),
+        rounds: strategy.rounds,
+        onWin: strategy.onWin,
+        onWinFactor: new Prisma.Decimal(strategy.onWinFactor),
+        onLoss: strategy.onLoss,
+        onLossFactor: new Prisma.Decimal(strategy.onLossFactor),
+        stopOnProfit: strategy.stopOnProfit == null ? null : new Prisma.Decimal(strategy.stopOnProfit),
+        stopOnLoss: strategy.stopOnLoss == null ? null : new Prisma.Decimal(strategy.stopOnLoss)
+      };
+
+      const updated = await prisma.autoBetStrategy.upsert({
+        where: { userId },
+        update: data,
+        create: { userId, ...data }
+      });
+      return this.formatAutoBetStrategy(updated);
+    } catch (error) {
+      console.error('❌ Error saving auto-bet strategy:', error);
+      return null;
+    }
+  }
+  
+  // ==================== CLIENT SEEDS ====================
+  
+  /**
+   * Current client seed of a player, creating a random one on first use
+   */
+  async getClientSeed(userId) {
+    try {
+      const existing = await prisma.playerClientSeed.findUnique({ where: { userId } });
+      if (existing) return existing;
+
+      return await prisma.playerClientSeed.upsert({
+        where: { userId },
+        update: {},
+        create: { userId, seed: crypto.randomBytes(16).toString('hex') }
+      });
+    } catch (error) {
+      console.error('❌ Error getting client seed:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Switch to a new client seed; its nonce starts again at 0
+   */
+  async rotateClientSeed(userId, seed) {
+    try {
+      return await prisma.playerClientSeed.upsert({
+        where: { userId },
+        update: { seed, nonce: 0 },
+        create: { userId, seed }
+      });
+    } catch (error) {
+      console.error('❌ Error rotating client seed:', error);
+      return null;
+    }
+  }
   
   async findUserById(userId) {
     try {
@@ -219,41 +346,13 @@ class DatabaseService {
   async updateBalance(userId, amount, description = null) {
     try {
       const result = await prisma.$transaction(async (tx) => {
-        // Get current user
-        const user = await tx.user.findUnique({
-          where: { id: userId }
-        });
-        
-        if (!user) {
-          throw new Error('User not found');
-        }
-        
-        const balanceBefore = parseFloat(user.balance);
-        const balanceAfter = balanceBefore + amount;
-        
-        if (balanceAfter < 0) {
-          throw new Error('Insufficient balance');
-        }
-        
-        // Update user balance
-        const updatedUser = await tx.user.update({
-          where: { id: userId },
-          data: { balance: balanceAfter }
-        });
-        
-        // Create transaction record
-        await tx.transaction.create({
-          data: {
-            userId,
-            type: amount > 0 ? 'DEPOSIT' : 'WITHDRAWAL',
-            amount: Math.abs(amount),
-            balanceBefore,
-            balanceAfter,
-            description
-          }
+        await ledgerService.post(tx, {
+          userId,
+          amount,
+          type: amount > 0 ? 'DEPOSIT' : 'WITHDRAWAL',
+          description
         });
-        
-        return updatedUser;
+        return tx.user.findUnique({ where: { id: userId } });
       });
       
       console.log(`💰 Updated balance for ${userId}: ${amount} (new: ${result.balance})`);
@@ -268,20 +367,46 @@ class DatabaseService {
   
   async createGameRound(fairRoundData) {
     try {
-      // fairRoundData should contain: serverSeed, serverSeedHash, clientSeed, nonce, crashPoint
-      const gameRound = await prisma.gameRound.create({
-        data: {
-          serverSeed: fairRoundData.serverSeed,
-          serverSeedHash: fairRoundData.serverSeedHash,
-          clientSeed: fairRoundData.clientSeed || null,
-          nonce: fairRoundData.nonce || 0,
-          crashPoint: fairRoundData.crashPoint,
-          startTime: new Date(),
-          status: 'BETTING'
+      // fairRoundData should contain: serverSeed, serverSeedHash, clientSeed, nonce, houseEdge, crashPoint
+      // and seedChainId/chainIndex when the seed comes from a hash chain, room for the game room
+      const gameRound = await prisma.$transaction(async (tx) => {
+        const round = await tx.gameRound.create({
+          data: {
+            serverSeed: fairRoundData.serverSeed,
+            serverSeedHash: fairRoundData.serverSeedHash,
+            clientSeed: fairRoundData.clientSeed || null,
+            nonce: fairRoundData.nonce || 0,
+            seedChainId: fairRoundData.seedChainId || null,
+            chainIndex: fairRoundData.chainIndex ?? null,
+            houseEdge: fairRoundData.houseEdge ?? null,
+            crashPoint: fairRoundData.crashPoint,
+            room: fairRoundData.room || 'classic',
+            startTime: new Date(),
+            status: 'BETTING'
+          }
+        });
+
+        // Move the chain cursor with the round so a seed is never handed out twice.
+        // The cursor only ever moves forward, whatever order writes land in
+        if (fairRoundData.seedChainId) {
+          const nextIndex = fairRoundData.chainIndex + 1;
+          await tx.seedChain.updateMany({
+            where: { id: fairRoundData.seedChainId, nextIndex: { lt: nextIndex } },
+            data: { nextIndex }
+          });
+          const chain = await tx.seedChain.findUnique({ where: { id: fairRoundData.seedChainId } });
+          if (nextIndex >= chain.length && !chain.exhaustedAt) {
+            await tx.seedChain.update({
+              where: { id: chain.id },
+              data: { exhaustedAt: new Date() }
+            });
+          }
         }
+
+        return round;
       });
       
-      console.log(`🎮 Created game round ${gameRound.roundNumber} (crash: ${fairRoundData.crashPoint}x)`);
+      console.log(`🎮 Created game round ${gameRound.roundNumber} in ${gameRound.room} (crash: ${fairRoundData.crashPoint}x)`);
       return gameRound;
     } catch (error) {
       console.error('❌ Error creating game round:', error);
@@ -289,6 +414,87 @@ class DatabaseService {
     }
   }
   
+  // ==================== SEED CHAINS ====================
+  
+  async getActiveSeedChain(room) {
+    try {
+      return await prisma.seedChain.findFirst({
+        where: { room, exhaustedAt: null },
+        orderBy: { createdAt: 'desc' }
+      });
+    } catch (error) {
+      console.error('❌ Error getting active seed chain:', error);
+      throw error;
+    }
+  }
+  
+  async createSeedChain({ room, rootSeed, terminatingHash, clientSeed, length }) {
+    try {
+      const chain = await prisma.seedChain.create({
+        data: { room, rootSeed, terminatingHash, clientSeed, length }
+      });
+      console.log(`🔗 Created seed chain ${chain.id} for ${room} (${length} seeds, terminating hash ${terminatingHash})`);
+      return chain;
+    } catch (error) {
+      console.error('❌ Error creating seed chain:', error);
+      throw error;
+    }
+  }
+  
+  // Public commitment data only - the root seed never leaves the server
+  async getSeedChains() {
+    try {
+      return await prisma.seedChain.findMany({
+        orderBy: { createdAt: 'desc' },
+        select: {
+          id: true,
+          room: true,
+          terminatingHash: true,
+          clientSeed: true,
+          length: true,
+          nextIndex: true,
+          exhaustedAt: true,
+          createdAt: true
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error getting seed chains:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Take off with the final client seed: record the bettors' seeds that were
+   * mixed in, move their nonces on and store the resulting crash point
+   * @param {Array<{ userId: string, clientSeed: string, nonce: number }>} contributions
+   */
+  async startGameRound(roundId, { clientSeed, crashPoint, contributions }) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        await tx.roundClientSeed.createMany({
+          data: contributions.map(({ userId, clientSeed: seed, nonce }) => ({ gameRoundId: roundId, userId, clientSeed: seed, nonce })),
+          skipDuplicates: true
+        });
+
+        // Skip players who rotated their seed meanwhile - the new seed starts at nonce 0
+        for (const { userId, clientSeed: seed } of contributions) {
+          await tx.playerClientSeed.updateMany({
+            where: { userId, seed },
+            data: { nonce: { increment: 1 } }
+          });
+        }
+
+        return await tx.gameRound.update({
+          where: { id: roundId },
+          data: { status: 'RUNNING', clientSeed, crashPoint }
+        });
+      });
+    } catch (error) {
+      console.error('❌ Error starting game round:', error);
+      throw error;
+    }
+  }
+  
   async updateGameRoundStatus(roundId, status, endTime = null) {
     try {
       const updateData = { status };
@@ -324,38 +530,141 @@ class DatabaseService {
     }
   }
   
+  /**
+   * Cancel a round: every ACTIVE bet gets the stake still riding refunded
+   * (partial cashouts stand), daily limit usage is given back and the action
+   * is audit-logged
+   * @param {{ id: string, roundNumber: number, status: string }} round
+   * @param {{ action: string, reason: string }} audit - Audit action and refund/audit wording
+   * @returns {Promise<{ roundNumber: number, refundedBets: number, refundedAmount: number, refunds: Array }>}
+   */
+  async voidGameRound(round, { action, reason }) {
+    try {
+      const result = await prisma.$transaction(async (tx) => {
+        const bets = await tx.bet.findMany({
+          where: { gameRoundId: round.id, status: 'ACTIVE' }
+        });
+        
+        const refunds = [];
+        for (const bet of bets) {
+          const amount = parseFloat(bet.amount) - parseFloat(bet.settledAmount);
+          
+          await tx.bet.update({
+            where: { id: bet.id },
+            data: { status: 'CANCELLED' }
+          });
+          
+          const { balanceAfter } = await ledgerService.post(tx, {
+            userId: bet.userId,
+            amount,
+            type: 'BET_REFUND',
+            betId: bet.id,
+            description: `Refund for round ${round.roundNumber}: ${reason}`,
+            userData: { totalWagered: { decrement: amount } }
+          });
+          
+          // Usage was counted on the day the bet was placed; the game only
+          // stops counting once the user has no other bet left in the round
+          const remainingBets = await tx.bet.count({
+            where: { userId: bet.userId, gameRoundId: round.id, status: { not: 'CANCELLED' } }
+          });
+          await tx.dailyLimit.updateMany({
+            where: { userId: bet.userId, date: this.getDayDate(bet.createdAt) },
+            data: {
+              currentWager: { decrement: amount },
+              currentGames: { decrement: remainingBets === 0 ? 1 : 0 }
+            }
+          });
+          
+          refunds.push({ betId: bet.id, userId: bet.userId, amount, balance: balanceAfter });
+        }
+        
+        await tx.gameRound.update({
+          where: { id: round.id },
+          data: { status: 'CANCELLED', endTime: new Date() }
+        });
+        
+        const refundedAmount = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+        const summary = { roundNumber: round.roundNumber, refundedBets: refunds.length, refundedAmount };
+        await adminAuditService.log({
+          adminUserId: null,
+          action,
+          targetType: 'ROUND',
+          targetId: round.id,
+          before: { status: round.status, activeBets: refunds.length },
+          after: { status: 'CANCELLED', ...summary },
+          notes: `Round #${round.roundNumber} voided: ${reason}`,
+          tx
+        });
+        
+        return { ...summary, refunds };
+      });
+      
+      console.log(`♻️ Voided round ${result.roundNumber}: refunded ${result.refundedBets} bets (${result.refundedAmount} pts)`);
+      return result;
+    } catch (error) {
+      console.error('❌ Error voiding game round:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Crash recovery: void rounds a previous process left in BETTING/RUNNING
+   * @param {Object} [options]
+   * @param {Date} [options.createdBefore] - Only rounds from before this leader took over
+   * @param {number} [options.quietMs] - Skip rounds written to (updated or
+   *   settled) this recently: their leader may still be writing settlements
+   * @returns {Promise<{ voided: Array, skipped: number }>}
+   */
+  async voidUnfinishedRounds({ createdBefore = new Date(), quietMs = 0 } = {}) {
+    const rounds = await prisma.gameRound.findMany({
+      where: { status: { in: ['BETTING', 'RUNNING'] }, createdAt: { lt: createdBefore } },
+      orderBy: { roundNumber: 'asc' }
+    });
+    
+    const quietSince = new Date(Date.now() - quietMs);
+    const voided = [];
+    let skipped = 0;
+    for (const round of rounds) {
+      const lastSettlement = await prisma.betSettlement.findFirst({
+        where: { bet: { gameRoundId: round.id } },
+        orderBy: { createdAt: 'desc' },
+        select: { createdAt: true }
+      });
+      if (round.updatedAt > quietSince || lastSettlement?.createdAt > quietSince) {
+        skipped++;
+        continue;
+      }
+      voided.push(await this.voidGameRound(round, {
+        action: 'ROUND_VOIDED_ON_RECOVERY',
+        reason: 'interrupted by a server restart'
+      }));
+    }
+    return { voided, skipped };
+  }
+  
   // ==================== BET MANAGEMENT ====================
   
-  async placeBet(userId, gameRoundId, amount, cashoutAt = null) {
+  async placeBet(userId, gameRoundId, amount, cashoutAt = null, slot = 0) {
     try {
       const result = await prisma.$transaction(async (tx) => {
-        // Validate user balance
         const user = await tx.user.findUnique({
-          where: { id: userId }
+          where: { id: userId },
+          select: { id: true }
         });
         
         if (!user) {
           throw new Error('User not found');
         }
         
-        if (parseFloat(user.balance) < amount) {
-          throw new Error('Insufficient balance');
-        }
+        // A second bet in the same round doesn't count as another game
+        const roundBets = await tx.bet.count({
+          where: { userId, gameRoundId, status: { not: 'CANCELLED' } }
+        });
+        const games = roundBets === 0 ? 1 : 0;
         
         // Check daily limits
-        await this.checkDailyLimits(userId, amount, tx);
-        
-        // Deduct balance
-        const balanceBefore = parseFloat(user.balance);
-        const balanceAfter = balanceBefore - amount;
-        
-        await tx.user.update({
-          where: { id: userId },
-          data: { 
-            balance: balanceAfter,
-            totalWagered: { increment: amount }
-          }
-        });
+        await this.checkDailyLimits(userId, amount, tx, games);
         
         // Create bet
         const bet = await tx.bet.create({
@@ -364,25 +673,23 @@ class DatabaseService {
             gameRoundId,
             amount,
             cashoutAt,
+            slot,
             status: 'ACTIVE'
           }
         });
         
-        // Create transaction record
-        await tx.transaction.create({
-          data: {
-            userId,
-            betId: bet.id,
-            type: 'BET_PLACED',
-            amount,
-            balanceBefore,
-            balanceAfter,
-            description: `Bet placed for round ${gameRoundId}`
-          }
+        // The balance check: the guarded debit is refused unless the balance covers it
+        await ledgerService.post(tx, {
+          userId,
+          amount: -amount,
+          type: 'BET_PLACED',
+          betId: bet.id,
+          description: `Bet placed for round ${gameRoundId}`,
+          userData: { totalWagered: { increment: amount } }
         });
         
         // Update daily limits
-        await this.updateDailyLimits(userId, amount, 0, 1, tx);
+        await this.updateDailyLimits(userId, amount, 0, games, tx);
         
         // Check if this is user's first bet for referral activation
         const betCount = await tx.bet.count({
@@ -408,167 +715,293 @@ class DatabaseService {
         }
       }
       
-      console.log(`🎯 Bet placed: ${userId} - ${amount} (${result.bet.id})`);
+      console.log(`🎯 Bet placed: ${userId} - ${amount} slot ${slot} (${result.bet.id})`);
       return result.bet;
     } catch (error) {
+      // Lost a race against another bet in the slot (partial unique index)
+      if (error.code === 'P2002') {
+        throw new CommandError(ErrorCode.SLOT_TAKEN, 'A bet is already placed in this slot');
+      }
       console.error('❌ Error placing bet:', error);
       throw error;
     }
   }
   
-  async cashoutBet(betId, multiplier) {
+  async cancelBet(betId) {
     try {
       const result = await prisma.$transaction(async (tx) => {
-        // Get bet
         const bet = await tx.bet.findUnique({
           where: { id: betId },
-          include: { user: true }
+          include: { user: true, gameRound: true }
         });
         
         if (!bet || bet.status !== 'ACTIVE') {
           throw new Error('Invalid bet');
         }
+        if (bet.gameRound.status !== 'BETTING') {
+          throw new Error('Betting is closed');
+        }
         
-        const payout = parseFloat(bet.amount) * multiplier;
-        const balanceBefore = parseFloat(bet.user.balance);
-        const balanceAfter = balanceBefore + payout;
+        const amount = parseFloat(bet.amount);
         
-        // Update bet
         const updatedBet = await tx.bet.update({
           where: { id: betId },
-          data: {
-            actualCashout: multiplier,
-            payout,
-            cashedOutAt: new Date(),
-            status: 'CASHED_OUT'
-          }
+          data: { status: 'CANCELLED' }
         });
         
-        // Update user balance
-        // Calculate experience based on win multiplier
-        const expGained = Math.min(50, Math.floor(10 + (multiplier * 5))); // 10 base + 5 per multiplier, max 50
-        
-        await tx.user.update({
-          where: { id: bet.userId },
-          data: { 
-            balance: balanceAfter,
-            totalWon: { increment: payout },
-            biggestWin: { set: Math.max(parseFloat(bet.user.biggestWin), payout) },
-            gamesPlayed: { increment: 1 },
-            experience: { increment: expGained }
-          }
+        // Refund the stake and take it back out of the wagered total
+        const { balanceAfter } = await ledgerService.post(tx, {
+          userId: bet.userId,
+          amount,
+          type: 'BET_REFUND',
+          betId: bet.id,
+          description: `Bet cancelled for round ${bet.gameRoundId}`,
+          userData: { totalWagered: { decrement: amount } }
         });
         
-        // Create transaction record
-        await tx.transaction.create({
+        // Give back daily limit usage on the day the bet was placed (a bet
+        // made just before midnight is cancelled on the next day); the game
+        // only stops counting once the user has no other bet left in the round
+        const remainingBets = await tx.bet.count({
+          where: { userId: bet.userId, gameRoundId: bet.gameRoundId, status: { not: 'CANCELLED' } }
+        });
+        await tx.dailyLimit.updateMany({
+          where: { userId: bet.userId, date: this.getDayDate(bet.createdAt) },
           data: {
-            userId: bet.userId,
-            betId: bet.id,
-            type: 'BET_WON',
-            amount: payout,
-            balanceBefore,
-            balanceAfter,
-            description: `Cashout at ${multiplier}x`
+            currentWager: { decrement: amount },
+            currentGames: { decrement: remainingBets === 0 ? 1 : 0 }
           }
         });
         
-        return updatedBet;
+        return { bet: updatedBet, balance: balanceAfter, remainingBets };
       });
       
-      // Update user level based on new experience
-      await this.updateUserLevel(result.userId);
-      
-      console.log(`💰 Bet cashed out: ${betId} at ${multiplier}x (payout: ${result.payout})`);
+      console.log(`↩️ Bet cancelled: ${betId} (refund: ${result.bet.amount})`);
       return result;
     } catch (error) {
-      console.error('❌ Error cashing out bet:', error);
+      console.error('❌ Error cancelling bet:', error);
       throw error;
     }
   }
   
-  async crashBets(gameRoundId, crashPoint) {
+  // ==================== BATCH SETTLEMENT ====================
+  
+  /**
+   * Write a batch of queued settlements (services/settlementQueue.js) in one
+   * transaction, in order. The engine already settled them in memory; this
+   * only catches the database up, with bulk statements instead of a
+   * transaction per cashout. A failed batch rolls back as a whole, so the
+   * queue can simply retry it.
+   * @param {Array<Object>} operations - CashoutOperation | CrashOperation
+   */
+  async settleBatch(operations) {
+    const userIds = new Set();
     try {
-      const result = await prisma.$transaction(async (tx) => {
-        // Get all active bets for this round
-        const activeBets = await tx.bet.findMany({
-          where: {
-            gameRoundId,
-            status: 'ACTIVE'
-          },
-          include: { user: true }
-        });
-        
-        let lostBets = 0;
-        
-        for (const bet of activeBets) {
-          // Update bet as lost
-          await tx.bet.update({
-            where: { id: bet.id },
-            data: {
-              status: 'LOST',
-              actualCashout: crashPoint
-            }
-          });
-          
-          // Update user stats
-          const betAmount = parseFloat(bet.amount);
-          const currentUser = await tx.user.findUnique({
-            where: { id: bet.userId },
-            select: { biggestLoss: true }
-          });
-          
-          await tx.user.update({
-            where: { id: bet.userId },
-            data: {
-              totalLost: { increment: betAmount },
-              gamesPlayed: { increment: 1 },
-              // Update biggest loss if this is larger
-              biggestLoss: betAmount > parseFloat(currentUser.biggestLoss || 0) 
-                ? betAmount 
-                : currentUser.biggestLoss,
-              // Add experience for playing (even on loss)
-              experience: { increment: 5 }
-            }
-          });
-          
-          // Create transaction record
-          await tx.transaction.create({
-            data: {
-              userId: bet.userId,
-              betId: bet.id,
-              type: 'BET_LOST',
-              amount: parseFloat(bet.amount),
-              balanceBefore: parseFloat(bet.user.balance),
-              balanceAfter: parseFloat(bet.user.balance),
-              description: `Lost at ${crashPoint}x`
-            }
-          });
-          
-          // Update daily limits
-          await this.updateDailyLimits(bet.userId, 0, parseFloat(bet.amount), 0, tx);
-          
-          lostBets++;
+      await prisma.$transaction(async (tx) => {
+        for (const run of groupRuns(operations)) {
+          const affected = run.type === 'cashout'
+            ? await this.settleCashouts(run.operations, tx)
+            : await this.settleCrash(run.operations[0], tx);
+          affected.forEach(userId => userIds.add(userId));
         }
-        
-        return { lostBets, totalBets: activeBets.length, userIds: activeBets.map(bet => bet.userId) };
+      }, { timeout: 30000 });
+    } catch (error) {
+      console.error('❌ Error writing settlement batch:', error);
+      throw error;
+    }
+    
+    await this.updateUserLevels([...userIds]);
+    console.log(`🧾 Settled ${operations.length} operation(s) for ${userIds.size} user(s)`);
+  }
+  
+  /**
+   * Cashouts (partial or full) summed per bet and per user. Bets that are no
+   * longer ACTIVE (e.g. the round was voided meanwhile) are skipped.
+   * @returns {Promise<string[]>} Affected user ids
+   */
+  async settleCashouts(operations, tx) {
+    const bets = await tx.bet.findMany({
+      where: { id: { in: [...new Set(operations.map(op => op.betId))] }, status: 'ACTIVE' },
+      include: { user: { select: { biggestWin: true } } }
+    });
+    if (bets.length === 0) return [];
+    // Lock the players' rows before reading their balances, so each
+    // Transaction's balanceBefore/After chains onto the last write
+    const locked = await tx.$queryRaw`
+      SELECT "id", "balance" FROM "users"
+      WHERE "id" IN (${Prisma.join([...new Set(bets.map(bet => bet.userId))])})
+      ORDER BY "id" FOR UPDATE`;
+    const balances = new Map(locked.map(row => [row.id, parseFloat(row.balance)]));
+    const entries = new Map(bets.map(bet => [bet.id, {
+      id: bet.id,
+      stake: parseFloat(bet.amount),
+      settled: parseFloat(bet.settledAmount),
+      payout: parseFloat(bet.payout || 0),
+      final: false,
+      changed: false,
+      cashedOutAt: null,
+      user: bet.user
+    }]));
+    
+    const users = new Map(); // userId → running totals for the bulk update
+    const settlements = [];
+    const transactions = [];
+    for (const op of operations) {
+      const entry = entries.get(op.betId);
+      if (!entry || entry.final) continue;
+      const settled = Math.min(op.amount, entry.stake - entry.settled);
+      if (settled <= 0) continue;
+      // The engine's figure is what the player was shown
+      const payout = settled === op.amount ? op.payout : Math.floor(settled * op.multiplier);
+      
+      entry.settled += settled;
+      entry.payout += payout;
+      entry.final = entry.settled >= entry.stake;
+      entry.changed = true;
+      if (entry.final) entry.cashedOutAt = op.at;
+      
+      if (!users.has(op.userId)) {
+        users.set(op.userId, {
+          balance: balances.get(op.userId),
+          won: 0,
+          biggestWin: parseFloat(entry.user.biggestWin),
+          games: 0,
+          experience: 0
+        });
+      }
+      const user = users.get(op.userId);
+      const balanceBefore = user.balance;
+      user.balance += payout;
+      user.won += payout;
+      user.biggestWin = Math.max(user.biggestWin, entry.payout);
+      // A game counts once, when the bet is finally settled
+      if (entry.final) {
+        user.games += 1;
+        user.experience += Math.min(50, Math.floor(10 + (op.multiplier * 5))); // 10 base + 5 per multiplier, max 50
+      }
+      
+      settlements.push({ betId: op.betId, amount: settled, multiplier: op.multiplier, payout, capped: op.capped || null, createdAt: op.at });
+      transactions.push({
+        id: uuidv4(),
+        userId: op.userId,
+        betId: op.betId,
+        type: 'BET_WON',
+        amount: payout,
+        balanceBefore,
+        balanceAfter: user.balance,
+        description: (entry.final && settled === entry.stake
+          ? `Cashout at ${op.multiplier}x`
+          : `Partial cashout of ${settled} at ${op.multiplier}x`) + (op.capped ? ` (${CAP_LABELS[op.capped] || op.capped})` : ''),
+        createdAt: op.at
+      });
+    }
+    if (settlements.length === 0) return [];
+    
+    const touched = [...entries.values()].filter(entry => entry.changed);
+    await tx.betSettlement.createMany({ data: settlements });
+    // Bets stay ACTIVE until the whole stake is settled
+    await tx.$executeRaw`
+      UPDATE "bets" AS b SET
+        "payout" = v.payout,
+        "settledAmount" = v.settled,
+        "status" = CASE WHEN v.final THEN 'CASHED_OUT'::"BetStatus" ELSE b."status" END,
+        "actualCashout" = CASE WHEN v.final THEN v.payout / b."amount" ELSE b."actualCashout" END,
+        "cashedOutAt" = CASE WHEN v.final THEN v.at ELSE b."cashedOutAt" END
+      FROM (VALUES ${Prisma.join(touched.map(entry => Prisma.sql`(${entry.id}, ${entry.payout}::numeric, ${entry.settled}::numeric, ${entry.final}::boolean, ${entry.cashedOutAt}::timestamp)`))})
+        AS v(id, payout, settled, final, at)
+      WHERE b."id" = v.id`;
+    await tx.$executeRaw`
+      UPDATE "users" AS u SET
+        "balance" = u."balance" + v.won,
+        "totalWon" = u."totalWon" + v.won,
+        "biggestWin" = GREATEST(u."biggestWin", v.biggest),
+        "gamesPlayed" = u."gamesPlayed" + v.games,
+        "experience" = u."experience" + v.experience,
+        "updatedAt" = NOW()
+      FROM (VALUES ${Prisma.join([...users].map(([userId, user]) => Prisma.sql`(${userId}, ${user.won}::numeric, ${user.biggestWin}::numeric, ${user.games}::int, ${user.experience}::int)`))})
+        AS v(id, won, biggest, games, experience)
+      WHERE u."id" = v.id`;
+    await tx.transaction.createMany({ data: transactions });
+    await ledgerService.recordMany(tx, transactions.map(({ id, userId, amount }) => ({
+      transactionId: id,
+      userId,
+      amount,
+      type: 'BET_WON'
+    })));
+    
+    return [...users.keys()];
+  }
+  
+  /**
+   * Every bet of the round still ACTIVE loses the stake still riding, then
+   * the round is closed and its replay timeline stored
+   * @returns {Promise<string[]>} Affected user ids
+   */
+  async settleCrash({ roundId, crashPoint, timeline = null, at }, tx) {
+    const bets = await tx.bet.findMany({
+      where: { gameRoundId: roundId, status: 'ACTIVE' },
+      include: { user: { select: { balance: true } } }
+    });
+    
+    const users = new Map(); // userId → { lost, biggest, games }
+    if (bets.length > 0) {
+      await tx.bet.updateMany({
+        where: { id: { in: bets.map(bet => bet.id) } },
+        data: { status: 'LOST', actualCashout: crashPoint }
       });
       
-      // Update levels for all affected users
-      for (const userId of result.userIds) {
-        await this.updateUserLevel(userId);
+      const transactions = [];
+      for (const bet of bets) {
+        // Only the stake still riding is lost
+        const lost = parseFloat(bet.amount) - parseFloat(bet.settledAmount);
+        const user = users.get(bet.userId) || { lost: 0, biggest: 0, games: 0 };
+        user.lost += lost;
+        user.biggest = Math.max(user.biggest, lost);
+        user.games += 1;
+        users.set(bet.userId, user);
+        
+        transactions.push({
+          userId: bet.userId,
+          betId: bet.id,
+          type: 'BET_LOST',
+          amount: lost,
+          balanceBefore: parseFloat(bet.user.balance),
+          balanceAfter: parseFloat(bet.user.balance),
+          description: `Lost at ${crashPoint}x`,
+          createdAt: at
+        });
       }
       
-      console.log(`💥 Crashed ${result.lostBets} bets at ${crashPoint}x`);
-      return result;
-    } catch (error) {
-      console.error('❌ Error crashing bets:', error);
-      throw error;
+      // 5 experience per game played, even on a loss
+      await tx.$executeRaw`
+        UPDATE "users" AS u SET
+          "totalLost" = u."totalLost" + v.lost,
+          "biggestLoss" = GREATEST(u."biggestLoss", v.biggest),
+          "gamesPlayed" = u."gamesPlayed" + v.games,
+          "experience" = u."experience" + v.games * 5,
+          "updatedAt" = NOW()
+        FROM (VALUES ${Prisma.join([...users].map(([userId, user]) => Prisma.sql`(${userId}, ${user.lost}::numeric, ${user.biggest}::numeric, ${user.games}::int)`))})
+          AS v(id, lost, biggest, games)
+        WHERE u."id" = v.id`;
+      await tx.transaction.createMany({ data: transactions });
+      
+      for (const [userId, { lost }] of users) {
+        await this.updateDailyLimits(userId, 0, lost, 0, tx);
+      }
     }
+    
+    await tx.gameRound.update({
+      where: { id: roundId },
+      data: { status: 'CRASHED', endTime: at, ...(timeline && { timeline }) }
+    });
+    
+    console.log(`💥 Crashed ${bets.length} bets at ${crashPoint}x`);
+    return [...users.keys()];
   }
   
   // ==================== DAILY LIMITS ====================
   
-  async checkDailyLimits(userId, betAmount, tx = prisma) {
+  async checkDailyLimits(userId, betAmount, tx = prisma, games = 1) {
     const today = this.getTodayDate();
     
     const limits = await tx.dailyLimit.findUnique({
@@ -582,11 +1015,11 @@ class DatabaseService {
     
     if (limits) {
       if (limits.maxWager && (parseFloat(limits.currentWager) + betAmount) > parseFloat(limits.maxWager)) {
-        throw new Error('Daily wager limit exceeded');
+        throw new CommandError(ErrorCode.DAILY_LIMIT, 'Daily wager limit exceeded');
       }
       
-      if (limits.maxGames && (limits.currentGames + 1) > limits.maxGames) {
-        throw new Error('Daily games limit exceeded');
+      if (limits.maxGames && (limits.currentGames + games) > limits.maxGames) {
+        throw new CommandError(ErrorCode.DAILY_LIMIT, 'Daily games limit exceeded');
       }
     }
   }
@@ -662,6 +1095,44 @@ class DatabaseService {
     }
   }
   
+  // Public fields of a finished round
+  fairnessRoundSelect() {
+    return {
+      id: true,
+      roundNumber: true,
+      status: true,
+      serverSeed: true,
+      serverSeedHash: true,
+      clientSeed: true,
+      nonce: true,
+      seedChainId: true,
+      chainIndex: true,
+      houseEdge: true,
+      room: true,
+      clientSeeds: {
+        select: { clientSeed: true, nonce: true }
+      },
+      crashPoint: true,
+      startTime: true,
+      endTime: true,
+      createdAt: true
+    };
+  }
+  
+  // Only reveal server seeds for rounds older than 5 minutes. Hash-chained
+  // seeds are public as soon as the round ends anyway: the next round's
+  // serverSeedHash is this round's seed.
+  revealFairnessRound(round) {
+    const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
+    return {
+      ...round,
+      serverSeed: round.seedChainId || (round.endTime && new Date(round.endTime) < fiveMinutesAgo)
+        ? round.serverSeed 
+        : null, // Hide seed for recent rounds
+      crashPoint: round.crashPoint.toString()
+    };
+  }
+  
   async getRecentRoundsForFairness(limit = 50) {
     try {
       const rounds = await prisma.gameRound.findMany({
@@ -672,36 +1143,64 @@ class DatabaseService {
           createdAt: 'desc'
         },
         take: limit,
-        select: {
-          id: true,
-          roundNumber: true,
-          serverSeed: true,
-          serverSeedHash: true,
-          clientSeed: true,
-          nonce: true,
-          crashPoint: true,
-          startTime: true,
-          endTime: true,
-          createdAt: true
-        }
+        select: this.fairnessRoundSelect()
       });
       
-      // Only reveal server seeds for rounds older than 5 minutes
-      const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-      
-      return rounds.map(round => ({
-        ...round,
-        serverSeed: round.endTime && new Date(round.endTime) < fiveMinutesAgo 
-          ? round.serverSeed 
-          : null, // Hide seed for recent rounds
-        crashPoint: round.crashPoint.toString()
-      }));
+      return rounds.map(round => this.revealFairnessRound(round));
     } catch (error) {
       console.error('❌ Error getting recent rounds for fairness:', error);
       return [];
     }
   }
   
+  /**
+   * A finished round with its seed chain commitment, or null if it doesn't
+   * exist or hasn't crashed yet
+   */
+  async getRoundForVerification(roundNumber) {
+    try {
+      const round = await prisma.gameRound.findUnique({
+        where: { roundNumber },
+        select: {
+          ...this.fairnessRoundSelect(),
+          seedChain: {
+            select: { terminatingHash: true, clientSeed: true }
+          }
+        }
+      });
+      if (!round || round.status !== 'CRASHED') return null;
+
+      const { seedChain, ...revealed } = this.revealFairnessRound(round);
+      return {
+        ...revealed,
+        seedChain: seedChain ? { id: round.seedChainId, chainIndex: round.chainIndex, ...seedChain } : null
+      };
+    } catch (error) {
+      console.error('❌ Error getting round for verification:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * A finished round's replay timeline, or null if the round doesn't exist,
+   * hasn't crashed yet or was played before timelines were recorded
+   */
+  async getRoundReplay(roundId) {
+    try {
+      const round = await prisma.gameRound.findUnique({
+        where: { id: roundId },
+        select: { id: true, roundNumber: true, room: true, crashPoint: true, status: true, endTime: true, timeline: true }
+      });
+      if (!round || round.status !== 'CRASHED' || !round.timeline) return null;
+
+      const { status, ...replay } = round;
+      return { ...replay, crashPoint: parseFloat(round.crashPoint) };
+    } catch (error) {
+      console.error('❌ Error getting round replay:', error);
+      throw error;
+    }
+  }
+  
   async getLeaderboard(type = 'balance', limit = 10) {
     try {
       // Determine sort order based on type
@@ -772,11 +1271,53 @@ class DatabaseService {
     }
   }
   
+  /**
+   * Biggest single-bet wins since a point in time (e.g. the start of the day)
+   * @returns {Promise<Array<{ username: string, firstName: string|null, avatar: string|null, amount: number, multiplier: number, payout: number, placedAt: Date }>>}
+   */
+  async getTopWins(since, limit = 10) {
+    try {
+      const bets = await prisma.bet.findMany({
+        where: {
+          placedAt: { gte: since },
+          payout: { gt: 0 },
+          user: { role: 'PLAYER' }
+        },
+        orderBy: { payout: 'desc' },
+        take: limit,
+        include: {
+          user: { select: { username: true, firstName: true, avatar: true } }
+        }
+      });
+
+      return bets.map(bet => ({
+        username: bet.user.username,
+        firstName: bet.user.firstName,
+        avatar: bet.user.avatar,
+        amount: parseFloat(bet.amount),
+        multiplier: bet.actualCashout ? parseFloat(bet.actualCashout) : null,
+        payout: parseFloat(bet.payout),
+        placedAt: bet.placedAt
+      }));
+    } catch (error) {
+      console.error('❌ Error getting top wins:', error);
+      return [];
+    }
+  }
+
   async updateUser(userId, updateData) {
     try {
-      const user = await prisma.user.update({
-        where: { id: userId },
-        data: updateData
+      // A balance edit is posted to the ledger as an adjustment, never written directly
+      const { balance, balanceReason, ...fields } = updateData;
+      const user = await prisma.$transaction(async (tx) => {
+        if (balance !== undefined) {
+          await ledgerService.setBalance(tx, {
+            userId,
+            balance: parseFloat(balance),
+            description: balanceReason || 'Balance set by admin'
+          });
+        }
+        return tx.user.update({ where: { id: userId }, data: fields });
       });
       
       return { success: true, user: this.sanitizeUser(user) };
@@ -889,31 +1430,17 @@ class DatabaseService {
         // Pay invitee join bonus (1000 points)
         let inviteeBonusPaid = false;
         if (!invitee.referralJoinRewardClaimed) {
-          const newBalance = parseFloat(invitee.balance) + 1000;
-          
-          await tx.user.update({
-            where: { id: invitee.id },
-            data: {
-              balance: newBalance,
-              referralJoinRewardClaimed: true
-            }
-          });
-
-          // Record transaction
-          await tx.transaction.create({
-            data: {
-              userId: invitee.id,
-              type: 'BONUS',
-              amount: 1000,
-              balanceBefore: parseFloat(invitee.balance),
-              balanceAfter: newBalance,
-              description: `Referral join bonus from ${referrer.username}`,
-              metadata: {
-                type: 'referral_join_bonus',
-                referrerId: referrer.id,
-                referralCode
-              }
-            }
+          await ledgerService.post(tx, {
+            userId: invitee.id,
+            amount: 1000,
+            type: 'BONUS',
+            description: `Referral join bonus from ${referrer.username}`,
+            metadata: {
+              type: 'referral_join_bonus',
+              referrerId: referrer.id,
+              referralCode
+            },
+            userData: { referralJoinRewardClaimed: true }
           });
 
           inviteeBonusPaid = true;
@@ -972,13 +1499,6 @@ class DatabaseService {
       // Process referrer reward (1000 points)
       const result = await prisma.$transaction(async (tx) => {
         const referrerBonus = 1000;
-        const newBalance = parseFloat(referral.referrer.balance) + referrerBonus;
-
-        // Update referrer balance
-        await tx.user.update({
-          where: { id: referral.referrerUserId },
-          data: { balance: newBalance }
-        });
 
         // Update referral record
         await tx.referral.update({
@@ -989,20 +1509,16 @@ class DatabaseService {
           }
         });
 
-        // Record transaction
-        await tx.transaction.create({
-          data: {
-            userId: referral.referrerUserId,
-            type: 'BONUS',
-            amount: referrerBonus,
-            balanceBefore: parseFloat(referral.referrer.balance),
-            balanceAfter: newBalance,
-            description: `Referral activation bonus for ${referral.invitee.username}`,
-            metadata: {
-              type: 'referral_activation_bonus',
-              inviteeId: inviteeUserId,
-              referralId: referral.id
-            }
+        // Pay the referrer
+        await ledgerService.post(tx, {
+          userId: referral.referrerUserId,
+          amount: referrerBonus,
+          type: 'BONUS',
+          description: `Referral activation bonus for ${referral.invitee.username}`,
+          metadata: {
+            type: 'referral_activation_bonus',
+            inviteeId: inviteeUserId,
+            referralId: referral.id
           }
         });
 
@@ -1191,34 +1707,23 @@ class DatabaseService {
 
       // Award 6000 points
       const pointsToAward = 6000;
-      const newBalance = parseFloat(user.balance) + pointsToAward;
 
-      const updatedUser = await prisma.user.update({
-        where: { id: userId },
-        data: {
-          balance: newBalance,
+      const { balanceAfter: newBalance } = await prisma.$transaction(tx => ledgerService.post(tx, {
+        userId,
+        amount: pointsToAward,
+        type: 'FARMING_CLAIM',
+        description: 'Daily farming points claim',
+        metadata: {
+          source: 'farming',
+          claimedAt: now.toISOString(),
+          hoursElapsed: Math.min(hoursElapsed, 6)
+        },
+        userData: {
           lastClaimedAt: now,
           // Add 20 experience for farming claim
           experience: { increment: 20 }
         }
-      });
-
-      // Record transaction
-      await prisma.transaction.create({
-        data: {
-          userId,
-          type: 'FARMING_CLAIM',
-          amount: pointsToAward,
-          balanceBefore: parseFloat(user.balance),
-          balanceAfter: newBalance,
-          description: 'Daily farming points claim',
-          metadata: {
-            source: 'farming',
-            claimedAt: now.toISOString(),
-            hoursElapsed: Math.min(hoursElapsed, 6)
-          }
-        }
-      });
+      }));
 
       // Update user level based on new experience
       await this.updateUserLevel(userId);
@@ -1382,15 +1887,11 @@ class DatabaseService {
 
   // ==================== ADMIN METHODS ====================
   
-  async incrementBalance(userId, amount) {
+  async incrementBalance(userId, amount, description = 'Admin balance adjustment') {
     try {
-      const user = await prisma.user.update({
-        where: { id: userId },
-        data: {
-          balance: {
-            increment: amount
-          }
-        }
+      const user = await prisma.$transaction(async (tx) => {
+        await ledgerService.post(tx, { userId, amount, type: 'ADJUSTMENT', description });
+        return tx.user.findUnique({ where: { id: userId } });
       });
       
       return this.sanitizeUser(user);
@@ -1473,12 +1974,6 @@ class DatabaseService {
       // Process payment
       const result = await prisma.$transaction(async (tx) => {
         const referrerBonus = 1000;
-        const newBalance = parseFloat(referral.referrer.balance) + referrerBonus;
-
-        await tx.user.update({
-          where: { id: referral.referrerUserId },
-          data: { balance: newBalance }
-        });
 
         await tx.referral.update({
           where: { id: referralId },
@@ -1489,20 +1984,16 @@ class DatabaseService {
           }
         });
 
-        await tx.transaction.create({
-          data: {
-            userId: referral.referrerUserId,
-            type: 'BONUS',
-            amount: referrerBonus,
-            balanceBefore: parseFloat(referral.referrer.balance),
-            balanceAfter: newBalance,
-            description: `Admin-approved referral for ${referral.invitee.username}`,
-            metadata: {
-              type: 'referral_activation_bonus',
-              inviteeId: referral.inviteeUserId,
-              referralId: referral.id,
-              approvedBy: adminUserId
-            }
+        await ledgerService.post(tx, {
+          userId: referral.referrerUserId,
+          amount: referrerBonus,
+          type: 'BONUS',
+          description: `Admin-approved referral for ${referral.invitee.username}`,
+          metadata: {
+            type: 'referral_activation_bonus',
+            inviteeId: referral.inviteeUserId,
+            referralId: referral.id,
+            approvedBy: adminUserId
           }
         });
 
@@ -1686,6 +2177,52 @@ class DatabaseService {
     }
   }
 
+  // ==================== SYSTEM CONFIG ====================
+
+  async getSystemConfigs() {
+    try {
+      return await prisma.systemConfig.findMany();
+    } catch (error) {
+      console.error('❌ Error getting system config:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write settings together with one audit entry for the change
+   * @param {Object<string, string>} values - Config key → value
+   * @param {Object} audit - adminUserId, action, targetId, notes, ip, userAgent
+   */
+  async setSystemConfigs(values, audit) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const keys = Object.keys(values);
+        const current = await tx.systemConfig.findMany({ where: { key: { in: keys } } });
+        const before = Object.fromEntries(current.map(config => [config.key, config.value]));
+
+        for (const [key, value] of Object.entries(values)) {
+          await tx.systemConfig.upsert({
+            where: { key },
+            update: { value },
+            create: { key, value }
+          });
+        }
+
+        await adminAuditService.log({
+          ...audit,
+          targetType: 'SYSTEM',
+          before,
+          after: values,
+          tx
+        });
+        return values;
+      });
+    } catch (error) {
+      console.error('❌ Error updating system config:', error);
+      throw error;
+    }
+  }
+
   // ==================== UTILITY METHODS ====================
   
   // Generate a unique referral code
@@ -1741,6 +2278,30 @@ class DatabaseService {
       console.error('❌ Error updating user level:', error);
     }
   }
+  
+  // Level up every user a settlement batch touched, with one read
+  async updateUserLevels(userIds) {
+    if (userIds.length === 0) return;
+    try {
+      const users = await prisma.user.findMany({
+        where: { id: { in: userIds } },
+        select: { id: true, experience: true, level: true }
+      });
+      
+      for (const user of users) {
+        const newLevel = this.calculateLevel(user.experience);
+        if (newLevel !== user.level) {
+          await prisma.user.update({
+            where: { id: user.id },
+            data: { level: newLevel }
+          });
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error updating user levels:', error);
+    }
+  }
+
 
   sanitizeUser(user) {
     if (!user) return null;
@@ -0,0 +1,844 @@
+// 🎮 Game Engine - Round state machine (BETTING → RUNNING → CRASHED)
+// Owns the round loop, the active bets and the multiplier. Persistence and
+// transport are injected: the engine talks to a round store for money/DB work
+// and reports everything that happens through events.
+
+const { EventEmitter } = require('events');
+const { systemClock } = require('../lib/clock');
+const crashCurve = require('../lib/crashCurve');
+const { ErrorCode, errorCodeOf } = require('../lib/commands');
+
+const GamePhase = Object.freeze({
+  BETTING: 'betting',
+  RUNNING: 'running',
+  CRASHED: 'crashed'
+});
+
+/**
+ * Events emitted by the engine and their payloads
+ *
+ * @typedef {Object} BettingStartedEvent - GameEvent.BETTING_STARTED
+ * @property {Object} round - Round returned by the store
+ * @property {number} countdown - Seconds until take-off
+ *
+ * @typedef {Object} CountdownEvent - GameEvent.COUNTDOWN
+ * @property {number} countdown
+ *
+ * @typedef {Object} RoundStartedEvent - GameEvent.ROUND_STARTED
+ * @property {Object} round
+ * @property {number} startTime - Clock time of take-off
+ *
+ * @typedef {Object} TickEvent - GameEvent.TICK
+ * @property {number} multiplier
+ * @property {number} now
+ *
+ * @typedef {Object} BetPlacedEvent - GameEvent.BET_PLACED
+ * @property {string} userId
+ * @property {Object} bet - Includes the bet slot
+ * @property {number} balance - Balance after the stake was taken
+ *
+ * @typedef {Object} BetQueuedEvent - GameEvent.BET_QUEUED / GameEvent.BET_UNQUEUED
+ * @property {string} userId
+ * @property {{ userId: string, slot: number, amount: number, autoTarget: number|null }} queued
+ *
+ * @typedef {Object} BetCancelledEvent - GameEvent.BET_CANCELLED
+ * @property {string} userId
+ * @property {Object} bet
+ * @property {number} balance - Balance after the refund
+ *
+ * @typedef {Object} CashedOutEvent - GameEvent.CASHED_OUT
+ * @property {string} userId
+ * @property {Object} bet - Includes the bet slot; bet.cashedOut is false after a partial cashout
+ * @property {number} amount - Stake settled by this cashout
+ * @property {number} winnings - Payout for that part of the stake
+ * @property {number} multiplier
+ * @property {number} balance
+ * @property {boolean} isAutomatic
+ * @property {string|null} capped - PayoutCap that forced this cashout, if any
+ *
+ * @typedef {Object} CrashedEvent - GameEvent.CRASHED
+ * @property {Object} round
+ * @property {number} crashPoint
+ * @property {Array<{ userId: string, bet: Object }>} lostBets - Bets with stake still riding (bet.remaining is lost)
+ *
+ * @typedef {Object} RoundVoidedEvent - GameEvent.ROUND_VOIDED
+ * @property {Object} round
+ * @property {Array<{ userId: string, bet: Object, amount: number }>} refunds - Stake refunded per bet
+ *
+ * @typedef {Object} ConfigAppliedEvent - GameEvent.CONFIG_APPLIED
+ * @property {Object} config - Configuration in effect from this round on
+ *
+ * @typedef {Object} EngineErrorEvent - GameEvent.ERROR
+ * @property {string} userId - Present for bet/cashout failures
+ * @property {number} slot - Present for bet/cashout failures
+ * @property {string} operation - 'createRound' | 'startRound' | 'placeBet' | 'cancelBet' | 'cashOut' | 'finishRound' | 'voidRound'
+ * @property {Error} error
+ */
+const GameEvent = Object.freeze({
+  BETTING_STARTED: 'bettingStarted',
+  COUNTDOWN: 'countdown',
+  ROUND_STARTED: 'roundStarted',
+  TICK: 'tick',
+  BET_PLACED: 'betPlaced',
+  BET_CANCELLED: 'betCancelled',
+  BET_QUEUED: 'betQueued',
+  BET_UNQUEUED: 'betUnqueued',
+  CASHED_OUT: 'cashedOut',
+  CRASHED: 'crashed',
+  ROUND_VOIDED: 'roundVoided',
+  CONFIG_APPLIED: 'configApplied',
+  ERROR: 'engineError'
+});
+
+// Why a bet was cashed out by the engine at a payout cap
+const PayoutCap = Object.freeze({
+  MAX_WIN: 'maxWin',          // The bet reached maxWinAmount
+  ROUND_PAYOUT: 'roundPayout' // The round's total payout reached maxRoundPayout
+});
+
+const DEFAULT_CONFIG = Object.freeze({
+  countdownSeconds: 5,  // betting phase length
+  crashPauseMs: 3000,   // pause between crash and next betting phase
+  tickMs: 50,           // logic cadence (kept small for crash accuracy)
+  graceMs: 100,         // fairness window for manual cashouts received just before crash
+  crashSettleMs: 0,     // wait after the crash tick for cashouts still being forwarded by other instances
+  doublingMs: crashCurve.DEFAULT_DOUBLING_MS, // exponential curve: multiplier doubles every doublingMs
+  minBetAmount: 1,
+  maxBetAmount: 100000000,
+  maxWinAmount: Infinity,   // payout cap per bet (stake × multiplier)
+  maxRoundPayout: Infinity, // payout cap of all bets of a round together
+  betSlots: 2           // independent bets per player per round (dual bet panels)
+});
+
+const betKey = (userId, slot) => `${userId}:${slot}`;
+
+/**
+ * Persistence adapter used by the engine
+ *
+ * @typedef {Object} RoundStore
+ * @property {() => Promise<Object>} createRound - Resolve to a round with at least { id, crashPoint }
+ * @property {(round: Object) => Promise<{ crashPoint?: number }|void>} startRound - Round is taking off; may return the final crash point (e.g. once bettors' client seeds are mixed in)
+ * @property {(params: { round: Object, userId: string, amount: number, slot: number, autoTarget: number|null }) => Promise<{ betId: string|null, balance: number }>} placeBet
+ * @property {(params: { round: Object, userId: string, bet: Object }) => Promise<{ balance: number }>} cancelBet - Refund a bet during betting
+ * @property {(params: { round: Object, userId: string, bet: Object, amount: number, multiplier: number, winnings: number }) => Promise<{ balance: number }>} cashoutBet - Settle `amount` of the stake (all of bet.remaining for a full cashout). Runs on the tick path: should resolve without waiting on the database (queue the write)
+ * @property {(params: { round: Object, crashPoint: number, crashedAt: number, lostBets: Array }) => Promise<void>} finishRound - crashedAt is the clock time of the crash tick. Runs on the tick path too
+ * @property {(params: { round: Object, refunds: Array }) => Promise<void>} voidRound - Cancel the round and refund the stakes still riding
+ */
+
+class GameEngine extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {RoundStore} options.store
+   * @param {Object} [options.clock] - { now, setTimeout, clearTimeout }
+   * @param {Object} [options.config] - Overrides for DEFAULT_CONFIG
+   * @param {number[]} [options.crashHistory] - Initial crash history (most recent first)
+   */
+  constructor({ store, clock = systemClock, config = {}, crashHistory = [] } = {}) {
+    super();
+    if (!store) {
+      throw new Error('GameEngine requires a round store');
+    }
+
+    this.store = store;
+    this.clock = clock;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.nextConfig = null; // applied when the next betting phase opens
+
+    this.phase = GamePhase.CRASHED;
+    this.multiplier = 1.0;
+    this.countdown = 0;
+    this.crashPoint = 0;
+    this.startTime = 0;
+    this.crashAt = null; // set while a crash waits for forwarded cashouts (crashSettleMs)
+    this.round = null;
+    this.activeBets = new Map(); // Map<"userId:slot", bet>
+    this.queuedBets = new Map(); // Map<"userId:slot", queued bet> placed when the next betting phase opens
+    this.crashHistory = crashHistory.slice(0, 10);
+
+    this.pendingBets = new Set(); // store.placeBet calls in progress
+
+    this.timer = null;
+    this.running = false;
+    this.draining = false;
+    this.paused = false;       // maintenance: don't open new betting phases
+    this.waitingToBet = false; // loop is parked until resume()
+  }
+
+  // ==================== LIFECYCLE ====================
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    console.log('🎮 Game loop started');
+    this.startBetting();
+  }
+
+  stop() {
+    this.running = false;
+    this.clearTimer();
+  }
+
+  /**
+   * Hold the loop before the next betting phase. A round in progress plays
+   * out normally; queued bets wait for resume().
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    if (this.waitingToBet) {
+      this.waitingToBet = false;
+      this.startBetting();
+    }
+  }
+
+  /**
+   * Change the configuration from the next betting phase on, so a round
+   * never mixes old and new settings
+   */
+  configure(config) {
+    this.nextConfig = { ...this.config, ...this.nextConfig, ...config };
+  }
+
+  schedule(fn, ms) {
+    this.clearTimer();
+    if (!this.running) return;
+    this.timer = this.clock.setTimeout(() => {
+      this.timer = null;
+      return fn();
+    }, ms);
+  }
+
+  clearTimer() {
+    if (this.timer !== null) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // ==================== ROUND PHASES ====================
+
+  async startBetting() {
+    if (!this.running || this.draining) return;
+    if (this.paused) {
+      this.waitingToBet = true;
+      console.log('⏸️ Game loop paused');
+      return;
+    }
+
+    if (this.nextConfig) {
+      this.config = this.nextConfig;
+      this.nextConfig = null;
+      this.emit(GameEvent.CONFIG_APPLIED, { config: this.config });
+    }
+
+    let round;
+    try {
+      round = await this.store.createRound();
+    } catch (error) {
+      console.error('❌ Error creating game round:', error);
+      this.emit(GameEvent.ERROR, { operation: 'createRound', error });
+      this.schedule(() => this.startBetting(), this.config.crashPauseMs);
+      return;
+    }
+    if (!this.running) return;
+
+    this.phase = GamePhase.BETTING;
+    this.multiplier = 1.0;
+    this.countdown = this.config.countdownSeconds;
+    this.round = round;
+    this.crashPoint = Number(round.crashPoint);
+    this.activeBets.clear();
+
+    console.log('💰 Betting phase');
+    this.emit(GameEvent.BETTING_STARTED, { round, countdown: this.countdown });
+    this.schedule(() => this.countdownTick(), 1000);
+    await this.placeQueuedBets();
+  }
+
+  /**
+   * Turn bets queued during the previous round into real bets. Failures
+   * (e.g. the balance no longer covers the stake) surface as ERROR events.
+   */
+  async placeQueuedBets() {
+    const queued = [...this.queuedBets.values()];
+    this.queuedBets.clear();
+
+    await Promise.all(queued.map(({ userId, slot, amount, autoTarget }) =>
+      this.placeBet(userId, amount, { slot, autoTarget })
+    ));
+  }
+
+  countdownTick() {
+    this.countdown--;
+    this.emit(GameEvent.COUNTDOWN, { countdown: this.countdown });
+    if (this.countdown <= 0) {
+      return this.startFlying();
+    }
+    this.schedule(() => this.countdownTick(), 1000);
+  }
+
+  async startFlying() {
+    this.phase = GamePhase.RUNNING;
+    this.startTime = this.clock.now();
+
+    try {
+      const started = await this.store.startRound(this.round);
+      if (started && started.crashPoint) {
+        this.crashPoint = Number(started.crashPoint);
+      }
+    } catch (error) {
+      console.error('❌ Error updating game round to running:', error);
+      this.emit(GameEvent.ERROR, { operation: 'startRound', error });
+    }
+    if (!this.running) return; // Voided meanwhile
+
+    console.log(`✈️ Plane taking off. Crash at ${this.crashPoint.toFixed(2)}x`);
+    this.emit(GameEvent.ROUND_STARTED, { round: this.round, startTime: this.startTime });
+    this.schedule(() => this.tick(), this.config.tickMs);
+  }
+
+  async tick() {
+    const now = this.clock.now();
+    // Stable formula: no incremental FP drift
+    const reached = this.multiplierAt(now - this.startTime);
+    // Never let anything settle above the crash point
+    this.multiplier = Math.min(reached, this.crashPoint);
+    this.emit(GameEvent.TICK, { multiplier: this.multiplier, now });
+
+    // A cap crossed since the last tick is settled at the cap, after the
+    // auto-cashouts at or below it and before any above it or the crash
+    await this.enforcePayoutCaps();
+
+    // Server-side authoritative auto-cashout. Every due bet is settled in
+    // memory right away; the store only queues the database work, so the
+    // cashouts run side by side instead of one round trip at a time.
+    const due = [...this.activeBets.values()].filter(bet => !bet.cashedOut && bet.autoTarget && this.multiplier >= bet.autoTarget);
+    if (due.length > 0) {
+      console.log(`🤖 Server auto-cashout of ${due.length} bet(s) at ${this.multiplier.toFixed(2)}x`);
+      await Promise.all(due.map(bet => this.cashOut(bet.userId, bet.slot, true)));
+    }
+
+    if (reached >= this.crashPoint) {
+      return this.crash();
+    }
+    // Land the last tick exactly on the crash point
+    const msToCrash = this.elapsedFor(this.crashPoint) - (now - this.startTime);
+    this.schedule(() => this.tick(), Math.max(0, Math.min(this.config.tickMs, Math.ceil(msToCrash))));
+  }
+
+  async crash() {
+    const crashAt = this.clock.now();
+
+    // Cashouts other instances received before the crash may still be on
+    // their way to this one: the round stays open to them for crashSettleMs
+    if (this.config.crashSettleMs > 0) {
+      this.crashAt = crashAt;
+      this.schedule(() => this.settleCrash(crashAt), this.config.crashSettleMs);
+      return;
+    }
+    return this.settleCrash(crashAt);
+  }
+
+  async settleCrash(crashAt) {
+    // Accept manual cashouts received just before crash (fairness)
+    const late = [...this.activeBets.values()].filter(bet => !bet.cashedOut && bet.lastCashoutReqAt && (crashAt - bet.lastCashoutReqAt) <= this.config.graceMs);
+    await Promise.all(late.map((bet) => {
+      console.log(`⚡ Grace window cashout for ${bet.userId} (slot ${bet.slot}): received ${crashAt - bet.lastCashoutReqAt}ms before crash`);
+      return this.cashOut(bet.userId, bet.slot, false, bet.lastCashoutReqFraction);
+    }));
+
+    this.phase = GamePhase.CRASHED;
+    this.multiplier = this.crashPoint;
+    this.crashAt = null;
+
+    const lostBets = [];
+    for (const bet of this.activeBets.values()) {
+      if (!bet.cashedOut) lostBets.push({ userId: bet.userId, bet });
+    }
+
+    try {
+      await this.store.finishRound({ round: this.round, crashPoint: this.crashPoint, crashedAt: crashAt, lostBets });
+    } catch (error) {
+      console.error('❌ Error handling game round completion:', error);
+      this.emit(GameEvent.ERROR, { operation: 'finishRound', error });
+    }
+
+    // Add to crash history (keep last 10)
+    this.crashHistory.unshift(this.crashPoint);
+    if (this.crashHistory.length > 10) {
+      this.crashHistory.pop();
+    }
+
+    console.log(`💥 Crashed at ${this.crashPoint.toFixed(2)}x`);
+    this.emit(GameEvent.CRASHED, { round: this.round, crashPoint: this.crashPoint, lostBets });
+    this.schedule(() => this.startBetting(), this.config.crashPauseMs);
+  }
+
+  multiplierAt(elapsedMs) {
+    return crashCurve.multiplierAt(elapsedMs, this.config.doublingMs);
+  }
+
+  // Inverse of multiplierAt: flight time needed to reach a multiplier
+  elapsedFor(multiplier) {
+    return crashCurve.elapsedFor(multiplier, this.config.doublingMs);
+  }
+
+  // ==================== SHUTDOWN ====================
+
+  /**
+   * Stop opening betting phases and wind down the current round. A flight
+   * that crashes within timeoutMs runs to its crash point; a betting phase or
+   * a longer flight is voided and its stakes refunded.
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - How long the current flight may keep running
+   * @returns {Promise<{ voided: boolean }>} Resolves once no round is in progress
+   */
+  async drain({ timeoutMs = 0 } = {}) {
+    this.draining = true;
+    this.queuedBets.clear();
+
+    if (this.phase === GamePhase.RUNNING) {
+      const msLeft = this.elapsedFor(this.crashPoint) - (this.clock.now() - this.startTime);
+      if (msLeft <= timeoutMs) {
+        console.log(`🛬 Draining: letting the flight land in ${Math.max(0, Math.round(msLeft))}ms`);
+        await new Promise(resolve => this.once(GameEvent.CRASHED, resolve));
+        this.stop();
+        return { voided: false };
+      }
+    }
+
+    this.stop();
+    if (this.phase === GamePhase.CRASHED) {
+      return { voided: false };
+    }
+    await this.voidRound();
+    return { voided: true };
+  }
+
+  /**
+   * Cancel the current round and refund every stake still riding (partial
+   * cashouts already paid stand)
+   */
+  async voidRound() {
+    const round = this.round;
+    this.clearTimer();
+    this.phase = GamePhase.CRASHED;
+
+    // Let bets the store is still writing land so they get refunded too
+    await Promise.allSettled([...this.pendingBets]);
+
+    const refunds = [];
+    for (const bet of this.activeBets.values()) {
+      if (!bet.cashedOut && !bet.pending) {
+        refunds.push({ userId: bet.userId, bet, amount: bet.remaining });
+      }
+    }
+    this.activeBets.clear();
+
+    try {
+      await this.store.voidRound({ round, refunds });
+    } catch (error) {
+      console.error('❌ Error voiding game round:', error);
+      this.emit(GameEvent.ERROR, { operation: 'voidRound', error });
+    }
+
+    console.log(`🚫 Round voided, ${refunds.length} bet(s) refunded`);
+    this.emit(GameEvent.ROUND_VOIDED, { round, refunds });
+  }
+
+  // ==================== BETS ====================
+
+  isValidSlot(slot) {
+    return Number.isInteger(slot) && slot >= 0 && slot < this.config.betSlots;
+  }
+
+  /**
+   * Place a bet for the current round
+   * @param {string} userId
+   * @param {number} amount
+   * @param {Object} [options]
+   * @param {number} [options.slot] - Bet panel the bet belongs to
+   * @param {number|null} [options.autoTarget] - Server-side auto-cashout multiplier
+   */
+  async placeBet(userId, amount, { slot = 0, autoTarget = null } = {}) {
+    if (this.phase !== GamePhase.BETTING) {
+      return { success: false, code: ErrorCode.PHASE_CLOSED, error: 'Betting is closed' };
+    }
+    if (!this.isValidAmount(amount)) {
+      return { success: false, code: ErrorCode.INVALID_AMOUNT, error: 'Invalid bet amount' };
+    }
+    if (!this.isValidSlot(slot)) {
+      return { success: false, code: ErrorCode.INVALID_SLOT, error: 'Invalid bet slot' };
+    }
+
+    const key = betKey(userId, slot);
+    if (this.activeBets.has(key)) {
+      return { success: false, code: ErrorCode.SLOT_TAKEN, error: 'Bet already placed for this round' };
+    }
+
+    // Reserve the slot before any await so a duplicate message can't double-bet
+    const round = this.round;
+    const bet = {
+      userId,
+      slot,
+      amount,
+      cashedOut: false,
+      cashedOutMultiplier: 0,
+      remaining: amount,  // Stake still riding (partial cashouts settle part of it)
+      payout: 0,          // Total paid out so far
+      settlements: [],    // [{ amount, multiplier, winnings }]
+      betId: null,
+      pending: true,                                                  // Store hasn't confirmed the bet yet
+      autoTarget: autoTarget && autoTarget > 1 ? autoTarget : null, // 🎯 Server-side auto-cashout target
+      lastCashoutReqAt: null,                                         // 🕒 Unsettled manual cashout request, for the grace window
+      lastCashoutReqFraction: 1,
+      capped: null                                                    // 🧢 PayoutCap that cashed the bet out
+    };
+    this.activeBets.set(key, bet);
+
+    let result;
+    const pending = this.store.placeBet({ round, userId, amount, slot, autoTarget: bet.autoTarget });
+    this.pendingBets.add(pending);
+    try {
+      result = await pending;
+    } catch (error) {
+      if (this.activeBets.get(key) === bet) {
+        this.activeBets.delete(key);
+      }
+      console.error('❌ Failed to place bet:', error);
+      this.emit(GameEvent.ERROR, { userId, slot, operation: 'placeBet', error });
+      return { success: false, code: errorCodeOf(error), error: error.message || 'Failed to place bet' };
+    } finally {
+      this.pendingBets.delete(pending);
+    }
+
+    bet.betId = result.betId || null;
+    bet.pending = false;
+    this.emit(GameEvent.BET_PLACED, { userId, bet, balance: result.balance });
+    return { success: true, bet, balance: result.balance };
+  }
+
+  /**
+   * Hold a bet for the next betting phase (only while a round is in flight or crashed)
+   */
+  queueBet(userId, amount, { slot = 0, autoTarget = null } = {}) {
+    if (this.draining) {
+      return { success: false, code: ErrorCode.MAINTENANCE, error: 'Server is restarting' };
+    }
+    if (this.phase === GamePhase.BETTING) {
+      return { success: false, code: ErrorCode.PHASE_CLOSED, error: 'Betting is open' };
+    }
+    if (!this.isValidAmount(amount)) {
+      return { success: false, code: ErrorCode.INVALID_AMOUNT, error: 'Invalid bet amount' };
+    }
+    if (!this.isValidSlot(slot)) {
+      return { success: false, code: ErrorCode.INVALID_SLOT, error: 'Invalid bet slot' };
+    }
+
+    const key = betKey(userId, slot);
+    if (this.queuedBets.has(key)) {
+      return { success: false, code: ErrorCode.SLOT_TAKEN, error: 'Bet already queued for next round' };
+    }
+
+    const queued = { userId, slot, amount, autoTarget: autoTarget && autoTarget > 1 ? autoTarget : null };
+    this.queuedBets.set(key, queued);
+    this.emit(GameEvent.BET_QUEUED, { userId, queued });
+    return { success: true, queued };
+  }
+
+  unqueueBet(userId, slot = 0) {
+    const key = betKey(userId, slot);
+    const queued = this.queuedBets.get(key);
+    if (!queued) {
+      return { success: false, code: ErrorCode.NO_ACTIVE_BET, error: 'No queued bet' };
+    }
+
+    this.queuedBets.delete(key);
+    this.emit(GameEvent.BET_UNQUEUED, { userId, queued });
+    return { success: true, queued };
+  }
+
+  /**
+   * Withdraw a bet while betting is still open and refund the stake
+   */
+  async cancelBet(userId, slot = 0) {
+    if (this.phase !== GamePhase.BETTING) {
+      return { success: false, code: ErrorCode.PHASE_CLOSED, error: 'Betting is closed' };
+    }
+    const key = betKey(userId, slot);
+    const bet = this.activeBets.get(key);
+    if (!bet) {
+      return { success: false, code: ErrorCode.NO_ACTIVE_BET, error: 'No bet to cancel' };
+    }
+    if (bet.pending) {
+      return { success: false, code: ErrorCode.BET_PENDING, error: 'Bet is still being placed' };
+    }
+
+    // Release the slot first so the bet can't take off or be cancelled twice
+    const round = this.round;
+    this.activeBets.delete(key);
+
+    let result;
+    try {
+      result = await this.store.cancelBet({ round, userId, bet });
+    } catch (error) {
+      // The stake was not refunded: the bet still stands
+      if (this.round === round && !this.activeBets.has(key)) {
+        this.activeBets.set(key, bet);
+      }
+      console.error('❌ Failed to cancel bet:', error);
+      this.emit(GameEvent.ERROR, { userId, slot, operation: 'cancelBet', error });
+      return { success: false, code: errorCodeOf(error), error: error.message || 'Failed to cancel bet' };
+    }
+
+    this.emit(GameEvent.BET_CANCELLED, { userId, bet, balance: result.balance });
+    return { success: true, bet, balance: result.balance };
+  }
+
+  /**
+   * Manual cashout request from a player. The receive time is recorded so a
+   * request that loses the race against the crash can still be honoured.
+   * @param {number} [fraction] - Share of the original stake to settle (1 = everything left)
+   * @param {number} [receivedAt] - Server receive time; a request forwarded by
+   *   another instance carries the time that instance received it
+   */
+  requestCashOut(userId, slot = 0, fraction = 1, receivedAt = this.clock.now()) {
+    // The crash is waiting for forwarded requests: only those from before it count
+    if (this.crashAt !== null && receivedAt > this.crashAt) {
+      return Promise.resolve({ success: false, code: ErrorCode.PHASE_CLOSED, error: 'Round is not in flight' });
+    }
+
+    const bet = this.getBet(userId, slot);
+    if (bet && !bet.cashedOut) {
+      bet.lastCashoutReqAt = receivedAt;
+      bet.lastCashoutReqFraction = fraction;
+    }
+    return this.cashOut(userId, slot, false, fraction, receivedAt);
+  }
+
+  async cashOut(userId, slot = 0, isAutomatic = false, fraction = 1, receivedAt = null) {
+    const bet = this.getBet(userId, slot);
+    if (this.phase !== GamePhase.RUNNING) {
+      return { success: false, code: ErrorCode.PHASE_CLOSED, error: 'Round is not in flight' };
+    }
+    if (!bet || bet.cashedOut) {
+      return { success: false, code: ErrorCode.NO_ACTIVE_BET, error: 'No active bet to cash out' };
+    }
+    if (!(fraction > 0 && fraction <= 1)) {
+      return { success: false, code: ErrorCode.INVALID_REQUEST, error: 'Invalid cashout fraction' };
+    }
+
+    // A fraction is taken from the original stake, capped at what's still riding
+    const amount = fraction === 1
+      ? bet.remaining
+      : Math.min(bet.remaining, Math.round(bet.amount * fraction * 100) / 100);
+    if (amount <= 0) {
+      return { success: false, code: ErrorCode.INVALID_REQUEST, error: 'Invalid cashout fraction' };
+    }
+
+    // The curve crossed an auto-cashout target somewhere between two ticks:
+    // pay the target itself rather than wherever the tick happened to land
+    let multiplier = isAutomatic && bet.autoTarget ? Math.min(bet.autoTarget, this.multiplier) : this.multiplier;
+    // Settled while the crash waits: pay what the curve showed when the request arrived
+    if (this.crashAt !== null && receivedAt !== null) {
+      multiplier = Math.min(multiplier, this.multiplierAt(receivedAt - this.startTime));
+    }
+    return this.settleCashout(bet, { amount, multiplier, isAutomatic });
+  }
+
+  /**
+   * Cash out every bet whose payout would pass a cap at the current
+   * multiplier: a bet at maxWinAmount, or all bets still riding once the
+   * round's total would pass maxRoundPayout. They are paid the multiplier the
+   * cap was reached at (never below 1x: a stake always comes back).
+   * Auto-cashout targets the curve passed before the cap are paid first, at
+   * their target, just as if the cap had been crossed on a later tick.
+   */
+  async enforcePayoutCaps() {
+    const { maxWinAmount, maxRoundPayout } = this.config;
+    for (;;) {
+      const bets = [...this.activeBets.values()];
+      const riding = bets.filter(bet => !bet.cashedOut);
+      if (riding.length === 0) return;
+
+      const paid = bets.reduce((sum, bet) => sum + bet.payout, 0);
+      const stake = riding.reduce((sum, bet) => sum + bet.remaining, 0);
+      const roundCap = capMultiplier(maxRoundPayout - paid, stake);
+      const betCaps = riding.map(bet => ({ bet, cap: capMultiplier(maxWinAmount - bet.payout, bet.remaining) }));
+      const lowest = Math.min(roundCap, ...betCaps.map(({ cap }) => cap));
+      if (lowest > this.multiplier) return;
+
+      let results;
+      const before = riding.filter(bet => bet.autoTarget && bet.autoTarget <= lowest);
+      if (before.length > 0) {
+        results = await Promise.all(before.map(bet => this.cashOut(bet.userId, bet.slot, true)));
+      } else if (roundCap === lowest) {
+        console.log(`🧢 Round payout cap reached at ${roundCap.toFixed(2)}x: cashing out ${riding.length} bet(s)`);
+        results = await Promise.all(riding.map(bet => this.capCashout(bet, roundCap, PayoutCap.ROUND_PAYOUT)));
+      } else {
+        const capped = betCaps.filter(({ cap }) => cap === lowest);
+        console.log(`🧢 Max win reached at ${lowest.toFixed(2)}x by ${capped.length} bet(s)`);
+        results = await Promise.all(capped.map(({ bet, cap }) => this.capCashout(bet, cap, PayoutCap.MAX_WIN)));
+      }
+      // Settling failed (reported as an engine error): try again next tick
+      if (results.some(result => !result.success)) return;
+    }
+  }
+
+  capCashout(bet, multiplier, cap) {
+    return this.settleCashout(bet, { amount: bet.remaining, multiplier, isAutomatic: true, capped: cap });
+  }
+
+  /**
+   * Pay out `amount` of a bet's stake at `multiplier`
+   */
+  async settleCashout(bet, { amount, multiplier, isAutomatic, capped = null }) {
+    const { userId, slot } = bet;
+    const winnings = Math.floor(amount * multiplier);
+    const settlement = { amount, multiplier, winnings };
+
+    // Settle optimistically so concurrent requests see the reduced stake.
+    // A settled manual request is done with: the crash's grace pass only
+    // honours requests that could not be settled
+    const request = { at: bet.lastCashoutReqAt, fraction: bet.lastCashoutReqFraction };
+    if (!isAutomatic) {
+      bet.lastCashoutReqAt = null;
+      bet.lastCashoutReqFraction = 1;
+    }
+    bet.remaining = Math.round((bet.remaining - amount) * 100) / 100;
+    bet.payout += winnings;
+    bet.settlements.push(settlement);
+    if (bet.remaining === 0) {
+      bet.cashedOut = true;
+      bet.cashedOutMultiplier = multiplier;
+    }
+    bet.capped = capped;
+
+    let result;
+    try {
+      result = await this.store.cashoutBet({ round: this.round, userId, bet, amount, multiplier, winnings });
+    } catch (error) {
+      console.error('❌ Failed to cashout bet:', error);
+      // Revert cashout state
+      bet.remaining = Math.round((bet.remaining + amount) * 100) / 100;
+      bet.payout -= winnings;
+      bet.settlements = bet.settlements.filter(s => s !== settlement);
+      bet.cashedOut = false;
+      bet.cashedOutMultiplier = 0;
+      bet.capped = null;
+      if (!isAutomatic) {
+        bet.lastCashoutReqAt = request.at;
+        bet.lastCashoutReqFraction = request.fraction;
+      }
+      this.emit(GameEvent.ERROR, { userId, slot, operation: 'cashOut', error });
+      return { success: false, code: errorCodeOf(error), error: error.message || 'Failed to cashout' };
+    }
+
+    this.emit(GameEvent.CASHED_OUT, {
+      userId,
+      bet,
+      amount,
+      winnings,
+      multiplier,
+      balance: result.balance,
+      isAutomatic,
+      capped
+    });
+    return { success: true, amount, winnings, multiplier, balance: result.balance };
+  }
+
+  /**
+   * Drop a player's bets from the in-memory round (stored bets are settled at crash)
+   */
+  removeBets(userId) {
+    let removed = 0;
+    for (const [key, bet] of this.activeBets.entries()) {
+      if (bet.userId === userId) {
+        this.activeBets.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Drop a player's queued bets (player left for good)
+   */
+  clearQueuedBets(userId) {
+    for (const [key, queued] of this.queuedBets.entries()) {
+      if (queued.userId === userId) {
+        this.queuedBets.delete(key);
+      }
+    }
+  }
+
+  // ==================== READ ACCESS ====================
+
+  // Bet limits only: a stake above the max win is allowed, it just can't win more
+  isValidAmount(amount) {
+    return Number.isFinite(amount) && amount > 0 && amount >= this.config.minBetAmount &&
+      amount <= this.config.maxBetAmount;
+  }
+
+  getBet(userId, slot = 0) {
+    return this.activeBets.get(betKey(userId, slot)) || null;
+  }
+
+  getQueuedBet(userId, slot = 0) {
+    return this.queuedBets.get(betKey(userId, slot)) || null;
+  }
+
+  /**
+   * Bets a player has queued for the next round, ordered by slot
+   */
+  getQueuedBets(userId) {
+    const queued = [];
+    for (let slot = 0; slot < this.config.betSlots; slot++) {
+      const bet = this.getQueuedBet(userId, slot);
+      if (bet) queued.push(bet);
+    }
+    return queued;
+  }
+
+  /**
+   * All of a player's bets this round, ordered by slot
+   */
+  getBets(userId) {
+    const bets = [];
+    for (let slot = 0; slot < this.config.betSlots; slot++) {
+      const bet = this.getBet(userId, slot);
+      if (bet) bets.push(bet);
+    }
+    return bets;
+  }
+
+  getSnapshot() {
+    return {
+      state: this.phase,
+      multiplier: this.multiplier,
+      countdown: this.countdown,
+      startTime: this.startTime,
+      crashHistory: this.crashHistory,
+      roundId: this.round?.id || null,
+      activeBets: this.activeBets.size,
+      paused: this.paused
+    };
+  }
+}
+
+// Multiplier at which `stake` pays out `headroom`, floored to the cent so the
+// payout stays within it
+function capMultiplier(headroom, stake) {
+  return Math.max(1, Math.floor((headroom / stake) * 100) / 100);
+}
+
+module.exports = {
+  GameEngine,
+  GamePhase,
+  GameEvent,
+  PayoutCap,
+  DEFAULT_CONFIG
+};
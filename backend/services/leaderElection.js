@@ -0,0 +1,168 @@
+// 👑 Leader Election - Exactly one instance runs the game engines
+// Instances compete for a lock on the bus (lib/bus.js). The holder renews it
+// well within its TTL; if the leader dies the lock runs out and the next
+// instance to ask takes over. A leader that can't renew steps down before its
+// lock could have expired, so two instances never run rounds side by side.
+// An instance taking the lock over from another leader only becomes leader
+// once that leader has handed over (its settlements are written, see
+// handOver) or handoverMs has passed: until then the old leader's last round
+// can't be recovered without refunding cashouts still on their way.
+
+const { EventEmitter } = require('events');
+const { systemClock } = require('../lib/clock');
+
+const LeaderEvent = Object.freeze({
+  ELECTED: 'elected',
+  DEPOSED: 'deposed' // Lost the lock without stepping down (another instance may lead now)
+});
+
+const DEFAULT_OPTIONS = Object.freeze({
+  key: 'aviator:round-leader',
+  ttlMs: 10000,      // how long a silent leader keeps the lock
+  renewMs: 3000,     // how often the lock is renewed / asked for
+  handoverMs: 15000  // how long a new leader waits for the previous one to hand over
+});
+
+class LeaderElection extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.bus - Bus adapter (lib/bus.js): locks, and pub/sub for handovers
+   * @param {string} options.instanceId
+   * @param {Object} [options.clock]
+   */
+  constructor({ bus, instanceId, clock = systemClock, ...options }) {
+    super();
+    if (!bus || !instanceId) {
+      throw new Error('LeaderElection requires a bus and an instanceId');
+    }
+
+    this.bus = bus;
+    this.instanceId = instanceId;
+    this.clock = clock;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    this.isLeader = false;
+    this.renewedAt = 0;
+    this.running = false;
+    this.timer = null;
+    this.sawLeader = false;     // Another instance held the lock since this one last led
+    this.handedOverAt = null;   // When a leader last said it was done
+    this.handoverTimer = null;  // Holding the lock, waiting for the previous leader
+    this.unsubscribe = null;
+  }
+
+  get channel() {
+    return `${this.options.key}:handover`;
+  }
+
+  async start() {
+    if (this.running) return;
+    this.running = true;
+    this.unsubscribe = await this.bus.subscribe(this.channel, ({ instanceId }) => {
+      if (instanceId !== this.instanceId) this.previousLeaderDone();
+    });
+    return this.campaign();
+  }
+
+  previousLeaderDone() {
+    this.handedOverAt = this.clock.now();
+    if (this.handoverTimer !== null) {
+      this.clock.clearTimeout(this.handoverTimer);
+      this.elect();
+    }
+  }
+
+  // Lead right away unless a previous leader may still be writing
+  takeOver(now) {
+    const handedOver = this.handedOverAt !== null && now - this.handedOverAt <= this.options.ttlMs;
+    if (!this.sawLeader || handedOver) {
+      this.elect();
+      return;
+    }
+    console.log(`⏳ ${this.instanceId} holds the lock, waiting for the previous leader to hand over`);
+    this.handoverTimer = this.clock.setTimeout(() => this.elect(), this.options.handoverMs);
+  }
+
+  elect() {
+    this.handoverTimer = null;
+    this.sawLeader = false;
+    this.isLeader = true;
+    console.log(`👑 ${this.instanceId} is now the round leader`);
+    this.emit(LeaderEvent.ELECTED);
+  }
+
+  async campaign() {
+    this.timer = null;
+    if (!this.running) return;
+
+    const { key, ttlMs, renewMs } = this.options;
+    let held = null;
+    try {
+      held = await this.bus.acquireLock(key, this.instanceId, ttlMs);
+    } catch (error) {
+      console.error('❌ Leader lock check failed:', error.message || error);
+    }
+    if (!this.running) return;
+
+    const now = this.clock.now();
+    if (held) {
+      this.renewedAt = now;
+      if (!this.isLeader && this.handoverTimer === null) {
+        this.takeOver(now);
+      }
+    } else if (this.handoverTimer !== null) {
+      // Lost the lock before taking over: nothing was started
+      this.clock.clearTimeout(this.handoverTimer);
+      this.handoverTimer = null;
+    } else if (!this.isLeader && held === false) {
+      this.sawLeader = true;
+    } else if (this.isLeader && (held === false || now - this.renewedAt + renewMs >= ttlMs)) {
+      // Someone else holds the lock, or it may lapse before the next renewal
+      this.isLeader = false;
+      console.error(`❌ ${this.instanceId} lost round leadership`);
+      this.emit(LeaderEvent.DEPOSED);
+    }
+
+    this.timer = this.clock.setTimeout(() => this.campaign(), renewMs);
+  }
+
+  /**
+   * Tell the next leader this instance is done with the rounds it ran: call
+   * once its settlements are written (or given up on). Releases the lock
+   * if this instance still holds it.
+   */
+  async handOver() {
+    await this.bus.releaseLock(this.options.key, this.instanceId);
+    await this.bus.publish(this.channel, { instanceId: this.instanceId });
+  }
+
+  /**
+   * Stop campaigning; a leader hands the lock over right away, so its
+   * writes must be done by then
+   */
+  async stop() {
+    this.running = false;
+    if (this.timer !== null) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.handoverTimer !== null) {
+      this.clock.clearTimeout(this.handoverTimer);
+      this.handoverTimer = null;
+      await this.bus.releaseLock(this.options.key, this.instanceId);
+    }
+    if (this.isLeader) {
+      this.isLeader = false;
+      await this.handOver();
+    }
+    if (this.unsubscribe) {
+      await this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+}
+
+module.exports = {
+  LeaderElection,
+  LeaderEvent
+};
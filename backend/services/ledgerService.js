@@ -0,0 +1,103 @@
+// 📒 Ledger Service - The only writer of User.balance
+// Each balance change runs inside the caller's database transaction as one
+// relative update of the user's row (which holds the row lock until commit),
+// the Transaction record and its double-entry LedgerEntry (lib/ledger.js).
+// balanceBefore/balanceAfter come from the updated row, so the Transaction
+// chain stays exact even when other writers touch the same user.
+
+const { CommandError, ErrorCode } = require('../lib/commands');
+const { ledgerEntry } = require('../lib/ledger');
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+class LedgerService {
+  /**
+   * Change a player's balance by `amount` (> 0 credits, < 0 debits)
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} change
+   * @param {string} change.userId
+   * @param {number} change.amount
+   * @param {string} change.type - TransactionType; picks the counter account
+   * @param {string} [change.description]
+   * @param {string} [change.betId]
+   * @param {Object} [change.metadata]
+   * @param {Date} [change.createdAt]
+   * @param {Object} [change.userData] - Other User fields to update in the same statement
+   * @returns {Promise<{ balanceBefore: number, balanceAfter: number, transaction: Object }>}
+   * @throws {CommandError} INSUFFICIENT_BALANCE when a debit would overdraw the balance
+   */
+  async post(tx, { userId, amount, type, description = null, betId = null, metadata, createdAt, userData = {} }) {
+    let balanceAfter;
+    if (amount >= 0) {
+      const user = await tx.user.update({
+        where: { id: userId },
+        data: { ...userData, balance: { increment: amount } },
+        select: { balance: true }
+      });
+      balanceAfter = parseFloat(user.balance);
+    } else {
+      // The guard and the decrement are one statement: no overdraft between check and write
+      const { count } = await tx.user.updateMany({
+        where: { id: userId, balance: { gte: -amount } },
+        data: { ...userData, balance: { decrement: -amount } }
+      });
+      if (count === 0) {
+        throw new CommandError(ErrorCode.INSUFFICIENT_BALANCE, 'Insufficient balance');
+      }
+      const user = await tx.user.findUnique({ where: { id: userId }, select: { balance: true } });
+      balanceAfter = parseFloat(user.balance);
+    }
+    const balanceBefore = roundCents(balanceAfter - amount);
+
+    const transaction = await tx.transaction.create({
+      data: {
+        userId,
+        betId,
+        type,
+        amount: Math.abs(amount),
+        balanceBefore,
+        balanceAfter,
+        description,
+        metadata,
+        createdAt
+      }
+    });
+    await tx.ledgerEntry.create({
+      data: { ...ledgerEntry({ userId, amount, type }), transactionId: transaction.id }
+    });
+
+    return { balanceBefore, balanceAfter, transaction };
+  }
+
+  /**
+   * Set a player's balance (admin edits) as an ADJUSTMENT of the difference
+   * @returns {Promise<{ balanceBefore: number, balanceAfter: number, transaction: Object|null }>}
+   */
+  async setBalance(tx, { userId, balance, description = null }) {
+    // Lock the row before reading it, so the difference is still right when posted
+    const [user] = await tx.$queryRaw`SELECT "balance" FROM "users" WHERE "id" = ${userId} FOR UPDATE`;
+    if (!user) {
+      throw new Error('User not found');
+    }
+    const current = parseFloat(user.balance);
+    const amount = roundCents(balance - current);
+    if (amount === 0) {
+      return { balanceBefore: current, balanceAfter: current, transaction: null };
+    }
+    return this.post(tx, { userId, amount, type: 'ADJUSTMENT', description });
+  }
+
+  /**
+   * Ledger entries for transactions a bulk writer created itself (with their
+   * ids) after moving the balances under a row lock
+   * @param {Array<{ transactionId: string, userId: string, amount: number, type: string }>} changes - amount > 0 credits the player
+   */
+  async recordMany(tx, changes) {
+    if (changes.length === 0) return;
+    await tx.ledgerEntry.createMany({
+      data: changes.map(({ transactionId, ...change }) => ({ ...ledgerEntry(change), transactionId }))
+    });
+  }
+}
+
+module.exports = new LedgerService();
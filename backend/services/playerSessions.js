@@ -0,0 +1,196 @@
+// 🔌 Player Sessions - Who is playing, in which room, and reconnection grace
+// The round leader keeps a session per player. When a connection drops, a
+// signed-in player's session (and their bets) stays for a grace period so a
+// network blip doesn't cost the stake: reconnecting inside it resumes the
+// session as it was, live balance included. Once the grace period runs out
+// the session goes, unless auto-play is still running for the player; then it
+// stays "away" until auto-play stops. Guests are dropped right away.
+
+const { systemClock } = require('../lib/clock');
+
+// Bet fields sent to clients (bet/cashout frames, overlay, snapshot, resume)
+function serializeBet(bet) {
+  return {
+    slot: bet.slot,
+    amount: bet.amount,
+    cashedOut: bet.cashedOut,
+    cashedOutMultiplier: bet.cashedOutMultiplier,
+    remaining: bet.remaining,
+    payout: bet.payout,
+    autoTarget: bet.autoTarget,
+    capped: bet.capped
+  };
+}
+
+function serializeQueuedBet(queued) {
+  return {
+    slot: queued.slot,
+    amount: queued.amount,
+    autoTarget: queued.autoTarget
+  };
+}
+
+// Bets still riding, queued bets or auto-play keep a player in their room
+function hasOpenPlay(room, userId) {
+  return room.engine.getBets(userId).some(bet => !bet.cashedOut) ||
+    room.engine.getQueuedBets(userId).length > 0 ||
+    !!room.autoBet.getSession(userId);
+}
+
+class PlayerSessions {
+  /**
+   * @param {Object} options
+   * @param {Map<string, Object>} options.rooms - Room id → { id, engine, autoBet }
+   * @param {string} options.defaultRoomId - Room of players without a session
+   * @param {Object} [options.clock] - { now, setTimeout, clearTimeout }
+   * @param {number} [options.graceMs] - How long a disconnected player keeps their session
+   */
+  constructor({ rooms, defaultRoomId, clock = systemClock, graceMs = 60 * 1000 }) {
+    this.rooms = rooms;
+    this.defaultRoomId = defaultRoomId;
+    this.clock = clock;
+    this.graceMs = graceMs;
+    // Map<userId, { ws, roomId, user, isGuest, guestBalance, settings, disconnectedAt, disconnectTimer, away }>
+    // `ws` is null while the player is disconnected
+    this.players = new Map();
+  }
+
+  // Room a player's commands go to
+  roomOf(userId) {
+    return this.rooms.get(this.players.get(userId)?.roomId) || this.rooms.get(this.defaultRoomId);
+  }
+
+  countOnline(roomId = null) {
+    let online = 0;
+    for (const p of this.players.values()) {
+      if (p.ws && (!roomId || p.roomId === roomId)) online++;
+    }
+    return online;
+  }
+
+  /**
+   * Open a session for a new connection, resuming the player's previous one
+   * when it is still held
+   * @param {Object} options
+   * @param {Object} options.ws - The connection ({ connectionId, close(code, reason), closed() })
+   * @param {string} options.roomId - Room asked for, used unless the resumed session still plays in its own
+   * @returns {{ player: Object, room: Object, isResume: boolean }}
+   */
+  open({ ws, userId, user, isGuest, settings, roomId }) {
+    const previous = this.players.get(userId);
+    const isResume = !isGuest && !!previous;
+    if (previous?.disconnectTimer) {
+      this.clock.clearTimeout(previous.disconnectTimer);
+    }
+    if (previous?.ws && previous.ws.connectionId !== ws.connectionId) {
+      // Newer connection wins (e.g. app reopened in another Telegram session)
+      previous.ws.close(4000, 'Superseded by a new connection');
+    }
+
+    const previousRoom = isResume ? this.rooms.get(previous.roomId) : null;
+    const room = previousRoom && hasOpenPlay(previousRoom, userId)
+      ? previousRoom
+      : this.rooms.get(roomId) || this.rooms.get(this.defaultRoomId);
+
+    // A live session's cached balance already counts winnings still in the
+    // settlement queue, which the user read from the database at connect misses
+    if (isResume) {
+      user = { ...user, balance: previous.user.balance };
+      previousRoom.autoBet.setAway(userId, false);
+    }
+
+    const player = {
+      ws,
+      roomId: room.id,
+      user,
+      isGuest,
+      guestBalance: isGuest ? 10000 : 0, // Guests get demo balance
+      settings: settings || {}, // Cache settings for server-side auto-cashout
+      disconnectedAt: null,
+      disconnectTimer: null,
+      away: false
+    };
+    this.players.set(userId, player);
+    return { player, room, isResume };
+  }
+
+  /**
+   * A connection closed: drop a guest, hold a player's session for the grace period
+   * @returns {Object|null} The player, or null when the connection was already replaced
+   */
+  close({ userId, connectionId }) {
+    const player = this.players.get(userId);
+    if (!player?.ws || player.ws.connectionId !== connectionId) return null;
+    player.ws.closed();
+
+    if (player.isGuest) {
+      const { engine } = this.roomOf(userId);
+      this.players.delete(userId);
+      engine.removeBets(userId);
+      engine.clearQueuedBets(userId);
+      return player;
+    }
+
+    // Auto-cashout keeps running server-side meanwhile
+    player.ws = null;
+    player.disconnectedAt = this.clock.now();
+    player.disconnectTimer = this.clock.setTimeout(() => this.expire(userId, player), this.graceMs);
+    return player;
+  }
+
+  expire(userId, player) {
+    if (this.players.get(userId) !== player || player.ws) return;
+
+    const { engine, autoBet } = this.roomOf(userId);
+    if (autoBet.getSession(userId)) {
+      // Auto-play keeps going until its own limits (or maxAwayRounds) stop it
+      player.away = true;
+      autoBet.setAway(userId, true);
+      console.log(`⌛ Reconnection grace expired for ${player.user.username}, auto-play continues`);
+      return;
+    }
+    this.players.delete(userId);
+    engine.clearQueuedBets(userId);
+    console.log(`⌛ Reconnection grace expired for ${player.user.username}`);
+  }
+
+  /**
+   * Let go of a player who is away once their auto-play has stopped
+   */
+  releaseAway(userId) {
+    const player = this.players.get(userId);
+    if (!player?.away) return false;
+
+    this.roomOf(userId).engine.clearQueuedBets(userId);
+    this.players.delete(userId);
+    console.log(`⌛ Auto-play ended for ${player.user.username}, who is away`);
+    return true;
+  }
+
+  /**
+   * Where a reconnecting player's round and bets stand (the `resume` frame's data)
+   */
+  resumeFrame(userId) {
+    const player = this.players.get(userId);
+    if (!player) return null;
+
+    const { engine } = this.roomOf(userId);
+    const { state, multiplier, roundId } = engine.getSnapshot();
+    return {
+      room: player.roomId,
+      roundId,
+      state,
+      multiplier,
+      bets: engine.getBets(userId).map(serializeBet),
+      queued: engine.getQueuedBets(userId).map(serializeQueuedBet),
+      balance: player.user.balance
+    };
+  }
+}
+
+module.exports = {
+  PlayerSessions,
+  hasOpenPlay,
+  serializeBet,
+  serializeQueuedBet
+};
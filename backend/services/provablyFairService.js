@@ -1,10 +1,19 @@
 const crypto = require('crypto');
+const { ALGORITHM, crashPointFromInt, createFairness } = require('../lib/crashFairness');
+
+const fairness = createFairness({
+  sha256: (message) => crypto.createHash('sha256').update(message).digest('hex'),
+  hmacSha256: (key, message) => crypto.createHmac('sha256', key).update(message).digest('hex')
+});
 
 class ProvablyFairService {
   constructor() {
     this.serverSeedLength = parseInt(process.env.SERVER_SEED_LENGTH) || 64;
     this.clientSeedLength = parseInt(process.env.CLIENT_SEED_LENGTH) || 32;
-    this.houseEdge = parseFloat(process.env.HOUSE_EDGE) || 0.01;
+    // Rounds created before the edge was stored with each round used the env value
+    this.legacyHouseEdge = parseFloat(process.env.HOUSE_EDGE) || 0.01;
+    this.houseEdge = this.legacyHouseEdge; // Current edge, changed by admins through round params
+    this.chainLength = parseInt(process.env.SEED_CHAIN_LENGTH) || 10000;
   }
   
   /**
@@ -21,6 +30,31 @@ class ProvablyFairService {
     return crypto.createHash('sha256').update(serverSeed).digest('hex');
   }
   
+  /**
+   * Generate a reverse hash chain of server seeds (Bustabit style)
+   * Each seed is the hash of the one generated before it. Rounds consume the
+   * chain backwards, so a revealed seed always hashes to the previous round's
+   * seed and, eventually, to the published terminating hash.
+   * @returns {{ seeds: string[], terminatingHash: string }} seeds in play order
+   */
+  generateHashChain(rootSeed = this.generateServerSeed(), length = this.chainLength) {
+    const seeds = [rootSeed];
+    for (let i = 1; i < length; i++) {
+      seeds.push(this.hashServerSeed(seeds[i - 1]));
+    }
+    const terminatingHash = this.hashServerSeed(seeds[length - 1]);
+
+    return { seeds: seeds.reverse(), terminatingHash };
+  }
+  
+  /**
+   * Check that a revealed seed belongs to the chain ending in terminatingHash
+   * @returns {{ valid: boolean, index: number|null }} index = position in play order
+   */
+  verifyChainSeed(serverSeed, terminatingHash, maxLength = this.chainLength) {
+    return fairness.verifyChainSeed(serverSeed, terminatingHash, maxLength);
+  }
+  
   /**
    * Generate a client seed (can be provided by players or auto-generated)
    */
@@ -28,24 +62,28 @@ class ProvablyFairService {
     return crypto.randomBytes(this.clientSeedLength / 2).toString('hex');
   }
   
+  /**
+   * Player client seeds: 1-64 letters, digits, '-' or '_'
+   */
+  isValidClientSeed(clientSeed) {
+    return typeof clientSeed === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(clientSeed);
+  }
+  
+  /**
+   * Mix the bettors' client seeds into a round's base client seed
+   * Each contribution is "clientSeed:nonce"; they are sorted so the result
+   * doesn't depend on bet order. Without contributions the base seed is kept.
+   */
+  combineClientSeeds(baseClientSeed, contributions = []) {
+    return fairness.combineClientSeeds(baseClientSeed, contributions);
+  }
+  
   /**
    * Calculate crash point using provably fair algorithm
    * This uses the industry-standard method used by many crash games
    */
   calculateCrashPoint(serverSeed, clientSeed, nonce = 0) {
-    // Create HMAC hash using server seed as key and client seed + nonce as message
-    const message = `${clientSeed}:${nonce}`;
-    const hash = crypto.createHmac('sha256', serverSeed).update(message).digest('hex');
-    
-    // Take first 8 characters and convert to integer
-    const hex = hash.substring(0, 8);
-    const intValue = parseInt(hex, 16);
-    
-    // Calculate crash point with house edge
-    // This ensures the house edge while maintaining fairness
-    const crashPoint = this.calculateMultiplierFromHash(intValue);
-    
-    return Math.max(1.00, crashPoint);
+    return fairness.calculateCrashPoint(serverSeed, clientSeed, nonce, this.houseEdge);
   }
   
   /**
@@ -53,25 +91,25 @@ class ProvablyFairService {
    * Uses the standard algorithm that ensures proper distribution
    */
   calculateMultiplierFromHash(intValue) {
-    // Maximum value for 8 hex characters
-    const maxValue = 0xFFFFFFFF;
-    
-    // Calculate the probability (0 to 1)
-    const probability = intValue / maxValue;
-    
-    // Apply house edge
-    const adjustedProbability = probability * (1 - this.houseEdge);
-    
-    // Convert to crash multiplier using exponential distribution
-    // This creates the characteristic crash game distribution
-    if (adjustedProbability === 0) {
-      return 1.00;
-    }
-    
-    const crashPoint = 1 / adjustedProbability;
-    
-    // Cap at reasonable maximum (1000x)
-    return Math.min(crashPoint, 1000);
+    return crashPointFromInt(intValue, this.houseEdge);
+  }
+  
+  /**
+   * Check all published values of a finished round (see lib/crashFairness.js)
+   */
+  verifyRound(round) {
+    return fairness.verifyRound(round, { houseEdge: this.roundHouseEdge(round) });
+  }
+
+  roundHouseEdge(round) {
+    return round.houseEdge != null ? Number(round.houseEdge) : this.legacyHouseEdge;
+  }
+  
+  /**
+   * Algorithm parameters published with verification data
+   */
+  getAlgorithm() {
+    return { ...ALGORITHM, houseEdge: this.houseEdge };
   }
   
   /**
@@ -87,20 +125,19 @@ class ProvablyFairService {
   
   /**
    * Generate a complete provably fair round
+   * Pass a serverSeed taken from a hash chain; a fresh random seed is used otherwise
    */
-  generateFairRound(clientSeed = null, nonce = 0) {
-    const serverSeed = this.generateServerSeed();
+  generateFairRound(clientSeed = null, nonce = 0, serverSeed = this.generateServerSeed(), houseEdge = this.houseEdge) {
     const serverSeedHash = this.hashServerSeed(serverSeed);
     const finalClientSeed = clientSeed || this.generateClientSeed();
     
-    const crashPoint = this.calculateCrashPoint(serverSeed, finalClientSeed, nonce);
-    
     return {
       serverSeed,
       serverSeedHash,
       clientSeed: finalClientSeed,
       nonce,
-      crashPoint: parseFloat(crashPoint.toFixed(2))
+      houseEdge,
+      crashPoint: fairness.roundCrashPoint(serverSeed, finalClientSeed, nonce, houseEdge)
     };
   }
   
@@ -116,7 +153,7 @@ class ProvablyFairService {
       verification: {
         serverSeedHash: this.hashServerSeed(serverSeed),
         isValid: this.verifyCrashPoint(serverSeed, clientSeed, nonce, crashPoint),
-        algorithm: 'HMAC-SHA256',
+        algorithm: ALGORITHM.name,
         houseEdge: this.houseEdge
       }
     };
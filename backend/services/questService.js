@@ -3,6 +3,7 @@
 
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const ledgerService = require('./ledgerService');
 
 class QuestService {
   
@@ -222,28 +223,14 @@ class QuestService {
         });
         
         // Add reward to user balance
-        const user = await tx.user.update({
-          where: { id: userId },
-          data: {
-            balance: {
-              increment: quest.rewardPoints
-            }
-          }
-        });
-        
-        // Create transaction record
-        await tx.transaction.create({
-          data: {
-            userId,
-            type: 'QUEST_REWARD',
-            amount: quest.rewardPoints,
-            balanceBefore: user.balance - quest.rewardPoints,
-            balanceAfter: user.balance,
-            description: `Quest reward: ${quest.name}`,
-            metadata: {
-              questType: quest.type,
-              questName: quest.name
-            }
+        const { balanceAfter } = await ledgerService.post(tx, {
+          userId,
+          amount: quest.rewardPoints,
+          type: 'QUEST_REWARD',
+          description: `Quest reward: ${quest.name}`,
+          metadata: {
+            questType: quest.type,
+            questName: quest.name
           }
         });
         
@@ -261,7 +248,7 @@ class QuestService {
         return {
           success: true,
           rewardPoints: quest.rewardPoints,
-          newBalance: user.balance,
+          newBalance: balanceAfter,
           questName: quest.name
         };
       });
@@ -0,0 +1,78 @@
+// ⏰ Reconciliation Job - Runs the ledger reconciliation once a night
+// Only the round leader schedules it (server.js), so a cluster reconciles once.
+
+const { systemClock } = require('../lib/clock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Next time it's `hourUtc`:00 UTC, strictly after `now`
+ * @param {number} now - Epoch ms
+ * @param {number} hourUtc - 0-23
+ * @returns {number} Epoch ms
+ */
+function nextRunAt(now, hourUtc) {
+  const today = new Date(now);
+  const at = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate(), hourUtc);
+  return at > now ? at : at + DAY_MS;
+}
+
+class ReconciliationJob {
+  /**
+   * @param {Object} options
+   * @param {() => Promise<any>} options.run - One reconciliation
+   * @param {number} [options.hourUtc]
+   * @param {Object} [options.clock]
+   */
+  constructor({ run, hourUtc = 3, clock = systemClock }) {
+    if (typeof run !== 'function') {
+      throw new Error('ReconciliationJob requires a run function');
+    }
+    if (!Number.isInteger(hourUtc) || hourUtc < 0 || hourUtc > 23) {
+      throw new Error(`Invalid reconciliation hour: ${hourUtc}`);
+    }
+
+    this.run = run;
+    this.hourUtc = hourUtc;
+    this.clock = clock;
+    this.running = false;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.schedule();
+  }
+
+  schedule() {
+    const now = this.clock.now();
+    this.nextAt = nextRunAt(now, this.hourUtc);
+    this.timer = this.clock.setTimeout(() => this.fire(), this.nextAt - now);
+  }
+
+  async fire() {
+    this.timer = null;
+    if (!this.running) return;
+    try {
+      await this.run();
+    } catch (error) {
+      // Try again tomorrow; the admin can run it by hand meanwhile
+      console.error('❌ Scheduled reconciliation failed:', error.message || error);
+    }
+    if (this.running && this.timer === null) this.schedule();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer !== null) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = {
+  ReconciliationJob,
+  nextRunAt
+};
@@ -0,0 +1,146 @@
+// 🧮 Reconciliation Service - Checks balances against the ledger
+// A run reads one consistent snapshot and compares each User.balance to the
+// sum of the user's ledger entries, and walks every user's Transaction
+// balanceBefore/balanceAfter chain in ledger order (lib/ledger.js). What it
+// finds is stored as a ReconciliationReport for the admin panel; nothing is
+// corrected automatically.
+
+const { Prisma } = require('@prisma/client');
+const prisma = require('../lib/prisma');
+const adminAuditService = require('./adminAuditService');
+const { accountBalances, collectDiscrepancies } = require('../lib/ledger');
+
+// Rows fetched per check and discrepancies kept per report
+const DISCREPANCY_LIMIT = 1000;
+
+class ReconciliationService {
+  /**
+   * Reconcile every user and store the report
+   * @param {Object} [options]
+   * @param {string} [options.trigger] - 'scheduled' | 'manual'
+   * @param {string|null} [options.adminUserId] - Admin who asked for a manual run
+   * @returns {Promise<Object>} The stored report
+   */
+  async run({ trigger = 'scheduled', adminUserId = null } = {}) {
+    const startedAt = new Date();
+
+    // Repeatable read: balances, entries and transactions from the same instant
+    const [balances, chain, chainEnds, unledgered, totals, usersChecked] = await prisma.$transaction([
+      prisma.$queryRaw`
+        SELECT u."id" AS "userId", u."username", u."balance", COALESCE(l."net", 0) AS "ledgerBalance"
+        FROM "users" u
+        LEFT JOIN (
+          SELECT "userId", SUM(CASE WHEN "credit" = 'PLAYER' THEN "amount" ELSE -"amount" END) AS "net"
+          FROM "ledger_entries" GROUP BY "userId"
+        ) l ON l."userId" = u."id"
+        WHERE u."balance" <> COALESCE(l."net", 0)
+        LIMIT ${DISCREPANCY_LIMIT}`,
+      prisma.$queryRaw`
+        SELECT * FROM (
+          SELECT l."userId", t."id" AS "transactionId", t."type", t."balanceBefore", t."balanceAfter",
+            CASE WHEN l."credit" = 'PLAYER' THEN l."amount" ELSE -l."amount" END AS "change",
+            LAG(t."balanceAfter") OVER (PARTITION BY l."userId" ORDER BY l."sequence") AS "previousAfter"
+          FROM "ledger_entries" l
+          JOIN "transactions" t ON t."id" = l."transactionId"
+        ) c
+        WHERE c."balanceBefore" <> c."previousAfter" OR c."balanceAfter" - c."balanceBefore" <> c."change"
+        LIMIT ${DISCREPANCY_LIMIT}`,
+      prisma.$queryRaw`
+        SELECT e."userId", e."transactionId", e."balanceAfter", u."balance"
+        FROM (
+          SELECT DISTINCT ON (l."userId") l."userId", t."id" AS "transactionId", t."balanceAfter"
+          FROM "ledger_entries" l
+          JOIN "transactions" t ON t."id" = l."transactionId"
+          ORDER BY l."userId", l."sequence" DESC
+        ) e
+        JOIN "users" u ON u."id" = e."userId"
+        WHERE e."balanceAfter" <> u."balance"
+        LIMIT ${DISCREPANCY_LIMIT}`,
+      // Only since the user's ledger started: older transactions predate it
+      prisma.$queryRaw`
+        SELECT t."userId", t."id" AS "transactionId", t."type", t."balanceBefore", t."balanceAfter"
+        FROM "transactions" t
+        JOIN (
+          SELECT "userId", MIN("createdAt") AS "startedAt" FROM "ledger_entries" GROUP BY "userId"
+        ) s ON s."userId" = t."userId"
+        LEFT JOIN "ledger_entries" l ON l."transactionId" = t."id"
+        WHERE l."id" IS NULL AND t."balanceBefore" <> t."balanceAfter" AND t."createdAt" >= s."startedAt"
+        LIMIT ${DISCREPANCY_LIMIT}`,
+      prisma.ledgerEntry.groupBy({
+        by: ['debit', 'credit'],
+        _sum: { amount: true },
+        _count: { _all: true }
+      }),
+      prisma.user.count()
+    ], { isolationLevel: Prisma.TransactionIsolationLevel.RepeatableRead });
+
+    const found = collectDiscrepancies({ balances, chain, chainEnds, unledgered });
+    const discrepancies = found.slice(0, DISCREPANCY_LIMIT);
+    await this.addUsernames(discrepancies);
+
+    const report = await prisma.reconciliationReport.create({
+      data: {
+        trigger,
+        startedAt,
+        finishedAt: new Date(),
+        usersChecked,
+        entriesChecked: totals.reduce((sum, row) => sum + row._count._all, 0),
+        discrepancyCount: found.length,
+        discrepancies,
+        accounts: accountBalances(totals.map(row => ({ debit: row.debit, credit: row.credit, amount: row._sum.amount || 0 })))
+      }
+    });
+
+    await adminAuditService.log({
+      adminUserId,
+      action: 'LEDGER_RECONCILE',
+      targetType: 'SYSTEM',
+      targetId: report.id,
+      after: { usersChecked, discrepancyCount: found.length },
+      notes: `${trigger} reconciliation`
+    });
+
+    if (found.length > 0) {
+      console.error(`❌ Reconciliation found ${found.length} discrepancies across ${usersChecked} users (report ${report.id})`);
+    } else {
+      console.log(`🧮 Reconciliation clean: ${usersChecked} users, ${report.entriesChecked} ledger entries`);
+    }
+    return report;
+  }
+
+  async addUsernames(discrepancies) {
+    const missing = [...new Set(discrepancies.filter(item => !item.username).map(item => item.userId))];
+    if (missing.length === 0) return;
+    const users = await prisma.user.findMany({ where: { id: { in: missing } }, select: { id: true, username: true } });
+    const names = new Map(users.map(user => [user.id, user.username]));
+    for (const item of discrepancies) {
+      item.username = item.username || names.get(item.userId) || null;
+    }
+  }
+
+  /**
+   * Latest reports, without their discrepancy lists
+   */
+  async listReports(limit = 30) {
+    return prisma.reconciliationReport.findMany({
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      select: {
+        id: true,
+        trigger: true,
+        startedAt: true,
+        finishedAt: true,
+        usersChecked: true,
+        entriesChecked: true,
+        discrepancyCount: true,
+        accounts: true
+      }
+    });
+  }
+
+  async getReport(id) {
+    return prisma.reconciliationReport.findUnique({ where: { id } });
+  }
+}
+
+module.exports = new ReconciliationService();
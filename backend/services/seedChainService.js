@@ -0,0 +1,92 @@
+// 🔗 Seed Chain Service - Hands out pre-committed server seeds
+// Rounds take their server seed from a reverse hash chain whose terminating
+// hash is published up front, so seeds can't be re-rolled after the fact.
+// Each room plays its own chain: seeds are used backwards, so a revealed seed
+// hashes to the chain's previous seed, and with a shared chain a finished
+// Turbo round would give away a Classic round still in flight. A chain is
+// derived from its root seed once and kept in memory; the cursor lives in
+// the database and moves with each created round.
+
+const provablyFairService = require('./provablyFairService');
+
+class SeedChainService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - getActiveSeedChain(room) / createSeedChain(data), e.g. databaseService
+   * @param {number} [options.chainLength] - Seeds per new chain (default SEED_CHAIN_LENGTH)
+   */
+  constructor({ store, chainLength = provablyFairService.chainLength }) {
+    if (!store) {
+      throw new Error('SeedChainService requires a store');
+    }
+    this.store = store;
+    this.chainLength = chainLength;
+    this.rooms = new Map(); // room → { chain, seeds, loading }
+  }
+
+  roomState(room) {
+    if (!this.rooms.has(room)) {
+      this.rooms.set(room, { chain: null, seeds: null, loading: null });
+    }
+    return this.rooms.get(room);
+  }
+
+  /**
+   * Load the room's active chain, creating (and publishing) a new one when
+   * the previous chain is used up
+   */
+  async getActiveChain(room) {
+    const state = this.roomState(room);
+    if (state.chain && state.chain.nextIndex < state.chain.length) {
+      return state.chain;
+    }
+    if (!state.loading) {
+      state.loading = this.loadChain(room, state).finally(() => {
+        state.loading = null;
+      });
+    }
+    return state.loading;
+  }
+
+  async loadChain(room, state) {
+    let chain = await this.store.getActiveSeedChain(room);
+    // The chain this process used up may not be marked exhausted yet while
+    // its last rounds are still being written
+    if (!chain || chain.nextIndex >= chain.length || chain.id === state.chain?.id) {
+      const { seeds, terminatingHash } = provablyFairService.generateHashChain(undefined, this.chainLength);
+      chain = await this.store.createSeedChain({
+        room,
+        rootSeed: seeds[seeds.length - 1],
+        terminatingHash,
+        clientSeed: provablyFairService.generateClientSeed(),
+        length: seeds.length
+      });
+      state.seeds = seeds;
+    } else {
+      state.seeds = provablyFairService.generateHashChain(chain.rootSeed, chain.length).seeds;
+    }
+
+    state.chain = chain;
+    return chain;
+  }
+
+  /**
+   * Take the room's next seed and compute its round
+   * The returned seedChainId/chainIndex must be stored with the round
+   * (databaseService.createGameRound) to persist the cursor.
+   * @param {string} room - Room id
+   * @param {number} [houseEdge] - Edge of the room's round parameters (default: the current edge)
+   */
+  async nextFairRound(room, houseEdge) {
+    const chain = await this.getActiveChain(room);
+    const { seeds } = this.roomState(room);
+    const chainIndex = chain.nextIndex++;
+    const fairRound = provablyFairService.generateFairRound(chain.clientSeed, chainIndex, seeds[chainIndex], houseEdge);
+
+    return { ...fairRound, seedChainId: chain.id, chainIndex };
+  }
+}
+
+module.exports = {
+  SeedChainService
+};
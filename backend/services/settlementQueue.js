@@ -0,0 +1,162 @@
+// 🧾 Settlement Queue - Batched database writes for cashouts and crashes
+// The engine settles bets in memory the moment they happen; the round store
+// only queues the matching database work here. The queue writes it in
+// batches (one transaction per batch) a little later, so a flight with
+// hundreds of cashouts never waits on the database between ticks.
+// A failed batch is retried with backoff, oldest first, so a round's cashouts
+// land before its crash. Failures are expected to be the database's (the
+// writer skips operations that no longer apply); a batch that still fails
+// after maxAttempts is parked in the dead letters, so it can't hold up every
+// later settlement, and has to be looked at and written by hand.
+
+const { systemClock } = require('../lib/clock');
+
+const DEFAULT_OPTIONS = Object.freeze({
+  batchSize: 500,     // operations per transaction
+  flushMs: 100,       // how long operations may wait to be batched together
+  retryMs: 500,       // first retry delay, doubled per failure
+  maxRetryMs: 30000,
+  maxAttempts: 10     // failures before a batch is parked in the dead letters
+});
+
+/**
+ * @typedef {Object} CashoutOperation
+ * @property {'cashout'} type
+ * @property {string} betId
+ * @property {string} userId
+ * @property {number} amount - Stake settled
+ * @property {number} multiplier
+ * @property {number} payout
+ * @property {Date} at
+ *
+ * @typedef {Object} CrashOperation
+ * @property {'crash'} type
+ * @property {string} roundId
+ * @property {number} crashPoint
+ * @property {Date} at
+ */
+
+class SettlementQueue {
+  /**
+   * @param {Object} options
+   * @param {(batch: Array<CashoutOperation|CrashOperation>) => Promise<void>} options.writer - Writes a whole batch or throws
+   * @param {Object} [options.clock] - { now, setTimeout, clearTimeout }
+   */
+  constructor({ writer, clock = systemClock, ...options } = {}) {
+    if (!writer) {
+      throw new Error('SettlementQueue requires a writer');
+    }
+
+    this.writer = writer;
+    this.clock = clock;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    this.items = [];
+    this.timer = null;
+    this.flushing = null;  // Promise of the flush in progress
+    this.attempts = 0;     // Consecutive failures of the batch at the head
+    this.deadLetters = []; // { operations, error, failedAt } of batches given up on
+    this.stats = { batches: 0, written: 0, retries: 0, deadLettered: 0 };
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  enqueue(operation) {
+    this.items.push(operation);
+    if (this.attempts > 0 || this.flushing) return; // Picked up by the retry / the flush in progress
+    if (this.items.length >= this.options.batchSize) {
+      this.flush();
+    } else if (this.timer === null) {
+      this.schedule(this.options.flushMs);
+    }
+  }
+
+  schedule(ms) {
+    if (this.timer !== null) this.clock.clearTimeout(this.timer);
+    this.timer = this.clock.setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, ms);
+  }
+
+  /**
+   * Write everything queued so far, batch by batch. Stops at the first
+   * failure and schedules a retry, or parks the batch once it is out of attempts.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this.flushing) return this.flushing;
+    if (this.timer !== null) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    this.flushing = this.writeBatches().finally(() => {
+      this.flushing = null;
+    });
+    return this.flushing;
+  }
+
+  async writeBatches() {
+    while (this.items.length > 0) {
+      const batch = this.items.slice(0, this.options.batchSize);
+
+      try {
+        await this.writer(batch);
+      } catch (error) {
+        this.attempts++;
+        if (this.attempts >= this.options.maxAttempts) {
+          this.park(batch, error);
+          continue;
+        }
+        this.stats.retries++;
+        const delay = Math.min(this.options.maxRetryMs, this.options.retryMs * 2 ** (this.attempts - 1));
+        console.error(`❌ Settlement batch of ${batch.length} failed (attempt ${this.attempts}), retrying in ${delay}ms:`, error.message || error);
+        this.schedule(delay);
+        return;
+      }
+
+      this.items.splice(0, batch.length);
+      this.attempts = 0;
+      this.stats.batches++;
+      this.stats.written += batch.length;
+    }
+  }
+
+  park(batch, error) {
+    this.items.splice(0, batch.length);
+    this.attempts = 0;
+    this.deadLetters.push({ operations: batch, error: error.message || String(error), failedAt: new Date(this.clock.now()) });
+    this.stats.deadLettered += batch.length;
+    console.error(`❌ Settlement batch of ${batch.length} failed ${this.options.maxAttempts} times, parked in the dead letters:`, JSON.stringify(batch));
+  }
+
+  /**
+   * Whether operations for the user are still waiting to be written
+   */
+  hasPending(userId) {
+    return this.items.some(operation => operation.userId === userId);
+  }
+
+  /**
+   * Flush until the queue is empty or the timeout passes (shutdown). With a
+   * userId, only until that user's operations are written (their database
+   * balance has caught up)
+   * @returns {Promise<boolean>} Whether everything was written
+   */
+  async drain({ timeoutMs = 10000, userId = null } = {}) {
+    const pending = () => (userId === null ? this.items.length > 0 : this.hasPending(userId));
+    const deadline = this.clock.now() + timeoutMs;
+    while (pending() && this.clock.now() < deadline) {
+      await this.flush();
+      if (pending()) {
+        await new Promise(resolve => this.clock.setTimeout(resolve, Math.min(this.options.retryMs, Math.max(0, deadline - this.clock.now()))));
+      }
+    }
+    return !pending();
+  }
+}
+
+module.exports = { SettlementQueue };
@@ -0,0 +1,72 @@
+// ⚙️ System Config Service - Operator settings persisted in SystemConfig
+// Values are cached in memory (loaded at startup, updated on every write) so
+// the game loop and bet handling never wait on the database.
+
+const databaseService = require('./databaseService');
+const { parseRoundParams, validateRoundParams, toConfigValues } = require('../lib/roundParams');
+
+const MAINTENANCE_MODE = 'MAINTENANCE_MODE';
+const MAINTENANCE_MESSAGE = 'MAINTENANCE_MESSAGE';
+const DEFAULT_MAINTENANCE_MESSAGE = 'Betting is paused for maintenance. We will be back shortly.';
+
+class SystemConfigService {
+  constructor() {
+    this.values = new Map(); // key → value
+  }
+
+  async load() {
+    const configs = await databaseService.getSystemConfigs();
+    this.values = new Map(configs.map(config => [config.key, config.value]));
+  }
+
+  get(key, fallback = null) {
+    return this.values.has(key) ? this.values.get(key) : fallback;
+  }
+
+  /**
+   * Persist settings (with an audit entry) and refresh the cache
+   * @param {Object<string, string>} values
+   * @param {Object} audit - See databaseService.setSystemConfigs
+   */
+  async update(values, audit) {
+    await databaseService.setSystemConfigs(values, audit);
+    for (const [key, value] of Object.entries(values)) {
+      this.values.set(key, value);
+    }
+  }
+
+  getMaintenance() {
+    return {
+      enabled: this.get(MAINTENANCE_MODE) === 'true',
+      message: this.get(MAINTENANCE_MESSAGE) || DEFAULT_MAINTENANCE_MESSAGE
+    };
+  }
+
+  async setMaintenance({ enabled, message }, audit) {
+    await this.update({
+      [MAINTENANCE_MODE]: String(Boolean(enabled)),
+      [MAINTENANCE_MESSAGE]: message || DEFAULT_MAINTENANCE_MESSAGE
+    }, { ...audit, action: enabled ? 'MAINTENANCE_ENABLE' : 'MAINTENANCE_DISABLE', targetId: MAINTENANCE_MODE });
+    return this.getMaintenance();
+  }
+
+  getRoundParams() {
+    return parseRoundParams(key => this.get(key));
+  }
+
+  /**
+   * Validate and persist a partial update of the round parameters
+   * @returns {Promise<{ success: boolean, errors?: string[], params?: Object }>}
+   */
+  async setRoundParams(update, audit) {
+    const { valid, errors, params } = validateRoundParams(update, this.getRoundParams());
+    if (!valid) {
+      return { success: false, errors };
+    }
+
+    await this.update(toConfigValues(update), { ...audit, action: 'ROUND_PARAMS_UPDATE', targetId: 'ROUND_PARAMS' });
+    return { success: true, params };
+  }
+}
+
+module.exports = new SystemConfigService();
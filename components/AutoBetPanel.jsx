@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import authService from './services/authService.js';
+
+const DEFAULT_STRATEGY = {
+  baseBet: 100,
+  autoCashout: 2.0,
+  rounds: 10,
+  onWin: 'RESET',
+  onWinFactor: 1,
+  onLoss: 'RESET',
+  onLossFactor: 2,
+  stopOnProfit: null,
+  stopOnLoss: null
+};
+
+const STOP_REASON_TEXT = {
+  user: 'Stopped',
+  roundsCompleted: 'All rounds played',
+  profitTarget: 'Profit target reached',
+  lossLimit: 'Loss limit reached',
+  betFailed: 'Bet could not be placed',
+  disconnected: 'Stopped after playing while you were away',
+  shutdown: 'Stopped for a server restart'
+};
+
+// Server-side auto-play: edit the saved strategy and start/stop the session.
+// The session runs in the game loop, so it keeps going when the app is in the background,
+// and holds this panel's bet slot until it stops.
+const AutoBetPanel = ({ autoBet, onStart, onStop }) => {
+  const [strategy, setStrategy] = useState(DEFAULT_STRATEGY);
+  const [expanded, setExpanded] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const running = !!autoBet?.running;
+
+  useEffect(() => {
+    if (!expanded || !authService.isAuthenticated()) return;
+    authService.getAutoBetStrategy()
+      .then(result => {
+        if (result?.strategy) setStrategy(result.strategy);
+      })
+      .catch(err => console.error('Failed to load auto-bet strategy:', err));
+  }, [expanded]);
+
+  const update = (key, value) => setStrategy(prev => ({ ...prev, [key]: value }));
+  const numberOrNull = (value) => (value === '' ? null : Number(value));
+
+  const handleStart = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await authService.updateAutoBetStrategy(strategy);
+      onStart();
+      setExpanded(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!authService.isAuthenticated()) {
+    return null;
+  }
+
+  const adjustmentControl = (label, adjustmentKey, factorKey) => (
+    <div className="flex items-center justify-between gap-2">
+      <span className="text-xs text-gray-400 w-16">{label}</span>
+      <select
+        value={strategy[adjustmentKey]}
+        onChange={(e) => update(adjustmentKey, e.target.value)}
+        className="flex-1 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-xs"
+      >
+        <option value="RESET">Reset to base</option>
+        <option value="MULTIPLY">Multiply by</option>
+      </select>
+      <input
+        type="number"
+        step="0.1"
+        min="0.1"
+        value={strategy[factorKey]}
+        onChange={(e) => update(factorKey, Number(e.target.value))}
+        disabled={strategy[adjustmentKey] !== 'MULTIPLY'}
+        className="w-16 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-center text-xs disabled:opacity-40"
+      />
+    </div>
+  );
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-medium text-gray-300">Auto Play</span>
+        {running ? (
+          <button
+            onClick={onStop}
+            className="text-xs px-3 py-1 rounded bg-red-600 hover:bg-red-700 text-white"
+          >
+            Stop
+          </button>
+        ) : (
+          <button
+            onClick={() => setExpanded(!expanded)}
+            className="text-xs underline text-blue-400 hover:text-blue-300"
+          >
+            {expanded ? 'Hide' : 'Setup'}
+          </button>
+        )}
+      </div>
+
+      {running && (
+        <div className="text-xs text-gray-400 flex justify-between">
+          <span>
+            Round {autoBet.roundsPlayed + 1}{autoBet.rounds > 0 ? ` / ${autoBet.rounds}` : ''} · next {autoBet.nextBet} pts
+          </span>
+          <span className={autoBet.profit >= 0 ? 'text-green-400' : 'text-red-400'}>
+            {autoBet.profit >= 0 ? '+' : ''}{autoBet.profit} pts
+          </span>
+        </div>
+      )}
+
+      {!running && autoBet?.reason && !expanded && (
+        <div className="text-xs text-gray-500">{STOP_REASON_TEXT[autoBet.reason] || 'Stopped'}</div>
+      )}
+
+      {!running && expanded && (
+        <div className="bg-gray-800 rounded-lg p-3 border border-gray-600 space-y-2">
+          <div className="grid grid-cols-3 gap-2">
+            <label className="text-xs text-gray-400">
+              Base bet
+              <input
+                type="number"
+                min="1"
+                value={strategy.baseBet}
+                onChange={(e) => update('baseBet', Number(e.target.value))}
+                className="w-full mt-1 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-center text-sm text-white"
+              />
+            </label>
+            <label className="text-xs text-gray-400">
+              Cash out at
+              <input
+                type="number"
+                step="0.1"
+                min="1.1"
+                value={strategy.autoCashout}
+                onChange={(e) => update('autoCashout', Number(e.target.value))}
+                className="w-full mt-1 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-center text-sm text-white"
+              />
+            </label>
+            <label className="text-xs text-gray-400">
+              Rounds (0 = ∞)
+              <input
+                type="number"
+                min="0"
+                value={strategy.rounds}
+                onChange={(e) => update('rounds', Math.max(0, parseInt(e.target.value, 10) || 0))}
+                className="w-full mt-1 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-center text-sm text-white"
+              />
+            </label>
+          </div>
+
+          {adjustmentControl('On win', 'onWin', 'onWinFactor')}
+          {adjustmentControl('On loss', 'onLoss', 'onLossFactor')}
+
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-xs text-gray-400">
+              Stop on profit
+              <input
+                type="number"
+                min="0"
+                placeholder="Off"
+                value={strategy.stopOnProfit ?? ''}
+                onChange={(e) => update('stopOnProfit', numberOrNull(e.target.value))}
+                className="w-full mt-1 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-center text-sm text-white"
+              />
+            </label>
+            <label className="text-xs text-gray-400">
+              Stop on loss
+              <input
+                type="number"
+                min="0"
+                placeholder="Off"
+                value={strategy.stopOnLoss ?? ''}
+                onChange={(e) => update('stopOnLoss', numberOrNull(e.target.value))}
+                className="w-full mt-1 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-center text-sm text-white"
+              />
+            </label>
+          </div>
+
+          {error && <div className="text-xs text-red-400">{error}</div>}
+
+          <button
+            onClick={handleStart}
+            disabled={saving}
+            className="w-full py-2 rounded bg-green-600 hover:bg-green-700 text-white text-sm font-bold disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Start Auto Play'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AutoBetPanel;
@@ -1,11 +1,14 @@
 import React, { useEffect, useRef, useState, useCallback } from 'react'
 import { Stage, Container } from '@pixi/react';
 import AppStage from './pixicomp/AppStage'
+import useOptimizedAnimation from './hooks/useOptimizedAnimation.js'
 import { webpORpng } from '../utils/aviatorUtils'
 
 const AviatorGameStandalone = ({
     gameState,
     multiplier,
+    lastServerTick,
+    doublingMs,
     countdown,
     crashHistory = [],
     width = 800,
@@ -29,6 +32,20 @@ const AviatorGameStandalone = ({
     
     const pixi_ref = useRef(null)
 
+    // Multiplier drawn each frame: extrapolated locally between server frames
+    const [displayMultiplier, setDisplayMultiplier] = useState(multiplier)
+    const { updateServerFrame, setCrashed } = useOptimizedAnimation({
+        doublingMs,
+        onApply: (value) => setDisplayMultiplier(prev => (prev === value ? prev : value))
+    })
+
+    useEffect(() => {
+        if (!lastServerTick) return
+        const { serverTime, multiplier: serverMultiplier, state, startTime } = lastServerTick
+        updateServerFrame(serverTime, serverMultiplier, startTime)
+        if (state === 'crashed') setCrashed(serverMultiplier)
+    }, [lastServerTick])
+
     // Calculate PIXI scaling
     useEffect(() => {
         const newScale = Math.min(
@@ -187,7 +204,8 @@ const AviatorGameStandalone = ({
                     <Stage width={pixiDimension.width} height={pixiDimension.height} options={{ antialias: true }}>
                         <Container scale={scale}>
                             <AppStage 
-                                payout={multiplier} 
+                                payout={lastServerTick ? displayMultiplier : multiplier} 
+                                doublingMs={doublingMs}
                                 game_anim_status={internalAviatorState.game_anim_status} 
                                 dimension={internalAviatorState.dimension} 
                                 pixiDimension={pixiDimension} 
@@ -2,8 +2,36 @@ import React, { useState, useEffect, useRef } from 'react';
 import soundEffects from './utils/soundEffects.js';
 import { TelegramButton, useTelegramWebApp } from './TelegramWebApp.jsx';
 import { usePlayerSettings } from './hooks/usePlayerSettings.js';
+import AutoBetPanel from './AutoBetPanel.jsx';
 
-const BetPanel = ({ gameState, betAmount, setBetAmount, onBet, onCashOut, userBalance, multiplier, hasBet, countdown, activeBet, cashedOutMultiplier }) => {
+// Why the server rejected a bet/cashout, by error code (backend/lib/commands.js)
+const COMMAND_ERROR_TEXT = {
+  PHASE_CLOSED: 'Too late: the round has already moved on',
+  INSUFFICIENT_BALANCE: 'Insufficient balance',
+  DAILY_LIMIT: 'Daily limit reached',
+  RATE_LIMITED: 'Too many requests, try again in a moment',
+  MAINTENANCE: 'Betting is paused for maintenance',
+  SLOT_TAKEN: 'A bet is already placed in this panel, or auto play is using it',
+  NO_ACTIVE_BET: 'No active bet',
+  BET_PENDING: 'Your bet is still being placed',
+  TIMEOUT: 'No answer from the server, check your connection'
+};
+
+// Why the server cashed a bet out on its own at a payout cap (backend PayoutCap)
+const CAP_TEXT = {
+  maxWin: 'Max win reached',
+  roundPayout: 'Round payout limit reached'
+};
+
+const formatPoints = (value) => Number(value || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+const describeCommandError = ({ code, message }) => {
+  // The server's message is more specific for limits (wager vs games)
+  if (code === 'DAILY_LIMIT' && message) return message;
+  return COMMAND_ERROR_TEXT[code] || message || 'Something went wrong';
+};
+
+const BetPanel = ({ slot = 0, gameState, betAmount, setBetAmount, onBet, onCancel, onCashOut, userBalance, multiplier, hasBet, countdown, activeBet, cashedOutMultiplier, remainingBet = activeBet, queuedBet = null, error = null, autoBet = null, onStartAutoBet, onStopAutoBet, minBet = 1, maxBet = Infinity, maxWin = Infinity, maxRoundPayout = Infinity }) => {
   // Telegram WebApp integration
   const { hapticFeedback, showAlert } = useTelegramWebApp();
   
@@ -12,12 +40,40 @@ const BetPanel = ({ gameState, betAmount, setBetAmount, onBet, onCashOut, userBa
     settings,
     saving,
     updateSetting,
-    autoCashoutEnabled,
-    autoCashoutMultiplier
+    autoCashoutEnabled: savedAutoCashoutEnabled,
+    autoCashoutMultiplier: savedAutoCashoutMultiplier
   } = usePlayerSettings();
+
+  // Only the first panel uses the saved auto-cashout settings; the second
+  // panel keeps its own for the session so both bets can have different targets
+  const [localAutoCashout, setLocalAutoCashout] = useState({
+    autoCashoutEnabled: false,
+    autoCashoutMultiplier: 2.0
+  });
+  const usesSavedSettings = slot === 0;
+  const autoCashoutEnabled = usesSavedSettings ? savedAutoCashoutEnabled : localAutoCashout.autoCashoutEnabled;
+  const autoCashoutMultiplier = usesSavedSettings ? savedAutoCashoutMultiplier : localAutoCashout.autoCashoutMultiplier;
+  const updateAutoCashout = (key, value) => {
+    if (usesSavedSettings) {
+      updateSetting(key, value);
+    } else {
+      setLocalAutoCashout(prev => ({ ...prev, [key]: value }));
+    }
+  };
   
   const [showAutoCashoutSettings, setShowAutoCashoutSettings] = useState(false);
   
+  // Auto play holds this panel's slot while it runs: its bets can only be cashed out
+  const autoPlaying = !!autoBet?.running;
+  const canCashOut = gameState === 'running' && activeBet > 0 && cashedOutMultiplier === 0;
+  // Outside the betting phase a bet is queued for the next round
+  const canQueue = !autoPlaying && ((gameState === 'running' && activeBet === 0) || gameState === 'crashed');
+  const canEditBet = !autoPlaying && (gameState === 'betting' ? activeBet === 0 : (canQueue && !queuedBet));
+  // Server-side bet limits (round config); the max win caps payouts, not stakes
+  const betLimit = maxBet;
+  const maxStake = Math.min(userBalance, betLimit);
+  const outOfLimits = betAmount < minBet || betAmount > betLimit;
+
   // Visual feedback state
   const [showSuccessAnimation, setShowSuccessAnimation] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
@@ -38,35 +94,38 @@ const BetPanel = ({ gameState, betAmount, setBetAmount, onBet, onCashOut, userBa
 
 
   const handleDecrease = () => {
-    setBetAmount(prev => Math.max(100, prev - 100));
+    setBetAmount(prev => Math.max(minBet, prev - 100));
   };
 
   const handleIncrease = () => {
-    setBetAmount(prev => Math.min(userBalance, prev + 100));
+    setBetAmount(prev => Math.min(maxStake, prev + 100));
   };
 
   const getButtonText = () => {
+    if (autoPlaying && !canCashOut) {
+      return cashedOutMultiplier > 0 ? `CASHED OUT @ ${cashedOutMultiplier.toFixed(2)}x` : 'AUTO PLAY RUNNING';
+    }
     switch (gameState) {
       case 'betting':
         if (activeBet > 0) {
           const autoText = autoCashoutEnabled ? ` (AUTO @ ${autoCashoutMultiplier.toFixed(1)}x)` : '';
-          return `BET PLACED - STARTS IN ${countdown}${autoText}`;
+          return `CANCEL - STARTS IN ${countdown}${autoText}`;
         }
         if (countdown > 0) {
           return `BET (STARTS IN ${countdown})`;
         }
         return 'BET';
       case 'running':
-        if (activeBet === 0) return 'WAIT FOR NEXT ROUND';
+        if (queuedBet) return 'QUEUED FOR NEXT ROUND - CANCEL';
+        if (activeBet === 0) return 'BET NEXT ROUND';
         if (cashedOutMultiplier > 0) return `CASHED OUT @ ${cashedOutMultiplier.toFixed(2)}x`;
         if (autoCashoutEnabled) {
           return `CASH OUT (AUTO @ ${autoCashoutMultiplier.toFixed(1)}x)`;
         }
         return 'CASH OUT';
       case 'crashed':
-        if (activeBet === 0) return 'ROUND OVER';
-        if (cashedOutMultiplier > 0) return `CASHED OUT @ ${cashedOutMultiplier.toFixed(2)}x`;
-        return 'TOO LATE';
+        if (queuedBet) return 'QUEUED FOR NEXT ROUND - CANCEL';
+        return 'BET NEXT ROUND';
       default:
         return 'BET';
     }
@@ -76,42 +135,62 @@ const BetPanel = ({ gameState, betAmount, setBetAmount, onBet, onCashOut, userBa
     switch (gameState) {
       case 'betting':
         if (activeBet > 0) {
-          return 'bg-gradient-to-r from-green-600 to-green-500 shadow-green-500/30';
+          return 'bg-gradient-to-r from-red-600 to-red-500 hover:from-red-700 hover:to-red-600 shadow-red-500/50';
         }
         // Suggestion: make the bet button green during betting to encourage action
         return 'bg-gradient-to-r from-green-600 to-green-500 hover:from-green-700 hover:to-green-600 shadow-green-500/50';
       case 'running':
+        if (queuedBet) {
+          return 'bg-gradient-to-r from-blue-600 to-blue-500 hover:from-blue-700 hover:to-blue-600 shadow-blue-500/50';
+        }
         if (activeBet === 0) {
-          return 'bg-gray-600 cursor-not-allowed shadow-gray-500/30';
+          return 'bg-gradient-to-r from-green-600 to-green-500 hover:from-green-700 hover:to-green-600 shadow-green-500/50';
         }
         if (cashedOutMultiplier > 0) {
           return 'bg-gradient-to-r from-green-600 to-green-500 shadow-green-500/30';
         }
         return 'bg-gradient-to-r from-yellow-500 to-yellow-400 hover:from-yellow-600 hover:to-yellow-500 shadow-yellow-500/50 text-black font-bold';
       case 'crashed':
-        if (cashedOutMultiplier > 0) {
-          return 'bg-gradient-to-r from-green-600 to-green-500 shadow-green-500/30';
+        if (queuedBet) {
+          return 'bg-gradient-to-r from-blue-600 to-blue-500 hover:from-blue-700 hover:to-blue-600 shadow-blue-500/50';
         }
-        return 'bg-gray-600 cursor-not-allowed shadow-gray-500/30';
+        return 'bg-gradient-to-r from-green-600 to-green-500 hover:from-green-700 hover:to-green-600 shadow-green-500/50';
       default:
         return 'bg-gradient-to-r from-red-600 to-red-500';
     }
   };
 
   const isButtonDisabled = () => {
-    return gameState === 'crashed' || 
-           (gameState === 'betting' && betAmount > userBalance) ||
-           (gameState === 'betting' && activeBet > 0) ||
+    if (autoPlaying) {
+      return !canCashOut;
+    }
+    if (canQueue) {
+      return !queuedBet && (betAmount > userBalance || outOfLimits);
+    }
+    return (gameState === 'betting' && activeBet === 0 && (betAmount > userBalance || outOfLimits)) ||
            (gameState === 'running' && activeBet === 0) ||
            (gameState === 'running' && cashedOutMultiplier > 0);
   };
 
   const handleButtonClick = () => {
-    if (gameState === 'betting' && activeBet === 0) {
-      onBet();
+    if (autoPlaying && !canCashOut) return;
+    if (canQueue) {
+      if (queuedBet) {
+        onCancel();
+        showFeedback('Queued bet removed', 'cancel');
+      } else {
+        onBet(autoCashoutEnabled ? autoCashoutMultiplier : null);
+        soundEffects.playBetSound();
+        showFeedback('Bet queued for next round!', 'bet');
+      }
+    } else if (gameState === 'betting' && activeBet === 0) {
+      onBet(autoCashoutEnabled ? autoCashoutMultiplier : null);
       soundEffects.playBetSound();
       showFeedback('Bet placed!', 'bet');
-    } else if (gameState === 'running' && activeBet > 0 && cashedOutMultiplier === 0) {
+    } else if (gameState === 'betting' && activeBet > 0) {
+      onCancel();
+      showFeedback('Bet cancelled', 'cancel');
+    } else if (canCashOut) {
       onCashOut();
       // Don't show feedback here - wait for server confirmation
       // soundEffects and success message will be handled by the server event
@@ -140,11 +219,16 @@ const BetPanel = ({ gameState, betAmount, setBetAmount, onBet, onCashOut, userBa
   // Listen for server-confirmed cashouts (including auto-cashouts)
   useEffect(() => {
     const handleServerCashout = (event) => {
-      const { multiplier, isAutomatic, winnings } = event.detail;
+      const { multiplier, isAutomatic, winnings, partial, amount, capped } = event.detail;
+      if ((event.detail.slot || 0) !== slot) return; // Another panel's bet
       
       soundEffects.playCashoutSound();
       
-      if (isAutomatic) {
+      if (capped) {
+        showFeedback(`${CAP_TEXT[capped] || 'Payout limit reached'}: cashed out at ${multiplier.toFixed(2)}x, won ${winnings} pts`, 'capped-cashout');
+      } else if (partial) {
+        showFeedback(`Cashed out ${amount} pts! Won ${winnings} pts at ${multiplier.toFixed(2)}x`, 'partial-cashout');
+      } else if (isAutomatic) {
         showFeedback(`Auto-cashed out! Won ${winnings} pts at ${multiplier.toFixed(2)}x!`, 'auto-cashout');
       } else {
         showFeedback(`Cashed out! Won ${winnings} pts at ${multiplier.toFixed(2)}x!`, 'cashout');
@@ -153,14 +237,14 @@ const BetPanel = ({ gameState, betAmount, setBetAmount, onBet, onCashOut, userBa
 
     window.addEventListener('game:cashedOut', handleServerCashout);
     return () => window.removeEventListener('game:cashedOut', handleServerCashout);
-  }, []);
+  }, [slot]);
 
   const getPotentialWinnings = () => {
     if (gameState === 'running' && activeBet > 0) {
       if (cashedOutMultiplier > 0) {
         return Math.floor(activeBet * cashedOutMultiplier);
       }
-      return Math.floor(activeBet * multiplier);
+      return Math.floor(Math.min(remainingBet * multiplier, maxWin));
     }
     if (activeBet > 0) {
       return Math.floor(activeBet * 2);
@@ -192,7 +276,7 @@ const BetPanel = ({ gameState, betAmount, setBetAmount, onBet, onCashOut, userBa
         {/* Decrease Button */}
         <TelegramButton
           onClick={handleDecrease}
-          disabled={gameState !== 'betting' || betAmount <= 1 || activeBet > 0}
+          disabled={!canEditBet || betAmount <= minBet}
           haptic="selection"
           className="
             w-6 h-6 rounded-full border border-gray-600 
@@ -208,14 +292,14 @@ const BetPanel = ({ gameState, betAmount, setBetAmount, onBet, onCashOut, userBa
         {/* Bet Amount Display */}
         <div className="flex-1 text-center px-2">
           <div className="text-sm font-medium text-white">
-            {(activeBet > 0 ? activeBet : betAmount).toFixed(2)}
+            {(queuedBet ? queuedBet.amount : (canEditBet ? betAmount : activeBet || betAmount)).toFixed(2)}
           </div>
         </div>
 
         {/* Increase Button */}
         <TelegramButton
           onClick={handleIncrease}
-          disabled={gameState !== 'betting' || betAmount >= userBalance || activeBet > 0}
+          disabled={!canEditBet || betAmount >= maxStake}
           haptic="selection"
           className="
             w-6 h-6 rounded-full border border-gray-600 
@@ -230,19 +314,19 @@ const BetPanel = ({ gameState, betAmount, setBetAmount, onBet, onCashOut, userBa
         </div>
         
         {/* Quick Bet Buttons - Right side */}
-        {activeBet === 0 && (
+        {canEditBet && (
           <div className="flex items-center gap-2 flex-1">
             <div className="grid grid-cols-3 gap-1">
               {[10, 50, 100, 500, 1000, 'Max'].map((amount) => (
                 <button
                   key={amount}
-                  onClick={() => setBetAmount(amount === 'Max' ? userBalance : Math.min(amount, userBalance))}
-                  disabled={gameState !== 'betting' || (amount !== 'Max' && amount > userBalance)}
+                  onClick={() => setBetAmount(amount === 'Max' ? maxStake : Math.min(amount, maxStake))}
+                  disabled={!canEditBet || (amount !== 'Max' && amount > userBalance)}
                   className={`
                     py-1.5 px-3 text-xs font-medium
                     bg-transparent border border-gray-600 rounded
                     transition-all duration-200
-                    ${gameState !== 'betting' || (amount !== 'Max' && amount > userBalance)
+                    ${!canEditBet || (amount !== 'Max' && amount > userBalance)
                       ? 'text-gray-500 opacity-30 cursor-not-allowed'
                       : 'text-gray-300 hover:bg-gray-700 hover:border-gray-500'
                     }
@@ -258,18 +342,18 @@ const BetPanel = ({ gameState, betAmount, setBetAmount, onBet, onCashOut, userBa
 
       {/* Auto-Cashout Settings - Always visible but disabled during running */}
       <div className="space-y-3">
-        {activeBet === 0 && (
+        {canEditBet && (
           <div className="space-y-3">
           {/* Auto-Cashout Toggle */}
             <div className="flex items-center justify-between">
               <div className="flex items-center space-x-2">
                 <button
-                  onClick={() => updateSetting('autoCashoutEnabled', !autoCashoutEnabled)}
-                  disabled={gameState !== 'betting'}
+                  onClick={() => updateAutoCashout('autoCashoutEnabled', !autoCashoutEnabled)}
+                  disabled={!canEditBet}
                   className={`
                     relative inline-flex h-6 w-11 items-center rounded-full transition-colors
                     ${autoCashoutEnabled ? 'bg-green-600' : 'bg-gray-600'}
-                    ${gameState !== 'betting' ? 'opacity-50 cursor-not-allowed' : ''}
+                    ${!canEditBet ? 'opacity-50 cursor-not-allowed' : ''}
                   `}
                 >
                 <span
@@ -280,15 +364,15 @@ const BetPanel = ({ gameState, betAmount, setBetAmount, onBet, onCashOut, userBa
                 />
               </button>
               <span className="text-sm font-medium text-gray-300">Auto Cashout</span>
-              {saving && <span className="text-xs text-gray-400 ml-2">Saving...</span>}
+              {usesSavedSettings && saving && <span className="text-xs text-gray-400 ml-2">Saving...</span>}
             </div>
             
               {autoCashoutEnabled && (
                 <button
                   onClick={() => setShowAutoCashoutSettings(!showAutoCashoutSettings)}
-                  disabled={gameState !== 'betting'}
+                  disabled={!canEditBet}
                   className={`text-xs underline transition-colors
-                    ${gameState !== 'betting' 
+                    ${!canEditBet 
                       ? 'text-gray-500 cursor-not-allowed' 
                       : 'text-blue-400 hover:text-blue-300'}
                   `}
@@ -304,10 +388,10 @@ const BetPanel = ({ gameState, betAmount, setBetAmount, onBet, onCashOut, userBa
               <div className="text-sm text-gray-400 mb-2">Auto-cashout at:</div>
               <div className="flex items-center space-x-2">
                 <button
-                  onClick={() => updateSetting('autoCashoutMultiplier', Math.max(1.1, autoCashoutMultiplier - 0.1))}
-                  disabled={gameState !== 'betting'}
+                  onClick={() => updateAutoCashout('autoCashoutMultiplier', Math.max(1.1, autoCashoutMultiplier - 0.1))}
+                  disabled={!canEditBet}
                   className={`w-8 h-8 rounded flex items-center justify-center transition-colors
-                    ${gameState !== 'betting' 
+                    ${!canEditBet 
                       ? 'bg-gray-800 text-gray-500 cursor-not-allowed' 
                       : 'bg-gray-700 hover:bg-gray-600'}
                   `}
@@ -318,23 +402,23 @@ const BetPanel = ({ gameState, betAmount, setBetAmount, onBet, onCashOut, userBa
                   <input
                     type="number"
                     value={autoCashoutMultiplier}
-                    onChange={(e) => updateSetting('autoCashoutMultiplier', Math.max(1.1, parseFloat(e.target.value) || 1.1))}
+                    onChange={(e) => updateAutoCashout('autoCashoutMultiplier', Math.max(1.1, parseFloat(e.target.value) || 1.1))}
                     step="0.1"
                     min="1.1"
                     max="100"
-                    disabled={gameState !== 'betting'}
+                    disabled={!canEditBet}
                     className={`w-full border rounded px-2 py-1 text-center text-sm transition-colors
-                      ${gameState !== 'betting' 
+                      ${!canEditBet 
                         ? 'bg-gray-800 border-gray-700 text-gray-500 cursor-not-allowed' 
                         : 'bg-gray-700 border-gray-600'}
                     `}
                   />
                 </div>
                 <button
-                  onClick={() => updateSetting('autoCashoutMultiplier', Math.min(100, autoCashoutMultiplier + 0.1))}
-                  disabled={gameState !== 'betting'}
+                  onClick={() => updateAutoCashout('autoCashoutMultiplier', Math.min(100, autoCashoutMultiplier + 0.1))}
+                  disabled={!canEditBet}
                   className={`w-8 h-8 rounded flex items-center justify-center transition-colors
-                    ${gameState !== 'betting' 
+                    ${!canEditBet 
                       ? 'bg-gray-800 text-gray-500 cursor-not-allowed' 
                       : 'bg-gray-700 hover:bg-gray-600'}
                   `}
@@ -354,15 +438,15 @@ const BetPanel = ({ gameState, betAmount, setBetAmount, onBet, onCashOut, userBa
               {[1.5, 2.0, 3.0, 5.0, 10.0].map((preset) => (
                 <button
                   key={preset}
-                  onClick={() => updateSetting('autoCashoutMultiplier', preset)}
-                  disabled={gameState !== 'betting'}
+                  onClick={() => updateAutoCashout('autoCashoutMultiplier', preset)}
+                  disabled={!canEditBet}
                   className={`
                     flex-1 py-1 px-2 text-xs font-medium rounded
                     transition-all duration-200
-                    ${gameState !== 'betting' ? 'cursor-not-allowed opacity-50' : ''}
+                    ${!canEditBet ? 'cursor-not-allowed opacity-50' : ''}
                     ${autoCashoutMultiplier === preset 
                       ? 'bg-green-600 text-white' 
-                      : gameState !== 'betting'
+                      : !canEditBet
                         ? 'bg-gray-800 text-gray-500'
                         : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
                     }
@@ -378,6 +462,31 @@ const BetPanel = ({ gameState, betAmount, setBetAmount, onBet, onCashOut, userBa
 
       </div>
 
+      {/* Partial cashout: lock in part of the stake and let the rest ride */}
+      {gameState === 'running' && activeBet > 0 && cashedOutMultiplier === 0 && (
+        <div className="flex items-center gap-2">
+          <span className="text-xs text-gray-400">
+            Riding {remainingBet}{remainingBet < activeBet ? ` of ${activeBet}` : ''} pts
+          </span>
+          <div className="flex flex-1 gap-1">
+            {[0.25, 0.5].map((fraction) => (
+              <button
+                key={fraction}
+                onClick={() => onCashOut(fraction)}
+                className="flex-1 py-1 px-2 text-xs font-medium rounded bg-yellow-600/80 hover:bg-yellow-500 text-black transition-all duration-200"
+              >
+                Cash out {fraction * 100}%
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Server-side auto-play (first panel only) */}
+      {autoBet && (
+        <AutoBetPanel autoBet={autoBet} onStart={onStartAutoBet} onStop={onStopAutoBet} />
+      )}
+
       {/* Main Action Button */}
       <TelegramButton
         onClick={handleButtonClick}
@@ -407,18 +516,45 @@ const BetPanel = ({ gameState, betAmount, setBetAmount, onBet, onCashOut, userBa
       </TelegramButton>
 
       {/* Status Messages */}
-      {gameState === 'betting' && betAmount > userBalance && (
+      {error && (
+        <div className="text-center text-red-400 text-sm font-medium">
+          {describeCommandError(error)}
+        </div>
+      )}
+
+      {gameState === 'betting' && activeBet === 0 && betAmount > userBalance && (
         <div className="text-center text-red-400 text-sm font-medium">
           Insufficient balance
         </div>
       )}
 
+      {canEditBet && outOfLimits && (
+        <div className="text-center text-red-400 text-sm font-medium">
+          Bets must be between {minBet} and {betLimit} pts
+        </div>
+      )}
+
+      {(Number.isFinite(maxWin) || Number.isFinite(maxRoundPayout)) && (
+        <div className="text-center text-gray-500 text-xs">
+          {Number.isFinite(maxWin) && `Max win ${formatPoints(maxWin)} pts per bet`}
+          {Number.isFinite(maxWin) && Number.isFinite(maxRoundPayout) && ' · '}
+          {Number.isFinite(maxRoundPayout) && `${formatPoints(maxRoundPayout)} pts per round`}
+        </div>
+      )}
+
       {gameState === 'crashed' && (
         <div className="text-center text-gray-400 text-sm">
           Waiting for next round...
         </div>
       )}
 
+      {queuedBet && (
+        <div className="text-center text-blue-400 text-sm">
+          {queuedBet.amount} pts will be placed when betting opens
+          {queuedBet.autoTarget ? ` (auto @ ${queuedBet.autoTarget.toFixed(1)}x)` : ''}
+        </div>
+      )}
+
       {/* Success Animation */}
       {showSuccessAnimation && (
         <div className="fixed inset-0 flex items-center justify-center pointer-events-none z-50">
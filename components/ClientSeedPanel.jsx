@@ -0,0 +1,68 @@
+import React, { useState, useEffect } from 'react';
+import authService from './services/authService.js';
+
+// The player's own client seed. It is mixed into every round they bet on,
+// together with a nonce counting those rounds.
+const ClientSeedPanel = () => {
+  const [current, setCurrent] = useState(null);
+  const [newSeed, setNewSeed] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!authService.isAuthenticated()) return;
+    authService.getClientSeed()
+      .then(result => setCurrent(result))
+      .catch(err => console.error('Failed to load client seed:', err));
+  }, []);
+
+  const rotate = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await authService.updateClientSeed(newSeed.trim());
+      setCurrent(result);
+      setNewSeed('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!authService.isAuthenticated()) {
+    return null;
+  }
+
+  return (
+    <div className="mb-4 p-3 bg-gray-800 rounded-lg text-sm">
+      <div className="font-semibold text-gray-400 mb-1">Your Client Seed</div>
+      <p className="text-xs text-gray-400 mb-2">
+        Mixed into every round you bet on before the plane takes off, so you have a say in the outcome.
+      </p>
+      <div className="font-mono text-xs text-gray-300 break-all">
+        {current ? `${current.clientSeed} (nonce ${current.nonce})` : 'Loading...'}
+      </div>
+      <div className="flex gap-2 mt-2">
+        <input
+          type="text"
+          maxLength={64}
+          placeholder="New seed (empty = random)"
+          value={newSeed}
+          onChange={(e) => setNewSeed(e.target.value)}
+          className="flex-1 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-xs font-mono text-white"
+        />
+        <button
+          onClick={rotate}
+          disabled={saving}
+          className="px-3 py-1 rounded bg-blue-600 hover:bg-blue-700 text-white text-xs disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Rotate'}
+        </button>
+      </div>
+      {error && <div className="text-xs text-red-400 mt-1">{error}</div>}
+    </div>
+  );
+};
+
+export default ClientSeedPanel;
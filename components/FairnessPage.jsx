@@ -1,11 +1,16 @@
 import React, { useState, useEffect } from 'react';
-import crypto from 'crypto-js';
+import ClientSeedPanel from './ClientSeedPanel.jsx';
+import RoundReplay from './RoundReplay.jsx';
+import { fairness, DEFAULT_HOUSE_EDGE } from './utils/crashFairness.js';
 
 const FairnessPage = ({ isOpen, onClose }) => {
   const [recentRounds, setRecentRounds] = useState([]);
+  const [seedChains, setSeedChains] = useState({});
+  const [houseEdge, setHouseEdge] = useState(DEFAULT_HOUSE_EDGE);
   const [isLoading, setIsLoading] = useState(false);
   const [verificationResults, setVerificationResults] = useState({});
   const [expandedRound, setExpandedRound] = useState(null);
+  const [replayRoundId, setReplayRoundId] = useState(null);
   const [currentTime, setCurrentTime] = useState(Date.now());
 
   useEffect(() => {
@@ -22,12 +27,19 @@ const FairnessPage = ({ isOpen, onClose }) => {
   const loadRecentRounds = async () => {
     setIsLoading(true);
     try {
-      const response = await fetch(
-        `${import.meta.env.VITE_API_BASE_URL || 'https://aviator-game-production.up.railway.app/api'}/fairness/recent-rounds`
-      );
-      const data = await response.json();
+      const apiBase = import.meta.env.VITE_API_BASE_URL || 'https://aviator-game-production.up.railway.app/api';
+      const [roundsResponse, chainsResponse] = await Promise.all([
+        fetch(`${apiBase}/fairness/recent-rounds`),
+        fetch(`${apiBase}/fairness/seed-chains`)
+      ]);
+      const data = await roundsResponse.json();
       if (data.success) {
         setRecentRounds(data.rounds);
+        if (data.algorithm) setHouseEdge(data.algorithm.houseEdge);
+      }
+      const chainData = await chainsResponse.json();
+      if (chainData.success) {
+        setSeedChains(Object.fromEntries(chainData.chains.map(chain => [chain.id, chain])));
       }
     } catch (error) {
       console.error('Failed to load recent rounds:', error);
@@ -36,86 +48,34 @@ const FairnessPage = ({ isOpen, onClose }) => {
     }
   };
 
-  // Provably fair crash point calculation (matching backend algorithm)
-  const calculateCrashPoint = (serverSeed, clientSeed = '', nonce = 0) => {
-    try {
-      // Create HMAC hash using server seed as key and client seed + nonce as message
-      const message = `${clientSeed}:${nonce}`;
-      const hash = crypto.HmacSHA256(message, serverSeed).toString();
-      
-      // Take first 8 characters and convert to integer
-      const hex = hash.substring(0, 8);
-      const intValue = parseInt(hex, 16);
-      
-      // Maximum value for 8 hex characters
-      const maxValue = 0xFFFFFFFF;
-      
-      // Calculate the probability (0 to 1)
-      const probability = intValue / maxValue;
-      
-      // Apply house edge (0.01 = 1%)
-      const houseEdge = 0.01;
-      const adjustedProbability = probability * (1 - houseEdge);
-      
-      // Convert to crash multiplier using exponential distribution
-      if (adjustedProbability === 0) {
-        return 1.00;
-      }
-      
-      const crashPoint = 1 / adjustedProbability;
-      
-      // Cap at reasonable maximum (1000x) and ensure minimum of 1.00
-      return Math.max(1.00, Math.min(crashPoint, 1000));
-    } catch (error) {
-      console.error('Error calculating crash point:', error);
-      return null;
-    }
-  };
-
+  // Recompute everything locally with the shared algorithm (backend/lib/crashFairness.js)
   const verifyRound = (round) => {
-    if (!round.serverSeed) {
-      setVerificationResults({
-        ...verificationResults,
-        [round.id]: { 
-          success: false, 
-          message: 'Server seed not yet revealed' 
-        }
-      });
-      return;
-    }
-
-    // Verify server seed hash matches
-    const seedHash = crypto.SHA256(round.serverSeed).toString();
-    if (seedHash !== round.serverSeedHash) {
+    const chain = seedChains[round.seedChainId];
+    if (round.seedChainId && !chain) {
       setVerificationResults({
         ...verificationResults,
-        [round.id]: { 
-          success: false, 
-          message: 'Server seed hash mismatch!' 
+        [round.id]: {
+          success: false,
+          message: 'Seed chain not published!'
         }
       });
       return;
     }
 
-    // Calculate crash point
-    const calculatedCrash = calculateCrashPoint(
-      round.serverSeed, 
-      round.clientSeed || '', 
-      round.nonce
-    );
-
-    const roundCrash = parseFloat(round.crashPoint);
-    const isValid = Math.abs(calculatedCrash - roundCrash) < 0.01;
+    const result = fairness.verifyRound({
+      ...round,
+      seedChain: chain ? { ...chain, chainIndex: round.chainIndex } : null
+    }, { houseEdge: round.houseEdge != null ? Number(round.houseEdge) : houseEdge });
 
     setVerificationResults({
       ...verificationResults,
       [round.id]: {
-        success: isValid,
-        calculatedCrash,
-        actualCrash: roundCrash,
-        message: isValid 
-          ? `Verified! Calculated: ${calculatedCrash.toFixed(2)}x` 
-          : `Mismatch! Expected: ${roundCrash.toFixed(2)}x, Got: ${calculatedCrash.toFixed(2)}x`
+        success: result.valid,
+        calculatedCrash: result.calculatedCrashPoint,
+        actualCrash: parseFloat(round.crashPoint),
+        message: result.valid && chain
+          ? `${result.message} · seed is in the committed chain`
+          : result.message
       }
     });
   };
@@ -176,19 +136,19 @@ const FairnessPage = ({ isOpen, onClose }) => {
               <div className="bg-gray-900 p-3 rounded">
                 <div className="font-semibold text-blue-400 mb-1">1. Before the round</div>
                 <p className="text-gray-300">
-                  We generate a server seed and show you its hash. The hash proves we can't change the seed later.
+                  Server seeds come from a hash chain generated in advance. We publish the chain's final hash and show each seed's hash, so seeds can't be changed later.
                 </p>
               </div>
               <div className="bg-gray-900 p-3 rounded">
                 <div className="font-semibold text-blue-400 mb-1">2. During the round</div>
                 <p className="text-gray-300">
-                  The crash point is predetermined by combining server seed, client seed, and nonce.
+                  When betting closes, every bettor's client seed is mixed into the round's client seed. The crash point comes from server seed, client seed, and nonce.
                 </p>
               </div>
               <div className="bg-gray-900 p-3 rounded">
                 <div className="font-semibold text-blue-400 mb-1">3. After the round</div>
                 <p className="text-gray-300">
-                  We reveal the server seed. You can verify the hash and recalculate the crash point.
+                  We reveal the server seed. You can verify it hashes back to the published chain and recalculate the crash point.
                 </p>
               </div>
             </div>
@@ -197,6 +157,23 @@ const FairnessPage = ({ isOpen, onClose }) => {
 
         {/* Recent Rounds */}
         <div className="p-4 overflow-y-auto" style={{ maxHeight: 'calc(90vh - 280px)' }}>
+          <ClientSeedPanel />
+
+          {/* Each room plays its own chain */}
+          {Object.values(seedChains).filter(chain => !chain.exhaustedAt).map(activeChain => (
+            <div key={activeChain.id} className="mb-4 p-3 bg-gray-800 rounded-lg text-sm">
+              <div className="font-semibold text-gray-400 mb-1">
+                Current Seed Chain · {activeChain.room} ({activeChain.nextIndex} / {activeChain.length} seeds used)
+              </div>
+              <div className="font-mono text-xs text-gray-300 break-all">
+                Terminating hash: {activeChain.terminatingHash}
+              </div>
+              <div className="font-mono text-xs text-gray-300 break-all">
+                Client seed: {activeChain.clientSeed}
+              </div>
+            </div>
+          ))}
+
           <h3 className="text-lg font-semibold mb-4">Recent Game Rounds</h3>
           
           {isLoading ? (
@@ -268,6 +245,16 @@ const FairnessPage = ({ isOpen, onClose }) => {
                               </button>
                             );
                           })()}
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setReplayRoundId(round.id);
+                            }}
+                            className="px-2 md:px-3 py-1 rounded text-sm bg-gray-700 hover:bg-gray-600 text-white transition-colors"
+                            title="Watch the round again"
+                          >
+                            Replay
+                          </button>
                           <svg 
                             className={`w-5 h-5 text-gray-400 transition-transform ${
                               isExpanded ? 'rotate-180' : ''
@@ -311,6 +298,30 @@ const FairnessPage = ({ isOpen, onClose }) => {
                               {round.nonce}
                             </div>
                           </div>
+                          
+                          {round.clientSeeds?.length > 0 && (
+                            <div className="md:col-span-2">
+                              <div className="font-semibold text-gray-400 mb-2">
+                                Players' Client Seeds ({round.clientSeeds.length})
+                              </div>
+                              <div className="font-mono text-xs text-gray-300 break-all bg-gray-900 p-2 rounded space-y-1 max-h-32 overflow-y-auto">
+                                {round.clientSeeds.map(({ clientSeed, nonce }) => (
+                                  <div key={`${clientSeed}:${nonce}`}>{clientSeed}:{nonce}</div>
+                                ))}
+                              </div>
+                            </div>
+                          )}
+                          
+                          {round.seedChainId && (
+                            <div className="md:col-span-2">
+                              <div className="font-semibold text-gray-400 mb-2">
+                                Seed Chain Terminating Hash (seed #{round.chainIndex + 1})
+                              </div>
+                              <div className="font-mono text-xs text-gray-300 break-all bg-gray-900 p-2 rounded">
+                                {seedChains[round.seedChainId]?.terminatingHash || 'Unknown chain'}
+                              </div>
+                            </div>
+                          )}
                         </div>
                         
                         {verification && (
@@ -343,9 +354,17 @@ const FairnessPage = ({ isOpen, onClose }) => {
             <p className="mt-2 text-xs">
               Algorithm: HMAC-SHA256(clientSeed:nonce, serverSeed) → Take first 8 hex chars → Calculate crash point
             </p>
+            <p className="mt-1 text-xs">
+              Client seed: SHA256(chainClientSeed|seed:nonce|...) over the players' sorted seeds, or the chain's client seed if nobody bet
+            </p>
+            <p className="mt-1 text-xs">
+              Seed chain: SHA256 applied (n + 1) times to the seed of round n in a chain equals the chain's terminating hash
+            </p>
           </div>
         </div>
       </div>
+
+      <RoundReplay roundId={replayRoundId} onClose={() => setReplayRoundId(null)} />
     </div>
   );
 };
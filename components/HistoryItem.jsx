@@ -1,6 +1,7 @@
 import React from 'react';
 
-const HistoryItem = ({ multiplier }) => {
+// onClick (optional) opens the round's replay
+const HistoryItem = ({ multiplier, onClick }) => {
   const getColorClasses = () => {
     if (multiplier >= 100) {
       return 'bg-gradient-to-r from-yellow-400 to-yellow-500 text-black shadow-yellow-500/50';
@@ -30,6 +31,8 @@ const HistoryItem = ({ multiplier }) => {
 
   return (
     <div 
+      onClick={onClick}
+      title={onClick ? 'Watch replay' : undefined}
       className={`
         px-2 py-1 rounded-full text-xs whitespace-nowrap
         ${getColorClasses()}
@@ -37,6 +40,7 @@ const HistoryItem = ({ multiplier }) => {
         transition-all duration-300 hover:scale-105
         min-w-[45px] max-w-[65px] text-center flex-shrink-0
         border border-white/20
+        ${onClick ? 'cursor-pointer' : ''}
       `}
     >
       {formatMultiplier(multiplier)}
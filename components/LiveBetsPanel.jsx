@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import authService from './services/authService.js';
+
+const TABS = [
+  { key: 'all', label: 'All bets' },
+  { key: 'mine', label: 'My bets' },
+  { key: 'top', label: 'Top wins' }
+];
+
+const formatAmount = (value) => Number(value || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+const Avatar = ({ src, name }) => (
+  src ? (
+    <img src={src} alt="" className="w-6 h-6 rounded-full object-cover flex-shrink-0" />
+  ) : (
+    <div className="w-6 h-6 rounded-full bg-gray-600 flex items-center justify-center text-xs text-gray-300 flex-shrink-0">
+      {(name || '?')[0].toUpperCase()}
+    </div>
+  )
+);
+
+const Row = ({ avatar, name, amount, multiplier, winnings, won }) => (
+  <div className={`grid grid-cols-[1fr_auto_auto_auto] gap-3 items-center px-3 py-1.5 rounded text-sm ${
+    won ? 'bg-green-900/40 border border-green-700/50' : 'bg-gray-900/60'
+  }`}>
+    <div className="flex items-center gap-2 min-w-0">
+      <Avatar src={avatar} name={name} />
+      <span className="text-gray-300 truncate">{name}</span>
+    </div>
+    <span className="text-white text-right w-20">{formatAmount(amount)}</span>
+    <span className={`text-right w-14 ${multiplier ? 'text-green-400 font-medium' : 'text-gray-600'}`}>
+      {multiplier ? `${Number(multiplier).toFixed(2)}x` : '–'}
+    </span>
+    <span className={`text-right w-20 ${winnings > 0 ? 'text-green-400' : 'text-gray-600'}`}>
+      {winnings > 0 ? formatAmount(winnings) : '–'}
+    </span>
+  </div>
+);
+
+// Live bets table beneath the game: everyone's bets this round (streamed over
+// the WebSocket), the player's own history and the day's biggest wins
+const LiveBetsPanel = ({ feed, getBetHistory }) => {
+  const [tab, setTab] = useState('all');
+  const [topWins, setTopWins] = useState([]);
+  const [isLoadingTop, setIsLoadingTop] = useState(false);
+
+  useEffect(() => {
+    if (tab !== 'top') return;
+    let cancelled = false;
+    setIsLoadingTop(true);
+    authService.getTopWins(20)
+      .then(response => { if (!cancelled && response.success) setTopWins(response.wins); })
+      .catch(error => console.error('Failed to load top wins:', error))
+      .finally(() => { if (!cancelled) setIsLoadingTop(false); });
+    return () => { cancelled = true; };
+  }, [tab]);
+
+  // Cashed-out bets first (biggest wins on top), then the rest by stake
+  const allBets = [...feed.bets].sort((a, b) => (b.winnings - a.winnings) || (b.amount - a.amount));
+  const myBets = tab === 'mine' ? getBetHistory().filter(bet => bet.status !== 'active').slice(0, 30) : [];
+
+  return (
+    <div className="app-live-bets px-4 md:px-6 py-4 bg-gray-800 border-t border-gray-700">
+      <div className="flex gap-2 mb-3">
+        {TABS.map(({ key, label }) => (
+          <button
+            key={key}
+            onClick={() => setTab(key)}
+            className={`flex-1 px-3 py-2 rounded-lg text-sm font-medium transition-all ${
+              tab === key ? 'bg-blue-600 text-white' : 'bg-gray-900 text-gray-300 hover:bg-gray-700'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'all' && (
+        <>
+          <div className="flex justify-between text-xs text-gray-400 mb-2 px-1">
+            <span>{feed.totals.count} bets</span>
+            <span>Total {formatAmount(feed.totals.amount)} · Won {formatAmount(feed.totals.winnings)}</span>
+          </div>
+          <div className="space-y-1 max-h-72 overflow-y-auto">
+            {allBets.length === 0 ? (
+              <div className="text-center py-6 text-gray-500 text-sm">No bets yet this round</div>
+            ) : allBets.map(bet => (
+              <Row
+                key={bet.id}
+                avatar={bet.avatar}
+                name={bet.name}
+                amount={bet.amount}
+                multiplier={bet.multiplier}
+                winnings={bet.winnings}
+                won={bet.cashedOut}
+              />
+            ))}
+          </div>
+        </>
+      )}
+
+      {tab === 'mine' && (
+        <div className="space-y-1 max-h-72 overflow-y-auto">
+          {myBets.length === 0 ? (
+            <div className="text-center py-6 text-gray-500 text-sm">No bets played yet</div>
+          ) : myBets.map(bet => (
+            <Row
+              key={bet.id}
+              name={new Date(bet.timestamp).toLocaleTimeString()}
+              amount={bet.amount}
+              multiplier={bet.status === 'won' ? bet.multiplier : null}
+              winnings={bet.winnings}
+              won={bet.status === 'won'}
+            />
+          ))}
+        </div>
+      )}
+
+      {tab === 'top' && (
+        <div className="space-y-1 max-h-72 overflow-y-auto">
+          {isLoadingTop ? (
+            <div className="text-center py-6 text-gray-500 text-sm">Loading top wins...</div>
+          ) : topWins.length === 0 ? (
+            <div className="text-center py-6 text-gray-500 text-sm">No wins today yet</div>
+          ) : topWins.map((win, index) => (
+            <Row
+              key={index}
+              avatar={win.avatar}
+              name={win.name}
+              amount={win.amount}
+              multiplier={win.multiplier}
+              winnings={win.payout}
+              won
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LiveBetsPanel;
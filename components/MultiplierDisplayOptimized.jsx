@@ -40,8 +40,8 @@ export default function MultiplierDisplayOptimized({ lastServerTick, gameState,
 
   useEffect(() => {
     if (!lastServerTick) return;
-    const { serverTime, multiplier, state } = lastServerTick;
-    updateServerFrame(serverTime, multiplier);
+    const { serverTime, multiplier, state, startTime } = lastServerTick;
+    updateServerFrame(serverTime, multiplier, startTime);
     if (state === 'crashed') setCrashed(multiplier);
   }, [lastServerTick, updateServerFrame, setCrashed]);
 
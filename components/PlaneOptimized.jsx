@@ -41,8 +41,8 @@ export default function PlaneOptimized({ wsState, gameState, lastServerTick }) {
   // Feed server frames to the animator
   useEffect(() => {
     if (!lastServerTick) return;
-    const { serverTime, multiplier, state } = lastServerTick;
-    updateServerFrame(serverTime, multiplier);
+    const { serverTime, multiplier, state, startTime } = lastServerTick;
+    updateServerFrame(serverTime, multiplier, startTime);
     if (state === 'crashed') setCrashed(multiplier);
   }, [lastServerTick, updateServerFrame, setCrashed]);
 
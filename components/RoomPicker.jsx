@@ -0,0 +1,53 @@
+import React, { useState, useEffect } from 'react';
+
+const formatAmount = (value) => Number(value || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+// Game room tabs: every room runs its own rounds with its own speed and bet
+// limits. The server refuses a switch while bets or auto-bet still run.
+const RoomPicker = ({ rooms, room, onJoin }) => {
+  const [joining, setJoining] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!error) return;
+    const timer = setTimeout(() => setError(null), 5000);
+    return () => clearTimeout(timer);
+  }, [error]);
+
+  if (!rooms || rooms.length < 2) return null;
+
+  const handleJoin = async (roomId) => {
+    if (roomId === room || joining) return;
+    setJoining(roomId);
+    setError(null);
+    const result = await onJoin(roomId);
+    setJoining(null);
+    if (!result.success) setError(result.message || 'Could not switch rooms');
+  };
+
+  return (
+    <div className="px-3 pb-2 sm:px-4">
+      <div className="flex gap-2 overflow-x-auto">
+        {rooms.map(option => (
+          <button
+            key={option.id}
+            onClick={() => handleJoin(option.id)}
+            disabled={!!joining}
+            title={option.description}
+            className={`flex-shrink-0 px-3 py-1 rounded-full text-xs sm:text-sm transition-colors ${
+              option.id === room
+                ? 'bg-red-600 text-white'
+                : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+            } ${joining === option.id ? 'opacity-60' : ''}`}
+          >
+            <span className="font-medium">{option.name}</span>
+            <span className="ml-1 opacity-75">min {formatAmount(option.minBetAmount)}</span>
+          </button>
+        ))}
+      </div>
+      {error && <p className="text-xs text-red-400 mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default RoomPicker;
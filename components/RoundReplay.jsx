@@ -0,0 +1,183 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import AviatorGameStandalone from './AviatorGameStandalone.jsx';
+import authService from './services/authService.js';
+import { multiplierAt } from './utils/crashCurve.js';
+
+// Betting shown before take-off: the last seconds of the phase are enough to
+// see the bets come in
+const PRE_ROLL_MS = 3000;
+const FRAME_MS = 100;
+
+const CAP_TEXT = {
+  maxWin: 'max win',
+  roundPayout: 'round limit'
+};
+
+const formatAmount = (value) => Number(value || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+// Re-animates a finished round in the game canvas from its stored timeline
+// (backend/lib/roundTimeline.js): the countdown, every bet, every cashout at
+// its server time and the crash
+const RoundReplay = ({ roundId, onClose }) => {
+  const [replay, setReplay] = useState(null);
+  const [error, setError] = useState('');
+  const [playId, setPlayId] = useState(0);
+  const [elapsed, setElapsed] = useState(-PRE_ROLL_MS); // ms since take-off
+  const [cashoutTrigger, setCashoutTrigger] = useState({ timestamp: 0, isMe: false });
+
+  useEffect(() => {
+    if (!roundId) return;
+    let cancelled = false;
+    setReplay(null);
+    setError('');
+    authService.getRoundReplay(roundId)
+      .then(response => { if (!cancelled && response.success) setReplay(response.replay); })
+      .catch(err => { if (!cancelled) setError(err.status === 404 ? 'No replay was recorded for this round' : 'Failed to load the replay'); });
+    return () => { cancelled = true; };
+  }, [roundId]);
+
+  // Replay clock: one frame every FRAME_MS until the crash
+  useEffect(() => {
+    if (!replay) return;
+    const { bettingMs, crashedMs } = replay.timeline;
+    const preRoll = Math.min(bettingMs, PRE_ROLL_MS);
+    const takeOffAt = Date.now() + preRoll;
+    setElapsed(-preRoll);
+
+    const interval = setInterval(() => {
+      const t = Date.now() - takeOffAt;
+      setElapsed(t);
+      if (t >= crashedMs) clearInterval(interval);
+    }, FRAME_MS);
+    return () => clearInterval(interval);
+  }, [replay, playId]);
+
+  const timeline = replay?.timeline;
+  const phase = !timeline || elapsed < 0 ? 'betting' : elapsed < timeline.crashedMs ? 'running' : 'crashed';
+  const multiplier = phase === 'running'
+    ? Math.min(multiplierAt(elapsed, timeline.doublingMs), timeline.crashPoint)
+    : phase === 'crashed' ? timeline.crashPoint : 1;
+  // Cashouts in the grace window were settled just after the crash tick
+  const shownUntil = phase === 'crashed' ? Infinity : elapsed;
+
+  const lastServerTick = useMemo(
+    () => ({ state: phase, multiplier, serverTime: null, startTime: null }),
+    [phase, multiplier]
+  );
+
+  const bets = useMemo(() => {
+    if (!timeline) return [];
+    const rows = timeline.bets.map(bet => ({ ...bet, settled: 0, winnings: 0, multiplier: null, capped: null }));
+    for (const cashout of timeline.cashouts) {
+      if (cashout.t > shownUntil) continue;
+      const row = rows[cashout.bet];
+      if (!row) continue;
+      // Averaged over partial cashouts, like the live bets feed
+      row.multiplier = ((row.multiplier || 0) * row.settled + cashout.multiplier * cashout.amount) / (row.settled + cashout.amount);
+      row.settled += cashout.amount;
+      row.winnings += cashout.winnings;
+      row.capped = row.capped || cashout.capped;
+    }
+    return rows.filter(bet => bet.t <= shownUntil);
+  }, [timeline, shownUntil]);
+
+  // A parachute for every cashout as the replay reaches it
+  const cashoutsShown = timeline ? timeline.cashouts.filter(cashout => cashout.t <= shownUntil).length : 0;
+  useEffect(() => {
+    if (cashoutsShown > 0) setCashoutTrigger({ timestamp: Date.now(), isMe: false });
+  }, [cashoutsShown]);
+
+  if (!roundId) return null;
+
+  const totals = bets.reduce((sum, bet) => ({ amount: sum.amount + bet.amount, winnings: sum.winnings + bet.winnings }), { amount: 0, winnings: 0 });
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-[60] p-4">
+      <div className="bg-gray-900 rounded-lg w-full max-w-4xl max-h-[90vh] overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-700">
+          <div>
+            <h2 className="text-xl font-bold text-white">
+              🎬 Round replay{replay ? ` #${replay.roundNumber}` : ''}
+            </h2>
+            {replay && (
+              <p className="text-sm text-gray-400 mt-1">
+                {replay.room} · crashed at {replay.crashPoint.toFixed(2)}x · {new Date(timeline.startedAt).toLocaleString()}
+              </p>
+            )}
+          </div>
+          <div className="flex items-center space-x-2">
+            {replay && (
+              <button
+                onClick={() => setPlayId(id => id + 1)}
+                className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded"
+              >
+                Replay
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="w-8 h-8 rounded-full bg-gray-700 hover:bg-gray-600 flex items-center justify-center"
+            >
+              <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd"/>
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {error ? (
+          <div className="text-center py-12 text-gray-400">{error}</div>
+        ) : !replay ? (
+          <div className="text-center py-12 text-gray-400">Loading replay...</div>
+        ) : (
+          <div className="overflow-y-auto">
+            {/* Remounted per playthrough so the canvas starts from take-off again */}
+            <AviatorGameStandalone
+              key={playId}
+              gameState={phase}
+              multiplier={multiplier}
+              lastServerTick={lastServerTick}
+              doublingMs={timeline.doublingMs}
+              countdown={Math.ceil(-elapsed / 1000)}
+              className="w-full"
+              triggerCashout={cashoutTrigger}
+            />
+
+            {/* Bets as the replay reaches them */}
+            <div className="p-4">
+              <div className="flex justify-between text-sm text-gray-400 mb-2">
+                <span>{bets.length} bet{bets.length === 1 ? '' : 's'}</span>
+                <span>Staked {formatAmount(totals.amount)} · Won {formatAmount(totals.winnings)}</span>
+              </div>
+              <div className="space-y-1">
+                {bets.map((bet, index) => (
+                  <div
+                    key={index}
+                    className={`grid grid-cols-[1fr_auto_auto_auto] gap-3 items-center px-3 py-1.5 rounded text-sm ${
+                      bet.winnings > 0 ? 'bg-green-900/40 border border-green-700/50' : 'bg-gray-800/60'
+                    }`}
+                  >
+                    <span className="text-gray-300 truncate">
+                      {bet.name}
+                      {bet.capped && <span className="ml-2 text-xs text-yellow-400">({CAP_TEXT[bet.capped] || bet.capped})</span>}
+                    </span>
+                    <span className="text-white text-right w-20">{formatAmount(bet.amount)}</span>
+                    <span className={`text-right w-14 ${bet.multiplier ? 'text-green-400 font-medium' : 'text-gray-600'}`}>
+                      {bet.multiplier ? `${bet.multiplier.toFixed(2)}x` : '–'}
+                    </span>
+                    <span className={`text-right w-20 ${bet.winnings > 0 ? 'text-green-400' : 'text-gray-600'}`}>
+                      {bet.winnings > 0 ? formatAmount(bet.winnings) : '–'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RoundReplay;
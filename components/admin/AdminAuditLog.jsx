@@ -67,6 +67,7 @@ const AdminAuditLog = () => {
     if (action.includes('UNBAN')) return 'text-green-400';
     if (action.includes('BALANCE')) return 'text-yellow-400';
     if (action.includes('REFERRAL')) return 'text-purple-400';
+    if (action.includes('MAINTENANCE')) return 'text-orange-400';
     return 'text-blue-400';
   };
 
@@ -77,7 +78,11 @@ const AdminAuditLog = () => {
     'REFERRAL_APPROVE',
     'REFERRAL_REJECT',
     'PLAYER_SETTINGS_UPDATE',
-    'CHANGE_REQUEST_CREATE'
+    'CHANGE_REQUEST_CREATE',
+    'MAINTENANCE_ENABLE',
+    'MAINTENANCE_DISABLE',
+    'ROUND_PARAMS_UPDATE',
+    'LEDGER_RECONCILE'
   ];
 
   const targetTypeOptions = ['USER', 'REFERRAL', 'ROUND', 'SYSTEM'];
@@ -180,7 +185,7 @@ const AdminAuditLog = () => {
                     </div>
                     
                     <div className="flex items-center gap-4 text-sm text-gray-400">
-                      <span>By {log.adminUser?.username || 'Unknown'}</span>
+                      <span>By {log.adminUserId ? (log.adminUser?.username || 'Unknown') : 'System'}</span>
                       <span>{formatDate(log.createdAt)}</span>
                       {log.ip && <span>IP: {log.ip}</span>}
                     </div>
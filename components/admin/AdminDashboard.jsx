@@ -5,6 +5,9 @@ import AdminUsers from './AdminUsers.jsx';
 import AdminRounds from './AdminRounds.jsx';
 import AdminReferrals from './AdminReferrals.jsx';
 import AdminAuditLog from './AdminAuditLog.jsx';
+import AdminMaintenance from './AdminMaintenance.jsx';
+import AdminRoundParams from './AdminRoundParams.jsx';
+import AdminReconciliation from './AdminReconciliation.jsx';
 
 const AdminDashboard = ({ isOpen, onClose }) => {
   const [activeTab, setActiveTab] = useState('dashboard');
@@ -28,6 +31,8 @@ const AdminDashboard = ({ isOpen, onClose }) => {
     { id: 'users', label: 'Users', icon: '👥' },
     { id: 'rounds', label: 'Game Rounds', icon: '🎮' },
     { id: 'referrals', label: 'Referrals', icon: '🔗' },
+    { id: 'config', label: 'Game Config', icon: '⚙️' },
+    { id: 'ledger', label: 'Ledger', icon: '🧮' },
     { id: 'audit', label: 'Audit Log', icon: '📝' },
   ];
 
@@ -78,10 +83,17 @@ const AdminDashboard = ({ isOpen, onClose }) => {
             </div>
           ) : (
             <>
-              {activeTab === 'dashboard' && <AdminStats />}
+              {activeTab === 'dashboard' && (
+                <>
+                  <AdminMaintenance />
+                  <AdminStats />
+                </>
+              )}
               {activeTab === 'users' && <AdminUsers />}
               {activeTab === 'rounds' && <AdminRounds />}
               {activeTab === 'referrals' && <AdminReferrals />}
+              {activeTab === 'config' && <AdminRoundParams />}
+              {activeTab === 'ledger' && <AdminReconciliation />}
               {activeTab === 'audit' && <AdminAuditLog />}
             </>
           )}
@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import authService from '../services/authService.js';
+
+// Maintenance mode: pauses betting after the current round, no redeploy needed
+const AdminMaintenance = () => {
+  const [maintenance, setMaintenance] = useState(null);
+  const [paused, setPaused] = useState(false);
+  const [message, setMessage] = useState('');
+  const [reason, setReason] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadMaintenance = async () => {
+    try {
+      const response = await authService.apiRequest('/admin/maintenance');
+      if (response.success) {
+        setMaintenance(response.maintenance);
+        setPaused(response.paused);
+        setMessage(response.maintenance.message);
+        setError('');
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to load maintenance mode');
+    }
+  };
+
+  useEffect(() => {
+    loadMaintenance();
+  }, []);
+
+  const toggle = async () => {
+    const enabled = !maintenance.enabled;
+    if (!window.confirm(enabled ? 'Pause betting for all players?' : 'Resume betting?')) return;
+
+    try {
+      setIsSaving(true);
+      const response = await authService.apiRequest('/admin/maintenance', {
+        method: 'PUT',
+        body: JSON.stringify({ enabled, message: message.trim() || null, reason: reason.trim() || null })
+      });
+      if (response.success) {
+        setMaintenance(response.maintenance);
+        setPaused(response.paused);
+        setReason('');
+        setError('');
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to update maintenance mode');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!maintenance) {
+    return error ? (
+      <div className="bg-red-900 bg-opacity-50 border border-red-600 rounded-lg p-4 mb-6">
+        <p className="text-red-300">{error}</p>
+      </div>
+    ) : null;
+  }
+
+  return (
+    <div className={`rounded-lg border p-4 mb-6 ${
+      maintenance.enabled ? 'bg-yellow-900 bg-opacity-50 border-yellow-600' : 'bg-gray-800 border-gray-700'
+    }`}>
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="text-lg font-semibold text-white">🛠️ Maintenance Mode</h3>
+          <p className="text-sm text-gray-400">
+            {maintenance.enabled
+              ? (paused ? 'Betting is paused.' : 'Betting pauses once the current round ends.')
+              : 'Betting is open.'}
+          </p>
+        </div>
+        <button
+          onClick={toggle}
+          disabled={isSaving}
+          className={`px-6 py-2 rounded font-medium text-white ${
+            maintenance.enabled ? 'bg-green-600 hover:bg-green-700' : 'bg-yellow-600 hover:bg-yellow-700'
+          } ${isSaving ? 'opacity-50 cursor-not-allowed' : ''}`}
+        >
+          {isSaving ? 'Saving...' : (maintenance.enabled ? 'Resume Betting' : 'Pause Betting')}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <input
+          type="text"
+          maxLength={200}
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+          placeholder="Message shown to players"
+          className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded text-white focus:outline-none focus:border-blue-500"
+        />
+        <input
+          type="text"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="Reason (audit log)"
+          className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded text-white focus:outline-none focus:border-blue-500"
+        />
+      </div>
+      {error && <p className="text-sm text-red-400 mt-2">{error}</p>}
+    </div>
+  );
+};
+
+export default AdminMaintenance;
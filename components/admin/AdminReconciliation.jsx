@@ -0,0 +1,226 @@
+import React, { useState, useEffect } from 'react';
+import authService from '../services/authService.js';
+
+// Discrepancy kinds found by backend/lib/ledger.js
+const KIND_LABELS = {
+  ledgerMismatch: { label: 'Balance ≠ ledger', color: 'text-red-400' },
+  chainEnd: { label: 'Balance ≠ last transaction', color: 'text-red-400' },
+  chainBreak: { label: 'Chain break', color: 'text-yellow-400' },
+  amountMismatch: { label: 'Amount mismatch', color: 'text-yellow-400' },
+  unledgered: { label: 'No ledger entry', color: 'text-orange-400' }
+};
+
+const ACCOUNT_LABELS = {
+  PLAYER: 'Players',
+  HOUSE: 'House',
+  BONUS_POOL: 'Bonus pool'
+};
+
+const formatPoints = (value) => Number(value || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+const formatDate = (date) => new Date(date).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const AdminReconciliation = () => {
+  const [reports, setReports] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadReport = async (reportId) => {
+    try {
+      const response = await authService.apiRequest(`/admin/reconciliation/${reportId}`);
+      if (response.success) {
+        setSelected(response.report);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to load report');
+    }
+  };
+
+  const loadReports = async () => {
+    try {
+      setIsLoading(true);
+      const response = await authService.apiRequest('/admin/reconciliation');
+      if (response.success) {
+        setReports(response.reports);
+        setError('');
+        if (response.reports.length > 0) {
+          await loadReport(response.reports[0].id);
+        }
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to load reconciliation reports');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadReports();
+  }, []);
+
+  const runNow = async () => {
+    try {
+      setIsRunning(true);
+      setError('');
+      const response = await authService.apiRequest('/admin/reconciliation/run', { method: 'POST' });
+      if (response.success) {
+        setSelected(response.report);
+        const { discrepancies, ...summary } = response.report;
+        setReports(prev => [summary, ...prev]);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to run reconciliation');
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  const shown = selected?.discrepancies || [];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-white">Ledger Reconciliation</h2>
+          <p className="text-sm text-gray-400 mt-1">
+            Every night each balance is checked against the ledger and its transaction history
+          </p>
+        </div>
+        <button
+          onClick={runNow}
+          disabled={isRunning}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-white rounded transition-colors"
+        >
+          {isRunning ? 'Running...' : 'Run now'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-900 border border-red-700 text-red-200 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {!selected ? (
+        <div className="text-center py-12 text-gray-400">No reconciliation has run yet</div>
+      ) : (
+        <>
+          {/* Selected report */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="bg-gray-800 rounded-lg p-4">
+              <div className="text-sm text-gray-400">Checked</div>
+              <div className="text-lg font-bold text-white">{formatDate(selected.finishedAt)}</div>
+              <div className="text-xs text-gray-500">{selected.trigger}</div>
+            </div>
+            <div className="bg-gray-800 rounded-lg p-4">
+              <div className="text-sm text-gray-400">Users / entries</div>
+              <div className="text-lg font-bold text-white">
+                {selected.usersChecked.toLocaleString()} / {selected.entriesChecked.toLocaleString()}
+              </div>
+            </div>
+            <div className="bg-gray-800 rounded-lg p-4">
+              <div className="text-sm text-gray-400">Discrepancies</div>
+              <div className={`text-lg font-bold ${selected.discrepancyCount > 0 ? 'text-red-400' : 'text-green-400'}`}>
+                {selected.discrepancyCount > 0 ? selected.discrepancyCount.toLocaleString() : 'None ✓'}
+              </div>
+            </div>
+            <div className="bg-gray-800 rounded-lg p-4">
+              <div className="text-sm text-gray-400 mb-1">Accounts</div>
+              {Object.entries(selected.accounts || {}).map(([account, balance]) => (
+                <div key={account} className="flex justify-between text-sm">
+                  <span className="text-gray-400">{ACCOUNT_LABELS[account] || account}</span>
+                  <span className={balance < 0 ? 'text-red-300' : 'text-white'}>{formatPoints(balance)}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {shown.length > 0 && (
+            <div className="bg-gray-800 rounded-lg overflow-hidden">
+              {selected.discrepancyCount > shown.length && (
+                <div className="px-4 py-2 text-sm text-yellow-400 border-b border-gray-700">
+                  Showing the first {shown.length} of {selected.discrepancyCount}
+                </div>
+              )}
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-700">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase">Kind</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase">User</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase">Transaction</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-300 uppercase">Expected</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-300 uppercase">Actual</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-300 uppercase">Difference</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-700">
+                    {shown.map((item, index) => {
+                      const kind = KIND_LABELS[item.kind] || { label: item.kind, color: 'text-gray-300' };
+                      return (
+                        <tr key={index} className="hover:bg-gray-750">
+                          <td className={`px-4 py-3 text-sm ${kind.color}`}>{kind.label}</td>
+                          <td className="px-4 py-3 text-sm text-white">
+                            {item.username || <span className="text-gray-500 font-mono">{item.userId}</span>}
+                          </td>
+                          <td className="px-4 py-3 text-sm text-gray-400 font-mono">
+                            {item.transactionId ? `${item.transactionId.slice(0, 12)}${item.type ? ` · ${item.type}` : ''}` : '–'}
+                          </td>
+                          <td className="px-4 py-3 text-sm text-right text-gray-300">{formatPoints(item.expected)}</td>
+                          <td className="px-4 py-3 text-sm text-right text-gray-300">{formatPoints(item.actual)}</td>
+                          <td className={`px-4 py-3 text-sm text-right font-medium ${item.difference < 0 ? 'text-red-400' : 'text-yellow-400'}`}>
+                            {item.difference > 0 ? '+' : ''}{formatPoints(item.difference)}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+
+      {/* History */}
+      {reports.length > 0 && (
+        <div className="bg-gray-800 rounded-lg p-4">
+          <h3 className="text-lg font-semibold text-white mb-3">History</h3>
+          <div className="space-y-1">
+            {reports.map(report => (
+              <button
+                key={report.id}
+                onClick={() => loadReport(report.id)}
+                className={`w-full flex items-center justify-between px-3 py-2 rounded text-sm transition-colors ${
+                  selected?.id === report.id ? 'bg-gray-700' : 'hover:bg-gray-700/50'
+                }`}
+              >
+                <span className="text-gray-300">{formatDate(report.finishedAt)} · {report.trigger}</span>
+                <span className={report.discrepancyCount > 0 ? 'text-red-400' : 'text-green-400'}>
+                  {report.discrepancyCount > 0 ? `${report.discrepancyCount} discrepancies` : 'Clean'}
+                </span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminReconciliation;
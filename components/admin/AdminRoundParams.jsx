@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import authService from '../services/authService.js';
+
+// Round parameters (SystemConfig). Saved values take effect from the next round.
+const AdminRoundParams = () => {
+  const [params, setParams] = useState(null);
+  const [pending, setPending] = useState(null);
+  const [limits, setLimits] = useState({});
+  const [rooms, setRooms] = useState([]);
+  const [form, setForm] = useState({});
+  const [reason, setReason] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const loadParams = async () => {
+    try {
+      const response = await authService.apiRequest('/admin/round-params');
+      if (response.success) {
+        setParams(response.params);
+        setPending(response.pending);
+        setLimits(response.limits);
+        setRooms(response.rooms || []);
+        setForm(Object.fromEntries(Object.entries(response.pending || response.params).map(([name, value]) => [name, String(value)])));
+        setError('');
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to load round parameters');
+    }
+  };
+
+  useEffect(() => {
+    loadParams();
+  }, []);
+
+  const current = pending || params || {};
+  const changes = Object.fromEntries(
+    Object.entries(form)
+      .filter(([name, value]) => value !== '' && Number(value) !== current[name])
+      .map(([name, value]) => [name, Number(value)])
+  );
+  const hasChanges = Object.keys(changes).length > 0;
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!hasChanges) return;
+
+    try {
+      setIsSaving(true);
+      setSuccess('');
+      const response = await authService.apiRequest('/admin/round-params', {
+        method: 'PUT',
+        body: JSON.stringify({ params: changes, reason: reason.trim() || null })
+      });
+      if (response.success) {
+        setParams(response.params);
+        setPending(response.pending);
+        setReason('');
+        setError('');
+        setSuccess('Saved. The new values apply from the next round.');
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to update round parameters');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!params) {
+    return error ? (
+      <div className="bg-red-900 bg-opacity-50 border border-red-600 rounded-lg p-4">
+        <p className="text-red-300">{error}</p>
+      </div>
+    ) : (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-white mb-1">Game Config</h2>
+        <p className="text-sm text-gray-400">
+          Round timing, bet limits and house edge. Changes apply when the next betting phase opens.
+        </p>
+      </div>
+
+      {pending && (
+        <div className="bg-yellow-900 bg-opacity-50 border border-yellow-600 rounded-lg p-3 text-sm text-yellow-300">
+          Changes are waiting for the next round.
+        </div>
+      )}
+
+      <form onSubmit={handleSave} className="bg-gray-800 rounded-lg p-4 space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {Object.entries(limits).map(([name, spec]) => (
+            <div key={name}>
+              <label className="block text-sm text-gray-400 mb-1">{spec.label}</label>
+              <input
+                type="number"
+                step={spec.integer ? 1 : 'any'}
+                min={spec.min}
+                max={spec.max}
+                value={form[name] ?? ''}
+                onChange={(e) => setForm(prev => ({ ...prev, [name]: e.target.value }))}
+                className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded text-white focus:outline-none focus:border-blue-500"
+              />
+              <div className="text-xs text-gray-500 mt-1">
+                {spec.min} – {spec.max} · in play: {params[name]}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <input
+          type="text"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="Reason (audit log)"
+          className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded text-white focus:outline-none focus:border-blue-500"
+        />
+
+        {error && <p className="text-sm text-red-400">{error}</p>}
+        {success && <p className="text-sm text-green-400">{success}</p>}
+
+        <button
+          type="submit"
+          disabled={!hasChanges || isSaving}
+          className={`px-6 py-2 rounded font-medium text-white ${
+            !hasChanges || isSaving ? 'bg-gray-600 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'
+          }`}
+        >
+          {isSaving ? 'Saving...' : 'Save Changes'}
+        </button>
+      </form>
+
+      {rooms.length > 0 && (
+        <div className="bg-gray-800 rounded-lg p-4">
+          <h3 className="text-lg font-semibold text-white mb-1">Rooms</h3>
+          <p className="text-xs text-gray-500 mb-3">Each room plays with the values above except the ones it sets itself.</p>
+          <div className="space-y-1 text-sm">
+            {rooms.map(room => (
+              <div key={room.id} className="flex justify-between gap-4">
+                <span className="text-gray-300">{room.name}</span>
+                <span className="text-gray-400 text-right">
+                  {Object.keys(room.overrides).length === 0
+                    ? 'no overrides'
+                    : Object.entries(room.overrides).map(([name, value]) => `${limits[name]?.label || name}: ${value}`).join(' · ')}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminRoundParams;
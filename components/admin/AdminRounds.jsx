@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import authService from '../services/authService.js';
+import RoundReplay from '../RoundReplay.jsx';
 
 const AdminRounds = () => {
   const [rounds, setRounds] = useState([]);
@@ -8,6 +9,7 @@ const AdminRounds = () => {
   const [error, setError] = useState('');
   const [page, setPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
+  const [replayRoundId, setReplayRoundId] = useState(null);
 
   const loadRounds = async () => {
     try {
@@ -74,7 +76,16 @@ const AdminRounds = () => {
             ← Back to Rounds
           </button>
           <h2 className="text-2xl font-bold text-white">Round Details</h2>
-          <div className="w-24"></div>
+          <div className="w-24 text-right">
+            {selectedRound.status === 'CRASHED' && (
+              <button
+                onClick={() => setReplayRoundId(selectedRound.id)}
+                className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded"
+              >
+                Replay
+              </button>
+            )}
+          </div>
         </div>
 
         {/* Round Info */}
@@ -174,6 +185,8 @@ const AdminRounds = () => {
             </div>
           </div>
         )}
+
+        <RoundReplay roundId={replayRoundId} onClose={() => setReplayRoundId(null)} />
       </div>
     );
   }
@@ -245,6 +258,14 @@ const AdminRounds = () => {
                       {formatDate(round.createdAt)}
                     </td>
                     <td className="px-4 py-3 text-right">
+                      {round.status === 'CRASHED' && (
+                        <button
+                          onClick={() => setReplayRoundId(round.id)}
+                          className="px-3 py-1 mr-2 bg-gray-600 hover:bg-gray-500 text-white text-sm rounded"
+                        >
+                          Replay
+                        </button>
+                      )}
                       <button
                         onClick={() => loadRoundDetails(round.id)}
                         className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded"
@@ -290,6 +311,8 @@ const AdminRounds = () => {
           )}
         </>
       )}
+
+      <RoundReplay roundId={replayRoundId} onClose={() => setReplayRoundId(null)} />
     </div>
   );
 };
@@ -321,7 +321,7 @@ const AdminUserDetail = ({ userId, onClose, onUserUpdate }) => {
                       <div>
                         <p className="font-medium text-white">{log.action}</p>
                         <p className="text-sm text-gray-400">
-                          By {log.adminUser?.username} • {formatDate(log.createdAt)}
+                          By {log.adminUserId ? log.adminUser?.username : 'System'} • {formatDate(log.createdAt)}
                         </p>
                         {log.notes && (
                           <p className="text-sm text-gray-300 mt-1">{log.notes}</p>
@@ -4,6 +4,19 @@ import { useState, useEffect, useRef } from 'react';
 import gameService from '../services/gameService';
 import betHistoryService from '../services/betHistoryService';
 
+const BET_SLOTS = 2;
+// How long a rejected command's reason stays on its bet panel
+const COMMAND_ERROR_MS = 5000;
+
+// Server sends only the slots holding a bet; index them by slot for the panels
+const toSlotArray = (bets = []) => {
+  const slots = Array(BET_SLOTS).fill(null);
+  for (const bet of bets) {
+    if (bet.slot >= 0 && bet.slot < BET_SLOTS) slots[bet.slot] = bet;
+  }
+  return slots;
+};
+
 export function useGameBackend() {
   const [isConnected, setIsConnected] = useState(false);
   const [playerId, setPlayerId] = useState(null);
@@ -13,21 +26,80 @@ export function useGameBackend() {
   const [multiplier, setMultiplier] = useState(1.0);
   const [countdown, setCountdown] = useState(0);
   const [playersOnline, setPlayersOnline] = useState(0);
+  // Latest authoritative frame ({ state, multiplier, serverTime, startTime }) for interpolation
+  const [lastServerTick, setLastServerTick] = useState(null);
 
   // server-driven player state:
   const [balance, setBalance] = useState(0);
-  const [hasActiveBet, setHasActiveBet] = useState(false);
-  const [activeBetAmount, setActiveBetAmount] = useState(0);
-  const [cashedOut, setCashedOut] = useState(false);
-  const [cashedOutMultiplier, setCashedOutMultiplier] = useState(0);
   const [crashHistory, setCrashHistory] = useState([]);
+  const [crashHistoryRounds, setCrashHistoryRounds] = useState([]); // Round ids of crashHistory entries (for replays)
+  // Per-slot bets (dual bet panels); the flat hasActiveBet/cashedOut fields
+  // returned below mirror slot 0
+  const [bets, setBets] = useState(() => toSlotArray());
+  // Per-slot bets waiting for the next round
+  const [queuedBets, setQueuedBets] = useState(() => toSlotArray());
+  // Server-side auto-play session ({ running, roundsPlayed, profit, ... })
+  const [autoBet, setAutoBet] = useState({ running: false });
+  // Game room being watched and the rooms on offer ({ id, name, minBetAmount, ... })
+  const [room, setRoom] = useState(null);
+  const [rooms, setRooms] = useState([]);
+  // Round parameters the server plays with (bet limits, countdown, growth...)
+  const [roundConfig, setRoundConfig] = useState(null);
+  // Live "All bets" feed of the current round: { bets, totals }
+  const [betFeed, setBetFeed] = useState({ bets: [], totals: { count: 0, amount: 0, winnings: 0 } });
+  // Set during maintenance or a restart: { reason, message, expectedReturnAt }
+  const [maintenance, setMaintenance] = useState(null);
+  // Why the last bet/cashout of each slot was rejected: { code, message } or null
+  const [commandErrors, setCommandErrors] = useState(() => Array(BET_SLOTS).fill(null));
+  const commandErrorTimersRef = useRef({});
   
-  // Bet tracking state
-  const [currentBetId, setCurrentBetId] = useState(null);
+  // Bet history ids per slot (ref: the listener below is created once)
+  const currentBetIdsRef = useRef({});
+  // Winnings from partial cashouts per slot, recorded when the bet closes
+  const partialWinningsRef = useRef({});
   
   // Debug crash history state
   console.log('🎲 Hook crashHistory state:', crashHistory);
 
+  // Anything still tracked when the round crashes wasn't cashed out
+  const recordCrashedBets = (crashMultiplier) => {
+    for (const [slot, betId] of Object.entries(currentBetIdsRef.current)) {
+      console.log('💥 Recording crashed bet:', betId, 'slot', slot, 'at multiplier:', crashMultiplier);
+      // Only winnings from partial cashouts (if any) were kept
+      betHistoryService.recordBetOutcome(betId, crashMultiplier, partialWinningsRef.current[slot] || 0);
+    }
+    currentBetIdsRef.current = {};
+    partialWinningsRef.current = {};
+  };
+
+  const applyBalance = (value) => {
+    if (value === undefined || value === null) return;
+    setBalance(value);
+    window.dispatchEvent(new CustomEvent('balanceUpdated', { detail: { balance: value } }));
+  };
+
+  const setSlot = (slot, bet) => {
+    setBets(prev => prev.map((current, i) => (i === slot ? bet : current)));
+  };
+
+  const setCommandError = (slot, error) => {
+    if (!(slot >= 0 && slot < BET_SLOTS)) return;
+    clearTimeout(commandErrorTimersRef.current[slot]);
+    setCommandErrors(prev => prev.map((current, i) => (i === slot ? error : current)));
+    if (error) {
+      commandErrorTimersRef.current[slot] = setTimeout(() => setCommandError(slot, null), COMMAND_ERROR_MS);
+    }
+  };
+
+  // Show the server's reason on the panel when a command is rejected
+  // (except `quiet` codes the panel already explains)
+  const trackCommand = async (slot, command, quiet = []) => {
+    setCommandError(slot, null);
+    const result = await command;
+    if (!result.ok && !quiet.includes(result.code)) setCommandError(slot, { code: result.code, message: result.message });
+    return { success: result.ok, code: result.code, message: result.message };
+  };
+
   // store callback ref
   const listenerRef = useRef((msg) => {
     console.log('🔥 [Hook] received ws msg:', msg);
@@ -39,6 +111,39 @@ export function useGameBackend() {
         setPlayerId(pid);
       }
       setIsConnected(true);
+      // A restarting server re-sends its maintenance frame right after this
+      setMaintenance(null);
+      if (msg.data?.room) setRoom(msg.data.room);
+      if (msg.data?.rooms) setRooms(msg.data.rooms);
+    }
+
+    if (msg.type === 'roundConfig') {
+      console.log('⚙️ [Hook] Round config:', msg.data);
+      setRoundConfig(msg.data);
+    }
+
+    if (msg.type === 'betFeed') {
+      const { event, totals } = msg.data;
+      setBetFeed(prev => {
+        if (event === 'snapshot') return { bets: msg.data.bets, totals };
+        if (event === 'bet') return { bets: [...prev.bets, msg.data.bet], totals };
+        if (event === 'cashout') {
+          return { bets: prev.bets.map(bet => (bet.id === msg.data.bet.id ? msg.data.bet : bet)), totals };
+        }
+        if (event === 'remove') return { bets: prev.bets.filter(bet => bet.id !== msg.data.id), totals };
+        return prev;
+      });
+    }
+
+    // Failures not tied to a command of ours (e.g. a queued bet or a server
+    // auto-cashout); command failures arrive through trackCommand
+    if (msg.type === 'error' && !msg.data?.requestId && msg.data?.slot !== undefined) {
+      setCommandError(msg.data.slot, { code: msg.data.code, message: msg.data.message });
+    }
+
+    if (msg.type === 'maintenance') {
+      console.log('🛠️ [Hook] Server maintenance:', msg.data);
+      setMaintenance(msg.data.active === false ? null : msg.data);
     }
 
     if (msg.type === 'gameState') {
@@ -54,28 +159,17 @@ export function useGameBackend() {
       setMultiplier(d.multiplier);
       setCountdown(d.countdown);
       setPlayersOnline(d.playersOnline);
+      setLastServerTick({ state: d.state, multiplier: d.multiplier, serverTime: d.serverTime, startTime: d.startTime ?? null });
       if (d.crashHistory) {
         console.log('✅ Setting crash history:', d.crashHistory);
         setCrashHistory(d.crashHistory);
       } else {
         console.log('❌ No crash history in message');
       }
-      
-      // Player-specific data might come in playerOverlay message
-      // If this message contains player data (old format), handle it
-      if ('hasActiveBet' in d) {
-        setHasActiveBet(d.hasActiveBet);
-        setActiveBetAmount(d.activeBetAmount);
-        setCashedOut(d.cashedOut);
-        setCashedOutMultiplier(d.cashedOutMultiplier);
-        setBalance(d.balance);
-        
-        // Handle crashed bets (when game crashes and player had active bet but didn't cash out)
-        if (d.state === 'crashed' && currentBetId && !cashedOut) {
-          console.log('💥 Recording crashed bet:', currentBetId, 'at multiplier:', d.multiplier);
-          betHistoryService.recordBetOutcome(currentBetId, d.multiplier, 0); // 0 winnings = loss
-          setCurrentBetId(null);
-        }
+
+      // Handle crashed bets
+      if (d.state === 'crashed') {
+        recordCrashedBets(d.multiplier);
       }
     }
     
@@ -84,25 +178,87 @@ export function useGameBackend() {
       console.log('👤 Player overlay update:', d);
       
       // Update player-specific state
-      setHasActiveBet(d.hasActiveBet);
-      setActiveBetAmount(d.activeBetAmount);
-      setCashedOut(d.cashedOut);
-      setCashedOutMultiplier(d.cashedOutMultiplier);
-      setBalance(d.balance);
-      
-      // Dispatch balance update event
-      if (d.balance !== undefined) {
-        window.dispatchEvent(new CustomEvent('balanceUpdated', { 
-          detail: { balance: d.balance } 
-        }));
+      setBets(toSlotArray(d.bets));
+      setQueuedBets(toSlotArray(d.queued));
+      applyBalance(d.balance);
+    }
+
+    // ---- Protocol v2: one snapshot, then delta events ----
+
+    if (msg.type === 'snapshot') {
+      const d = msg.data;
+      console.log('📸 [Hook] Snapshot:', d);
+      setIsConnected(true);
+      if (d.room) setRoom(d.room);
+      setGameState(d.state);
+      setMultiplier(d.multiplier);
+      setCountdown(d.countdown);
+      setPlayersOnline(d.playersOnline);
+      setCrashHistory(d.crashHistory || []);
+      setCrashHistoryRounds(d.crashHistoryRounds || []);
+      setLastServerTick({ state: d.state, multiplier: d.multiplier, serverTime: d.serverTime, startTime: d.startTime ?? null });
+      setBets(toSlotArray(d.bets));
+      setQueuedBets(toSlotArray(d.queued));
+      applyBalance(d.balance);
+    }
+
+    if (msg.type === 'phase') {
+      const d = msg.data;
+      setGameState(d.state);
+      if (d.state === 'betting') {
+        // New round: last round's bets are settled, queued ones get placed (betPlaced follows)
+        setMultiplier(1);
+        setCountdown(d.countdown);
+        setPlayersOnline(d.playersOnline);
+        setBets(toSlotArray());
+        setQueuedBets(toSlotArray());
+        setLastServerTick({ state: d.state, multiplier: 1, serverTime: null, startTime: null });
+      } else if (d.state === 'running') {
+        setMultiplier(1);
+        setCountdown(0);
+        setLastServerTick({ state: d.state, multiplier: 1, serverTime: d.serverTime, startTime: d.startTime });
+      } else {
+        setLastServerTick(prev => ({ ...prev, state: d.state }));
       }
-      
-      // Handle crashed bets (when game crashes and player had active bet but didn't cash out)
-      if (gameState === 'crashed' && currentBetId && !cashedOut) {
-        console.log('💥 Recording crashed bet:', currentBetId, 'at multiplier:', multiplier);
-        betHistoryService.recordBetOutcome(currentBetId, multiplier, 0); // 0 winnings = loss
-        setCurrentBetId(null);
+    }
+
+    if (msg.type === 'countdown') {
+      setCountdown(msg.data.countdown);
+    }
+
+    if (msg.type === 'tick') {
+      const { multiplier: m, serverTime } = msg.data;
+      setMultiplier(m);
+      setLastServerTick(prev => ({ state: 'running', multiplier: m, serverTime, startTime: prev?.startTime ?? null }));
+    }
+
+    if (msg.type === 'crashed') {
+      const { crashPoint } = msg.data;
+      console.log('💥 [Hook] Crashed at', crashPoint);
+      setGameState('crashed');
+      setMultiplier(crashPoint);
+      setCrashHistory(msg.data.crashHistory || []);
+      setCrashHistoryRounds(msg.data.crashHistoryRounds || []);
+      setLastServerTick(prev => ({ ...prev, state: 'crashed', multiplier: crashPoint }));
+      recordCrashedBets(crashPoint);
+    }
+
+    if (msg.type === 'balance') {
+      applyBalance(msg.data.balance);
+    }
+
+    if (msg.type === 'resume') {
+      const d = msg.data;
+      console.log('🔁 [Hook] Session resumed:', d);
+
+      // Server kept our bets alive while we were disconnected
+      setBets(toSlotArray(d.bets));
+      setQueuedBets(toSlotArray(d.queued));
+      if (d.balance !== undefined && d.balance !== null) {
+        setBalance(d.balance);
       }
+
+      window.dispatchEvent(new CustomEvent('game:resumed', { detail: d }));
     }
 
     if (msg.type === 'betPlaced') {
@@ -112,27 +268,103 @@ export function useGameBackend() {
       
       // Record bet in history
       const bet = betHistoryService.recordBet(msg.data.amount);
-      setCurrentBetId(bet.id);
+      currentBetIdsRef.current[msg.data.slot || 0] = bet.id;
+
+      if (msg.data.bet) setSlot(msg.data.slot || 0, msg.data.bet);
+      applyBalance(msg.data.balance);
+    }
+
+    if (msg.type === 'autoBet') {
+      console.log('🤖 [Hook] Auto-bet update:', msg.data);
+      setAutoBet(msg.data);
+      if (!msg.data.running && msg.data.reason) {
+        window.dispatchEvent(new CustomEvent('game:autoBetStopped', { detail: msg.data }));
+      }
+    }
+
+    if (msg.type === 'betQueued') {
+      console.log('⏭️ [Hook] Bet queued for next round:', msg.data);
+      setQueuedBets(prev => prev.map((bet, i) => (i === msg.data.slot ? msg.data : bet)));
+    }
+
+    if (msg.type === 'betUnqueued') {
+      console.log('⏭️ [Hook] Queued bet removed:', msg.data);
+      setQueuedBets(prev => prev.map((bet, i) => (i === msg.data.slot ? null : bet)));
+    }
+
+    if (msg.type === 'betCancelled') {
+      console.log('↩️ [Hook] Bet cancelled and refunded:', msg.data);
+      const slot = msg.data.slot || 0;
+
+      setBets(prev => prev.map((bet, i) => (i === slot ? null : bet)));
+      applyBalance(msg.data.balance);
+
+      const betId = currentBetIdsRef.current[slot];
+      if (betId) {
+        betHistoryService.recordBetCancelled(betId);
+        delete currentBetIdsRef.current[slot];
+      }
+    }
+
+    if (msg.type === 'roundVoided') {
+      console.log('↩️ [Hook] Round voided, bets refunded:', msg.data);
+      const refunds = msg.data.refunds || [];
+
+      setBets(prev => prev.map((bet, i) => (refunds.some(refund => refund.slot === i) ? null : bet)));
+      applyBalance(msg.data.balance);
+
+      for (const { slot } of refunds) {
+        const betId = currentBetIdsRef.current[slot];
+        if (betId) {
+          betHistoryService.recordBetCancelled(betId);
+          delete currentBetIdsRef.current[slot];
+          delete partialWinningsRef.current[slot];
+        }
+      }
+
+      window.dispatchEvent(new CustomEvent('game:roundVoided', { detail: msg.data }));
     }
 
     if (msg.type === 'cashedOut') {
       console.log('✅ [Hook] Cashed out successfully:', msg.data);
       console.log('✅ [Hook] Winnings:', msg.data.winnings, 'pts at', msg.data.multiplier, 'x');
       console.log('✅ [Hook] New balance:', msg.data.balance, 'pts');
+      const slot = msg.data.slot || 0;
       
       // 🚀 FRED'S FIX: Emit event for BetPanelOptimized to show success message
       window.dispatchEvent(new CustomEvent('game:cashedOut', { 
         detail: { 
+          slot,
           multiplier: msg.data.multiplier,
           isAutomatic: msg.data.isAutomatic || false,
-          winnings: msg.data.winnings
+          capped: msg.data.capped || null, // Forced at a payout cap
+          winnings: msg.data.winnings,
+          amount: msg.data.amount,
+          partial: msg.data.partial || false
         } 
       }));
+
+      if (msg.data.bet) setSlot(slot, msg.data.bet);
+      applyBalance(msg.data.balance);
+
+      if (msg.data.partial) {
+        // Part of the stake keeps riding
+        partialWinningsRef.current[slot] = (partialWinningsRef.current[slot] || 0) + msg.data.winnings;
+        if (!msg.data.bet) {
+          setBets(prev => prev.map((bet, i) => (
+            i === slot && bet ? { ...bet, remaining: msg.data.remaining, payout: (bet.payout || 0) + msg.data.winnings } : bet
+          )));
+        }
+        return;
+      }
       
       // Record cashout in history
-      if (currentBetId) {
-        betHistoryService.recordBetOutcome(currentBetId, msg.data.multiplier, msg.data.winnings);
-        setCurrentBetId(null);
+      const betId = currentBetIdsRef.current[slot];
+      if (betId) {
+        const totalWinnings = (partialWinningsRef.current[slot] || 0) + msg.data.winnings;
+        betHistoryService.recordBetOutcome(betId, msg.data.multiplier, totalWinnings);
+        delete currentBetIdsRef.current[slot];
+        delete partialWinningsRef.current[slot];
       }
     }
   });
@@ -150,18 +382,18 @@ export function useGameBackend() {
     return () => {
       gameService.removeListener(listenerRef.current);
       gameService.disconnect();
+      Object.values(commandErrorTimersRef.current).forEach(clearTimeout);
     };
   }, []);
 
   // Enhanced bet placement with limit checking
-  const placeBetWithLimits = (amount) => {
+  const placeBetWithLimits = async (amount, options = {}) => {
     const limitCheck = betHistoryService.canPlaceBet(amount);
     if (!limitCheck.allowed) {
       console.warn('Bet blocked by daily limits:', limitCheck.reasons);
       return { success: false, reasons: limitCheck.reasons };
     }
-    gameService.placeBet(amount);
-    return { success: true };
+    return trackCommand(options.slot || 0, gameService.placeBet(amount, options));
   };
 
   return {
@@ -169,20 +401,39 @@ export function useGameBackend() {
     playerId,
     gameState,
     multiplier,
+    lastServerTick,
     countdown,
     playersOnline,
     crashHistory,
+    crashHistoryRounds,
 
     // synced player values
     playerBalance: balance,
-    hasActiveBet,
-    activeBetAmount,
-    cashedOut,
-    cashedOutMultiplier,
+    hasActiveBet: bets.some(Boolean),
+    activeBetAmount: bets[0]?.amount || 0,
+    cashedOut: bets[0]?.cashedOut || false,
+    cashedOutMultiplier: bets[0]?.cashedOutMultiplier || 0,
+    bets,
+    queuedBets,
+    commandErrors,
+    autoBet,
+    maintenance,
+    roundConfig,
+    betFeed,
+    room,
+    rooms,
 
     // actions
     placeBet: placeBetWithLimits,
-    cashOut: () => gameService.cashOut(),
+    cancelBet: (slot) => trackCommand(slot || 0, gameService.cancelBet(slot)),
+    startAutoBet: () => gameService.startAutoBet(),
+    stopAutoBet: () => gameService.stopAutoBet(),
+    // NO_ACTIVE_BET: the server's auto-cashout got there first
+    cashOut: (slot, fraction) => trackCommand(slot || 0, gameService.cashOut(slot, fraction), ['NO_ACTIVE_BET']),
+    joinRoom: async (roomId) => {
+      const result = await gameService.joinRoom(roomId);
+      return { success: result.ok, code: result.code, message: result.message };
+    },
     checkHealth: () => gameService.checkHealth(),
     
     // betting history & stats
@@ -1,44 +1,59 @@
 // 🚀 Fred's Professional-Grade Animation Hook
 // rAF-driven animation with zero React re-renders.
-// You push server frames in; it interpolates multiplier locally.
+// You push server frames in; it extrapolates the multiplier locally from the
+// round's take-off time on the server's clock (see clockSyncService) using the
+// shared curve, so the counter moves every frame instead of stepping at 5 Hz.
 
 import { useEffect, useRef } from 'react';
+import { multiplierAt, elapsedFor } from '../utils/crashCurve.js';
+import clockSyncService from '../services/clockSyncService.js';
 
-export default function useOptimizedAnimation({ onApply, onStopped }) {
-  const last = useRef({ t0: 0, m0: 1, t1: 0, m1: 1 });
+// How far the display may run ahead of the last authoritative frame (covers one
+// dropped 5 Hz frame) before it waits for the server
+const MAX_LEAD_MS = 400;
+
+export default function useOptimizedAnimation({ onApply, onStopped, doublingMs }) {
+  const last = useRef({ multiplier: 1, startTime: null, receivedAt: 0 });
   const running = useRef(false);
   const crashed = useRef(false);
   const rafId = useRef(null);
+  const doubling = useRef(doublingMs);
+  doubling.current = doublingMs; // read by the rAF loop started on mount
 
-  const updateServerFrame = (serverTime, multiplier) => {
-    const prev = last.current;
-    last.current = {
-      t0: prev.t1 || serverTime - 1,
-      m0: prev.m1 || multiplier,
-      t1: serverTime,
-      m1: multiplier
-    };
+  const updateServerFrame = (serverTime, multiplier, startTime = null) => {
+    // A new round (or the betting phase) unfreezes the crashed display
+    if (startTime !== last.current.startTime) crashed.current = false;
+    last.current = { multiplier, startTime, receivedAt: Date.now() };
   };
 
+  // Freeze exactly on the crash point
   const setCrashed = (multiplier) => {
     crashed.current = true;
-    last.current = { t0: 0, m0: multiplier, t1: 1, m1: multiplier };
+    last.current = { ...last.current, multiplier };
+  };
+
+  const currentValue = () => {
+    const { multiplier, startTime, receivedAt } = last.current;
+    if (crashed.current) return multiplier;
+    if (!startTime && multiplier <= 1) return 1; // Not flying
+
+    const d = doubling.current;
+    const ceiling = multiplierAt(elapsedFor(multiplier, d) + MAX_LEAD_MS, d);
+    const local = startTime
+      ? multiplierAt(clockSyncService.now() - startTime, d)
+      // Server didn't send a take-off time: extrapolate from the last frame
+      : multiplierAt(elapsedFor(multiplier, d) + (Date.now() - receivedAt), d);
+    // Snap to the authoritative value whenever the estimate falls behind it
+    // and never run too far ahead of it
+    return Math.min(Math.max(local, multiplier), ceiling);
   };
 
   const start = () => {
     if (running.current) return;
     running.current = true;
-    crashed.current = false;
     const loop = () => {
       if (!running.current) return;
-      const { t0, m0, t1, m1 } = last.current;
-      let value = m1;
-      if (!crashed.current && t1 > t0) {
-        const now = Date.now();
-        const p = Math.max(0, Math.min(1, (now - t0) / (t1 - t0)));
-        value = m0 + (m1 - m0) * p;
-      }
-      onApply && onApply(value);
+      onApply && onApply(currentValue());
       rafId.current = requestAnimationFrame(loop);
     };
     rafId.current = requestAnimationFrame(loop);
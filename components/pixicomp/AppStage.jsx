@@ -1,9 +1,9 @@
 import { AnimatedSprite, Container, Graphics, Sprite, Text, useTick } from "@pixi/react";
 import { TextStyle, Texture, ColorMatrixFilter, Assets } from "pixi.js";
 import { useCallback, useEffect, useState, useMemo, useRef } from "react";
-import { renderCurve as _renderCurve, createGradTexture, curveFunction, maskDraw as _drawMask, smoothen, _drawOuterBoundery, _drawInnerBoundery, interpolate, webpORpng } from "../../utils/aviatorUtils";
+import { renderCurve as _renderCurve, createGradTexture, curveTip, maskDraw as _drawMask, _drawOuterBoundery, _drawInnerBoundery, interpolate, webpORpng } from "../../utils/aviatorUtils";
 
-const AppStage = ({ payout, game_anim_status, dimension, pixiDimension, trigParachute }) => {
+const AppStage = ({ payout, doublingMs, game_anim_status, dimension, pixiDimension, trigParachute }) => {
 
     const tickRef = useRef(0)
     const [hueRotate, setHueRotate] = useState(0)
@@ -14,17 +14,16 @@ const AppStage = ({ payout, game_anim_status, dimension, pixiDimension, trigPara
     const [parachuteElseFrames, setParachuteElseFrames] = useState()
     const [parachutesMe, setParachutesMe] = useState([])
     const [parachutesElse, setParachutesElse] = useState([])
-    const [planeX, setPlaneX] = useState(0)
     const [ontoCorner, setOntoCorner] = useState(0)
 
-    const renderCurve = useCallback((g) => _renderCurve(g, dimension), [dimension])
+    const renderCurve = useCallback((g) => _renderCurve(g, dimension, payout, doublingMs), [dimension, payout, doublingMs])
     const drawOuterBoundery = useCallback((g) => _drawOuterBoundery(g, dimension), [dimension])
     const drawInnerBoundery = useCallback((g) => _drawInnerBoundery(g, dimension), [dimension])
 
     const addParachute = (isMe) => {
         const pos = {
-            x: (pulseBase + pulseGraph) * planeX,
-            y: dimension.height - 40 - (1 - pulseGraph) * curveFunction(planeX, { width: dimension.width - 40, height: dimension.height - 40 })
+            x: (pulseBase + pulseGraph) * tip.x,
+            y: dimension.height - 40 - (1 - pulseGraph) * tip.y
         }
         if (isMe) {
             setParachutesMe(v => ([...v, pos]))
@@ -100,11 +99,9 @@ const AppStage = ({ payout, game_anim_status, dimension, pixiDimension, trigPara
         setHueRotate(prev => (prev + delta / 500))
     });
 
-    const maskRef = useRef(null);
     const dotRef = useRef(null);
     const gameBoardMask = useRef(null);
 
-    const curveMask = useCallback((g) => _drawMask(g, { width: dimension.width - 40, height: dimension.height - 40 }), [dimension])
     const dotLeftBottom = useCallback((g) => _drawMask(g, { width: 1, height: 1 }), [])
 
     const [pulseGraph, setPulseGraph] = useState(1);
@@ -116,7 +113,8 @@ const AppStage = ({ payout, game_anim_status, dimension, pixiDimension, trigPara
         pulse = Math.sin(tickRef.current) * amp
         setPulseGraph(pulse)
     })
-    useEffect(() => { setPlaneX(smoothen(Math.min(tickRef.current * 300, dimension.width - 40), { width: dimension.width - 40, height: dimension.height - 40 })) }, [tickRef.current])
+    // The plane sits on the tip of the shared curve at the current multiplier
+    const tip = useMemo(() => curveTip(payout, doublingMs, { width: dimension.width - 40, height: dimension.height - 40 }), [payout, doublingMs, dimension])
     useEffect(() => {
         if (game_anim_status === "WAITING") tickRef.current = 0
         if (game_anim_status === "ANIM_CRASHED") setOntoCorner(0)
@@ -125,10 +123,10 @@ const AppStage = ({ payout, game_anim_status, dimension, pixiDimension, trigPara
     const posPlane = useMemo(() => {
         const _ontoCorner = game_anim_status === "ANIM_CRASHED" ? ontoCorner : 0
         return {
-            x: (pulseBase + pulseGraph) * planeX + _ontoCorner * 150 + 40,
-            y: dimension.height - 40 - (1 - pulseGraph) * curveFunction(planeX, { width: dimension.width - 40, height: dimension.height - 40 }) - _ontoCorner * 50
+            x: (pulseBase + pulseGraph) * tip.x + _ontoCorner * 150 + 40,
+            y: dimension.height - 40 - (1 - pulseGraph) * tip.y - _ontoCorner * 50
         }
-    }, [pulseGraph, planeX, dimension, game_anim_status, ontoCorner])
+    }, [pulseGraph, tip, dimension, game_anim_status, ontoCorner])
     const colorMatrix = useMemo(() => {
         const c = new ColorMatrixFilter();
         c.hue(hueRotate * 100, true);
@@ -148,17 +146,10 @@ const AppStage = ({ payout, game_anim_status, dimension, pixiDimension, trigPara
             <Graphics ref={gameBoardMask} draw={dotLeftBottom} x={40} scale={{ x: dimension.width - 40, y: dimension.height - 40 }} />
             <Container mask={gameBoardMask.current} visible={game_anim_status === "ANIM_STARTED"} position={{ x: 40, y: 0 }} scale={{ x: 1, y: 1 }}>
                 <Graphics
-                    mask={maskRef.current}
                     draw={renderCurve}
                     position={{ x: 0, y: dimension.height - 40 }}
                     scale={{ x: pulseBase + pulseGraph, y: 1 - pulseGraph }}
                     pivot={{ x: 0, y: dimension.height - 40 }} />
-                <Graphics
-                    scale={{ x: (pulseBase + pulseGraph) * planeX / (dimension.width - 40), y: 1 }}
-                    name="mask"
-                    draw={curveMask}
-                    ref={maskRef}
-                />
             </Container>
             <Container visible={game_anim_status !== "WAITING"}>
                 {planeFrames !== undefined &&
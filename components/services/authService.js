@@ -339,6 +339,14 @@ class AuthService {
     return await this.apiRequest(`/leaderboard?${params.toString()}`);
   }
 
+  async getTopWins(limit = 10) {
+    return await this.apiRequest(`/bets/top-wins?limit=${limit}`);
+  }
+
+  async getRoundReplay(roundId) {
+    return await this.apiRequest(`/rounds/${encodeURIComponent(roundId)}/replay`);
+  }
+
   async getReferralStats() {
     try {
       return await this.apiRequest('/referrals/stats');
@@ -358,6 +366,29 @@ class AuthService {
     });
   }
 
+  async getAutoBetStrategy() {
+    return await this.apiRequest('/player/auto-bet');
+  }
+
+  async updateAutoBetStrategy(strategy) {
+    return await this.apiRequest('/player/auto-bet', {
+      method: 'PUT',
+      body: JSON.stringify(strategy)
+    });
+  }
+
+  async getClientSeed() {
+    return await this.apiRequest('/player/client-seed');
+  }
+
+  // Omit clientSeed to rotate to a random one
+  async updateClientSeed(clientSeed) {
+    return await this.apiRequest('/player/client-seed', {
+      method: 'PUT',
+      body: JSON.stringify(clientSeed ? { clientSeed } : {})
+    });
+  }
+
   applySession(token, refreshToken, user) {
     this.token = token || null;
     this.refreshToken = refreshToken || this.refreshToken || null;
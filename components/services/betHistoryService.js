@@ -224,6 +224,27 @@ class BetHistoryService {
     return bet;
   }
 
+  // Undo recordBet for a bet that was cancelled and refunded
+  recordBetCancelled(betId) {
+    const bet = this.history.find(b => b.id === betId);
+    if (!bet || bet.status !== 'active') return null;
+
+    this.history = this.history.filter(b => b.id !== betId);
+
+    this.stats.totalBets = Math.max(0, this.stats.totalBets - 1);
+    this.stats.totalWagered = Math.max(0, this.stats.totalWagered - bet.amount);
+    this.stats.gamesPlayed = Math.max(0, this.stats.gamesPlayed - 1);
+
+    this.dailyLimits.dailyWagered = Math.max(0, this.dailyLimits.dailyWagered - bet.amount);
+    this.dailyLimits.gamesPlayedToday = Math.max(0, this.dailyLimits.gamesPlayedToday - 1);
+
+    this.saveHistory();
+    this.saveStats();
+    this.saveDailyLimits();
+
+    return bet;
+  }
+
   // Get recent bet history
   getRecentHistory(limit = 50) {
     return this.history.slice(0, limit);
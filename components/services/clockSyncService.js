@@ -0,0 +1,51 @@
+// ⏱️ Clock Sync Service - Estimates the offset between this device and the server
+// Each ping/pong gives one sample: the server's clock read at the midpoint of
+// the round trip. The sample with the shortest round trip is the least skewed
+// by network jitter, so the offset comes from the best of the recent samples.
+
+const MAX_SAMPLES = 8;
+
+class ClockSyncService {
+  constructor() {
+    this.samples = []; // { offset, rtt }
+    this.offset = 0;   // serverTime - localTime (ms)
+    this.rtt = null;
+  }
+
+  /**
+   * Record a ping/pong round trip
+   * @param {number} sentAt - Local time the ping was sent
+   * @param {number} serverTime - Server time in the pong
+   * @param {number} [receivedAt] - Local time the pong arrived
+   */
+  addSample(sentAt, serverTime, receivedAt = Date.now()) {
+    const rtt = receivedAt - sentAt;
+    if (!(rtt >= 0) || !Number.isFinite(serverTime)) return;
+
+    this.samples.push({ offset: serverTime - (sentAt + rtt / 2), rtt });
+    if (this.samples.length > MAX_SAMPLES) this.samples.shift();
+
+    const best = this.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    this.offset = best.offset;
+    this.rtt = best.rtt;
+  }
+
+  get sampleCount() {
+    return this.samples.length;
+  }
+
+  // Current time on the server's clock
+  now() {
+    return Date.now() + this.offset;
+  }
+
+  reset() {
+    this.samples = [];
+    this.offset = 0;
+    this.rtt = null;
+  }
+}
+
+const clockSyncService = new ClockSyncService();
+
+export default clockSyncService;
@@ -5,6 +5,23 @@ const BACKEND_URL = import.meta.env.VITE_API_BASE_URL?.replace('/api', '') || 'h
 
 // Import auth service for token management
 import authService from './authService.js';
+import clockSyncService from './clockSyncService.js';
+
+// WebSocket protocol version this client speaks (see backend/lib/protocol.js):
+// a snapshot, then sequenced delta events
+const PROTOCOL_VERSION = 2;
+
+// Ping quickly until the clock offset has a few samples, then keep it fresh
+const CLOCK_SYNC_FAST_MS = 1000;
+const CLOCK_SYNC_MS = 15000;
+const CLOCK_SYNC_SAMPLES = 5;
+
+// Give up on a bet/cashout command the server hasn't answered by then
+const COMMAND_TIMEOUT_MS = 10000;
+
+const createRequestId = () => (
+  globalThis.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+);
 
 class GameService {
   constructor() {
@@ -13,7 +30,14 @@ class GameService {
     this.isConnected = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
+    this.maintenanceUntil = 0; // Server announced a restart, expected back by then
     this.playerId = null; // Store player ID
+    this.clockSyncTimer = null;
+    this.protocolVersion = 1; // Confirmed by the server in the connected frame
+    this.lastSeq = 0;         // Sequence number of the last frame received
+    this.awaitingSnapshot = false; // A resync was requested after a gap
+    this.pendingCommands = new Map(); // requestId → { message, resolve, timer }
+    this.room = localStorage.getItem('aviator_room'); // Game room to (re)join, confirmed by the server
     
     // Fred's Fix: Reconnect WS after token refresh
     if (typeof window !== 'undefined') {
@@ -40,7 +64,10 @@ class GameService {
     const wsPath = '/ws';  // WebSocket path
     
     // Fred's belt-and-suspenders: both query param AND subprotocol
-    const wsUrl = token ? `${baseWsUrl}${wsPath}?token=${encodeURIComponent(token)}` : `${baseWsUrl}${wsPath}`;
+    const roomParam = this.room ? `&room=${encodeURIComponent(this.room)}` : '';
+    const wsUrl = token
+      ? `${baseWsUrl}${wsPath}?v=${PROTOCOL_VERSION}${roomParam}&token=${encodeURIComponent(token)}`
+      : `${baseWsUrl}${wsPath}?v=${PROTOCOL_VERSION}${roomParam}`;
     const protocols = token ? [`bearer.${token}`] : [];
     
     if (import.meta.env.DEV || import.meta.env.VITE_DEBUG === 'true') {
@@ -61,6 +88,16 @@ class GameService {
         }
         this.isConnected = true;
         this.reconnectAttempts = 0;
+        this.maintenanceUntil = 0;
+        this.lastSeq = 0; // Sequence numbers restart with every connection
+        this.awaitingSnapshot = false;
+        clockSyncService.reset();
+        this.syncClock();
+
+        // Commands sent just before the connection dropped may or may not have
+        // reached the server: send them again with the same requestId, the
+        // server answers a repeat without running it twice
+        this.pendingCommands.forEach(({ message }) => this.send(message));
         
         // Try to restore previous player ID from localStorage
         const savedPlayerId = localStorage.getItem('aviator_player_id');
@@ -96,6 +133,32 @@ class GameService {
             return; // Don't process this message further
           }
           
+          if (typeof message.seq === 'number') {
+            this.checkSequence(message);
+          }
+
+          if (message.type === 'pong') {
+            clockSyncService.addSample(message.data?.clientTime, message.data?.serverTime);
+            return;
+          }
+
+          if ((message.type === 'ack' || message.type === 'error') && message.data?.requestId) {
+            this.settleCommand(message);
+          }
+
+          if (message.type === 'maintenance' && message.data?.expectedReturnAt) {
+            this.maintenanceUntil = message.data.expectedReturnAt;
+          }
+
+          if (message.type === 'connected') {
+            this.protocolVersion = message.data?.protocolVersion || 1;
+          }
+
+          // The server may keep us in another room (bets still running there)
+          if ((message.type === 'connected' || message.type === 'snapshot') && message.data?.room) {
+            this.setRoom(message.data.room);
+          }
+
           // Save player/user ID when we receive it from backend
           if (message.type === 'connected' && message.data?.userId) {
             this.playerId = message.data.userId;
@@ -117,6 +180,7 @@ class GameService {
           console.log('🔌 Connection closed');
         }
         this.isConnected = false;
+        clearTimeout(this.clockSyncTimer);
         this.attemptReconnect();
       };
       
@@ -139,8 +203,36 @@ class GameService {
     }
   }
 
+  // A frame was skipped (e.g. dropped while this client fell behind): the
+  // deltas no longer add up, so ask for a fresh snapshot. Frames keep being
+  // applied meanwhile; the snapshot overwrites whatever they got wrong.
+  checkSequence(message) {
+    if (message.type === 'snapshot') {
+      this.awaitingSnapshot = false;
+    } else if (message.seq !== this.lastSeq + 1 && !this.awaitingSnapshot) {
+      console.warn(`⚠️ Missed frames ${this.lastSeq + 1}–${message.seq - 1}, requesting resync`);
+      this.awaitingSnapshot = true;
+      this.send({ type: 'resync' });
+    }
+    this.lastSeq = message.seq;
+  }
+
+  // Ping the server to estimate the clock offset used to interpolate the multiplier
+  syncClock() {
+    clearTimeout(this.clockSyncTimer);
+    this.send({ type: 'ping', clientTime: Date.now() });
+    const delay = clockSyncService.sampleCount < CLOCK_SYNC_SAMPLES ? CLOCK_SYNC_FAST_MS : CLOCK_SYNC_MS;
+    this.clockSyncTimer = setTimeout(() => this.syncClock(), delay);
+  }
+
   // Reconnect logic with backoff - now safe since server preserves player IDs by path
   attemptReconnect() {
+    // Server is restarting: keep polling until it's due back, without using up attempts
+    if (Date.now() < this.maintenanceUntil) {
+      setTimeout(() => this.connect(), 3000);
+      return;
+    }
+
     if (this.reconnectAttempts >= this.maxReconnectAttempts) {
       console.log('🔄 Max reconnection attempts reached. Please refresh the page.');
       return;
@@ -170,21 +262,86 @@ class GameService {
     }
   }
 
+  // Send a bet/cashout command tagged with a requestId. Resolves with the
+  // server's answer: { ok: true, data } or { ok: false, code, message }
+  sendCommand(command) {
+    const requestId = createRequestId();
+    const message = { ...command, requestId };
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.pendingCommands.delete(requestId);
+        resolve({ ok: false, code: 'TIMEOUT', message: 'No answer from the server' });
+      }, COMMAND_TIMEOUT_MS);
+      this.pendingCommands.set(requestId, { message, resolve, timer });
+      this.send(message);
+    });
+  }
+
+  settleCommand(message) {
+    const { requestId } = message.data;
+    const pending = this.pendingCommands.get(requestId);
+    if (!pending) return; // Timed out, or a repeated answer to a resent command
+
+    clearTimeout(pending.timer);
+    this.pendingCommands.delete(requestId);
+    pending.resolve(message.type === 'ack'
+      ? { ok: true, data: message.data }
+      : { ok: false, code: message.data.code, message: message.data.message });
+  }
+
   // Place a bet
-  placeBet(amount) {
-    console.log('💰 [GameService] Placing bet:', amount, 'pts for player:', this.playerId);
-    this.send({
+  // slot: which bet panel the bet belongs to (0 or 1)
+  // autoCashout: target multiplier or null; omitted = use saved settings
+  placeBet(amount, { slot = 0, autoCashout } = {}) {
+    console.log('💰 [GameService] Placing bet:', amount, 'pts in slot', slot, 'for player:', this.playerId);
+    return this.sendCommand({
       type: 'bet',
       amount: amount,
+      slot,
+      autoCashout,
       playerId: this.playerId // Include player ID
     });
   }
 
-  // Cash out
-  cashOut() {
-    console.log('💸 [GameService] Attempting cash out for player:', this.playerId);
-    this.send({
+  // Withdraw a bet while the countdown is running (stake is refunded)
+  cancelBet(slot = 0) {
+    console.log('↩️ [GameService] Cancelling bet in slot', slot, 'for player:', this.playerId);
+    return this.sendCommand({
+      type: 'cancelBet',
+      slot,
+      playerId: this.playerId // Include player ID
+    });
+  }
+
+  setRoom(room) {
+    this.room = room;
+    localStorage.setItem('aviator_room', room);
+  }
+
+  // Switch game rooms; the server answers with the new room's snapshot
+  async joinRoom(room) {
+    console.log('🚪 [GameService] Joining room', room);
+    const result = await this.sendCommand({ type: 'joinRoom', room });
+    if (result.ok && result.data.room) this.setRoom(result.data.room);
+    return result;
+  }
+
+  // Server-side auto-play using the saved strategy
+  startAutoBet() {
+    this.send({ type: 'autoBet', action: 'start' });
+  }
+
+  stopAutoBet() {
+    this.send({ type: 'autoBet', action: 'stop' });
+  }
+
+  // Cash out; fraction < 1 settles only that share of the stake (partial cashout)
+  cashOut(slot = 0, fraction = 1) {
+    console.log('💸 [GameService] Attempting cash out of slot', slot, `(${fraction * 100}%) for player:`, this.playerId);
+    return this.sendCommand({
       type: 'cashOut',
+      slot,
+      fraction,
       playerId: this.playerId // Include player ID
     });
   }
@@ -238,6 +395,7 @@ class GameService {
 
   // Disconnect
   disconnect() {
+    clearTimeout(this.clockSyncTimer);
     if (this.ws) {
       this.ws.close();
       this.isConnected = false;
@@ -0,0 +1,7 @@
+// Browser binding of the shared multiplier curve (backend/lib/crashCurve.js),
+// so the graph and the interpolated multiplier follow the engine exactly.
+import '../../backend/lib/crashCurve.js';
+
+const { DEFAULT_DOUBLING_MS, multiplierAt, elapsedFor, curvePoints } = globalThis.CrashCurve;
+
+export { DEFAULT_DOUBLING_MS, multiplierAt, elapsedFor, curvePoints };
@@ -0,0 +1,13 @@
+// Browser binding of the shared provably fair algorithm (backend/lib/crashFairness.js)
+// using crypto-js, so FairnessPage verifies rounds exactly like the server does.
+import crypto from 'crypto-js';
+import '../../backend/lib/crashFairness.js';
+
+const { ALGORITHM, DEFAULT_HOUSE_EDGE, createFairness } = globalThis.CrashFairness;
+
+export const fairness = createFairness({
+  sha256: (message) => crypto.SHA256(message).toString(),
+  hmacSha256: (key, message) => crypto.HmacSHA256(message, key).toString()
+});
+
+export { ALGORITHM, DEFAULT_HOUSE_EDGE };
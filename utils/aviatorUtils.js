@@ -1,5 +1,6 @@
 import { utils, Texture } from "pixi.js";
 import { sound } from '@pixi/sound';
+import { DEFAULT_DOUBLING_MS, elapsedFor, curvePoints } from '../components/utils/crashCurve.js';
 
 export const Game_Global_Vars = {
     curPayout: 0,
@@ -19,15 +20,30 @@ export const Game_Global_Vars = {
     },
 }
 
-// Define the function for the curve
-export const curveFunction = (x, dimension) => {
-    return 0.0007 * Math.pow(x, 1.9) * dimension.height / 1500
-};
-
-export const renderCurve = (g, _dimension) => {
-    const dimension = { width: _dimension.width, height: _dimension.height - 40 }
-    const xAxis = Array.from({ length: dimension.width / 10 }, (_, index) => index * 10)
-    const points = xAxis.map(item => ({ x: item, y: dimension.height - curveFunction(item, dimension) }));
+// Chart window for the flight so far: at least 10s and 2x, then the curve
+// keeps growing at the edge of the board
+export const curveViewport = (payout, doublingMs = DEFAULT_DOUBLING_MS) => ({
+    elapsedMs: Math.max(elapsedFor(payout, doublingMs), 10000),
+    multiplier: Math.max(payout, 2)
+})
+
+// Position of a curve point in a width × height board (y measured up from the bottom)
+export const curveToBoard = ({ elapsedMs, multiplier }, viewport, dimension) => ({
+    x: elapsedMs / viewport.elapsedMs * dimension.width,
+    y: (multiplier - 1) / (viewport.multiplier - 1) * dimension.height
+})
+
+// Tip of the curve (where the plane flies) at the current multiplier
+export const curveTip = (payout, doublingMs, dimension) =>
+    curveToBoard({ elapsedMs: elapsedFor(payout, doublingMs), multiplier: payout }, curveViewport(payout, doublingMs), dimension)
+
+export const renderCurve = (g, _dimension, payout, doublingMs = DEFAULT_DOUBLING_MS) => {
+    const dimension = { width: _dimension.width - 40, height: _dimension.height - 40 }
+    const viewport = curveViewport(payout, doublingMs)
+    const points = curvePoints(Math.max(payout, 1), doublingMs).map(point => {
+        const { x, y } = curveToBoard(point, viewport, dimension)
+        return { x, y: dimension.height - y }
+    });
     g.clear()
     g.beginFill(0xE59407, 0.3);
     // g.lineStyle(4, 0xffd900, 1);
@@ -89,8 +105,6 @@ export const maskDraw = (g, dimension) => {
     g.endFill();
 }
 
-export const smoothen = (t, dimension) => (Math.sin(Math.PI * t / (2 * dimension.width)) * dimension.width)
-
 export const _drawBar = (width, color) => (g) => {
     g.clear()
     g.beginFill(color, 1)